@@ -0,0 +1,376 @@
+/**
+ * Реестр проверок домена
+ * Каждая проверка (DMARC, SPF, DKIM, MX и собственные проверки, например MTA-STS или BIMI)
+ * регистрируется с именем, зависимостями, схемой результата и вкладом в оценку безопасности.
+ * Клиент выполняет проверки в порядке зависимостей, а таблица, фильтры и экспорт
+ * получают список проверок из реестра.
+ *
+ * Описание проверки:
+ * {
+ *   name: 'mta_sts',                 // ключ результата: result.mta_sts
+ *   title: 'MTA-STS',                // заголовок в таблице, фильтрах и отчетах
+ *   dependencies: ['mx'],            // проверки, которые должны выполниться раньше
+ *   weight: 10,                      // вклад в оценку: ok - весь вес, warning - половина
+ *   column: true,                    // показывать колонку в таблице и фильтр по статусу
+ *   fields: [                        // поля результата для деталей и экспорта
+ *       { key: 'record', title: 'Запись' }
+ *   ],
+ *   check: async (domain, scope) => ({ status: 'ok', record: '...' })
+ * }
+ *
+ * scope = { client, context, signal, results, lookup(name, type) } - см. MultiModeDmarcClient._runChecks
+ */
+class CheckRegistry {
+    constructor() {
+        // Проверки в порядке регистрации
+        this.providers = new Map();
+        
+        if (window.Logger && typeof window.Logger.debug === 'function') {
+            window.Logger.debug('CheckRegistry initialized');
+        } else {
+            console.log('CheckRegistry initialized');
+        }
+    }
+    
+    /**
+     * Регистрация проверки
+     * @param {Object} provider - Описание проверки (см. описание класса)
+     * @param {Object} [options] - { replace: заменить проверку с тем же именем }
+     * @returns {Object} - Нормализованное описание проверки
+     * @throws {Error} - Ошибка при некорректном описании или повторной регистрации
+     */
+    register(provider, options = {}) {
+        const normalized = this._normalizeProvider(provider);
+        
+        if (this.providers.has(normalized.name) && !options.replace) {
+            throw new Error(`Проверка "${normalized.name}" уже зарегистрирована`);
+        }
+        
+        const previous = this.providers.get(normalized.name);
+        this.providers.set(normalized.name, normalized);
+        
+        // Проверяем, что зависимости не образуют цикл (отсутствующие зависимости допустимы до вызова list)
+        // При ошибке заменяемая проверка восстанавливается
+        try {
+            this._sortByDependencies(false);
+        } catch (error) {
+            if (previous) {
+                this.providers.set(normalized.name, previous);
+            } else {
+                this.providers.delete(normalized.name);
+            }
+            throw error;
+        }
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`Check registered: ${normalized.name}`, {
+                dependencies: normalized.dependencies,
+                weight: normalized.weight
+            });
+        } else {
+            console.log(`Check registered: ${normalized.name}`, {
+                dependencies: normalized.dependencies,
+                weight: normalized.weight
+            });
+        }
+        
+        this._emitChanged();
+        return normalized;
+    }
+    
+    /**
+     * Удаление проверки из реестра
+     * @param {string} name - Имя проверки
+     * @returns {boolean} - Была ли проверка удалена
+     */
+    unregister(name) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            return false;
+        }
+        
+        if (provider.builtin) {
+            throw new Error(`Встроенную проверку "${name}" нельзя удалить`);
+        }
+        
+        const dependents = Array.from(this.providers.values())
+            .filter(item => item.dependencies.includes(name))
+            .map(item => item.name);
+        
+        if (dependents.length > 0) {
+            throw new Error(`От проверки "${name}" зависят: ${dependents.join(', ')}`);
+        }
+        
+        this.providers.delete(name);
+        this._emitChanged();
+        return true;
+    }
+    
+    /**
+     * Получение проверки по имени
+     * @param {string} name - Имя проверки
+     * @returns {Object|null} - Описание проверки
+     */
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+    
+    /**
+     * Проверка наличия проверки в реестре
+     * @param {string} name - Имя проверки
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.providers.has(name);
+    }
+    
+    /**
+     * Список проверок в порядке выполнения (зависимости раньше зависимых)
+     * @returns {Array<Object>} - Описания проверок
+     * @throws {Error} - Ошибка, если зависимость не зарегистрирована
+     */
+    list() {
+        return this._sortByDependencies(true);
+    }
+    
+    /**
+     * Проверки со статусом, для которых нужны колонка таблицы и фильтр
+     * @param {Object} [options] - { custom: только невстроенные проверки }
+     * @returns {Array<Object>} - Описания проверок
+     */
+    getColumns(options = {}) {
+        return this._sortByDependencies(false).filter(provider => provider.column && (!options.custom || !provider.builtin));
+    }
+    
+    /**
+     * Невстроенные проверки (их выводят таблица, фильтры и экспорт поверх фиксированных колонок)
+     * @returns {Array<Object>} - Описания проверок
+     */
+    getCustom() {
+        return this._sortByDependencies(false).filter(provider => !provider.builtin);
+    }
+    
+    /**
+     * Расчет оценки безопасности по статусам проверок
+     * Сумма весов нормируется к 100, поэтому встроенные веса (DMARC 40, SPF 30, DKIM 30)
+     * дают прежние значения, а собственные проверки пропорционально уменьшают их вклад
+     * @param {Object} result - Результат проверки домена
+     * @returns {number} - Оценка безопасности (0-100)
+     */
+    calculateScore(result) {
+        let total = 0;
+        let score = 0;
+        
+        this.providers.forEach(provider => {
+            if (provider.weight <= 0) return;
+            
+            total += provider.weight;
+            
+            const status = result && result[provider.name] ? result[provider.name].status : 'error';
+            if (status === 'ok') score += provider.weight;
+            else if (status === 'warning') score += provider.weight / 2;
+        });
+        
+        return total > 0 ? Math.round(score / total * 100) : 0;
+    }
+    
+    /**
+     * Пустой результат проверки (для ошибок и непроверенных доменов)
+     * @param {string} name - Имя проверки
+     * @param {string} status - Статус (error, not_scanned)
+     * @returns {*} - Результат по схеме проверки
+     */
+    getEmptyResult(name, status) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            return { status };
+        }
+        
+        if (typeof provider.emptyResult === 'function') {
+            return provider.emptyResult(status);
+        }
+        
+        const result = { status };
+        provider.fields.forEach(field => {
+            result[field.key] = '';
+        });
+        return result;
+    }
+    
+    /**
+     * Приведение результата проверки к схеме
+     * Проверки со статусом должны вернуть объект с допустимым status
+     * @param {string} name - Имя проверки
+     * @param {*} value - Результат, который вернула проверка
+     * @returns {*} - Результат, пригодный для таблицы и экспорта
+     */
+    normalizeResult(name, value) {
+        const provider = this.providers.get(name);
+        if (!provider || !this._hasStatus(provider)) {
+            return value;
+        }
+        
+        if (!value || typeof value !== 'object' || !CheckRegistry.STATUSES.includes(value.status)) {
+            return {
+                ...this.getEmptyResult(name, 'error'),
+                error: `Проверка "${name}" вернула результат без допустимого статуса`
+            };
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Текстовое представление значения поля результата
+     * @param {*} value - Значение поля
+     * @returns {string}
+     */
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') {
+            return '';
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item)).join(', ');
+        }
+        
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        
+        return String(value);
+    }
+    
+    /**
+     * Проверка и нормализация описания проверки
+     * @param {Object} provider - Описание проверки
+     * @returns {Object} - Нормализованное описание
+     * @private
+     */
+    _normalizeProvider(provider) {
+        if (!provider || typeof provider !== 'object') {
+            throw new Error('Описание проверки должно быть объектом');
+        }
+        
+        const name = provider.name;
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error(`Некорректное имя проверки "${name}": допустимы строчные латинские буквы, цифры и _`);
+        }
+        
+        if (CheckRegistry.RESERVED_NAMES.includes(name)) {
+            throw new Error(`Имя "${name}" зарезервировано для полей результата`);
+        }
+        
+        if (typeof provider.check !== 'function') {
+            throw new Error(`Проверка "${name}" должна содержать функцию check`);
+        }
+        
+        const dependencies = provider.dependencies || [];
+        if (!Array.isArray(dependencies) || dependencies.some(dependency => typeof dependency !== 'string')) {
+            throw new Error(`Зависимости проверки "${name}" должны быть списком имен`);
+        }
+        
+        if (dependencies.includes(name)) {
+            throw new Error(`Проверка "${name}" не может зависеть от самой себя`);
+        }
+        
+        const weight = provider.weight === undefined ? 0 : Number(provider.weight);
+        if (!isFinite(weight) || weight < 0) {
+            throw new Error(`Вес проверки "${name}" должен быть неотрицательным числом`);
+        }
+        
+        const fields = (provider.fields || []).map(field => {
+            const normalizedField = typeof field === 'string' ? { key: field } : field;
+            if (!normalizedField || typeof normalizedField.key !== 'string') {
+                throw new Error(`Некорректное поле в схеме проверки "${name}"`);
+            }
+            return {
+                key: normalizedField.key,
+                title: normalizedField.title || normalizedField.key,
+                export: normalizedField.export !== false
+            };
+        });
+        
+        return {
+            name,
+            title: provider.title || name.toUpperCase(),
+            dependencies: [...dependencies],
+            weight,
+            column: provider.column !== false,
+            fields,
+            check: provider.check,
+            emptyResult: typeof provider.emptyResult === 'function' ? provider.emptyResult : null,
+            builtin: provider.builtin === true
+        };
+    }
+    
+    /**
+     * Есть ли у результата проверки статус
+     * Проверки без колонки и веса (например, MX) могут возвращать произвольные данные
+     * @param {Object} provider - Описание проверки
+     * @returns {boolean}
+     * @private
+     */
+    _hasStatus(provider) {
+        return provider.column || provider.weight > 0;
+    }
+    
+    /**
+     * Топологическая сортировка проверок с сохранением порядка регистрации
+     * @param {boolean} strict - Считать ошибкой незарегистрированные зависимости
+     * @returns {Array<Object>} - Описания проверок
+     * @throws {Error} - Ошибка при цикле или отсутствующей зависимости
+     * @private
+     */
+    _sortByDependencies(strict) {
+        const sorted = [];
+        const state = new Map(); // visiting | done
+        
+        const visit = (provider, path) => {
+            const current = state.get(provider.name);
+            if (current === 'done') return;
+            if (current === 'visiting') {
+                throw new Error(`Циклическая зависимость проверок: ${[...path, provider.name].join(' -> ')}`);
+            }
+            
+            state.set(provider.name, 'visiting');
+            
+            provider.dependencies.forEach(dependency => {
+                const dependencyProvider = this.providers.get(dependency);
+                if (!dependencyProvider) {
+                    if (strict) {
+                        throw new Error(`Проверка "${provider.name}" зависит от незарегистрированной проверки "${dependency}"`);
+                    }
+                    return;
+                }
+                visit(dependencyProvider, [...path, provider.name]);
+            });
+            
+            state.set(provider.name, 'done');
+            sorted.push(provider);
+        };
+        
+        this.providers.forEach(provider => visit(provider, []));
+        return sorted;
+    }
+    
+    /**
+     * Уведомление интерфейса об изменении набора проверок
+     * @private
+     */
+    _emitChanged() {
+        if (window.EventBus) {
+            window.EventBus.emit('checks:changed', Array.from(this.providers.keys()));
+        }
+    }
+}
+
+// Статусы, которые могут возвращать проверки
+CheckRegistry.STATUSES = ['ok', 'warning', 'error', 'not_scanned'];
+
+// Имена, занятые служебными полями результата
+// (имена с заглавными буквами, например securityScore, отсекает проверка формата имени)
+CheckRegistry.RESERVED_NAMES = ['domain', 'error', 'provenance', 'score', 'all'];
+
+// Создаем глобальный реестр проверок
+window.checkRegistry = new CheckRegistry();
@@ -0,0 +1,143 @@
+/**
+ * Хранилище результатов контрольной точки сканирования
+ * Результаты доменов сохраняются в IndexedDB по одному и дописываются по мере проверки:
+ * полный результат (дерево SPF, находки, DKIM ключи) занимает десятки килобайт,
+ * и для тысяч доменов квота localStorage быстро заканчивается.
+ * Очередь и настройки сканирования хранятся в localStorage (ключ scan_checkpoint).
+ */
+class CheckpointStore {
+    constructor(options = {}) {
+        // Настройки IndexedDB
+        this.dbName = options.dbName || 'dmarc_scanner_checkpoint';
+        this.storeName = 'results';
+        this.db = null;
+        
+        this.ready = this._open();
+        
+        Logger.debug('CheckpointStore initialized', { dbName: this.dbName });
+    }
+    
+    /**
+     * Сохранение результатов доменов (результат домена заменяет ранее сохраненный)
+     * @param {Array<Object>} results - Результаты проверки доменов
+     * @returns {Promise<boolean>} - Сохранены ли результаты
+     */
+    async putResults(results) {
+        await this.ready;
+        
+        if (results.length === 0) {
+            return true;
+        }
+        
+        return this._transaction(store => {
+            results.forEach(result => store.put({ key: this._getKey(result.domain), result }));
+        });
+    }
+    
+    /**
+     * Получение всех сохраненных результатов
+     * @returns {Promise<Array<Object>>}
+     */
+    async getResults() {
+        await this.ready;
+        
+        if (!this.db) {
+            return [];
+        }
+        
+        return new Promise(resolve => {
+            try {
+                const request = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+                request.onsuccess = () => resolve(request.result.map(entry => entry.result));
+                request.onerror = () => {
+                    Logger.error('Error loading scan checkpoint results', request.error);
+                    resolve([]);
+                };
+            } catch (error) {
+                Logger.error('Error loading scan checkpoint results', error);
+                resolve([]);
+            }
+        });
+    }
+    
+    /**
+     * Удаление всех сохраненных результатов
+     * @returns {Promise<boolean>}
+     */
+    async clear() {
+        await this.ready;
+        return this._transaction(store => store.clear());
+    }
+    
+    /**
+     * Ключ результата: домен в нижнем регистре
+     * @param {string} domain - Доменное имя
+     * @returns {string}
+     * @private
+     */
+    _getKey(domain) {
+        return String(domain || '').trim().toLowerCase();
+    }
+    
+    /**
+     * Открытие базы IndexedDB
+     * @returns {Promise<void>}
+     * @private
+     */
+    _open() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                Logger.warn('IndexedDB is not available, scan checkpoint results will not persist');
+                resolve();
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            
+            request.onerror = () => {
+                Logger.error('Error opening scan checkpoint database', request.error);
+                resolve();
+            };
+        });
+    }
+    
+    /**
+     * Выполнение операции записи с ожиданием завершения транзакции
+     * @param {Function} operation - Функция, получающая objectStore
+     * @returns {Promise<boolean>} - Успешно ли завершилась транзакция
+     * @private
+     */
+    _transaction(operation) {
+        if (!this.db) {
+            return Promise.resolve(false);
+        }
+        
+        return new Promise(resolve => {
+            try {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    Logger.error('Scan checkpoint write error', transaction.error);
+                    resolve(false);
+                };
+                transaction.onabort = () => resolve(false);
+                operation(transaction.objectStore(this.storeName));
+            } catch (error) {
+                Logger.error('Scan checkpoint write error', error);
+                resolve(false);
+            }
+        });
+    }
+}
+
+// Создаем глобальный экземпляр хранилища
+window.checkpointStore = new CheckpointStore();
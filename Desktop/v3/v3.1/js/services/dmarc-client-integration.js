@@ -30,7 +30,18 @@
                     delay: originalClient.delay || 1000,
                     concurrentRequests: originalClient.concurrentRequests || 3,
                     apiKey: originalClient.apiKey || '',
-                    cacheEnabled: originalClient.cacheEnabled !== undefined ? originalClient.cacheEnabled : true
+                    useApi: originalClient.useApi === true,
+                    apiBaseUrl: originalClient.apiBaseUrl || '',
+                    webLookupUrl: originalClient.webLookupUrl || '',
+                    cacheEnabled: originalClient.cacheEnabled !== undefined ? originalClient.cacheEnabled : true,
+                    dnsResolvers: originalClient.dnsResolvers || null,
+                    dnsConsensus: originalClient.dnsConsensus === true,
+                    dmarcSpec: originalClient.dmarcSpec || 'rfc7489',
+                    dkimSelectors: originalClient.dkimSelectors || null,
+                    simulationSeed: originalClient.simulationSeed || '',
+                    fixtures: originalClient.fixtures ? { name: originalClient.fixtures.name, data: originalClient.fixtures.source } : null,
+                    dnsRecording: originalClient.dnsRecording || false,
+                    replaySession: originalClient.replaySession ? { name: originalClient.replaySession.name, data: originalClient.replaySession.source } : null
                 };
             } else {
                 // Загружаем настройки из хранилища
@@ -38,7 +49,18 @@
                     delay: window.StorageManager?.get('request_delay', { defaultValue: 1000 }) || 1000,
                     concurrentRequests: window.StorageManager?.get('concurrent_requests', { defaultValue: 3 }) || 3,
                     apiKey: window.StorageManager?.get('api_key', { defaultValue: '' }) || '',
-                    cacheEnabled: true
+                    useApi: window.StorageManager?.get('use_api', { defaultValue: false }) === true,
+                    apiBaseUrl: window.StorageManager?.get('api_base_url', { defaultValue: '' }) || '',
+                    webLookupUrl: window.StorageManager?.get('web_lookup_url', { defaultValue: '' }) || '',
+                    cacheEnabled: true,
+                    dnsResolvers: window.StorageManager?.get('dns_resolvers', { defaultValue: null }) || null,
+                    dnsConsensus: window.StorageManager?.get('dns_consensus', { defaultValue: false }) === true,
+                    dmarcSpec: window.StorageManager?.get('dmarc_spec', { defaultValue: 'rfc7489' }) || 'rfc7489',
+                    dkimSelectors: window.StorageManager?.get('dkim_selectors', { defaultValue: null }) || null,
+                    simulationSeed: window.StorageManager?.get('simulation_seed', { defaultValue: '' }) || '',
+                    fixtures: window.StorageManager?.get('dns_fixtures', { defaultValue: null }) || null,
+                    dnsRecording: window.StorageManager?.get('dns_record_session', { defaultValue: false }) || false,
+                    replaySession: window.StorageManager?.get('dns_replay_session', { defaultValue: null }) || null
                 };
             }
             
@@ -0,0 +1,312 @@
+/**
+ * Кэш DNS-ответов с учетом TTL
+ * Записи хранятся по ключу (имя, тип, резолвер), срок жизни берется из TTL записей
+ * с ограничением сверху и снизу. Ответы NXDOMAIN/NODATA кэшируются по SOA minimum (RFC 2308).
+ * Данные сохраняются в IndexedDB и переживают перезагрузку страницы.
+ */
+class DnsCache {
+    constructor(options = {}) {
+        // Ограничения TTL в секундах
+        this.minTtl = options.minTtl !== undefined ? options.minTtl : 60;
+        this.maxTtl = options.maxTtl !== undefined ? options.maxTtl : 86400;
+        
+        // TTL отрицательного ответа, если в ответе нет SOA
+        this.negativeTtl = options.negativeTtl || 300;
+        
+        // Настройки IndexedDB
+        this.dbName = options.dbName || 'dmarc_scanner_dns_cache';
+        this.storeName = 'records';
+        this.db = null;
+        
+        // Копия записей в памяти для синхронного доступа
+        this.entries = new Map();
+        
+        // Статистика обращений за текущую сессию
+        this.stats = { hits: 0, misses: 0 };
+        
+        // Загрузка сохраненных записей
+        this.ready = this._open();
+        
+        Logger.debug('DnsCache initialized', { minTtl: this.minTtl, maxTtl: this.maxTtl });
+    }
+    
+    /**
+     * Получение ответа из кэша
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} resolver - URL резолвера
+     * @returns {Object|null} - Сохраненный ответ или null
+     */
+    get(name, type, resolver) {
+        const key = this._getKey(name, type, resolver);
+        const entry = this.entries.get(key);
+        
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+        
+        if (entry.expiresAt <= Date.now()) {
+            this._delete(key);
+            this.stats.misses++;
+            return null;
+        }
+        
+        this.stats.hits++;
+        
+        // Возвращаем копию с оставшимся TTL, чтобы не портить сохраненную запись
+        const response = JSON.parse(JSON.stringify(entry.response));
+        response.cached = true;
+        response.cacheTtl = Math.round((entry.expiresAt - Date.now()) / 1000);
+        return response;
+    }
+    
+    /**
+     * Сохранение ответа в кэш
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} resolver - URL резолвера
+     * @param {Object} response - Ответ DoH-запроса
+     * @returns {boolean} - Был ли ответ сохранен
+     */
+    set(name, type, resolver, response) {
+        const ttl = this._getResponseTtl(response, type);
+        
+        // SERVFAIL, REFUSED и прочие ошибки не кэшируются
+        if (ttl === null) {
+            return false;
+        }
+        
+        const entry = {
+            key: this._getKey(name, type, resolver),
+            name: this._normalizeName(name),
+            type,
+            resolver,
+            response,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttl * 1000
+        };
+        
+        this.entries.set(entry.key, entry);
+        this._persist(store => store.put(entry));
+        return true;
+    }
+    
+    /**
+     * Удаление из кэша всех записей домена и его поддоменов (_dmarc, _domainkey и т.д.)
+     * @param {string} domain - Доменное имя
+     * @returns {number} - Количество удаленных записей
+     */
+    invalidate(domain) {
+        const target = this._normalizeName(domain);
+        let removed = 0;
+        
+        for (const [key, entry] of this.entries) {
+            if (entry.name === target || entry.name.endsWith(`.${target}`)) {
+                this._delete(key);
+                removed++;
+            }
+        }
+        
+        Logger.info(`DNS cache invalidated for ${target}`, { removed });
+        return removed;
+    }
+    
+    /**
+     * Полная очистка кэша
+     */
+    clear() {
+        this.entries.clear();
+        this.stats = { hits: 0, misses: 0 };
+        this._persist(store => store.clear());
+        Logger.info('DNS cache cleared');
+    }
+    
+    /**
+     * Установка ограничений TTL
+     * @param {number} minTtl - Минимальный TTL в секундах
+     * @param {number} maxTtl - Максимальный TTL в секундах
+     */
+    setTtlLimits(minTtl, maxTtl) {
+        this.minTtl = Math.max(0, parseInt(minTtl) || 0);
+        this.maxTtl = Math.max(this.minTtl, parseInt(maxTtl) || this.minTtl);
+        Logger.info('DNS cache TTL limits set', { minTtl: this.minTtl, maxTtl: this.maxTtl });
+    }
+    
+    /**
+     * Получение статистики кэша
+     * @returns {Object} - { hits, misses, hitRate, entries, persistent }
+     */
+    getStats() {
+        const total = this.stats.hits + this.stats.misses;
+        return {
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: total > 0 ? Math.round(this.stats.hits / total * 100) : 0,
+            entries: this.entries.size,
+            persistent: !!this.db
+        };
+    }
+    
+    /**
+     * Расчет срока жизни ответа
+     * @param {Object} response - Ответ DoH-запроса
+     * @param {string} type - Тип записи
+     * @returns {number|null} - TTL в секундах или null, если ответ не кэшируется
+     * @private
+     */
+    _getResponseTtl(response, type) {
+        if (response.rcode !== 'NOERROR' && response.rcode !== 'NXDOMAIN') {
+            return null;
+        }
+        
+        const answers = response.answers.filter(answer => answer.type === type);
+        let ttl;
+        
+        if (response.rcode === 'NOERROR' && answers.length > 0) {
+            ttl = Math.min(...answers.map(answer => answer.ttl));
+        } else {
+            // Отрицательный ответ: min(TTL SOA, SOA minimum)
+            const soa = (response.authorities || []).find(record => record.type === 'SOA');
+            ttl = soa ? Math.min(soa.ttl, this._getSoaMinimum(soa)) : this.negativeTtl;
+        }
+        
+        return Math.min(this.maxTtl, Math.max(this.minTtl, ttl));
+    }
+    
+    /**
+     * Извлечение поля minimum из SOA-записи
+     * @param {Object} soa - SOA-запись (из wire-формата или DoH JSON)
+     * @returns {number} - Значение minimum в секундах
+     * @private
+     */
+    _getSoaMinimum(soa) {
+        if (typeof soa.minimum === 'number') {
+            return soa.minimum;
+        }
+        
+        // В DoH JSON данные SOA приходят строкой "mname rname serial refresh retry expire minimum"
+        const minimum = parseInt(String(soa.data).trim().split(/\s+/).pop());
+        return isNaN(minimum) ? this.negativeTtl : minimum;
+    }
+    
+    /**
+     * Формирование ключа кэша
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} resolver - URL резолвера
+     * @returns {string} - Ключ
+     * @private
+     */
+    _getKey(name, type, resolver) {
+        return `${this._normalizeName(name)}|${type}|${resolver}`;
+    }
+    
+    /**
+     * Приведение доменного имени к единому виду
+     * @param {string} name - Доменное имя
+     * @returns {string} - Имя в нижнем регистре без завершающей точки
+     * @private
+     */
+    _normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\.$/, '');
+    }
+    
+    /**
+     * Удаление записи из памяти и IndexedDB
+     * @param {string} key - Ключ записи
+     * @private
+     */
+    _delete(key) {
+        this.entries.delete(key);
+        this._persist(store => store.delete(key));
+    }
+    
+    /**
+     * Открытие базы IndexedDB и загрузка непросроченных записей
+     * @returns {Promise<void>}
+     * @private
+     */
+    _open() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                Logger.warn('IndexedDB is not available, DNS cache will not persist');
+                resolve();
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                this._load().then(resolve);
+            };
+            
+            request.onerror = () => {
+                Logger.error('Error opening DNS cache database', request.error);
+                resolve();
+            };
+        });
+    }
+    
+    /**
+     * Загрузка записей из IndexedDB с удалением просроченных
+     * @returns {Promise<void>}
+     * @private
+     */
+    _load() {
+        return new Promise(resolve => {
+            const store = this.db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                const now = Date.now();
+                let expired = 0;
+                
+                request.result.forEach(entry => {
+                    if (entry.expiresAt <= now) {
+                        store.delete(entry.key);
+                        expired++;
+                    } else if (!this.entries.has(entry.key)) {
+                        this.entries.set(entry.key, entry);
+                    }
+                });
+                
+                Logger.info(`DNS cache loaded ${this.entries.size} entries`, { expired });
+                resolve();
+            };
+            
+            request.onerror = () => {
+                Logger.error('Error loading DNS cache', request.error);
+                resolve();
+            };
+        });
+    }
+    
+    /**
+     * Выполнение операции записи в IndexedDB (без ожидания результата)
+     * @param {Function} operation - Функция, получающая objectStore
+     * @private
+     */
+    _persist(operation) {
+        if (!this.db) return;
+        
+        try {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            transaction.onerror = () => Logger.error('DNS cache write error', transaction.error);
+            operation(transaction.objectStore(this.storeName));
+        } catch (error) {
+            Logger.error('DNS cache write error', error);
+        }
+    }
+}
+
+// Создаем глобальный экземпляр кэша
+window.dnsCache = new DnsCache({
+    minTtl: StorageManager.get('dns_cache_min_ttl', { defaultValue: 60 }),
+    maxTtl: StorageManager.get('dns_cache_max_ttl', { defaultValue: 86400 })
+});
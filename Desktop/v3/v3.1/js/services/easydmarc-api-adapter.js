@@ -0,0 +1,494 @@
+/**
+ * Адаптер API EasyDMARC для режима api мультирежимного клиента
+ *
+ * Используемые методы API (базовый URL настраивается, что позволяет работать с локальным mock-сервером):
+ *   GET {baseUrl}/account - проверка ключа и сведения о квоте
+ *   GET {baseUrl}/domains/{domain}/lookup?page=N - результат проверки домена
+ *
+ * Ключ передается в заголовке Authorization: Bearer <ключ>.
+ * Квота читается из заголовков X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset.
+ * Ответ 429 повторяется после паузы из Retry-After, ответ 402 (или код quota_exceeded)
+ * означает исчерпанную квоту: дальнейшие запросы не выполняются до ее сброса.
+ */
+class EasyDmarcApiAdapter {
+    constructor(options = {}) {
+        this.baseUrl = EasyDmarcApiAdapter.normalizeBaseUrl(options.baseUrl);
+        this.apiKey = options.apiKey || '';
+        this.timeout = options.timeout || 15000;
+        
+        // Повторы при ответе 429
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.maxRetryDelay = options.maxRetryDelay || 60000;
+        
+        // Ограничение числа страниц ответа на случай зацикленной пагинации
+        this.maxPages = options.maxPages || 20;
+        
+        // Сведения о квоте из последнего ответа
+        this.quota = {
+            limit: null,
+            remaining: null,
+            resetAt: null,
+            exhausted: false
+        };
+        
+        // Для тестов можно подменить fetch
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+    
+    /**
+     * Установка ключа API
+     * @param {string} apiKey - Ключ API
+     */
+    setApiKey(apiKey) {
+        this.apiKey = apiKey || '';
+        this.quota.exhausted = false;
+    }
+    
+    /**
+     * Установка базового URL API
+     * @param {string} baseUrl - Базовый URL (например, http://localhost:8080/v1 для mock-сервера)
+     */
+    setBaseUrl(baseUrl) {
+        this.baseUrl = EasyDmarcApiAdapter.normalizeBaseUrl(baseUrl);
+    }
+    
+    /**
+     * Получение сведений о квоте
+     * @returns {Object} - { limit, remaining, resetAt, exhausted }
+     */
+    getQuota() {
+        return { ...this.quota };
+    }
+    
+    /**
+     * Проверка ключа API
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<Object>} - { valid, error, quota }
+     */
+    async validateKey(signal = null) {
+        if (!this.apiKey) {
+            return { valid: false, error: 'Не указан API ключ', quota: this.getQuota() };
+        }
+        
+        try {
+            const account = await this._request('/account', {}, signal);
+            
+            // Квота может приходить и в теле ответа
+            if (account && account.quota) {
+                this._updateQuota(account.quota);
+            }
+            
+            return { valid: true, error: null, quota: this.getQuota() };
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            
+            // Исчерпанная квота не означает неверный ключ
+            if (error.code === 'API_QUOTA_EXCEEDED') {
+                return { valid: true, error: error.message, quota: this.getQuota() };
+            }
+            
+            return { valid: false, error: error.message, quota: this.getQuota() };
+        }
+    }
+    
+    /**
+     * Проверка домена через API
+     * @param {string} domain - Доменное имя
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<Object>} - Результат в формате клиента (securityScore может быть null)
+     * @throws {Error} - Ошибка API с полями code и status
+     */
+    async lookupDomain(domain, signal = null) {
+        const path = `/domains/${encodeURIComponent(domain)}/lookup`;
+        let response = await this._request(path, { page: 1 }, signal);
+        let pages = 1;
+        
+        // Собираем все страницы ответа (селекторы DKIM, MX и замечания могут быть разбиты на страницы)
+        let nextPage = this._getNextPage(response, 1);
+        while (nextPage && pages < this.maxPages) {
+            const page = await this._request(path, { page: nextPage }, signal);
+            response = this._mergePages(response, page);
+            pages++;
+            nextPage = this._getNextPage(page, nextPage);
+        }
+        
+        if (nextPage) {
+            if (window.Logger && typeof window.Logger.warn === 'function') {
+                window.Logger.warn(`API lookup for ${domain} truncated after ${pages} pages`);
+            } else {
+                console.warn(`API lookup for ${domain} truncated after ${pages} pages`);
+            }
+        }
+        
+        return this._mapLookupResult(domain, response);
+    }
+    
+    /**
+     * Выполнение запроса к API с повтором при 429
+     * @param {string} path - Путь относительно базового URL
+     * @param {Object} [params] - Параметры строки запроса
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<Object>} - Тело ответа
+     * @private
+     */
+    async _request(path, params = {}, signal = null) {
+        if (this.quota.exhausted) {
+            if (this.quota.resetAt && this.quota.resetAt <= Date.now()) {
+                this.quota.exhausted = false;
+            } else {
+                throw this._createApiError('Квота API исчерпана', 'API_QUOTA_EXCEEDED', 402);
+            }
+        }
+        
+        const query = Object.entries(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+        
+        for (let attempt = 0; ; attempt++) {
+            const response = await this._fetchWithTimeout(url, signal);
+            this._readQuotaHeaders(response.headers);
+            
+            if (response.ok) {
+                try {
+                    return await response.json();
+                } catch (error) {
+                    throw this._createApiError(`Некорректный ответ API: ${error.message}`, 'API_BAD_RESPONSE', response.status);
+                }
+            }
+            
+            const body = await this._readErrorBody(response);
+            const bodyCode = body && body.error && typeof body.error === 'object' ? body.error.code : body && body.code;
+            const bodyMessage = body && body.error && typeof body.error === 'object' ? body.error.message : body && (body.message || body.error);
+            
+            if (response.status === 402 || bodyCode === 'quota_exceeded') {
+                this.quota.exhausted = true;
+                throw this._createApiError(bodyMessage || 'Квота API исчерпана', 'API_QUOTA_EXCEEDED', response.status);
+            }
+            
+            if (response.status === 401 || response.status === 403) {
+                throw this._createApiError(bodyMessage || 'Неверный API ключ', 'API_UNAUTHORIZED', response.status);
+            }
+            
+            if (response.status === 429) {
+                if (attempt >= this.maxRetries) {
+                    throw this._createApiError('Превышен лимит запросов к API', 'API_RATE_LIMITED', 429);
+                }
+                
+                const delay = this._getRetryDelay(response.headers, attempt);
+                if (window.Logger && typeof window.Logger.warn === 'function') {
+                    window.Logger.warn(`API rate limited, retrying in ${delay} ms`, { path, attempt: attempt + 1 });
+                } else {
+                    console.warn(`API rate limited, retrying in ${delay} ms`, { path, attempt: attempt + 1 });
+                }
+                await this._sleep(delay, signal);
+                continue;
+            }
+            
+            if (response.status === 404) {
+                throw this._createApiError(bodyMessage || 'Домен не найден в API', 'API_NOT_FOUND', 404);
+            }
+            
+            throw this._createApiError(bodyMessage || `API вернул HTTP ${response.status}`, 'API_HTTP_ERROR', response.status);
+        }
+    }
+    
+    /**
+     * Запрос с таймаутом и отменой
+     * @param {string} url - URL запроса
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Promise<Response>}
+     * @private
+     */
+    async _fetchWithTimeout(url, signal = null) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onCancel = () => controller.abort();
+        
+        if (signal) {
+            if (signal.aborted) {
+                clearTimeout(timer);
+                throw this._createCancelledError();
+            }
+            signal.addEventListener('abort', onCancel, { once: true });
+        }
+        
+        try {
+            return await this.fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${this.apiKey}`
+                },
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw this._createCancelledError();
+            }
+            if (controller.signal.aborted) {
+                throw this._createApiError(`Таймаут запроса к API (${this.timeout} мс)`, 'ETIMEDOUT', null);
+            }
+            throw this._createApiError(`Ошибка сети при обращении к API: ${error.message}`, 'API_NETWORK_ERROR', null);
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onCancel);
+            }
+        }
+    }
+    
+    /**
+     * Чтение тела ответа с ошибкой
+     * @param {Response} response - Ответ
+     * @returns {Promise<Object|null>} - Разобранное тело или null
+     * @private
+     */
+    async _readErrorBody(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Обновление сведений о квоте из заголовков ответа
+     * @param {Headers} headers - Заголовки ответа
+     * @private
+     */
+    _readQuotaHeaders(headers) {
+        if (!headers || typeof headers.get !== 'function') return;
+        
+        this._updateQuota({
+            limit: headers.get('X-RateLimit-Limit'),
+            remaining: headers.get('X-RateLimit-Remaining'),
+            reset: headers.get('X-RateLimit-Reset')
+        });
+    }
+    
+    /**
+     * Обновление сведений о квоте
+     * @param {Object} quota - { limit, remaining, reset } (reset - Unix-время в секундах)
+     * @private
+     */
+    _updateQuota(quota) {
+        const limit = parseInt(quota.limit);
+        const remaining = parseInt(quota.remaining);
+        const reset = parseInt(quota.reset);
+        
+        if (!isNaN(limit)) this.quota.limit = limit;
+        if (!isNaN(remaining)) this.quota.remaining = remaining;
+        if (!isNaN(reset)) this.quota.resetAt = reset * 1000;
+    }
+    
+    /**
+     * Расчет паузы перед повтором запроса после 429
+     * @param {Headers} headers - Заголовки ответа
+     * @param {number} attempt - Номер попытки (с нуля)
+     * @returns {number} - Пауза в миллисекундах
+     * @private
+     */
+    _getRetryDelay(headers, attempt) {
+        const retryAfter = headers && typeof headers.get === 'function' ? headers.get('Retry-After') : null;
+        let delay = null;
+        
+        if (retryAfter) {
+            // Retry-After: число секунд или HTTP-дата
+            const seconds = Number(retryAfter);
+            delay = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+        }
+        
+        if (delay === null || isNaN(delay)) {
+            delay = 1000 * Math.pow(2, attempt);
+        }
+        
+        return Math.min(this.maxRetryDelay, Math.max(0, delay));
+    }
+    
+    /**
+     * Определение номера следующей страницы ответа
+     * @param {Object} response - Тело ответа
+     * @param {number} currentPage - Номер текущей страницы
+     * @returns {number|null} - Номер следующей страницы или null
+     * @private
+     */
+    _getNextPage(response, currentPage) {
+        const pagination = response && (response.pagination || response.meta);
+        if (!pagination) return null;
+        
+        if (pagination.next_page) {
+            return parseInt(pagination.next_page) || null;
+        }
+        
+        const totalPages = parseInt(pagination.total_pages || pagination.pages);
+        return totalPages && currentPage < totalPages ? currentPage + 1 : null;
+    }
+    
+    /**
+     * Объединение страниц ответа: массивы дописываются, остальные поля берутся из первой страницы
+     * @param {Object} target - Накопленный ответ
+     * @param {Object} page - Очередная страница
+     * @returns {Object} - Объединенный ответ
+     * @private
+     */
+    _mergePages(target, page) {
+        const merged = { ...target };
+        
+        for (const [key, value] of Object.entries(page || {})) {
+            if (Array.isArray(value)) {
+                merged[key] = (Array.isArray(merged[key]) ? merged[key] : []).concat(value);
+            } else if (value && typeof value === 'object' && merged[key] && typeof merged[key] === 'object' && key !== 'pagination' && key !== 'meta') {
+                merged[key] = this._mergePages(merged[key], value);
+            } else if (merged[key] === undefined) {
+                merged[key] = value;
+            }
+        }
+        
+        return merged;
+    }
+    
+    /**
+     * Преобразование ответа API в формат результата клиента
+     * @param {string} domain - Доменное имя
+     * @param {Object} response - Тело ответа (все страницы)
+     * @returns {Object} - { domain, dmarc, spf, dkim, mx, securityScore }
+     * @private
+     */
+    _mapLookupResult(domain, response) {
+        const data = response.data || response.result || response;
+        const dmarc = data.dmarc || {};
+        const spf = data.spf || {};
+        const dkim = data.dkim || {};
+        
+        const dmarcRecord = dmarc.record || dmarc.value || '';
+        const recordPolicy = dmarcRecord ? DmarcParser.parse(dmarcRecord).effective.p : null;
+        
+        const selectors = (dkim.selectors || dkim.records || [])
+            .filter(selector => typeof selector === 'string' || this._mapStatus(selector.status, true) !== 'error')
+            .map(selector => typeof selector === 'string' ? selector : selector.selector || selector.name)
+            .filter(Boolean);
+        
+        // MX приходят строками или объектами { host, priority }; сортируем по приоритету, как в офлайн-режиме
+        const mx = (data.mx || data.mx_records || [])
+            .map(record => typeof record === 'string'
+                ? { exchange: record, preference: 0 }
+                : { exchange: record.exchange || record.host || record.value || '', preference: parseInt(record.preference !== undefined ? record.preference : record.priority) || 0 })
+            .sort((a, b) => a.preference - b.preference)
+            .map(record => record.exchange.replace(/\.$/, ''))
+            .filter(Boolean);
+        
+        const score = parseInt(data.score !== undefined ? data.score : data.security_score);
+        
+        return {
+            domain,
+            dmarc: {
+                status: this._mapStatus(dmarc.status, !!dmarcRecord),
+                record: dmarcRecord,
+                policy: (dmarc.policy || recordPolicy || '').toLowerCase()
+            },
+            spf: {
+                status: this._mapStatus(spf.status, !!(spf.record || spf.value)),
+                record: spf.record || spf.value || ''
+            },
+            dkim: {
+                status: this._mapStatus(dkim.status, selectors.length > 0),
+                selectors
+            },
+            mx,
+            securityScore: isNaN(score) ? null : Math.max(0, Math.min(100, score))
+        };
+    }
+    
+    /**
+     * Приведение статуса API к статусам клиента (ok, warning, error)
+     * @param {string} status - Статус из ответа API
+     * @param {boolean} present - Найдена ли запись (используется, если статус не распознан)
+     * @returns {string} - ok, warning или error
+     * @private
+     */
+    _mapStatus(status, present) {
+        const value = String(status || '').toLowerCase();
+        
+        if (['ok', 'valid', 'pass', 'success', 'good'].includes(value)) return 'ok';
+        if (['warning', 'warn', 'partial', 'weak'].includes(value)) return 'warning';
+        if (['error', 'invalid', 'fail', 'missing', 'not_found', 'none'].includes(value)) return 'error';
+        
+        return present ? 'warning' : 'error';
+    }
+    
+    /**
+     * Создание ошибки API
+     * @param {string} message - Сообщение
+     * @param {string} code - Код ошибки (API_UNAUTHORIZED, API_QUOTA_EXCEEDED, API_RATE_LIMITED...)
+     * @param {number|null} status - HTTP-статус
+     * @returns {Error}
+     * @private
+     */
+    _createApiError(message, code, status) {
+        const error = new Error(message);
+        error.code = code;
+        error.status = status;
+        return error;
+    }
+    
+    /**
+     * Создание ошибки отмены (тот же вид, что и в MultiModeDmarcClient)
+     * @returns {Error}
+     * @private
+     */
+    _createCancelledError() {
+        const error = new Error('Проверка отменена');
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+    
+    /**
+     * Задержка с возможностью отмены
+     * @param {number} ms - Длительность в миллисекундах
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this._createCancelledError());
+                return;
+            }
+            
+            const onCancel = () => {
+                clearTimeout(timer);
+                reject(this._createCancelledError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onCancel);
+                }
+                resolve();
+            }, ms);
+            
+            if (signal) {
+                signal.addEventListener('abort', onCancel, { once: true });
+            }
+        });
+    }
+}
+
+// Базовый URL API по умолчанию
+EasyDmarcApiAdapter.DEFAULT_BASE_URL = 'https://api.easydmarc.com/v1';
+
+/**
+ * Приведение базового URL к виду без завершающего слэша
+ * @param {string} baseUrl - Базовый URL
+ * @returns {string}
+ */
+EasyDmarcApiAdapter.normalizeBaseUrl = function(baseUrl) {
+    return String(baseUrl || EasyDmarcApiAdapter.DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+};
+
+// Делаем класс доступным глобально
+window.EasyDmarcApiAdapter = EasyDmarcApiAdapter;
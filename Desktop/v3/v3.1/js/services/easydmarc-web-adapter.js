@@ -0,0 +1,464 @@
+/**
+ * Адаптер режима web: загрузка HTML-страницы результата проверки и разбор найденных настроек
+ *
+ * Адрес страницы задается шаблоном с подстановкой {domain}. Из-за ограничений CORS шаблон обычно
+ * указывает на прокси или на локальный сервер с сохраненными страницами (для тестов).
+ * Разметка страницы может меняться, поэтому каждая секция ищется по списку селекторов,
+ * а записи - по элементам с кодом или по тексту секции. Если нужную секцию найти не удалось,
+ * возвращается явная ошибка разбора, а не придуманный результат.
+ */
+class EasyDmarcWebAdapter {
+    constructor(options = {}) {
+        this.lookupUrl = options.lookupUrl || EasyDmarcWebAdapter.DEFAULT_LOOKUP_URL;
+        this.timeout = options.timeout || 20000;
+        
+        // Для тестов можно подменить fetch и разбор HTML
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.parseHtml = options.parseHtml || (html => new DOMParser().parseFromString(html, 'text/html'));
+    }
+    
+    /**
+     * Установка шаблона адреса страницы результата
+     * @param {string} lookupUrl - Шаблон, например http://localhost:8080/scan?domain={domain}
+     */
+    setLookupUrl(lookupUrl) {
+        this.lookupUrl = lookupUrl || EasyDmarcWebAdapter.DEFAULT_LOOKUP_URL;
+    }
+    
+    /**
+     * Проверка доступности страницы результата и возможности ее разбора
+     * @returns {Promise<boolean>}
+     */
+    async checkAvailability() {
+        try {
+            await this.lookupDomain('example.com');
+            return true;
+        } catch (error) {
+            if (window.Logger && typeof window.Logger.warn === 'function') {
+                window.Logger.warn(`Web mode unavailable: ${error.message}`);
+            } else {
+                console.warn(`Web mode unavailable: ${error.message}`);
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * Проверка домена через страницу результата
+     * @param {string} domain - Доменное имя
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<Object>} - Результат в формате клиента (securityScore может быть null)
+     * @throws {Error} - Ошибка загрузки (WEB_HTTP_ERROR, WEB_NETWORK_ERROR, ETIMEDOUT) или разбора (WEB_PARSE_ERROR, WEB_BLOCKED)
+     */
+    async lookupDomain(domain, signal = null) {
+        const html = await this._fetchPage(this.getLookupUrl(domain), signal);
+        return this.parseResultPage(html, domain);
+    }
+    
+    /**
+     * Разбор HTML-страницы результата
+     * @param {string} html - HTML страницы
+     * @param {string} domain - Проверяемый домен
+     * @returns {Object} - { domain, dmarc, spf, dkim, mx, securityScore }
+     * @throws {Error} - Ошибка с кодом WEB_PARSE_ERROR или WEB_BLOCKED
+     */
+    parseResultPage(html, domain) {
+        if (!html || !String(html).trim()) {
+            throw this._createWebError('Пустая страница результата', 'WEB_PARSE_ERROR');
+        }
+        
+        const doc = this.parseHtml(String(html));
+        const missing = [];
+        
+        const dmarcSection = this._findSection(doc, 'dmarc');
+        const dmarcRecord = this._findRecord(dmarcSection, 'dmarc');
+        if (!dmarcSection) missing.push('DMARC');
+        
+        const spfSection = this._findSection(doc, 'spf');
+        const spfRecord = this._findRecord(spfSection, 'spf');
+        if (!spfSection) missing.push('SPF');
+        
+        const dkimSection = this._findSection(doc, 'dkim');
+        if (!dkimSection) missing.push('DKIM');
+        
+        // Страница проверки на робота вместо результата: форма проверки без секций результата
+        // (скрипт reCAPTCHA на обычной странице результата блокировкой не считается)
+        if (!dmarcSection && !spfSection && this._queryFirst(doc, EasyDmarcWebAdapter.SELECTORS.challenge)) {
+            throw this._createWebError('Сайт запросил проверку на робота (captcha)', 'WEB_BLOCKED');
+        }
+        
+        if (missing.length > 0) {
+            throw this._createWebError(`Не удалось разобрать страницу результата: не найдены секции ${missing.join(', ')}`, 'WEB_PARSE_ERROR');
+        }
+        
+        const policy = dmarcRecord ? DmarcParser.parse(dmarcRecord).effective.p : null;
+        const selectors = this._findSelectors(dkimSection);
+        const mx = this._findList(this._findSection(doc, 'mx'), ['[data-mx]', '.mx-record', 'li', 'td']);
+        const scoreElement = this._queryFirst(doc, EasyDmarcWebAdapter.SELECTORS.score);
+        const score = parseInt(scoreElement && scoreElement.getAttribute('data-score') || this._getText(scoreElement));
+        
+        return {
+            domain,
+            dmarc: {
+                status: this._detectStatus(dmarcSection) || this._inferStatus('dmarc', dmarcRecord),
+                record: dmarcRecord,
+                policy: policy || ''
+            },
+            spf: {
+                status: this._detectStatus(spfSection) || this._inferStatus('spf', spfRecord),
+                record: spfRecord
+            },
+            dkim: {
+                status: this._detectStatus(dkimSection) || (selectors.length > 0 ? 'ok' : 'error'),
+                selectors
+            },
+            mx,
+            securityScore: isNaN(score) ? null : Math.max(0, Math.min(100, score))
+        };
+    }
+    
+    /**
+     * Формирование адреса страницы для домена
+     * @param {string} domain - Доменное имя
+     * @returns {string} - URL
+     */
+    getLookupUrl(domain) {
+        const encoded = encodeURIComponent(domain);
+        
+        if (this.lookupUrl.includes('{domain}')) {
+            return this.lookupUrl.split('{domain}').join(encoded);
+        }
+        
+        return `${this.lookupUrl}${this.lookupUrl.includes('?') ? '&' : '?'}domain=${encoded}`;
+    }
+    
+    /**
+     * Загрузка страницы с таймаутом и отменой
+     * @param {string} url - URL страницы
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Promise<string>} - HTML страницы
+     * @private
+     */
+    async _fetchPage(url, signal = null) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onCancel = () => controller.abort();
+        
+        if (signal) {
+            if (signal.aborted) {
+                clearTimeout(timer);
+                throw this._createCancelledError();
+            }
+            signal.addEventListener('abort', onCancel, { once: true });
+        }
+        
+        try {
+            const response = await this.fetch(url, {
+                method: 'GET',
+                headers: { 'Accept': 'text/html' },
+                signal: controller.signal
+            });
+            
+            if (!response.ok) {
+                throw this._createWebError(`Страница результата вернула HTTP ${response.status}`, 'WEB_HTTP_ERROR');
+            }
+            
+            return await response.text();
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw this._createCancelledError();
+            }
+            if (controller.signal.aborted) {
+                throw this._createWebError(`Таймаут загрузки страницы (${this.timeout} мс)`, 'ETIMEDOUT');
+            }
+            if (error.code) {
+                throw error;
+            }
+            throw this._createWebError(`Ошибка сети при загрузке страницы: ${error.message}`, 'WEB_NETWORK_ERROR');
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onCancel);
+            }
+        }
+    }
+    
+    /**
+     * Поиск секции проверки по списку селекторов
+     * @param {Document} doc - Разобранная страница
+     * @param {string} check - dmarc, spf, dkim или mx
+     * @returns {Element|null}
+     * @private
+     */
+    _findSection(doc, check) {
+        const section = this._queryFirst(doc, EasyDmarcWebAdapter.SELECTORS[check]);
+        if (section) {
+            return section;
+        }
+        
+        // Запасной вариант: заголовок с названием проверки, секцией считается его родитель
+        const headings = doc.querySelectorAll ? doc.querySelectorAll('h1, h2, h3, h4, h5') : [];
+        for (const heading of headings) {
+            if (new RegExp(`\\b${check}\\b`, 'i').test(this._getText(heading))) {
+                return heading.parentElement || null;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Поиск записи только внутри секции: сначала элемент с кодом записи, затем текст секции.
+     * В тексте секции запись обрезается по последнему корректному терму SPF или тегу DMARC,
+     * чтобы не захватить соседний текст ("Valid", "3 lookups")
+     * @param {Element|null} section - Секция проверки
+     * @param {string} check - dmarc или spf
+     * @returns {string} - Запись или пустая строка
+     * @private
+     */
+    _findRecord(section, check) {
+        if (!section) {
+            return '';
+        }
+        
+        const pattern = check === 'dmarc' ? /v\s*=\s*DMARC1\b[^<>"]*/i : /v=spf1\b[^<>"]*/i;
+        
+        const recordElement = this._queryFirst(section, EasyDmarcWebAdapter.SELECTORS.record);
+        if (recordElement) {
+            const text = recordElement.getAttribute && recordElement.getAttribute('data-record') || this._getText(recordElement);
+            const match = String(text || '').match(pattern);
+            if (match) {
+                return match[0].replace(/\s+/g, ' ').trim();
+            }
+        }
+        
+        const match = this._getText(section).match(pattern);
+        if (!match) {
+            return '';
+        }
+        
+        return check === 'dmarc' ? this._trimDmarcRecord(match[0]) : this._trimSpfRecord(match[0]);
+    }
+    
+    /**
+     * Обрезка SPF-записи из текста секции по последнему терму (механизму или модификатору)
+     * @param {string} text - Текст, начинающийся с v=spf1
+     * @returns {string}
+     * @private
+     */
+    _trimSpfRecord(text) {
+        const tokens = text.split(' ');
+        let end = 1;
+        while (end < tokens.length && SpfParser.startsWithTerm(tokens[end])) {
+            end++;
+        }
+        return tokens.slice(0, end).join(' ');
+    }
+    
+    /**
+     * Обрезка DMARC-записи из текста секции по последнему тегу
+     * Значение тега заканчивается на пробеле, кроме списка адресов через запятую (rua, ruf)
+     * @param {string} text - Текст, начинающийся с v=DMARC1
+     * @returns {string}
+     * @private
+     */
+    _trimDmarcRecord(text) {
+        const tags = [];
+        
+        for (const part of text.split(';')) {
+            const trimmed = part.trim();
+            if (!trimmed) continue;
+            
+            const match = /^[a-z]+\s*=\s*(?:[^\s,;]+(?:\s*,\s*[^\s,;]+)*)?/i.exec(trimmed);
+            if (!match || (tags.length > 0 && !DmarcParser.startsWithTag(trimmed))) {
+                break;
+            }
+            
+            tags.push(match[0]);
+            
+            // После значения тега идет посторонний текст
+            if (match[0].length < trimmed.length) {
+                break;
+            }
+        }
+        
+        return tags.join('; ');
+    }
+    
+    /**
+     * Поиск найденных DKIM-селекторов
+     * Без элементов селекторов учитываются только имена вида "google._domainkey":
+     * произвольный текст секции ("selector not found") селектором не считается
+     * @param {Element} section - Секция DKIM
+     * @returns {Array<string>} - Имена селекторов (пустой список, если селекторы не найдены)
+     * @private
+     */
+    _findSelectors(section) {
+        const selectors = this._findList(section, ['[data-selector]', '.dkim-selector', '.selector']);
+        
+        if (selectors.length > 0) {
+            return selectors;
+        }
+        
+        const text = this._getText(section);
+        const found = new Set();
+        const pattern = /(?:^|[^a-z0-9_.-])((?:[a-z0-9_-]+\.)*[a-z0-9_-]+)\._domainkey\b/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            found.add(match[1].toLowerCase());
+        }
+        
+        return Array.from(found);
+    }
+    
+    /**
+     * Сбор значений списка внутри секции
+     * @param {Element|null} section - Секция
+     * @param {Array<string>} selectorList - Селекторы элементов списка (используется первый найденный)
+     * @returns {Array<string>} - Значения без повторов
+     * @private
+     */
+    _findList(section, selectorList) {
+        if (!section || typeof section.querySelectorAll !== 'function') {
+            return [];
+        }
+        
+        for (const selector of selectorList) {
+            const elements = Array.from(section.querySelectorAll(selector));
+            if (elements.length === 0) continue;
+            
+            // Для селектора по атрибуту ([data-mx]) значение берется из атрибута
+            const attribute = selector.startsWith('[') ? selector.slice(1, -1) : null;
+            const values = elements
+                .map(element => (attribute && element.getAttribute(attribute)) || this._getText(element))
+                .map(value => value.trim().replace(/\.$/, ''))
+                .filter(Boolean);
+            
+            return Array.from(new Set(values));
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Определение статуса секции по атрибутам и классам
+     * @param {Element|null} section - Секция
+     * @returns {string|null} - ok, warning, error или null, если статус не указан
+     * @private
+     */
+    _detectStatus(section) {
+        if (!section || typeof section.getAttribute !== 'function') {
+            return null;
+        }
+        
+        const statusElement = this._queryFirst(section, ['[data-status]', '.status', '.badge']);
+        const hints = [
+            section.getAttribute('data-status'),
+            section.getAttribute('class'),
+            statusElement && statusElement.getAttribute('data-status'),
+            statusElement && statusElement.getAttribute('class'),
+            statusElement && this._getText(statusElement)
+        ].filter(Boolean).join(' ').toLowerCase();
+        
+        if (/\b(error|fail|failed|invalid|missing|not[-_ ]found|danger)\b/.test(hints)) return 'error';
+        if (/\b(warning|warn|partial|weak)\b/.test(hints)) return 'warning';
+        if (/\b(ok|pass|passed|valid|success|good)\b/.test(hints)) return 'ok';
+        
+        return null;
+    }
+    
+    /**
+     * Определение статуса по самой записи, если страница его не показывает
+     * @param {string} check - dmarc или spf
+     * @param {string} record - Запись
+     * @returns {string} - ok, warning или error
+     * @private
+     */
+    _inferStatus(check, record) {
+        if (!record) return 'error';
+        
+        if (check === 'dmarc') {
+            const policy = DmarcParser.parse(record).effective.p;
+            if (!policy) return 'error';
+            return policy === 'none' ? 'warning' : 'ok';
+        }
+        
+        if (/[+]all\b/i.test(record)) return 'error';
+        return /-all\b/i.test(record) ? 'ok' : 'warning';
+    }
+    
+    /**
+     * Поиск первого элемента по списку селекторов
+     * @param {Document|Element} root - Корень поиска
+     * @param {Array<string>} selectorList - Селекторы в порядке приоритета
+     * @returns {Element|null}
+     * @private
+     */
+    _queryFirst(root, selectorList) {
+        if (!root || typeof root.querySelector !== 'function') {
+            return null;
+        }
+        
+        for (const selector of selectorList) {
+            const element = root.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Текст элемента без лишних пробелов
+     * @param {Element|null} element - Элемент
+     * @returns {string}
+     * @private
+     */
+    _getText(element) {
+        return element && element.textContent ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+    
+    /**
+     * Создание ошибки режима web
+     * @param {string} message - Сообщение
+     * @param {string} code - Код ошибки
+     * @returns {Error}
+     * @private
+     */
+    _createWebError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+    
+    /**
+     * Создание ошибки отмены (тот же вид, что и в MultiModeDmarcClient)
+     * @returns {Error}
+     * @private
+     */
+    _createCancelledError() {
+        const error = new Error('Проверка отменена');
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+}
+
+// Шаблон адреса страницы результата по умолчанию
+EasyDmarcWebAdapter.DEFAULT_LOOKUP_URL = 'https://easydmarc.com/tools/domain-scanner?domain={domain}';
+
+// Селекторы секций в порядке приоритета: от явной разметки к классам
+// (если ни один не подошел, секция ищется по заголовку с названием проверки)
+EasyDmarcWebAdapter.SELECTORS = {
+    dmarc: ['[data-check="dmarc"]', '#dmarc', '#dmarc-result', '.dmarc-result', 'section.dmarc'],
+    spf: ['[data-check="spf"]', '#spf', '#spf-result', '.spf-result', 'section.spf'],
+    dkim: ['[data-check="dkim"]', '#dkim', '#dkim-result', '.dkim-result', 'section.dkim'],
+    mx: ['[data-check="mx"]', '#mx', '#mx-result', '.mx-result', 'section.mx', '.mx-records'],
+    record: ['[data-record]', '.record', 'code', 'pre'],
+    challenge: ['#challenge-form', '#cf-challenge-running', '.cf-browser-verification', '#challenge-stage', 'form .g-recaptcha', 'form .h-captcha', 'form .cf-turnstile'],
+    score: ['[data-score]', '.score-value', '.security-score', '.score']
+};
+
+// Делаем класс доступным глобально
+window.EasyDmarcWebAdapter = EasyDmarcWebAdapter;
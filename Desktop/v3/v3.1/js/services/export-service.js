@@ -59,20 +59,45 @@ class ExportService {
                 return false;
             }
             
+            // Колонки собственных проверок из реестра: <проверка>_status и <проверка>_<поле>
+            const checkColumns = this._getCheckColumns();
+            
             // Преобразуем результаты в плоскую структуру для CSV
             const flatResults = results.map(result => {
+                const checkValues = {};
+                checkColumns.forEach(column => {
+                    checkValues[column.header] = column.getValue(result);
+                });
+                
                 return {
                     domain: result.domain,
                     dmarc_status: result.dmarc ? result.dmarc.status : 'error',
                     dmarc_policy: result.dmarc ? result.dmarc.policy : '',
                     dmarc_record: result.dmarc ? result.dmarc.record : '',
+                    dmarc_inherited_from: result.dmarc && result.dmarc.inherited ? result.dmarc.inherited.from : '',
                     spf_status: result.spf ? result.spf.status : 'error',
                     spf_record: result.spf ? result.spf.record : '',
+                    spf_lookups: result.spf && result.spf.lookups !== undefined ? result.spf.lookups : '',
+                    spf_senders: result.spf && result.spf.senders
+                        ? result.spf.senders.map(sender => (sender.status === 'ok' ? sender.name : `${sender.name} (${sender.status})`)).join(';')
+                        : '',
                     dkim_status: result.dkim ? result.dkim.status : 'error',
                     dkim_selectors: result.dkim && result.dkim.selectors ? result.dkim.selectors.join(';') : '',
+                    dkim_providers: result.dkim && result.dkim.providers ? result.dkim.providers.join(';') : '',
+                    dkim_keys: result.dkim && result.dkim.records
+                        ? result.dkim.records.map(record => `${record.selector}:${DkimParser.describeKey(record)}`).join(';')
+                        : '',
                     mx_records: result.mx ? result.mx.join(';') : '',
+                    ...checkValues,
                     security_score: result.securityScore || 0,
-                    error: result.error || ''
+                    error: result.error || '',
+                    mode: result.provenance ? result.provenance.mode : '',
+                    requested_mode: result.provenance ? result.provenance.requestedMode : '',
+                    fallback_reason: result.provenance ? result.provenance.fallbackReason : '',
+                    source: result.provenance ? result.provenance.source : '',
+                    checked_at: result.provenance ? result.provenance.timestamp : '',
+                    duration_ms: result.provenance ? result.provenance.durationMs : '',
+                    simulated: result.provenance ? result.provenance.simulated : ''
                 };
             });
             
@@ -82,13 +107,26 @@ class ExportService {
                 'dmarc_status',
                 'dmarc_policy',
                 'dmarc_record',
+                'dmarc_inherited_from',
                 'spf_status',
                 'spf_record',
+                'spf_lookups',
+                'spf_senders',
                 'dkim_status',
                 'dkim_selectors',
+                'dkim_providers',
+                'dkim_keys',
                 'mx_records',
+                ...checkColumns.map(column => column.header),
                 'security_score',
-                'error'
+                'error',
+                'mode',
+                'requested_mode',
+                'fallback_reason',
+                'source',
+                'checked_at',
+                'duration_ms',
+                'simulated'
             ];
             
             // Формируем имя файла с датой
@@ -106,6 +144,52 @@ class ExportService {
         }
     }
     
+    /**
+     * Колонки CSV для собственных проверок из реестра (см. CheckRegistry)
+     * @returns {Array<Object>} - Колонки вида { header, getValue(result) }
+     * @private
+     */
+    _getCheckColumns() {
+        if (!window.checkRegistry) {
+            return [];
+        }
+        
+        const registry = window.checkRegistry;
+        const columns = [];
+        
+        registry.getCustom().forEach(provider => {
+            const getCheckResult = result => result[provider.name];
+            
+            if (provider.column || provider.weight > 0) {
+                columns.push({
+                    header: `${provider.name}_status`,
+                    getValue: result => getCheckResult(result) ? getCheckResult(result).status : 'error'
+                });
+            }
+            
+            provider.fields.filter(field => field.export).forEach(field => {
+                columns.push({
+                    header: `${provider.name}_${field.key}`,
+                    getValue: result => {
+                        const value = getCheckResult(result) ? getCheckResult(result)[field.key] : '';
+                        // Списки разделяются ";", как MX-записи и DKIM-селекторы
+                        return Array.isArray(value) ? value.map(item => registry.formatValue(item)).join(';') : registry.formatValue(value);
+                    }
+                });
+            });
+            
+            // Проверка без схемы полей экспортируется целиком
+            if (provider.fields.length === 0 && !provider.column && provider.weight === 0) {
+                columns.push({
+                    header: provider.name,
+                    getValue: result => registry.formatValue(getCheckResult(result))
+                });
+            }
+        });
+        
+        return columns;
+    }
+    
     /**
      * Экспорт результатов сканирования в PDF
      * @param {Array<Object>} results - Результаты сканирования
@@ -2,52 +2,124 @@
  * Мультирежимный клиент для проверки DMARC, SPF и DKIM настроек доменов
  * Поддерживает различные режимы работы: API, Web, Offline (DNS) и Simulation
  */
+
 class MultiModeDmarcClient {
     constructor(options = {}) {
         // Базовые настройки
         this.delay = options.delay || 1000;
         this.concurrentRequests = options.concurrentRequests || 3;
         this.apiKey = options.apiKey || '';
+        this.useApi = options.useApi === true; // предпочитать API при автовыборе режима
+        this.apiBaseUrl = options.apiBaseUrl || ''; // пустое значение - адрес API EasyDMARC по умолчанию
+        
+        // Адаптер API EasyDMARC (см. EasyDmarcApiAdapter)
+        this.apiAdapter = options.apiAdapter || null;
         
-        // Режим работы (api, web, offline, simulation)
+        // Адаптер режима web и шаблон адреса страницы результата (см. EasyDmarcWebAdapter)
+        this.webLookupUrl = options.webLookupUrl || '';
+        this.webAdapter = options.webAdapter || null;
+        
+        // Режим работы (api, web, offline, simulation, fixtures, replay - см. MODE_HANDLERS)
         this.mode = options.mode || 'simulation';
         
+        // Реестр проверок домена (см. CheckRegistry); встроенные проверки регистрируются при создании клиента
+        this.checks = options.checkRegistry || window.checkRegistry || null;
+        if (this.checks) {
+            MultiModeDmarcClient.registerBuiltinChecks(this.checks);
+        }
+        
+        // Seed режима симуляции: одинаковые seed и домен всегда дают одинаковый результат
+        this.simulationSeed = options.simulationSeed ? String(options.simulationSeed) : MultiModeDmarcClient.generateSeed();
+        
         // Состояние сканирования
         this.isScanning = false;
         this.shouldStop = false;
+        this.stopReason = null; // причина остановки сканирования без участия пользователя (квота API и т.п.)
         this.activeScanTasks = [];
+        this.abortController = null; // отмена запросов текущего сканирования
+        this.isPaused = false;
+        this.pausePromise = null; // ожидание возобновления, пока сканирование на паузе
+        this.resumeCallback = null;
         
-        // Инициализация кэша
-        this.cache = new Map();
+        // Кэш DNS-ответов с учетом TTL (см. DnsCache)
+        this.cache = options.cache || window.dnsCache || null;
         this.cacheEnabled = options.cacheEnabled !== false;
         
         // Настройки для режима Offline (DNS)
-        this.dnsServer = options.dnsServer || 'https://cloudflare-dns.com/dns-query';
+        // Упорядоченный список DoH-резолверов: первый - основной, остальные - резервные
+        this.dnsResolvers = this._normalizeResolverList(options.dnsResolvers || options.dnsServer);
+        this.resolverHealth = new Map();
+        this.resolverCooldown = options.resolverCooldown || 60000;
+        this.resolverFailureThreshold = options.resolverFailureThreshold || 3;
+        this.dnsConsensus = options.dnsConsensus === true; // сверять ответы двух резолверов
         this.dnsTimeout = options.dnsTimeout || 5000;
+        this.dnsFormat = options.dnsFormat === 'json' ? 'json' : 'wire'; // wire (application/dns-message) или json (application/dns-json)
+        
+        // Спецификация, по которой оцениваются DMARC записи: rfc7489 или dmarcbis (см. DmarcParser)
+        this.dmarcSpec = options.dmarcSpec === 'dmarcbis' ? 'dmarcbis' : 'rfc7489';
+        
+        // Пользовательские DKIM селекторы: общие и для отдельных доменов (см. DkimSelectors)
+        this.dkimSelectors = DkimSelectors.normalizeCustom(options.dkimSelectors);
+        
+        // Фикстуры для режима fixtures (см. loadFixtures)
+        this.fixtures = null;
+        if (options.fixtures) {
+            try {
+                this.loadFixtures(options.fixtures.data, options.fixtures.name);
+            } catch (error) {
+                if (window.Logger && typeof window.Logger.error === 'function') {
+                    window.Logger.error('Error loading saved fixtures', error);
+                } else {
+                    console.error('Error loading saved fixtures', error);
+                }
+            }
+        }
+        
+        // Запись DNS-сессии в офлайн-режиме (см. startDnsRecording)
+        this.dnsRecording = options.dnsRecording || false;
+        this.dnsSession = null;
+        
+        // Записанная сессия для режима replay (см. loadReplaySession)
+        this.replaySession = null;
+        if (options.replaySession) {
+            try {
+                this.loadReplaySession(options.replaySession.data, options.replaySession.name);
+            } catch (error) {
+                if (window.Logger && typeof window.Logger.error === 'function') {
+                    window.Logger.error('Error loading saved DNS session', error);
+                } else {
+                    console.error('Error loading saved DNS session', error);
+                }
+            }
+        }
         
         if (window.Logger && typeof window.Logger.info === 'function') {
             window.Logger.info('MultiModeDmarcClient initialized', {
                 mode: this.mode,
                 delay: this.delay,
                 concurrentRequests: this.concurrentRequests,
-                cacheEnabled: this.cacheEnabled
+                cacheEnabled: this.cacheEnabled,
+                dnsResolvers: this.dnsResolvers,
+                dnsConsensus: this.dnsConsensus
             });
         } else {
             console.log('MultiModeDmarcClient initialized', {
                 mode: this.mode,
                 delay: this.delay,
                 concurrentRequests: this.concurrentRequests,
-                cacheEnabled: this.cacheEnabled
+                cacheEnabled: this.cacheEnabled,
+                dnsResolvers: this.dnsResolvers,
+                dnsConsensus: this.dnsConsensus
             });
         }
     }
     
     /**
      * Установка режима работы
-     * @param {string} mode - Режим работы (api, web, offline, simulation)
+     * @param {string} mode - Режим работы (api, web, offline, simulation, fixtures, replay)
      */
     setMode(mode) {
-        const availableModes = ['api', 'web', 'offline', 'simulation'];
+        const availableModes = Object.keys(MultiModeDmarcClient.MODE_HANDLERS);
         
         if (!availableModes.includes(mode)) {
             if (window.Logger && typeof window.Logger.warn === 'function') {
@@ -83,6 +155,38 @@ class MultiModeDmarcClient {
         return this.mode;
     }
     
+    /**
+     * Установка seed режима симуляции
+     * @param {string|number} seed - Seed (пустое значение - сгенерировать новый)
+     * @returns {string} - Установленный seed
+     */
+    setSimulationSeed(seed) {
+        this.simulationSeed = seed !== undefined && seed !== null && String(seed).trim() !== ''
+            ? String(seed).trim()
+            : MultiModeDmarcClient.generateSeed();
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`Simulation seed set to ${this.simulationSeed}`);
+        } else {
+            console.log(`Simulation seed set to ${this.simulationSeed}`);
+        }
+        
+        // Оповещаем об изменении seed
+        if (window.EventBus && typeof window.EventBus.emit === 'function') {
+            window.EventBus.emit('dmarc_client:seed_changed', this.simulationSeed);
+        }
+        
+        return this.simulationSeed;
+    }
+    
+    /**
+     * Получение seed режима симуляции
+     * @returns {string} - Текущий seed
+     */
+    getSimulationSeed() {
+        return this.simulationSeed;
+    }
+    
     /**
      * Проверка доступности режима API
      * @returns {Promise<boolean>} - Доступен ли режим API
@@ -93,11 +197,24 @@ class MultiModeDmarcClient {
                 return false;
             }
             
-            // TODO: Реализовать проверку API ключа
-            // В реальном приложении здесь должен быть запрос к API
-            // для проверки валидности ключа
+            const adapter = this._getApiAdapter();
+            if (!adapter) {
+                return false;
+            }
+            
+            // Ключ проверяется запросом к API, квота обновляется из ответа
+            const validation = await adapter.validateKey();
+            
+            if (!validation.valid) {
+                if (window.Logger && typeof window.Logger.warn === 'function') {
+                    window.Logger.warn(`API key validation failed: ${validation.error}`);
+                } else {
+                    console.warn(`API key validation failed: ${validation.error}`);
+                }
+            }
             
-            return false; // Временно всегда возвращаем false
+            // Исчерпанная квота делает режим недоступным, хотя ключ верный
+            return validation.valid && !validation.quota.exhausted;
         } catch (error) {
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error('Error checking API mode availability', error);
@@ -114,11 +231,13 @@ class MultiModeDmarcClient {
      */
     async checkWebModeAvailability() {
         try {
-            // TODO: Реализовать проверку доступности Web-парсинга
-            // В реальном приложении здесь должен быть запрос к веб-странице
-            // для проверки возможности парсинга
+            const adapter = this._getWebAdapter();
+            if (!adapter) {
+                return false;
+            }
             
-            return false; // Временно всегда возвращаем false
+            // Режим доступен, если страница результата загружается и разбирается
+            return await adapter.checkAvailability();
         } catch (error) {
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error('Error checking Web mode availability', error);
@@ -135,9 +254,9 @@ class MultiModeDmarcClient {
      */
     async checkOfflineModeAvailability() {
         try {
-            // Пробуем сделать тестовый DNS-запрос
-            const testResult = await this._dnsLookup('example.com', 'TXT');
-            return !!testResult && Array.isArray(testResult);
+            // Пробуем сделать тестовый DNS-запрос к резолверу
+            const testResult = await this._dohQuery('example.com', 'TXT');
+            return testResult.rcode === 'NOERROR';
         } catch (error) {
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error('Error checking Offline mode availability', error);
@@ -155,7 +274,8 @@ class MultiModeDmarcClient {
     async selectBestAvailableMode() {
         try {
             // Проверяем доступность режимов в порядке предпочтения
-            if (await this.checkApiModeAvailability()) {
+            // (API - только если в настройках включено его использование)
+            if (this.useApi && await this.checkApiModeAvailability()) {
                 return this.setMode('api');
             }
             
@@ -193,12 +313,25 @@ class MultiModeDmarcClient {
     /**
      * Проверка домена
      * @param {string} domain - Доменное имя для проверки
-     * @returns {Promise<Object>} - Результаты проверки
+     * @param {Object} [options] - Параметры проверки
+     * @param {AbortSignal} [options.signal] - Сигнал отмены проверки
+     * @returns {Promise<Object>} - Результаты проверки с полем provenance (см. _addProvenance)
+     * @throws {Error} - Ошибка с флагом cancelled, если проверка отменена
      */
-    async checkDomain(domain) {
+    async checkDomain(domain, options = {}) {
+        const signal = options.signal || null;
+        
+        // Сведения о происхождении результата заполняются по ходу проверки
+        const provenance = {
+            requestedMode: this.mode,
+            mode: this.mode,
+            fallbackReason: null,
+            startedAt: Date.now()
+        };
+        
         try {
             if (!domain || typeof domain !== 'string') {
-                return this._getErrorResult('unknown', 'Не указан домен для проверки');
+                return this._addProvenance(this._getErrorResult('unknown', 'Не указан домен для проверки'), provenance);
             }
             
             // Очищаем домен от лишних символов
@@ -206,101 +339,307 @@ class MultiModeDmarcClient {
             
             // Проверяем корректность формата домена
             if (!this.isValidDomain(domain)) {
-                return this._getErrorResult(domain, 'Некорректный формат доменного имени');
+                return this._addProvenance(this._getErrorResult(domain, 'Некорректный формат доменного имени'), provenance);
             }
             
-            // Проверяем кэш
-            if (this.cacheEnabled && this.cache.has(domain)) {
-                if (window.Logger && typeof window.Logger.debug === 'function') {
-                    window.Logger.debug(`Using cached result for ${domain}`);
-                } else {
-                    console.log(`Using cached result for ${domain}`);
-                }
-                return this.cache.get(domain);
+            // Выбираем метод проверки в зависимости от режима
+            let handler = MultiModeDmarcClient.MODE_HANDLERS[this.mode];
+            if (!handler) {
+                provenance.mode = 'simulation';
+                provenance.fallbackReason = `Неизвестный режим "${this.mode}"`;
+                handler = MultiModeDmarcClient.MODE_HANDLERS.simulation;
             }
             
-            let result;
+            const result = await this[handler](domain, signal);
             
-            // Выбираем метод проверки в зависимости от режима
-            switch (this.mode) {
-                case 'api':
-                    result = await this._checkDomainViaApi(domain);
-                    break;
-                case 'web':
-                    result = await this._checkDomainViaWeb(domain);
-                    break;
-                case 'offline':
-                    result = await this._checkDomainOffline(domain);
-                    break;
-                case 'simulation':
-                default:
-                    result = await this._simulateDomainCheck(domain);
-            }
-            
-            // Сохраняем в кэш
-            if (this.cacheEnabled) {
-                this.cache.set(domain, result);
+            // API, web и симуляция возвращают только текст DMARC записи: добавляем разобранные теги
+            if (result.dmarc && result.dmarc.record && !result.dmarc.tags) {
+                const parsed = DmarcParser.parse(result.dmarc.record, { spec: this.dmarcSpec });
+                result.dmarc.spec = parsed.spec;
+                result.dmarc.tags = parsed.tags;
+                result.dmarc.findings = parsed.findings;
             }
             
-            return result;
+            // Проверки из реестра, которых нет в ответе режима (API, web, симуляция), выполняются через DNS
+            if (!result.error && !result.notScanned) {
+                const executed = await this._runChecks(domain, result, this._createLookupContext(domain, signal));
+                if (executed.some(name => this.checks.get(name).weight > 0)) {
+                    result.securityScore = this._calculateSecurityScore(result);
+                }
+            }
+            
+            // Результат, полученный после отмены, может быть неполным
+            if (signal && signal.aborted) {
+                throw this._createCancelledError();
+            }
+            
+            return this._addProvenance(result, provenance);
         } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error(`Error checking domain ${domain}:`, error);
             } else {
                 console.error(`Error checking domain ${domain}:`, error);
             }
-            return this._getErrorResult(domain, error.message);
+            
+            const errorResult = this._getErrorResult(domain, error.message);
+            if (error.code) {
+                errorResult.errorCode = error.code;
+            }
+            return this._addProvenance(errorResult, provenance);
+        }
+    }
+    
+    /**
+     * Добавление к результату сведений о его происхождении
+     *
+     * result.provenance = {
+     *   mode - режим, который фактически дал результат,
+     *   requestedMode - режим, выбранный в настройках,
+     *   fallbackReason - причина перехода на другой режим (null, если перехода не было),
+     *   source - адрес API, страницы результата, DoH-резолверы, фикстуры или seed симуляции,
+     *   timestamp - время начала проверки (ISO 8601),
+     *   durationMs - длительность проверки,
+     *   simulated - результат не получен из реальных DNS-данных или сервиса (симуляция, фикстуры)
+     * }
+     *
+     * @param {Object} result - Результат проверки
+     * @param {Object} provenance - { requestedMode, mode, fallbackReason, startedAt }
+     * @returns {Object} - Тот же результат с полем provenance
+     * @private
+     */
+    _addProvenance(result, provenance) {
+        // Офлайн-проверка сама сообщает, какие резолверы ответили
+        const resolvers = result.provenance && result.provenance.resolvers ? result.provenance.resolvers : null;
+        
+        result.provenance = {
+            mode: provenance.mode,
+            requestedMode: provenance.requestedMode,
+            fallbackReason: provenance.fallbackReason,
+            source: this._getProvenanceSource(provenance.mode, result.domain, resolvers),
+            timestamp: new Date(provenance.startedAt).toISOString(),
+            durationMs: Date.now() - provenance.startedAt,
+            simulated: provenance.mode === 'simulation' || provenance.mode === 'fixtures'
+        };
+        
+        if (resolvers) {
+            result.provenance.resolvers = resolvers;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Описание источника данных для режима
+     * @param {string} mode - Режим, давший результат
+     * @param {string} domain - Доменное имя
+     * @param {Array<string>|null} resolvers - Резолверы, ответившие при офлайн-проверке
+     * @returns {string|null} - Описание источника
+     * @private
+     */
+    _getProvenanceSource(mode, domain, resolvers) {
+        switch (mode) {
+            case 'api': {
+                const adapter = this._getApiAdapter();
+                return adapter ? adapter.baseUrl : null;
+            }
+            case 'web': {
+                const adapter = this._getWebAdapter();
+                return adapter ? adapter.getLookupUrl(domain) : null;
+            }
+            case 'offline':
+                return resolvers && resolvers.length ? resolvers.join(', ') : this.dnsResolvers.join(', ');
+            case 'fixtures':
+                return this.fixtures ? `fixtures: ${this.fixtures.name}` : null;
+            case 'replay':
+                return this.replaySession ? `replay: ${this.replaySession.name}` : null;
+            case 'simulation':
+                return `seed: ${this.simulationSeed}`;
+            default:
+                return null;
         }
     }
     
     /**
      * Проверка домена через API EasyDMARC
      * @param {string} domain - Доменное имя для проверки
+     * @param {AbortSignal} [signal] - Сигнал отмены проверки
      * @returns {Promise<Object>} - Результаты проверки
      * @private
      */
-    async _checkDomainViaApi(domain) {
+    async _checkDomainViaApi(domain, signal = null) {
         if (window.Logger && typeof window.Logger.info === 'function') {
             window.Logger.info(`Checking domain via API: ${domain}`);
         } else {
             console.log(`Checking domain via API: ${domain}`);
         }
         
-        // TODO: Реализовать проверку через API
-        // В реальном приложении здесь должен быть запрос к API EasyDMARC
+        const adapter = this._getApiAdapter();
+        if (!adapter) {
+            throw new Error('Адаптер API EasyDMARC не загружен');
+        }
+        
+        if (!this.apiKey) {
+            throw new Error('Не указан API ключ EasyDMARC');
+        }
+        
+        try {
+            const result = await adapter.lookupDomain(domain, signal);
+            
+            // Если API не вернул оценку, считаем ее так же, как в остальных режимах
+            if (result.securityScore === null) {
+                result.securityScore = this._calculateSecurityScore(result);
+            }
+            
+            return result;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            
+            // Код ошибки адаптера (API_QUOTA_EXCEEDED, API_UNAUTHORIZED...) нужен для остановки сканирования
+            const apiError = new Error(`Ошибка API EasyDMARC: ${error.message}`);
+            apiError.code = error.code;
+            apiError.status = error.status;
+            throw apiError;
+        }
+    }
+    
+    /**
+     * Установка настроек API
+     * @param {Object} settings - { apiKey, useApi, apiBaseUrl }
+     */
+    setApiSettings(settings = {}) {
+        if (settings.apiKey !== undefined) this.apiKey = settings.apiKey || '';
+        if (settings.useApi !== undefined) this.useApi = settings.useApi === true;
+        if (settings.apiBaseUrl !== undefined) this.apiBaseUrl = settings.apiBaseUrl || '';
+        
+        // Сохранение настроек сбрасывает признак исчерпанной квоты
+        const adapter = this._getApiAdapter();
+        if (adapter) {
+            adapter.setApiKey(this.apiKey);
+        }
+    }
+    
+    /**
+     * Проверка ключа API EasyDMARC
+     * @returns {Promise<Object>} - { valid, error, quota }
+     */
+    async validateApiKey() {
+        const adapter = this._getApiAdapter();
+        if (!adapter) {
+            return { valid: false, error: 'Адаптер API EasyDMARC не загружен', quota: null };
+        }
+        
+        return adapter.validateKey();
+    }
+    
+    /**
+     * Получение сведений о квоте API
+     * @returns {Object|null} - { limit, remaining, resetAt, exhausted } или null, если адаптер не загружен
+     */
+    getApiQuota() {
+        const adapter = this._getApiAdapter();
+        return adapter ? adapter.getQuota() : null;
+    }
+    
+    /**
+     * Получение адаптера API с актуальными ключом и адресом
+     * @returns {EasyDmarcApiAdapter|null}
+     * @private
+     */
+    _getApiAdapter() {
+        if (!this.apiAdapter) {
+            if (!window.EasyDmarcApiAdapter) {
+                return null;
+            }
+            this.apiAdapter = new window.EasyDmarcApiAdapter({ apiKey: this.apiKey, baseUrl: this.apiBaseUrl });
+        }
+        
+        // Ключ и адрес могут меняться из настроек напрямую
+        if (this.apiAdapter.apiKey !== this.apiKey) {
+            this.apiAdapter.setApiKey(this.apiKey);
+        }
+        this.apiAdapter.setBaseUrl(this.apiBaseUrl);
         
-        // Временно используем симуляцию
-        return this._simulateDomainCheck(domain);
+        return this.apiAdapter;
     }
     
     /**
      * Проверка домена через Web-парсинг
      * @param {string} domain - Доменное имя для проверки
+     * @param {AbortSignal} [signal] - Сигнал отмены проверки
      * @returns {Promise<Object>} - Результаты проверки
      * @private
      */
-    async _checkDomainViaWeb(domain) {
+    async _checkDomainViaWeb(domain, signal = null) {
         if (window.Logger && typeof window.Logger.info === 'function') {
             window.Logger.info(`Checking domain via Web: ${domain}`);
         } else {
             console.log(`Checking domain via Web: ${domain}`);
         }
         
-        // TODO: Реализовать проверку через Web-парсинг
-        // В реальном приложении здесь должен быть запрос к веб-странице
-        // и последующий парсинг результатов
+        const adapter = this._getWebAdapter();
+        if (!adapter) {
+            throw new Error('Адаптер режима web не загружен');
+        }
+        
+        try {
+            const result = await adapter.lookupDomain(domain, signal);
+            
+            // Если страница не показывает оценку, считаем ее так же, как в остальных режимах
+            if (result.securityScore === null) {
+                result.securityScore = this._calculateSecurityScore(result);
+            }
+            
+            return result;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            throw new Error(`Ошибка веб-проверки: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Установка шаблона адреса страницы результата для режима web
+     * @param {string} webLookupUrl - Шаблон с подстановкой {domain} (пустое значение - адрес по умолчанию)
+     */
+    setWebLookupUrl(webLookupUrl) {
+        this.webLookupUrl = webLookupUrl || '';
+        
+        const adapter = this._getWebAdapter();
+        if (adapter) {
+            adapter.setLookupUrl(this.webLookupUrl);
+        }
+    }
+    
+    /**
+     * Получение адаптера режима web с актуальным адресом страницы
+     * @returns {EasyDmarcWebAdapter|null}
+     * @private
+     */
+    _getWebAdapter() {
+        if (!this.webAdapter) {
+            if (!window.EasyDmarcWebAdapter) {
+                return null;
+            }
+            this.webAdapter = new window.EasyDmarcWebAdapter({ lookupUrl: this.webLookupUrl });
+        }
         
-        // Временно используем симуляцию
-        return this._simulateDomainCheck(domain);
+        return this.webAdapter;
     }
     
     /**
      * Проверка домена с использованием DNS-запросов (Offline режим)
      * @param {string} domain - Доменное имя для проверки
+     * @param {AbortSignal} [signal] - Сигнал отмены проверки
      * @returns {Promise<Object>} - Результаты проверки
      * @private
      */
-    async _checkDomainOffline(domain) {
+    async _checkDomainOffline(domain, signal = null) {
         try {
             if (window.Logger && typeof window.Logger.info === 'function') {
                 window.Logger.info(`Checking domain offline (DNS): ${domain}`);
@@ -308,37 +647,32 @@ class MultiModeDmarcClient {
                 console.log(`Checking domain offline (DNS): ${domain}`);
             }
             
-            // Получаем MX-записи
-            const mxRecords = await this._getMxRecords(domain);
+            // Контекст проверки: накапливает сведения о резолверах и расхождениях их ответов
+            const context = this._createLookupContext(domain, signal);
             
-            // Проверяем DMARC
-            const dmarcResult = await this._checkDmarc(domain);
-            
-            // Проверяем SPF
-            const spfResult = await this._checkSpf(domain);
-            
-            // Проверяем DKIM (базовая проверка)
-            const dkimResult = await this._checkDkim(domain);
+            // Выполняем все зарегистрированные проверки (MX, DMARC, SPF, DKIM и собственные)
+            const result = { domain };
+            await this._runChecks(domain, result, context);
             
             // Рассчитываем общую оценку безопасности
-            const securityScore = this._calculateSecurityScore(
-                dmarcResult.status, 
-                spfResult.status, 
-                dkimResult.status
-            );
-            
-            // Собираем результат
-            const result = {
-                domain,
-                dmarc: dmarcResult,
-                spf: spfResult,
-                dkim: dkimResult,
-                mx: mxRecords,
-                securityScore
+            result.securityScore = this._calculateSecurityScore(result);
+            result.provenance = {
+                resolvers: Array.from(context.resolvers)
             };
             
+            if (this.dnsConsensus && !this._isLocalDnsMode()) {
+                result.dnsConsensus = {
+                    resolvers: Array.from(context.resolvers),
+                    disagreements: context.disagreements,
+                    unverified: context.unverified
+                };
+            }
+            
             return result;
         } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error(`Error checking domain offline: ${domain}`, error);
             } else {
@@ -349,78 +683,91 @@ class MultiModeDmarcClient {
     }
     
     /**
-     * Проверка DMARC записи
+     * Выполнение проверок из реестра, результатов которых еще нет в result
+     * Проверки выполняются последовательно в порядке зависимостей, поэтому каждая видит
+     * результаты предыдущих. Ошибка проверки не прерывает проверку домена и попадает в ее результат
      * @param {string} domain - Доменное имя
-     * @returns {Promise<Object>} - Результат проверки DMARC
+     * @param {Object} result - Результат проверки домена (дополняется на месте)
+     * @param {Object} context - Контекст проверки домена (см. _createLookupContext)
+     * @returns {Promise<Array<string>>} - Имена выполненных проверок
      * @private
      */
-    async _checkDmarc(domain) {
-        try {
-            // Запрашиваем DMARC запись
-            const dmarcDomain = `_dmarc.${domain}`;
-            const dmarcRecords = await this._dnsLookup(dmarcDomain, 'TXT');
-            
-            // Если записи нет, DMARC не настроен
-            if (!dmarcRecords || !dmarcRecords.length) {
-                return {
-                    status: 'error',
-                    record: '',
-                    policy: ''
-                };
-            }
-            
-            // Ищем DMARC запись среди TXT записей
-            let dmarcRecord = null;
-            for (const record of dmarcRecords) {
-                if (record.includes('v=DMARC1')) {
-                    dmarcRecord = record;
-                    break;
-                }
-            }
-            
-            if (!dmarcRecord) {
-                return {
-                    status: 'error',
-                    record: '',
-                    policy: ''
-                };
+    async _runChecks(domain, result, context) {
+        if (!this.checks) {
+            throw new Error('Реестр проверок не загружен');
+        }
+        
+        const executed = [];
+        
+        for (const provider of this.checks.list()) {
+            if (result[provider.name] !== undefined) {
+                continue;
             }
             
-            // Анализируем DMARC запись
-            let status = 'ok';
-            let policy = '';
+            const scope = {
+                client: this,
+                context,
+                signal: context.signal,
+                results: result,
+                lookup: (name, type) => this._dnsLookup(name, type, context)
+            };
             
-            // Извлекаем политику
-            const policyMatch = dmarcRecord.match(/p=([^;\s]+)/i);
-            if (policyMatch) {
-                policy = policyMatch[1].toLowerCase();
-                
-                // Если политика none, статус warning
-                if (policy === 'none') {
-                    status = 'warning';
+            try {
+                result[provider.name] = this.checks.normalizeResult(provider.name, await provider.check(domain, scope));
+            } catch (error) {
+                if (this._isCancelled(error)) {
+                    throw error;
                 }
-            } else {
-                status = 'warning';
+                if (window.Logger && typeof window.Logger.error === 'function') {
+                    window.Logger.error(`Error running check ${provider.name} for ${domain}`, error);
+                } else {
+                    console.error(`Error running check ${provider.name} for ${domain}`, error);
+                }
+                result[provider.name] = { ...this.checks.getEmptyResult(provider.name, 'error'), error: error.message };
             }
             
-            // Проверяем процент
-            const pctMatch = dmarcRecord.match(/pct=([0-9]+)/i);
-            if (!pctMatch || parseInt(pctMatch[1]) < 100) {
-                status = 'warning';
+            executed.push(provider.name);
+        }
+        
+        return executed;
+    }
+    
+    /**
+     * Проверка DMARC записи
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<Object>} - Результат проверки DMARC
+     * @private
+     */
+    async _checkDmarc(domain, context = null) {
+        try {
+            const candidates = await this._lookupDmarcRecords(domain, context);
+            if (candidates.length) {
+                return this._verifyReportDestinations(this._analyzeDmarcRecord(candidates), domain, context);
             }
             
-            // Проверяем наличие адреса для отчетов
-            const ruaMatch = dmarcRecord.match(/rua=([^;\s]+)/i);
-            if (!ruaMatch) {
-                status = 'warning';
+            // Без записи у самого домена получатели применяют запись организационного домена
+            // с политикой sp (RFC 7489, 6.6.3), а для несуществующего домена по DMARCbis - np
+            const orgDomain = window.PublicSuffixList ? PublicSuffixList.getOrganizationalDomain(domain) : null;
+            if (orgDomain && orgDomain !== PublicSuffixList.toAscii(domain)) {
+                const orgCandidates = await this._lookupDmarcRecords(orgDomain, context);
+                if (orgCandidates.length) {
+                    const nonExistent = this.dmarcSpec === 'dmarcbis' && !(await this._domainExists(domain, context));
+                    return this._verifyReportDestinations(
+                        this._analyzeDmarcRecord(orgCandidates, orgDomain, { nonExistent }), orgDomain, context);
+                }
             }
             
+            // DMARC не настроен
             return {
-                status,
-                record: dmarcRecord,
-                policy
+                status: 'error',
+                record: '',
+                policy: ''
             };
         } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error(`Error checking DMARC for ${domain}`, error);
             } else {
@@ -437,60 +784,332 @@ class MultiModeDmarcClient {
     }
     
     /**
-     * Проверка SPF записи
+     * Существует ли домен в DNS (DMARCbis: у несуществующего домена нет записей A, AAAA и MX, в том числе при NXDOMAIN)
+     * При ошибке запроса домен считается существующим
      * @param {string} domain - Доменное имя
-     * @returns {Promise<Object>} - Результат проверки SPF
+     * @param {Object} context - Контекст DNS-запросов проверки
+     * @returns {Promise<boolean>}
      * @private
      */
-    async _checkSpf(domain) {
+    async _domainExists(domain, context) {
         try {
-            // Запрашиваем TXT записи домена
-            const txtRecords = await this._dnsLookup(domain, 'TXT');
-            
-            // Если записей нет, SPF не настроен
-            if (!txtRecords || !txtRecords.length) {
-                return {
-                    status: 'error',
-                    record: ''
-                };
-            }
-            
-            // Ищем SPF запись среди TXT записей
-            let spfRecord = null;
-            for (const record of txtRecords) {
-                if (record.includes('v=spf1')) {
-                    spfRecord = record;
-                    break;
+            for (const type of ['A', 'AAAA', 'MX']) {
+                const answers = await this._dnsLookup(domain, type, context);
+                if (answers.length > 0) {
+                    return true;
                 }
             }
-            
-            if (!spfRecord) {
-                return {
-                    status: 'error',
-                    record: ''
-                };
+            return false;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
             }
+            return true;
+        }
+    }
+    
+    /**
+     * Поиск DMARC записей домена
+     * Запись с ошибками оформления (v=DMARC1 не первым тегом, пробел в начале) тоже берется,
+     * чтобы сообщить об ошибке, а не о полном отсутствии DMARC
+     * @param {string} domain - Доменное имя
+     * @param {Object} context - Контекст DNS-запросов проверки
+     * @returns {Promise<Array<Object>>} - TXT-ответы, похожие на DMARC запись
+     * @private
+     */
+    async _lookupDmarcRecords(domain, context) {
+        const answers = await this._dnsLookup(`_dmarc.${domain}`, 'TXT', context);
+        return (answers || []).filter(answer => DmarcParser.looksLikeDmarc(answer.data));
+    }
+    
+    /**
+     * Анализ DMARC записей (см. DmarcParser)
+     * Запись, которую получатели не применят (несколько записей, v=DMARC1 не первым тегом,
+     * нет политики), дает error; ошибки отдельных тегов, p=none, отсутствие rua, а также
+     * pct < 100 (RFC 7489) или тестовый режим t=y (DMARCbis) - warning
+     * Для записи, унаследованной от организационного домена, действует политика sp,
+     * а для несуществующего домена (DMARCbis) - np
+     * @param {Array<Object>} answers - TXT-ответы, похожие на DMARC запись
+     * @param {string} [inheritedFrom] - Организационный домен, от которого унаследована запись
+     * @param {Object} [options] - Параметры анализа
+     * @param {boolean} [options.nonExistent=false] - Проверяемый домен не существует в DNS
+     * @returns {Object} - { status, record, records, policy, tags, findings, inherited }
+     * @private
+     */
+    _analyzeDmarcRecord(answers, inheritedFrom = null, options = {}) {
+        const [answer] = answers;
+        const parsed = DmarcParser.parse(answer.data, { spec: this.dmarcSpec });
+        const { effective } = parsed;
+        const nonExistent = Boolean(inheritedFrom && options.nonExistent);
+        let policy = inheritedFrom ? effective.sp : effective.p;
+        if (nonExistent) {
+            policy = effective.np;
+        }
+        const partial = parsed.spec === 'dmarcbis' ? effective.t === 'y' : effective.pct < 100;
+        
+        // Теги разделяются ";", поэтому строки записи должны стыковаться через нее
+        const findings = [
+            ...parsed.findings,
+            ...this._getTxtStringFindings(answer, (previous, next) => !/;\s*$/.test(previous) && DmarcParser.startsWithTag(next))
+        ];
+        
+        if (answers.length > 1) {
+            findings.unshift({
+                code: 'multiple-records',
+                tag: null,
+                severity: 'error',
+                message: `Найдено DMARC записей: ${answers.length}. При нескольких записях получатели не применяют DMARC (RFC 7489, 6.6.3)`
+            });
+        }
+        
+        const applied = parsed.valid && answers.length === 1;
+        let status = 'ok';
+        
+        if (!applied) {
+            status = 'error';
+        } else if (findings.some(finding => finding.severity !== 'info') ||
+            policy === 'none' || partial || effective.rua.length === 0) {
+            status = 'warning';
+        }
+        
+        const result = {
+            status,
+            record: answer.data,
+            policy: applied ? policy : '',
+            spec: parsed.spec,
+            tags: parsed.tags,
+            findings
+        };
+        
+        if (answers.length > 1) {
+            result.records = answers.map(item => item.data);
+        }
+        
+        if (inheritedFrom) {
+            // Политика поддоменов задается sp, без него - p; несуществующих доменов - np, без него - sp или p
+            const tag = (nonExistent && parsed.tags.np && 'np') || (parsed.tags.sp ? 'sp' : 'p');
+            result.inherited = { from: inheritedFrom, tag, nonExistent };
             
-            // Анализируем SPF запись
-            let status = 'ok';
-            
-            // Проверяем директиву
-            if (spfRecord.includes('?all')) {
-                status = 'warning'; // Нейтральная директива
-            } else if (spfRecord.includes('+all')) {
-                status = 'warning'; // Опасная директива
-            } else if (!spfRecord.includes('-all') && !spfRecord.includes('~all')) {
-                status = 'warning'; // Нет завершающей директивы
+            if (nonExistent && applied && !parsed.tags.np) {
+                findings.unshift({
+                    code: 'np-missing',
+                    tag: 'np',
+                    severity: 'info',
+                    message: `Домен не существует в DNS, и для него действует политика np записи ${inheritedFrom}. ` +
+                        `Тег np не задан, поэтому применяется ${tag}=${policy}: задайте np=reject, чтобы запретить письма от имени несуществующих поддоменов`
+                });
             }
             
-            return {
-                status,
-                record: spfRecord
-            };
-        } catch (error) {
-            if (window.Logger && typeof window.Logger.error === 'function') {
-                window.Logger.error(`Error checking SPF for ${domain}`, error);
-            } else {
+            findings.unshift({
+                code: 'inherited',
+                tag: null,
+                severity: 'info',
+                message: applied
+                    ? `Собственной DMARC записи нет, действует запись организационного домена ${inheritedFrom} (${tag}=${policy})`
+                    : `Собственной DMARC записи нет, а запись организационного домена ${inheritedFrom} не применяется получателями`
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Проверка разрешения внешних адресов для отчетов (RFC 7489, 7.1)
+     * Если адрес rua/ruf находится в другом организационном домене, получатель отчетов должен
+     * опубликовать TXT запись <домен>._report._dmarc.<домен получателя> со значением v=DMARC1,
+     * иначе отчеты на этот адрес не отправляются
+     * @param {Object} result - Результат анализа DMARC записи
+     * @param {string} policyDomain - Домен, опубликовавший запись
+     * @param {Object} context - Контекст DNS-запросов проверки
+     * @returns {Promise<Object>} - Результат с полем reportDestinations и замечаниями
+     * @private
+     */
+    async _verifyReportDestinations(result, policyDomain, context) {
+        if (!result.tags) {
+            return result;
+        }
+        
+        const getOrgDomain = name => (window.PublicSuffixList
+            ? PublicSuffixList.getOrganizationalDomain(name) || PublicSuffixList.toAscii(name)
+            : String(name).toLowerCase());
+        const ownOrgDomain = getOrgDomain(policyDomain);
+        
+        const destinations = [];
+        ['rua', 'ruf'].forEach(tag => {
+            (result.tags[tag] || []).forEach(uri => {
+                const parsed = DmarcParser.parseReportUri(uri);
+                if (!parsed || !parsed.domain) return;
+                
+                const external = getOrgDomain(parsed.domain) !== ownOrgDomain;
+                destinations.push({
+                    tag,
+                    uri: parsed.uri,
+                    domain: parsed.domain,
+                    maxSize: parsed.maxSize,
+                    external,
+                    authorized: external ? null : true
+                });
+            });
+        });
+        
+        if (!destinations.length) {
+            return result;
+        }
+        
+        // Один запрос на домен получателя, даже если на него указывают и rua, и ruf
+        const authorizations = new Map();
+        for (const destination of destinations.filter(item => item.external)) {
+            const name = `${policyDomain}._report._dmarc.${destination.domain}`;
+            
+            if (!authorizations.has(name)) {
+                try {
+                    const answers = await this._dnsLookup(name, 'TXT', context);
+                    authorizations.set(name, (answers || []).some(answer => DmarcParser.looksLikeDmarc(answer.data)));
+                } catch (error) {
+                    if (this._isCancelled(error)) {
+                        throw error;
+                    }
+                    if (window.Logger && typeof window.Logger.warn === 'function') {
+                        window.Logger.warn(`Could not verify DMARC report destination ${name}`, error);
+                    } else {
+                        console.warn(`Could not verify DMARC report destination ${name}`, error);
+                    }
+                    authorizations.set(name, null);
+                }
+                
+                if (authorizations.get(name) === false) {
+                    const uris = destinations
+                        .filter(item => item.domain === destination.domain)
+                        .map(item => `${item.tag}=${item.uri}`);
+                    
+                    result.findings.push({
+                        code: 'unauthorized-report-destination',
+                        tag: destination.tag,
+                        severity: 'warning',
+                        message: `Домен ${destination.domain} не подтвердил прием отчетов для ${policyDomain}, отчеты на ${uris.join(', ')} не отправляются. ` +
+                            `Владелец ${destination.domain} должен опубликовать TXT запись ${name} со значением "v=DMARC1"`,
+                        record: `${name}. IN TXT "v=DMARC1"`
+                    });
+                }
+            }
+            
+            destination.authorized = authorizations.get(name);
+        }
+        
+        result.reportDestinations = destinations;
+        
+        if (result.status === 'ok' && destinations.some(item => item.authorized === false)) {
+            result.status = 'warning';
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Замечания к разбиению TXT-записи на строки
+     * Строка TXT не длиннее 255 байт (RFC 1035), длинная запись публикуется несколькими строками,
+     * которые получатель склеивает без разделителя (RFC 7208, 3.3)
+     * @param {Object} answer - TXT-ответ { data, strings, boundariesKnown }
+     * @param {Function} isBrokenJoin - (предыдущая строка, следующая) => склеились ли два терма в один
+     * @returns {Array<Object>} - Замечания { code, tag, severity, message }
+     * @private
+     */
+    _getTxtStringFindings(answer, isBrokenJoin) {
+        const findings = [];
+        
+        if (answer.boundariesKnown === false || !Array.isArray(answer.strings)) {
+            return findings;
+        }
+        
+        const encoder = new TextEncoder();
+        answer.strings.forEach((string, index) => {
+            const length = encoder.encode(string).length;
+            if (length > 255) {
+                findings.push({
+                    code: 'string-too-long',
+                    tag: null,
+                    severity: 'warning',
+                    message: `Строка ${index + 1} записи длиной ${length} байт превышает 255 байт: запись нужно разбить на несколько строк в кавычках, иначе DNS-провайдер может ее обрезать или отклонить`
+                });
+            }
+        });
+        
+        if (answer.strings.length > 1) {
+            findings.push({
+                code: 'split-record',
+                tag: null,
+                severity: 'info',
+                message: `Запись опубликована ${answer.strings.length} строками, получатели склеивают их без пробелов`
+            });
+            
+            for (let i = 1; i < answer.strings.length; i++) {
+                const previous = answer.strings[i - 1];
+                const next = answer.strings[i];
+                
+                if (isBrokenJoin(previous, next)) {
+                    findings.push({
+                        code: 'split-missing-separator',
+                        tag: null,
+                        severity: 'error',
+                        message: `На стыке строк ${i} и ${i + 1} нет разделителя: "...${previous.slice(-20)}" и "${next.slice(0, 20)}..." склеиваются в одно значение`
+                    });
+                }
+            }
+        }
+        
+        return findings;
+    }
+    
+    /**
+     * Проверка SPF записи
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<Object>} - Результат проверки SPF
+     * @private
+     */
+    async _checkSpf(domain, context = null) {
+        try {
+            // Запрашиваем TXT записи домена
+            const txtRecords = await this._dnsLookup(domain, 'TXT', context);
+            const rrTypeFinding = await this._checkSpfRrType(domain, context);
+            
+            // Ищем SPF записи среди TXT записей (включая записи с ошибками оформления)
+            const candidates = (txtRecords || []).filter(answer => SpfParser.looksLikeSpf(answer.data));
+            
+            // Если записей нет, SPF не настроен
+            if (!candidates.length) {
+                const result = {
+                    status: 'error',
+                    record: ''
+                };
+                if (rrTypeFinding) {
+                    result.findings = [rrTypeFinding];
+                }
+                return result;
+            }
+            
+            const spf = this._analyzeSpfRecord(candidates, domain);
+            
+            if (rrTypeFinding) {
+                spf.findings.push(rrTypeFinding);
+                if (spf.status === 'ok') {
+                    spf.status = 'warning';
+                }
+            }
+            
+            // Раскрываем запись, которую применят получатели: include, redirect и лимиты DNS-запросов
+            if (candidates.length === 1 && SpfParser.parse(spf.record).valid) {
+                await this._evaluateSpfRecord(spf, domain, context);
+            }
+            
+            return spf;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error(`Error checking SPF for ${domain}`, error);
+            } else {
                 console.error(`Error checking SPF for ${domain}`, error);
             }
             
@@ -503,175 +1122,1439 @@ class MultiModeDmarcClient {
     }
     
     /**
-     * Проверка DKIM
-     * @param {string} domain - Доменное имя
-     * @returns {Promise<Object>} - Результат проверки DKIM
-     * @private
+     * Проверка записи устаревшего типа SPF (99)
+     * Тип SPF отменен в RFC 7208, 3.1: получатели запрашивают только TXT, и запись типа SPF
+     * либо дублирует TXT, либо (если отличается) вводит администраторов в заблуждение.
+     * Ошибка запроса не влияет на результат: многие резолверы и серверы не поддерживают этот тип,
+     * поэтому запрос пробный (см. _dnsResolve) - без переключения резолверов и учета их отказов
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<Object|null>} - Замечание spf-rr-type или null
+     * @private
+     */
+    async _checkSpfRrType(domain, context = null) {
+        let answers;
+        try {
+            answers = await this._dnsLookup(domain, 'SPF', context, { probe: true });
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            return null;
+        }
+        
+        const records = (answers || []).filter(answer => SpfParser.looksLikeSpf(answer.data));
+        if (!records.length) {
+            return null;
+        }
+        
+        return {
+            code: 'spf-rr-type',
+            tag: null,
+            severity: 'warning',
+            message: `Опубликована запись устаревшего типа SPF (99): "${records[0].data}". Тип отменен (RFC 7208, 3.1), получатели запрашивают только TXT - удалите запись типа SPF, оставив TXT`
+        };
+    }
+    
+    /**
+     * Анализ SPF записей (см. SpfParser)
+     * Несколько записей (permerror, RFC 7208, 4.5), запись, которую получатели отбросят,
+     * и склеенные на стыке строк термы (permerror при разборе) дают error;
+     * замечания к оформлению и механизмам записи (SpfParser.lint: +all, ?all, ptr, перекрытые
+     * диапазоны и т.п.) уровня warning дают warning
+     * @param {Array<Object>} answers - TXT-ответы, похожие на SPF запись
+     * @param {string} [domain] - Доменное имя (для примеров подстановки макросов)
+     * @returns {Object} - { status, record, records, findings }
+     * @private
+     */
+    _analyzeSpfRecord(answers, domain = null) {
+        const [answer] = answers;
+        const parsed = SpfParser.parse(answer.data);
+        
+        // Термы разделяются пробелом, поэтому на стыке строк он должен быть
+        const findings = [
+            ...parsed.findings,
+            ...this._getTxtStringFindings(answer, (previous, next) => !/\s$/.test(previous) && !/^\s/.test(next) && SpfParser.startsWithTerm(next))
+        ];
+        
+        // Замечания к механизмам имеют смысл только для записи, которую получатели применят
+        if (parsed.valid) {
+            findings.push(...SpfParser.lint(parsed, { domain }));
+        }
+        
+        if (answers.length > 1) {
+            findings.unshift({
+                code: 'multiple-records',
+                tag: null,
+                severity: 'error',
+                message: `Найдено SPF записей: ${answers.length}. При нескольких записях проверка SPF завершается ошибкой permerror (RFC 7208, 4.5)`
+            });
+        }
+        
+        let status = 'ok';
+        
+        if (!parsed.valid || findings.some(finding => finding.severity === 'error')) {
+            status = 'error';
+        } else if (findings.some(finding => finding.severity !== 'info')) {
+            status = 'warning';
+        }
+        
+        const result = {
+            status,
+            record: answer.data,
+            findings
+        };
+        
+        if (answers.length > 1) {
+            result.records = answers.map(item => item.data);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Рекурсивное раскрытие SPF записи (см. SpfEvaluator)
+     * Добавляет в результат дерево записи, число DNS-запросов и пустых ответов,
+     * список отправителей, которым разрешена отправка (см. SpfVendors.getSenders);
+     * превышение лимитов, циклы и включенные записи с ошибками (permerror) дают error
+     * @param {Object} spf - Результат _analyzeSpfRecord (дополняется)
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _evaluateSpfRecord(spf, domain, context = null) {
+        const evaluator = new SpfEvaluator({
+            resolve: (name, type) => this._dnsResolve(name, type, context)
+        });
+        
+        const expansion = await evaluator.expand(domain, { record: spf.record });
+        
+        spf.lookups = expansion.lookups;
+        spf.voidLookups = expansion.voidLookups;
+        spf.tree = expansion.tree;
+        spf.senders = SpfVendors.getSenders(expansion.tree);
+        spf.findings.push(...expansion.findings);
+        
+        if (expansion.error === 'permerror') {
+            spf.status = 'error';
+        } else if (spf.status === 'ok' && expansion.findings.some(finding => finding.severity !== 'info')) {
+            spf.status = 'warning';
+        }
+    }
+    
+    /**
+     * Проверка SPF записи домена для IP-адреса и отправителя (check_host, см. SpfEvaluator.checkHost)
+     * Позволяет убедиться, что адреса нового сервиса рассылок покрыты записью до переключения
+     * @param {string} domain - Доменное имя
+     * @param {string} ip - IP-адрес отправляющего сервера
+     * @param {string} [sender] - Отправитель из MAIL FROM
+     * @returns {Promise<Object>} - Результат SpfEvaluator.checkHost
+     */
+    async checkSpfHost(domain, ip, sender = '') {
+        const context = this._createLookupContext(domain);
+        const evaluator = new SpfEvaluator({
+            lookup: (name, type) => this._dnsLookup(name, type, context)
+        });
+        
+        const outcome = await evaluator.checkHost(ip, domain, sender);
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`SPF check_host for ${domain} (${ip}): ${outcome.result}`, outcome);
+        } else {
+            console.log(`SPF check_host for ${domain} (${ip}): ${outcome.result}`, outcome);
+        }
+        
+        return outcome;
+    }
+    
+    /**
+     * Построение сглаженной SPF записи домена (см. SpfFlattener)
+     * Запись раскрывается заново, чтобы адреса поставщиков были актуальными
+     * @param {string} domain - Доменное имя
+     * @returns {Promise<Object>} - Результат SpfFlattener.flatten
+     */
+    async flattenSpf(domain) {
+        const context = this._createLookupContext(domain);
+        const evaluator = new SpfEvaluator({
+            lookup: (name, type) => this._dnsLookup(name, type, context)
+        });
+        
+        const flattened = new SpfFlattener().flatten(domain, await evaluator.expand(domain));
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`SPF flattened for ${domain}: ${flattened.lookupsBefore} -> ${flattened.lookupsAfter} lookups, ${flattened.records.length} records`);
+        } else {
+            console.log(`SPF flattened for ${domain}: ${flattened.lookupsBefore} -> ${flattened.lookupsAfter} lookups, ${flattened.records.length} records`);
+        }
+        
+        return flattened;
+    }
+    
+    /**
+     * Проверка DKIM
+     * Селекторы берутся из справочника DkimSelectors и пользовательских настроек (см. setDkimSelectors)
+     * и проверяются параллельно, не больше DKIM_PROBE_CONCURRENCY запросов одновременно.
+     * Для каждого найденного селектора указываются сервисы, которые его используют, и разбор ключа.
+     * Статус домена - худший статус действующих (не отозванных) ключей; нет действующих ключей - error
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<Object>} - { status, selectors, records, providers, findings, probed }
+     *   records - найденные записи (см. _analyzeDkimRecord),
+     *   providers - названия сервисов по найденным селекторам, probed - число проверенных селекторов
+     * @private
+     */
+    async _checkDkim(domain, context = null) {
+        try {
+            const candidates = DkimSelectors.getSelectors(domain, this.dkimSelectors);
+            const found = [];
+            let next = 0;
+            
+            // Воркер берет следующий селектор из общей очереди
+            const probe = async () => {
+                while (next < candidates.length) {
+                    // Не перебираем оставшиеся селекторы после остановки сканирования
+                    if (context && context.signal && context.signal.aborted) {
+                        throw this._createCancelledError();
+                    }
+                    
+                    const index = next++;
+                    const record = await this._probeDkimSelector(domain, candidates[index].selector, context);
+                    if (record) {
+                        found.push({ index, record });
+                    }
+                }
+            };
+            
+            const workerCount = Math.min(MultiModeDmarcClient.DKIM_PROBE_CONCURRENCY, candidates.length);
+            await Promise.all(Array.from({ length: workerCount }, probe));
+            
+            // Порядок результата не зависит от того, какой запрос завершился раньше
+            const records = found
+                .sort((a, b) => a.index - b.index)
+                .map(({ index, record }) => this._analyzeDkimRecord(candidates[index], domain, record));
+            
+            // Сервис однозначен, только если селектор использует один сервис
+            const providers = [...new Set(records
+                .filter(item => item.providers.length === 1)
+                .map(item => item.providers[0]))];
+            
+            // Отозванные ключи не используются для подписи и на статус домена не влияют
+            const active = records.filter(item => !item.revoked);
+            let status = 'error';
+            if (active.some(item => item.status === 'error')) {
+                status = 'error';
+            } else if (active.some(item => item.status === 'warning')) {
+                status = 'warning';
+            } else if (active.length > 0) {
+                status = 'ok';
+            }
+            
+            // Замечания всех селекторов; tag - селектор, к которому относится замечание
+            const findings = records.flatMap(item => item.findings.map(finding => ({
+                ...finding,
+                tag: `${item.selector}-${finding.tag || ''}`,
+                selector: item.selector,
+                message: `${item.name}: ${finding.message}`
+            })));
+            
+            if (records.length > 0 && !active.length) {
+                findings.unshift({
+                    code: 'all-revoked',
+                    tag: null,
+                    severity: 'error',
+                    message: 'Все найденные DKIM ключи отозваны: письма домена не проходят проверку DKIM'
+                });
+            }
+            
+            return {
+                status,
+                selectors: records.map(item => item.selector),
+                records,
+                providers,
+                findings,
+                probed: candidates.length
+            };
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error(`Error checking DKIM for ${domain}`, error);
+            } else {
+                console.error(`Error checking DKIM for ${domain}`, error);
+            }
+            
+            return {
+                status: 'error',
+                selectors: [],
+                error: error.message
+            };
+        }
+    }
+    
+    /**
+     * Анализ DKIM записи селектора (см. DkimParser)
+     * Ключ RSA короче 1024 бит и запись, которую получатели отбросят, дают error;
+     * ключ 1024 бит и тестовый режим (t=y) - warning
+     * @param {Object} candidate - Селектор из DkimSelectors.getSelectors
+     * @param {string} domain - Доменное имя
+     * @param {string} record - Текст DKIM записи
+     * @returns {Object} - { selector, name, record, custom, providers, status, keyType, keyBits, revoked, testing, strict, findings }
+     * @private
+     */
+    _analyzeDkimRecord(candidate, domain, record) {
+        const parsed = DkimParser.parse(record);
+        
+        let status = 'ok';
+        if (parsed.findings.some(finding => finding.severity === 'error')) {
+            status = 'error';
+        } else if (parsed.revoked || parsed.findings.some(finding => finding.severity === 'warning')) {
+            status = 'warning';
+        }
+        
+        return {
+            selector: candidate.selector,
+            name: `${candidate.selector}._domainkey.${domain}`,
+            record,
+            custom: candidate.custom,
+            providers: candidate.providers.map(provider => provider.name),
+            status,
+            keyType: parsed.keyType,
+            keyBits: parsed.keyBits,
+            revoked: parsed.revoked,
+            testing: parsed.testing,
+            strict: parsed.strict,
+            findings: parsed.findings
+        };
+    }
+    
+    /**
+     * Запрос DKIM записи селектора
+     * Ошибки запроса отдельного селектора не прерывают проверку домена
+     * @param {string} domain - Доменное имя
+     * @param {string} selector - Селектор
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<string|null>} - Текст DKIM записи или null
+     * @private
+     */
+    async _probeDkimSelector(domain, selector, context = null) {
+        try {
+            const dkimRecords = await this._dnsLookup(`${selector}._domainkey.${domain}`, 'TXT', context);
+            
+            const dkimRecord = (dkimRecords || []).find(({ data: record }) => DkimParser.looksLikeDkim(record));
+            
+            return dkimRecord ? dkimRecord.data : null;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * Получение MX-записей домена
+     * @param {string} domain - Доменное имя
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<Array<string>>} - Массив MX-записей
+     * @private
+     */
+    async _getMxRecords(domain, context = null) {
+        try {
+            const mxRecords = await this._dnsLookup(domain, 'MX', context);
+            
+            if (!mxRecords || !mxRecords.length) {
+                return [];
+            }
+            
+            // Сортируем по приоритету и возвращаем имена почтовых серверов
+            return mxRecords
+                .sort((a, b) => a.preference - b.preference)
+                .map(record => record.exchange);
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error(`Error getting MX records for ${domain}`, error);
+            } else {
+                console.error(`Error getting MX records for ${domain}`, error);
+            }
+            return [];
+        }
+    }
+    
+    /**
+     * Выполнение DNS-запроса
+     * @param {string} domain - Доменное имя
+     * @param {string} type - Тип записи (A, AAAA, CNAME, MX, NS, TXT)
+     * @param {Object} [context] - Контекст проверки домена (см. _createLookupContext)
+     * @param {Object} [options] - Параметры запроса (см. _dnsResolve)
+     * @returns {Promise<Array<Object>>} - Массив ответов вида { name, type, ttl, data }
+     * @private
+     */
+    async _dnsLookup(domain, type, context = null, options = {}) {
+        return (await this._dnsResolve(domain, type, context, options)).answers;
+    }
+    
+    /**
+     * Выполнение DNS-запроса с кодом ответа
+     * Нужен там, где важно отличить несуществующее имя (NXDOMAIN) от имени без записей нужного типа
+     * @param {string} domain - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {Object} [context] - Контекст проверки домена (см. _createLookupContext)
+     * @param {Object} [options] - Параметры запроса
+     * @param {boolean} [options.probe=false] - Пробный запрос необязательных данных: один резолвер без переключения,
+     *   без учета отказов в состоянии резолверов и без сверки консенсуса, ошибки пишутся в журнал уровня debug
+     * @returns {Promise<Object>} - { rcode: NOERROR или NXDOMAIN, answers }
+     * @throws {Error} - Ошибка запроса или другой код ответа (поле rcode)
+     * @private
+     */
+    async _dnsResolve(domain, type, context = null, options = {}) {
+        try {
+            // В режиме симуляции DNS-ответы генерируются локально
+            if (this.mode === 'simulation') {
+                return { rcode: 'NOERROR', answers: this._simulateDnsLookup(domain, type) };
+            }
+            
+            const signal = context ? context.signal : null;
+            let response;
+            
+            try {
+                if (this.mode === 'fixtures') {
+                    response = this._fixtureQuery(domain, type, signal);
+                } else if (this.mode === 'replay') {
+                    response = this._replayQuery(domain, type, signal);
+                } else if (options.probe) {
+                    response = await this._dohQuery(domain, type, this._getResolverOrder()[0], signal);
+                } else {
+                    response = await this._queryWithFailover(domain, type, [], signal);
+                }
+            } catch (error) {
+                this._recordDnsQuery(domain, type, null, error);
+                throw error;
+            }
+            
+            this._recordDnsQuery(domain, type, response);
+            
+            if (context) {
+                context.resolvers.add(response.resolver);
+            }
+            
+            // В режиме консенсуса сверяем ответ со вторым резолвером
+            if (this.dnsConsensus && !this._isLocalDnsMode() && !options.probe) {
+                await this._verifyConsensus(domain, type, response, context);
+            }
+            
+            // NXDOMAIN и пустой ответ означают отсутствие записей
+            if (response.rcode === 'NXDOMAIN' || response.rcode === 'NOERROR') {
+                return {
+                    rcode: response.rcode,
+                    answers: response.answers.filter(answer => answer.type === type)
+                };
+            }
+            
+            const rcodeError = new Error(`DNS server returned ${response.rcode} for ${domain} (${type})`);
+            rcodeError.rcode = response.rcode;
+            throw rcodeError;
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            if (options.probe) {
+                if (window.Logger && typeof window.Logger.debug === 'function') {
+                    window.Logger.debug(`DNS probe failed for ${domain} (${type})`, error.message);
+                } else {
+                    console.log(`DNS probe failed for ${domain} (${type})`, error.message);
+                }
+            } else if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error(`DNS lookup error for ${domain} (${type})`, error);
+            } else {
+                console.error(`DNS lookup error for ${domain} (${type})`, error);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Отвечают ли DNS-запросы из локальных данных (фикстуры, записанная сессия) без обращения к сети
+     * @returns {boolean}
+     * @private
+     */
+    _isLocalDnsMode() {
+        return this.mode === 'fixtures' || this.mode === 'replay';
+    }
+    
+    /**
+     * Создание контекста проверки домена
+     * @param {string} domain - Доменное имя
+     * @param {AbortSignal} [signal] - Сигнал отмены проверки
+     * @returns {Object} - { domain, signal, resolvers, disagreements, unverified }
+     * @private
+     */
+    _createLookupContext(domain, signal = null) {
+        return {
+            domain,
+            signal,
+            resolvers: new Set(),
+            disagreements: [],
+            unverified: []
+        };
+    }
+    
+    /**
+     * DoH-запрос с переключением на резервные резолверы
+     * при таймауте, сетевой ошибке или ответе SERVFAIL
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {Array<string>} [exclude] - Резолверы, которые не нужно опрашивать
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Promise<Object>} - Ответ первого исправного резолвера
+     * @private
+     */
+    async _queryWithFailover(name, type, exclude = [], signal = null) {
+        const resolvers = this._getResolverOrder().filter(resolver => !exclude.includes(resolver));
+        let lastResponse = null;
+        let lastError = null;
+        
+        // Некорректный тип записи не зависит от резолвера - проверяем до опроса
+        DnsMessage.getTypeCode(type);
+        
+        if (!resolvers.length) {
+            throw new Error('No DoH resolvers available');
+        }
+        
+        for (const resolver of resolvers) {
+            const startTime = Date.now();
+            
+            try {
+                const response = await this._dohQuery(name, type, resolver, signal);
+                
+                if (response.rcode === 'SERVFAIL') {
+                    this._recordResolverFailure(resolver, `SERVFAIL for ${name} (${type})`);
+                    lastResponse = response;
+                    continue;
+                }
+                
+                // Ответ из кэша не характеризует текущее состояние резолвера
+                if (!response.cached) {
+                    this._recordResolverSuccess(resolver, Date.now() - startTime);
+                }
+                return response;
+            } catch (error) {
+                // Отмена сканирования не является отказом резолвера
+                if (this._isCancelled(error)) {
+                    throw error;
+                }
+                
+                this._recordResolverFailure(resolver, error.message);
+                lastError = error;
+                
+                if (window.Logger && typeof window.Logger.warn === 'function') {
+                    window.Logger.warn(`Resolver ${resolver} failed for ${name} (${type}), trying next`, error.message);
+                } else {
+                    console.warn(`Resolver ${resolver} failed for ${name} (${type}), trying next`, error.message);
+                }
+            }
+        }
+        
+        // Все резолверы отказали: SERVFAIL возвращаем как есть, иначе пробрасываем последнюю ошибку
+        if (lastResponse) {
+            return lastResponse;
+        }
+        throw lastError;
+    }
+    
+    /**
+     * Сверка ответа с ответом второго резолвера (режим консенсуса)
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {Object} primary - Ответ основного резолвера
+     * @param {Object} [context] - Контекст проверки домена
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _verifyConsensus(name, type, primary, context) {
+        let secondary;
+        
+        try {
+            secondary = await this._queryWithFailover(name, type, [primary.resolver], context ? context.signal : null);
+        } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
+            if (context) {
+                context.unverified.push({ name, type, reason: error.message });
+            }
+            return;
+        }
+        
+        if (context) {
+            context.resolvers.add(secondary.resolver);
+        }
+        
+        const primaryAnswers = this._getComparableAnswers(primary, type);
+        const secondaryAnswers = this._getComparableAnswers(secondary, type);
+        
+        if (primary.rcode === secondary.rcode && primaryAnswers.join('\n') === secondaryAnswers.join('\n')) {
+            return;
+        }
+        
+        const disagreement = {
+            name,
+            type,
+            responses: [
+                { resolver: primary.resolver, rcode: primary.rcode, answers: primaryAnswers },
+                { resolver: secondary.resolver, rcode: secondary.rcode, answers: secondaryAnswers }
+            ]
+        };
+        
+        if (context) {
+            context.disagreements.push(disagreement);
+        }
+        
+        if (window.Logger && typeof window.Logger.warn === 'function') {
+            window.Logger.warn(`Resolvers disagree for ${name} (${type})`, disagreement);
+        } else {
+            console.warn(`Resolvers disagree for ${name} (${type})`, disagreement);
+        }
+    }
+    
+    /**
+     * Данные ответа в виде, пригодном для сравнения (без учета порядка и TTL)
+     * @param {Object} response - Ответ DoH-запроса
+     * @param {string} type - Тип записи
+     * @returns {Array<string>} - Отсортированные данные записей
+     * @private
+     */
+    _getComparableAnswers(response, type) {
+        return response.answers
+            .filter(answer => answer.type === type)
+            .map(answer => type === 'MX' ? `${answer.preference} ${answer.exchange}` : String(answer.data))
+            .sort();
+    }
+    
+    /**
+     * Приведение списка резолверов к массиву URL
+     * @param {Array<string>|string} resolvers - Массив URL или строка с URL через запятую/перевод строки
+     * @returns {Array<string>} - Список резолверов без дубликатов
+     * @private
+     */
+    _normalizeResolverList(resolvers) {
+        const list = Array.isArray(resolvers)
+            ? resolvers
+            : String(resolvers || '').split(/[\s,]+/);
+        const normalized = [...new Set(list.map(url => String(url).trim()).filter(Boolean))];
+        
+        return normalized.length ? normalized : MultiModeDmarcClient.DEFAULT_DNS_RESOLVERS.slice();
+    }
+    
+    /**
+     * Порядок опроса резолверов: исправные в заданном порядке, затем находящиеся на паузе
+     * @returns {Array<string>} - Упорядоченный список резолверов
+     * @private
+     */
+    _getResolverOrder() {
+        const now = Date.now();
+        const available = [];
+        const cooling = [];
+        
+        for (const resolver of this.dnsResolvers) {
+            const health = this.resolverHealth.get(resolver);
+            if (health && health.cooldownUntil > now) {
+                cooling.push(resolver);
+            } else {
+                available.push(resolver);
+            }
+        }
+        
+        return available.concat(cooling);
+    }
+    
+    /**
+     * Получение (или создание) записи о состоянии резолвера
+     * @param {string} resolver - URL резолвера
+     * @returns {Object} - Состояние резолвера
+     * @private
+     */
+    _getResolverHealthEntry(resolver) {
+        if (!this.resolverHealth.has(resolver)) {
+            this.resolverHealth.set(resolver, {
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                lastLatency: null,
+                lastError: '',
+                cooldownUntil: 0
+            });
+        }
+        return this.resolverHealth.get(resolver);
+    }
+    
+    /**
+     * Учет успешного ответа резолвера
+     * @param {string} resolver - URL резолвера
+     * @param {number} latency - Время ответа в миллисекундах
+     * @private
+     */
+    _recordResolverSuccess(resolver, latency) {
+        const health = this._getResolverHealthEntry(resolver);
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.lastLatency = latency;
+        health.cooldownUntil = 0;
+    }
+    
+    /**
+     * Учет отказа резолвера; после нескольких отказов подряд резолвер уходит на паузу
+     * @param {string} resolver - URL резолвера
+     * @param {string} reason - Причина отказа
+     * @private
+     */
+    _recordResolverFailure(resolver, reason) {
+        const health = this._getResolverHealthEntry(resolver);
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastError = reason;
+        
+        if (health.consecutiveFailures >= this.resolverFailureThreshold) {
+            health.cooldownUntil = Date.now() + this.resolverCooldown;
+            
+            if (window.Logger && typeof window.Logger.warn === 'function') {
+                window.Logger.warn(`Resolver ${resolver} marked unhealthy for ${this.resolverCooldown} ms`);
+            } else {
+                console.warn(`Resolver ${resolver} marked unhealthy for ${this.resolverCooldown} ms`);
+            }
+        }
+    }
+    
+    /**
+     * Выполнение DNS-over-HTTPS запроса (RFC 8484) к указанному резолверу
+     * с использованием кэша DNS-ответов
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} [resolver] - URL резолвера (по умолчанию первый в списке)
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Promise<Object>} - Ответ вида { name, type, rcode, flags, answers, authorities, edns, resolver, format }
+     * @private
+     */
+    async _dohQuery(name, type, resolver = this.dnsResolvers[0], signal = null) {
+        // Проверяем, что тип записи известен (иначе выбрасывается ошибка)
+        DnsMessage.getTypeCode(type);
+        
+        if (this.cacheEnabled && this.cache) {
+            await this.cache.ready;
+            
+            const cached = this.cache.get(name, type, resolver);
+            if (cached) {
+                if (window.Logger && typeof window.Logger.debug === 'function') {
+                    window.Logger.debug(`Using cached DNS response for ${name} (${type}) from ${resolver}`);
+                } else {
+                    console.log(`Using cached DNS response for ${name} (${type}) from ${resolver}`);
+                }
+                return cached;
+            }
+        }
+        
+        if (signal && signal.aborted) {
+            throw this._createCancelledError();
+        }
+        
+        // Запрос прерывается как по таймауту, так и по отмене сканирования
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.dnsTimeout);
+        const onCancel = () => controller.abort();
+        
+        if (signal) {
+            signal.addEventListener('abort', onCancel);
+        }
+        
+        try {
+            const response = this.dnsFormat === 'wire'
+                ? await this._dohWireQuery(name, type, resolver, controller.signal)
+                : await this._dohJsonQuery(name, type, resolver, controller.signal);
+            
+            response.resolver = resolver;
+            response.format = this.dnsFormat;
+            
+            if (this.cacheEnabled && this.cache) {
+                this.cache.set(name, type, resolver, response);
+            }
+            
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (signal && signal.aborted) {
+                    throw this._createCancelledError();
+                }
+                
+                const timeoutError = new Error(`DNS query timed out after ${this.dnsTimeout} ms: ${name} (${type})`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onCancel);
+            }
+        }
+    }
+    
+    /**
+     * DoH-запрос в JSON-формате (application/dns-json)
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} resolver - URL резолвера
+     * @param {AbortSignal} signal - Сигнал отмены
+     * @returns {Promise<Object>} - Разобранный ответ
+     * @private
+     */
+    async _dohJsonQuery(name, type, resolver, signal) {
+        const url = `${resolver}?name=${encodeURIComponent(name)}&type=${type}`;
+        const httpResponse = await fetch(url, {
+            headers: { 'Accept': 'application/dns-json' },
+            signal
+        });
+        
+        if (!httpResponse.ok) {
+            throw new Error(`DoH server responded with HTTP ${httpResponse.status}`);
+        }
+        
+        const json = await httpResponse.json();
+        const toAnswer = record => this._normalizeDnsAnswer(
+            record.name,
+            DnsMessage.getTypeName(record.type),
+            record.TTL,
+            record.data
+        );
+        
+        return {
+            name,
+            type,
+            rcode: DnsMessage.getRcodeName(json.Status),
+            flags: {
+                tc: !!json.TC,
+                rd: !!json.RD,
+                ra: !!json.RA,
+                ad: !!json.AD,
+                cd: !!json.CD
+            },
+            answers: (json.Answer || []).map(toAnswer),
+            authorities: (json.Authority || []).map(toAnswer),
+            edns: null
+        };
+    }
+    
+    /**
+     * DoH-запрос в бинарном формате (application/dns-message)
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {string} resolver - URL резолвера
+     * @param {AbortSignal} signal - Сигнал отмены
+     * @returns {Promise<Object>} - Разобранный ответ
+     * @private
+     */
+    async _dohWireQuery(name, type, resolver, signal) {
+        const query = DnsMessage.encodeQuery(name, type);
+        
+        const httpResponse = await fetch(`${resolver}?dns=${DnsMessage.toBase64Url(query)}`, {
+            headers: { 'Accept': 'application/dns-message' },
+            signal
+        });
+        
+        if (!httpResponse.ok) {
+            throw new Error(`DoH server responded with HTTP ${httpResponse.status}`);
+        }
+        
+        const message = DnsMessage.decode(await httpResponse.arrayBuffer());
+        
+        if (message.flags.tc) {
+            if (window.Logger && typeof window.Logger.warn === 'function') {
+                window.Logger.warn(`Truncated DNS response for ${name} (${type})`);
+            } else {
+                console.warn(`Truncated DNS response for ${name} (${type})`);
+            }
+        }
+        
+        // Записи из wire-формата уже содержат границы строк TXT и поля MX
+        return {
+            name,
+            type,
+            rcode: message.rcodeName,
+            flags: message.flags,
+            answers: message.answers,
+            authorities: message.authorities,
+            edns: message.edns
+        };
+    }
+    
+    /**
+     * Приведение DNS-ответа к единому виду
+     * @param {string} name - Имя владельца записи
+     * @param {string} type - Тип записи
+     * @param {number} ttl - TTL записи
+     * @param {string|Array<string>} data - Данные записи (для TXT - массив строк или строка DoH JSON)
+     * @returns {Object} - { name, type, ttl, data } и дополнительные поля для MX/TXT
+     * @private
+     */
+    _normalizeDnsAnswer(name, type, ttl, data) {
+        const answer = {
+            name: String(name || '').replace(/\.$/, ''),
+            type,
+            ttl: ttl || 0,
+            data: data
+        };
+        
+        switch (type) {
+            case 'TXT':
+            case 'SPF': {
+                // DoH JSON возвращает строки TXT в кавычках, иногда без них
+                const strings = Array.isArray(data) ? data : this._parseTxtData(String(data));
+                answer.strings = strings;
+                answer.data = strings.join('');
+                // Без кавычек границы строк записи неизвестны (см. _getTxtStringFindings)
+                answer.boundariesKnown = Array.isArray(data) || String(data).startsWith('"');
+                break;
+            }
+            case 'MX': {
+                const [preference, exchange = ''] = String(data).trim().split(/\s+/);
+                answer.preference = parseInt(preference) || 0;
+                answer.exchange = exchange.replace(/\.$/, '');
+                answer.data = answer.exchange;
+                break;
+            }
+            case 'CNAME':
+            case 'NS':
+                answer.data = String(data).replace(/\.$/, '');
+                break;
+        }
+        
+        return answer;
+    }
+    
+    /**
+     * Разбор текстового представления TXT-записи на строки
+     * @param {string} data - Данные записи, например "\"v=spf1 ...\" \"-all\""
+     * @returns {Array<string>} - Массив строк записи
+     * @private
+     */
+    _parseTxtData(data) {
+        if (!data.startsWith('"')) {
+            return [data];
+        }
+        
+        const strings = [];
+        const regex = /"((?:[^"\\]|\\.)*)"/g;
+        let match;
+        
+        while ((match = regex.exec(data)) !== null) {
+            strings.push(match[1]
+                .replace(/\\(\d{3})/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+                .replace(/\\(.)/g, '$1'));
+        }
+        
+        return strings;
+    }
+    
+    /**
+     * Загрузка фикстур для режима fixtures
+     *
+     * Формат (JSON или YAML): имя -> { ТИП: ответы } или имя -> код ответа.
+     * Ответы - массив значений; значение TXT может быть массивом строк (многострочная запись),
+     * любое значение может быть объектом { data, ttl }. Вместо массива допускается код ответа:
+     * NXDOMAIN, SERVFAIL, REFUSED или TIMEOUT. Имя без фикстуры отвечает NXDOMAIN,
+     * тип без фикстуры - пустым ответом (NODATA).
+     *
+     * @example
+     * example.com:
+     *   TXT: ["v=spf1 include:_spf.example.com -all"]
+     *   MX: ["10 mx1.example.com"]
+     * _dmarc.example.com:
+     *   TXT: ["v=DMARC1; p=reject", "v=DMARC1; p=none"]
+     * s1._domainkey.example.com:
+     *   TXT: [["v=DKIM1; k=rsa; ", "p=MIIBIjANBgkq..."]]
+     * broken.example.com: SERVFAIL
+     * slow.example.com: { TXT: TIMEOUT }
+     *
+     * @param {string|Object} source - Текст файла (JSON/YAML) или уже разобранный объект
+     * @param {string} [name] - Имя набора фикстур (обычно имя файла)
+     * @returns {Object} - { name, count }
+     * @throws {Error} - Если файл не удалось разобрать или фикстура некорректна
+     */
+    loadFixtures(source, name = 'fixtures') {
+        let data = source;
+        
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (jsonError) {
+                data = YamlParser.parse(source);
+            }
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Фикстуры должны быть словарем "имя -> записи"');
+        }
+        
+        const names = {};
+        
+        for (const [rawName, entry] of Object.entries(data)) {
+            const fixtureName = String(rawName).trim().toLowerCase().replace(/\.$/, '');
+            
+            if (typeof entry === 'string') {
+                names[fixtureName] = { rcode: this._parseFixtureRcode(entry, fixtureName) };
+                continue;
+            }
+            
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                throw new Error(`Некорректная фикстура для ${fixtureName}: ожидается словарь типов записей или код ответа`);
+            }
+            
+            const types = {};
+            for (const [rawType, value] of Object.entries(entry)) {
+                const type = String(rawType).toUpperCase();
+                try {
+                    DnsMessage.getTypeCode(type);
+                } catch (error) {
+                    throw new Error(`Некорректная фикстура для ${fixtureName}: неизвестный тип записи "${rawType}"`);
+                }
+                
+                if (typeof value === 'string') {
+                    types[type] = this._parseFixtureRcode(value, `${fixtureName}/${type}`);
+                } else if (Array.isArray(value)) {
+                    types[type] = value.map(item => this._parseFixtureAnswer(fixtureName, type, item));
+                } else {
+                    throw new Error(`Некорректная фикстура для ${fixtureName}/${type}: ожидается список ответов или код ответа`);
+                }
+            }
+            
+            names[fixtureName] = { types };
+        }
+        
+        this.fixtures = {
+            name,
+            source: data,
+            names,
+            count: Object.keys(names).length
+        };
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`Fixtures loaded: ${name}`, { names: this.fixtures.count });
+        } else {
+            console.log(`Fixtures loaded: ${name}`, { names: this.fixtures.count });
+        }
+        
+        return { name, count: this.fixtures.count };
+    }
+    
+    /**
+     * Получение сведений о загруженных фикстурах
+     * @returns {Object|null} - { name, count } или null, если фикстуры не загружены
+     */
+    getFixturesInfo() {
+        return this.fixtures ? { name: this.fixtures.name, count: this.fixtures.count } : null;
+    }
+    
+    /**
+     * Разбор кода ответа в фикстуре
+     * @param {string} value - Код ответа
+     * @param {string} path - Путь фикстуры (для сообщения об ошибке)
+     * @returns {string} - NXDOMAIN, SERVFAIL, REFUSED или TIMEOUT
+     * @private
+     */
+    _parseFixtureRcode(value, path) {
+        const rcode = value.trim().toUpperCase();
+        
+        if (!MultiModeDmarcClient.FIXTURE_RCODES.includes(rcode)) {
+            throw new Error(`Некорректная фикстура для ${path}: неизвестный код ответа "${value}"`);
+        }
+        
+        return rcode;
+    }
+    
+    /**
+     * Приведение ответа из фикстуры к виду DNS-ответа
+     * @param {string} name - Имя записи
+     * @param {string} type - Тип записи
+     * @param {string|number|Array<string>|Object} item - Значение или { data, ttl }
+     * @returns {Object} - Ответ вида { name, type, ttl, data }
+     * @private
+     */
+    _parseFixtureAnswer(name, type, item) {
+        let data = item;
+        let ttl = 300;
+        
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            data = item.data;
+            ttl = item.ttl !== undefined ? parseInt(item.ttl) : ttl;
+            
+            if (isNaN(ttl) || ttl < 0) {
+                throw new Error(`Некорректная фикстура для ${name}/${type}: недопустимый TTL "${item.ttl}"`);
+            }
+        }
+        
+        if (Array.isArray(data)) {
+            if (type !== 'TXT' && type !== 'SPF') {
+                throw new Error(`Некорректная фикстура для ${name}/${type}: список строк допустим только для TXT`);
+            }
+            data = data.map(String);
+        } else if (data === null || data === undefined) {
+            throw new Error(`Некорректная фикстура для ${name}/${type}: пустое значение`);
+        } else if (type === 'TXT' || type === 'SPF') {
+            // Одиночная строка TXT - запись из одной строки
+            data = [String(data)];
+        } else {
+            data = String(data);
+        }
+        
+        return this._normalizeDnsAnswer(name, type, ttl, data);
+    }
+    
+    /**
+     * Ответ на DNS-запрос из загруженных фикстур
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Object} - Ответ того же вида, что и _dohQuery
+     * @private
+     */
+    _fixtureQuery(name, type, signal = null) {
+        if (!this.fixtures) {
+            throw new Error('Фикстуры не загружены');
+        }
+        
+        if (signal && signal.aborted) {
+            throw this._createCancelledError();
+        }
+        
+        DnsMessage.getTypeCode(type);
+        
+        const entry = this.fixtures.names[String(name).trim().toLowerCase().replace(/\.$/, '')];
+        let outcome;
+        
+        if (!entry) {
+            outcome = 'NXDOMAIN';
+        } else if (entry.rcode) {
+            outcome = entry.rcode;
+        } else {
+            outcome = entry.types[type] || [];
+        }
+        
+        if (outcome === 'TIMEOUT') {
+            const timeoutError = new Error(`DNS query timed out (fixture): ${name} (${type})`);
+            timeoutError.code = 'ETIMEDOUT';
+            throw timeoutError;
+        }
+        
+        return {
+            name,
+            type,
+            rcode: Array.isArray(outcome) ? 'NOERROR' : outcome,
+            flags: { tc: false, rd: true, ra: true, ad: false, cd: false },
+            answers: Array.isArray(outcome) ? JSON.parse(JSON.stringify(outcome)) : [],
+            authorities: [],
+            edns: null,
+            resolver: `fixtures:${this.fixtures.name}`,
+            format: 'fixtures'
+        };
+    }
+    
+    /**
+     * Включение или отключение записи DNS-сессии
+     * @param {boolean} enabled - Записывать ли запросы и ответы в офлайн-режиме
+     */
+    setDnsRecording(enabled) {
+        this.dnsRecording = !!enabled;
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`DNS session recording ${this.dnsRecording ? 'enabled' : 'disabled'}`);
+        } else {
+            console.log(`DNS session recording ${this.dnsRecording ? 'enabled' : 'disabled'}`);
+        }
+    }
+    
+    /**
+     * Начало новой DNS-сессии (предыдущая запись отбрасывается)
+     * @returns {Object} - Новая сессия
+     */
+    startDnsRecording() {
+        const now = new Date().toISOString();
+        
+        this.dnsSession = {
+            format: MultiModeDmarcClient.DNS_SESSION_FORMAT,
+            version: 1,
+            startedAt: now,
+            updatedAt: now,
+            resolvers: [...this.dnsResolvers],
+            dnsFormat: this.dnsFormat,
+            entries: []
+        };
+        
+        return this.dnsSession;
+    }
+    
+    /**
+     * Получение записанной DNS-сессии
+     * @returns {Object|null} - Сессия { format, version, startedAt, updatedAt, resolvers, dnsFormat, entries } или null
+     */
+    getDnsSession() {
+        return this.dnsSession;
+    }
+    
+    /**
+     * Запись DNS-запроса и ответа (или ошибки) в текущую сессию
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {Object|null} response - Ответ DoH-запроса
+     * @param {Error} [error] - Ошибка запроса, если ответа нет
+     * @private
+     */
+    _recordDnsQuery(name, type, response, error = null) {
+        // Записываются только реальные запросы к сети, отмена сканирования не записывается
+        if (!this.dnsRecording || this.mode !== 'offline' || (error && this._isCancelled(error))) {
+            return;
+        }
+        
+        if (!this.dnsSession) {
+            this.startDnsRecording();
+        }
+        
+        const entry = {
+            timestamp: new Date().toISOString(),
+            name: String(name).trim().toLowerCase().replace(/\.$/, ''),
+            type
+        };
+        
+        if (response) {
+            entry.resolver = response.resolver;
+            entry.rcode = response.rcode;
+            entry.cached = !!response.cached;
+            entry.answers = response.answers;
+            entry.authorities = response.authorities || [];
+        } else {
+            entry.resolver = null;
+            entry.rcode = error.rcode || null;
+            entry.error = error.message;
+            entry.code = error.code || null;
+        }
+        
+        this.dnsSession.entries.push(entry);
+        this.dnsSession.updatedAt = entry.timestamp;
+    }
+    
+    /**
+     * Загрузка записанной DNS-сессии для режима replay
+     * @param {string|Object} source - Текст файла сессии (JSON) или уже разобранный объект
+     * @param {string} [name] - Имя сессии (обычно имя файла)
+     * @returns {Object} - { name, count, startedAt }
+     * @throws {Error} - Если файл не является записью DNS-сессии
      */
-    async _checkDkim(domain) {
-        try {
-            // Список популярных селекторов для проверки
-            const commonSelectors = ['default', 'google', 'selector1', 'selector2', 'k1', 'dkim'];
-            const foundSelectors = [];
-            
-            // Проверяем каждый селектор
-            for (const selector of commonSelectors) {
-                try {
-                    const dkimDomain = `${selector}._domainkey.${domain}`;
-                    const dkimRecords = await this._dnsLookup(dkimDomain, 'TXT');
-                    
-                    if (dkimRecords && dkimRecords.length > 0) {
-                        // Проверяем, содержит ли запись DKIM данные
-                        for (const record of dkimRecords) {
-                            if (record.includes('v=DKIM1') || record.includes('k=rsa') || record.includes('p=')) {
-                                foundSelectors.push(selector);
-                                break;
-                            }
-                        }
-                    }
-                } catch (selectorError) {
-                    // Игнорируем ошибки для отдельных селекторов
-                    continue;
-                }
-            }
-            
-            // Определяем статус
-            let status;
-            if (foundSelectors.length > 0) {
-                status = foundSelectors.length > 1 ? 'ok' : 'warning';
-            } else {
-                status = 'error';
+    loadReplaySession(source, name = 'session') {
+        let data = source;
+        
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (error) {
+                throw new Error(`Файл сессии не является корректным JSON: ${error.message}`);
             }
-            
-            return {
-                status,
-                selectors: foundSelectors
-            };
-        } catch (error) {
-            if (window.Logger && typeof window.Logger.error === 'function') {
-                window.Logger.error(`Error checking DKIM for ${domain}`, error);
-            } else {
-                console.error(`Error checking DKIM for ${domain}`, error);
+        }
+        
+        if (!data || data.format !== MultiModeDmarcClient.DNS_SESSION_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Файл не является записью DNS-сессии');
+        }
+        
+        // При повторных запросах одного и того же имени используется последний ответ
+        const index = new Map();
+        data.entries.forEach((entry, position) => {
+            if (!entry || !entry.name || !entry.type) {
+                throw new Error(`Некорректная запись сессии #${position + 1}: нет имени или типа`);
             }
-            
-            return {
-                status: 'error',
-                selectors: [],
-                error: error.message
-            };
+            index.set(`${String(entry.name).toLowerCase()}|${String(entry.type).toUpperCase()}`, entry);
+        });
+        
+        this.replaySession = {
+            name,
+            source: data,
+            index,
+            count: data.entries.length,
+            startedAt: data.startedAt || null
+        };
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`DNS session loaded for replay: ${name}`, { entries: this.replaySession.count });
+        } else {
+            console.log(`DNS session loaded for replay: ${name}`, { entries: this.replaySession.count });
         }
+        
+        return this.getReplayInfo();
     }
     
     /**
-     * Получение MX-записей домена
-     * @param {string} domain - Доменное имя
-     * @returns {Promise<Array<string>>} - Массив MX-записей
+     * Получение сведений о загруженной для воспроизведения сессии
+     * @returns {Object|null} - { name, count, startedAt } или null, если сессия не загружена
+     */
+    getReplayInfo() {
+        return this.replaySession
+            ? { name: this.replaySession.name, count: this.replaySession.count, startedAt: this.replaySession.startedAt }
+            : null;
+    }
+    
+    /**
+     * Ответ на DNS-запрос из записанной сессии
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {AbortSignal} [signal] - Сигнал отмены сканирования
+     * @returns {Object} - Ответ того же вида, что и _dohQuery
+     * @throws {Error} - Записанная ошибка запроса или отсутствие запроса в сессии
      * @private
      */
-    async _getMxRecords(domain) {
-        try {
-            const mxRecords = await this._dnsLookup(domain, 'MX');
-            
-            if (!mxRecords || !mxRecords.length) {
-                return [];
-            }
-            
-            // В реальном приложении здесь должна быть обработка MX-записей
-            // В упрощенном варианте просто возвращаем их как строки
-            return mxRecords;
-        } catch (error) {
-            if (window.Logger && typeof window.Logger.error === 'function') {
-                window.Logger.error(`Error getting MX records for ${domain}`, error);
-            } else {
-                console.error(`Error getting MX records for ${domain}`, error);
+    _replayQuery(name, type, signal = null) {
+        if (!this.replaySession) {
+            throw new Error('Сессия для воспроизведения не загружена');
+        }
+        
+        if (signal && signal.aborted) {
+            throw this._createCancelledError();
+        }
+        
+        const normalizedName = String(name).trim().toLowerCase().replace(/\.$/, '');
+        const entry = this.replaySession.index.get(`${normalizedName}|${type}`);
+        
+        if (!entry) {
+            const missingError = new Error(`Запрос ${name} (${type}) отсутствует в записанной сессии`);
+            missingError.code = 'ENOTRECORDED';
+            throw missingError;
+        }
+        
+        if (entry.error) {
+            const recordedError = new Error(entry.error);
+            recordedError.code = entry.code || null;
+            if (entry.rcode) {
+                recordedError.rcode = entry.rcode;
             }
-            return [];
+            throw recordedError;
         }
+        
+        return {
+            name,
+            type,
+            rcode: entry.rcode,
+            flags: { tc: false, rd: true, ra: true, ad: false, cd: false },
+            answers: JSON.parse(JSON.stringify(entry.answers || [])),
+            authorities: JSON.parse(JSON.stringify(entry.authorities || [])),
+            edns: null,
+            resolver: entry.resolver,
+            format: 'replay',
+            recordedAt: entry.timestamp
+        };
     }
     
     /**
-     * Выполнение DNS-запроса
+     * Имитация DNS-ответов для режима симуляции
      * @param {string} domain - Доменное имя
-     * @param {string} type - Тип записи (A, MX, TXT и т.д.)
-     * @returns {Promise<Array<string>>} - Массив записей
+     * @param {string} type - Тип записи
+     * @returns {Array<Object>} - Массив ответов
      * @private
      */
-    async _dnsLookup(domain, type) {
-        try {
-            // В браузере нет прямого доступа к DNS, поэтому используем DNS-over-HTTPS
-            // или любой другой доступный метод
-            
-            // Для демонстрации просто имитируем ответы
-            // В реальном приложении здесь должен быть запрос к DNS через API
-            
-            switch (type) {
-                case 'MX':
-                    if (domain === 'example.com') {
-                        return ['mail.example.com', 'backup-mail.example.com'];
-                    } else if (domain === 'gmail.com') {
-                        return ['aspmx.l.google.com', 'alt1.aspmx.l.google.com'];
-                    } else {
-                        // Генерируем случайные MX записи для демонстрации
-                        const randomCount = Math.floor(Math.random() * 3) + 1;
-                        const records = [];
-                        for (let i = 0; i < randomCount; i++) {
-                            records.push(`mx${i+1}.${domain}`);
-                        }
-                        return records;
+    _simulateDnsLookup(domain, type) {
+        const random = this._createSeededRandom(domain, type);
+        const toAnswers = values => values.map(value => this._normalizeDnsAnswer(domain, type, 300, value));
+        
+        switch (type) {
+            case 'MX':
+                if (domain === 'example.com') {
+                    return toAnswers(['10 mail.example.com', '20 backup-mail.example.com']);
+                } else if (domain === 'gmail.com') {
+                    return toAnswers(['5 aspmx.l.google.com', '10 alt1.aspmx.l.google.com']);
+                } else {
+                    // Генерируем случайные MX записи для демонстрации
+                    const randomCount = Math.floor(random() * 3) + 1;
+                    const records = [];
+                    for (let i = 0; i < randomCount; i++) {
+                        records.push(`${(i + 1) * 10} mx${i+1}.${domain}`);
                     }
-                
-                case 'TXT':
-                    if (domain === '_dmarc.example.com') {
-                        return ['v=DMARC1; p=reject; rua=mailto:dmarc@example.com; pct=100'];
-                    } else if (domain === '_dmarc.gmail.com') {
-                        return ['v=DMARC1; p=none; sp=quarantine; rua=mailto:mailauth-reports@google.com'];
-                    } else if (domain === 'example.com') {
-                        return ['v=spf1 include:_spf.example.com -all'];
-                    } else if (domain === 'gmail.com') {
-                        return ['v=spf1 include:_spf.google.com ~all'];
-                    } else if (domain.includes('_domainkey')) {
-                        // Имитируем DKIM запись
-                        if (Math.random() > 0.5) {
-                            return ['v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQC...'];
-                        } else {
-                            return [];
-                        }
-                    } else if (domain.startsWith('_dmarc.')) {
-                        // Генерируем случайную DMARC запись
-                        const policies = ['none', 'quarantine', 'reject'];
-                        const policy = policies[Math.floor(Math.random() * policies.length)];
-                        const pct = Math.random() > 0.3 ? '100' : '50';
-                        const baseDomain = domain.substring(7); // Удаляем "_dmarc."
-                        
-                        return [`v=DMARC1; p=${policy}; rua=mailto:dmarc@${baseDomain}; pct=${pct}`];
+                    return toAnswers(records);
+                }
+            
+            case 'TXT':
+                if (domain === '_dmarc.example.com') {
+                    return toAnswers([['v=DMARC1; p=reject; rua=mailto:dmarc@example.com; pct=100']]);
+                } else if (domain === '_dmarc.gmail.com') {
+                    return toAnswers([['v=DMARC1; p=none; sp=quarantine; rua=mailto:mailauth-reports@google.com']]);
+                } else if (domain === 'example.com') {
+                    return toAnswers([['v=spf1 include:_spf.example.com -all']]);
+                } else if (domain === 'gmail.com') {
+                    return toAnswers([['v=spf1 include:_spf.google.com ~all']]);
+                } else if (domain.startsWith('_spf.')) {
+                    // Записи поставщиков содержат только адреса, иначе цепочка include не закончится
+                    const octet = Math.floor(random() * 254) + 1;
+                    return toAnswers([[`v=spf1 ip4:192.0.2.${octet} ip4:198.51.100.0/24 -all`]]);
+                } else if (domain.includes('_domainkey')) {
+                    // Имитируем DKIM запись для нескольких распространенных селекторов
+                    const selector = domain.split('._domainkey.')[0];
+                    if (['google', 'selector1', 'selector2', 'k1', 's1', 'default'].includes(selector) && random() > 0.5) {
+                        // Ключ длиннее 255 символов: запись из двух TXT-строк, как в DNS
+                        const record = `v=DKIM1; k=rsa; p=${MultiModeDmarcClient.SIMULATED_DKIM_KEY}`;
+                        return toAnswers([[record.slice(0, 255), record.slice(255)]]);
                     } else {
-                        // Генерируем случайную SPF запись
-                        const allModes = ['-all', '~all', '?all', '+all'];
-                        const allMode = allModes[Math.floor(Math.random() * allModes.length)];
-                        
-                        return [`v=spf1 include:_spf.${domain} ${allMode}`];
+                        return [];
                     }
+                } else if (domain.startsWith('_dmarc.')) {
+                    // Генерируем случайную DMARC запись
+                    const policies = ['none', 'quarantine', 'reject'];
+                    const policy = policies[Math.floor(random() * policies.length)];
+                    const pct = random() > 0.3 ? '100' : '50';
+                    const baseDomain = domain.substring(7); // Удаляем "_dmarc."
                     
-                default:
-                    return [];
-            }
-        } catch (error) {
-            if (window.Logger && typeof window.Logger.error === 'function') {
-                window.Logger.error(`DNS lookup error for ${domain} (${type})`, error);
-            } else {
-                console.error(`DNS lookup error for ${domain} (${type})`, error);
-            }
-            throw error;
+                    return toAnswers([[`v=DMARC1; p=${policy}; rua=mailto:dmarc@${baseDomain}; pct=${pct}`]]);
+                } else {
+                    // Генерируем случайную SPF запись
+                    const allModes = ['-all', '~all', '?all', '+all'];
+                    const allMode = allModes[Math.floor(random() * allModes.length)];
+                    
+                    return toAnswers([[`v=spf1 include:_spf.${domain} ${allMode}`]]);
+                }
+            
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Создание детерминированного генератора псевдослучайных чисел (mulberry32)
+     * для текущего seed и указанных параметров
+     * @param {...string} parts - Параметры, от которых зависит последовательность (домен, тип записи)
+     * @returns {Function} - Функция, возвращающая числа в диапазоне [0, 1)
+     * @private
+     */
+    _createSeededRandom(...parts) {
+        // Хэш FNV-1a от seed и параметров
+        const input = [this.simulationSeed, ...parts].join('|').toLowerCase();
+        let state = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            state ^= input.charCodeAt(i);
+            state = Math.imul(state, 0x01000193);
         }
+        
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
     
     /**
      * Проверка домена через симуляцию (для тестирования и отладки)
      * @param {string} domain - Доменное имя для проверки
+     * @param {AbortSignal} [signal] - Сигнал отмены проверки
      * @returns {Promise<Object>} - Результаты проверки
      * @private
      */
-    async _simulateDomainCheck(domain) {
+    async _simulateDomainCheck(domain, signal = null) {
         try {
             if (window.Logger && typeof window.Logger.info === 'function') {
                 window.Logger.info(`Simulating domain check: ${domain}`);
@@ -682,11 +2565,12 @@ class MultiModeDmarcClient {
             // Проверка валидности домена была выполнена ранее
             
             // Имитируем задержку запроса
-            await new Promise(resolve => setTimeout(resolve, this.delay));
+            await this._sleep(this.delay, signal);
             
-            // Генерация случайных статусов для демонстрации
+            // Генерация псевдослучайных статусов для демонстрации (зависят только от seed и домена)
+            const random = this._createSeededRandom(domain, 'check');
             const statuses = ['ok', 'warning', 'error'];
-            const randomItem = arr => arr[Math.floor(Math.random() * arr.length)];
+            const randomItem = arr => arr[Math.floor(random() * arr.length)];
             
             const dmarcStatus = randomItem(statuses);
             const spfStatus = randomItem(statuses);
@@ -728,11 +2612,16 @@ class MultiModeDmarcClient {
                     selectors: dkimSelectors
                 },
                 mx: ['mx1.' + domain, 'mx2.' + domain],
-                securityScore: this._calculateSecurityScore(dmarcStatus, spfStatus, dkimStatus)
+                simulationSeed: this.simulationSeed
             };
             
+            result.securityScore = this._calculateSecurityScore(result);
+            
             return result;
         } catch (error) {
+            if (this._isCancelled(error)) {
+                throw error;
+            }
             if (window.Logger && typeof window.Logger.error === 'function') {
                 window.Logger.error(`Error simulating domain check for ${domain}:`, error);
             } else {
@@ -797,7 +2686,11 @@ class MultiModeDmarcClient {
         // Устанавливаем состояние сканирования
         this.isScanning = true;
         this.shouldStop = false;
+        this.stopReason = null;
+        this.isPaused = false;
         this.activeScanTasks = [];
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
         
         const results = [];
         let completedCount = 0;
@@ -827,6 +2720,11 @@ class MultiModeDmarcClient {
         
         // Функция для обработки одного домена из очереди
         const processNextDomain = async () => {
+            // На паузе новые домены не берутся из очереди, начатые проверки завершаются
+            while (this.isPaused && !this.shouldStop) {
+                await this.pausePromise;
+            }
+            
             if (this.shouldStop) {
                 if (window.Logger && typeof window.Logger.info === 'function') {
                     window.Logger.info('Scanning stopped by user');
@@ -849,7 +2747,23 @@ class MultiModeDmarcClient {
                     console.log(`Processing domain: ${domain}`);
                 }
                 
-                const result = await this.checkDomain(domain);
+                const result = await this.checkDomain(domain, { signal });
+                
+                // Исчерпанная квота или неверный ключ API: остальные домены завершатся той же ошибкой,
+                // поэтому сканирование останавливается, а домен остается непроверенным
+                if (MultiModeDmarcClient.SCAN_STOP_ERRORS.includes(result.errorCode)) {
+                    results.push(this._getNotScannedResult(domain));
+                    if (!this.shouldStop) {
+                        this.stopReason = result.error;
+                        if (window.Logger && typeof window.Logger.warn === 'function') {
+                            window.Logger.warn(`Stopping scan: ${result.errorCode}`);
+                        } else {
+                            console.warn(`Stopping scan: ${result.errorCode}`);
+                        }
+                        this.stopScan();
+                    }
+                    return null;
+                }
                 
                 results.push(result);
                 completedCount++;
@@ -868,10 +2782,18 @@ class MultiModeDmarcClient {
                 }
                 
                 // Добавляем небольшую задержку между доменами для снижения нагрузки
-                await new Promise(resolve => setTimeout(resolve, this.delay));
+                await this._sleep(this.delay, signal);
                 
                 return result;
             } catch (error) {
+                // Отмененный домен помечается как непроверенный, а не как ошибка
+                if (this._isCancelled(error)) {
+                    if (!results.some(item => item.domain === domain)) {
+                        results.push(this._getNotScannedResult(domain));
+                    }
+                    return null;
+                }
+                
                 if (window.Logger && typeof window.Logger.error === 'function') {
                     window.Logger.error(`Error processing domain ${domain}:`, error);
                 } else {
@@ -921,6 +2843,9 @@ class MultiModeDmarcClient {
             // Ждем завершения всех воркеров
             await Promise.all(workerPromises);
             
+            // Домены, до которых не дошла очередь после остановки
+            domainQueue.forEach(domain => results.push(this._getNotScannedResult(domain)));
+            
             if (window.Logger && typeof window.Logger.info === 'function') {
                 window.Logger.info(`Scan completed for ${totalCount} domains`);
             } else {
@@ -930,6 +2855,7 @@ class MultiModeDmarcClient {
             // Сбрасываем состояние сканирования
             this.isScanning = false;
             this.activeScanTasks = [];
+            this.abortController = null;
             
             // Сортируем результаты в правильном порядке
             const allDomains = [...invalidDomains, ...validDomains];
@@ -942,6 +2868,7 @@ class MultiModeDmarcClient {
             }
             this.isScanning = false;
             this.activeScanTasks = [];
+            this.abortController = null;
             throw error;
         }
     }
@@ -965,6 +2892,58 @@ class MultiModeDmarcClient {
             console.log('Stopping scan...');
         }
         this.shouldStop = true;
+        
+        // Освобождаем воркеры, ожидающие снятия с паузы
+        if (this.isPaused) {
+            this.resumeScan();
+        }
+        
+        // Прерываем выполняющиеся DNS-запросы
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+    
+    /**
+     * Приостановка текущего сканирования
+     * Проверки, начатые до паузы, завершаются; новые домены из очереди не берутся
+     */
+    pauseScan() {
+        if (!this.isScanning || this.isPaused) {
+            return;
+        }
+        
+        this.isPaused = true;
+        this.pausePromise = new Promise(resolve => {
+            this.resumeCallback = resolve;
+        });
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info('Scan paused');
+        } else {
+            console.log('Scan paused');
+        }
+    }
+    
+    /**
+     * Возобновление приостановленного сканирования
+     */
+    resumeScan() {
+        if (!this.isPaused) {
+            return;
+        }
+        
+        const resume = this.resumeCallback;
+        this.isPaused = false;
+        this.pausePromise = null;
+        this.resumeCallback = null;
+        resume();
+        
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info('Scan resumed');
+        } else {
+            console.log('Scan resumed');
+        }
     }
     
     /**
@@ -974,7 +2953,9 @@ class MultiModeDmarcClient {
     getScanStatus() {
         return {
             isScanning: this.isScanning,
+            isPaused: this.isPaused,
             shouldStop: this.shouldStop,
+            stopReason: this.stopReason,
             activeTasksCount: this.activeScanTasks.length,
             mode: this.mode
         };
@@ -984,7 +2965,9 @@ class MultiModeDmarcClient {
      * Очистка кэша
      */
     clearCache() {
-        this.cache.clear();
+        if (this.cache) {
+            this.cache.clear();
+        }
         if (window.Logger && typeof window.Logger.info === 'function') {
             window.Logger.info('Cache cleared');
         } else {
@@ -992,6 +2975,23 @@ class MultiModeDmarcClient {
         }
     }
     
+    /**
+     * Удаление из кэша DNS-ответов для домена и его поддоменов
+     * @param {string} domain - Доменное имя
+     * @returns {number} - Количество удаленных записей
+     */
+    invalidateCache(domain) {
+        return this.cache ? this.cache.invalidate(domain.trim().toLowerCase()) : 0;
+    }
+    
+    /**
+     * Получение статистики кэша
+     * @returns {Object|null} - { hits, misses, hitRate, entries, persistent } или null, если кэш недоступен
+     */
+    getCacheStats() {
+        return this.cache ? this.cache.getStats() : null;
+    }
+    
     /**
      * Включение/выключение кэширования
      * @param {boolean} enabled - Включить кэширование
@@ -1031,6 +3031,79 @@ class MultiModeDmarcClient {
         }
     }
     
+    /**
+     * Установка списка DoH-резолверов
+     * @param {Array<string>|string} resolvers - Список URL в порядке приоритета
+     */
+    setDnsResolvers(resolvers) {
+        this.dnsResolvers = this._normalizeResolverList(resolvers);
+        this.resolverHealth.clear();
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info('DNS resolvers set', this.dnsResolvers);
+        } else {
+            console.log('DNS resolvers set', this.dnsResolvers);
+        }
+    }
+    
+    /**
+     * Установка спецификации для оценки DMARC записей
+     * @param {string} spec - rfc7489 или dmarcbis
+     */
+    setDmarcSpec(spec) {
+        this.dmarcSpec = spec === 'dmarcbis' ? 'dmarcbis' : 'rfc7489';
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`DMARC evaluation spec set to ${this.dmarcSpec}`);
+        } else {
+            console.log(`DMARC evaluation spec set to ${this.dmarcSpec}`);
+        }
+    }
+    
+    /**
+     * Установка пользовательских DKIM селекторов
+     * Проверяются раньше селекторов из справочника DkimSelectors
+     * @param {Object} selectors - { global: Array<string>, domains: { домен: Array<string> } }
+     */
+    setDkimSelectors(selectors) {
+        this.dkimSelectors = DkimSelectors.normalizeCustom(selectors);
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info('DKIM selectors set', this.dkimSelectors);
+        } else {
+            console.log('DKIM selectors set', this.dkimSelectors);
+        }
+    }
+    
+    /**
+     * Включение/выключение режима консенсуса резолверов
+     * @param {boolean} enabled - Сверять ответы двух резолверов
+     */
+    setDnsConsensus(enabled) {
+        this.dnsConsensus = !!enabled;
+        if (window.Logger && typeof window.Logger.info === 'function') {
+            window.Logger.info(`DNS consensus ${this.dnsConsensus ? 'enabled' : 'disabled'}`);
+        } else {
+            console.log(`DNS consensus ${this.dnsConsensus ? 'enabled' : 'disabled'}`);
+        }
+    }
+    
+    /**
+     * Получение состояния резолверов
+     * @returns {Array<Object>} - Список { resolver, healthy, successes, failures, lastLatency, lastError }
+     */
+    getResolverHealth() {
+        const now = Date.now();
+        return this.dnsResolvers.map(resolver => {
+            const health = this._getResolverHealthEntry(resolver);
+            return {
+                resolver,
+                healthy: health.cooldownUntil <= now,
+                successes: health.successes,
+                failures: health.failures,
+                lastLatency: health.lastLatency,
+                lastError: health.lastError
+            };
+        });
+    }
+    
     /**
      * Генерация результата с ошибкой
      * @param {string} domain - Доменное имя
@@ -1039,7 +3112,7 @@ class MultiModeDmarcClient {
      * @private
      */
     _getErrorResult(domain, errorMessage) {
-        return {
+        return this._fillEmptyChecks({
             domain: domain,
             error: errorMessage,
             dmarc: { status: 'error', policy: '', record: '' },
@@ -1047,33 +3120,107 @@ class MultiModeDmarcClient {
             dkim: { status: 'error', selectors: [] },
             mx: [],
             securityScore: 0
-        };
+        }, 'error');
+    }
+    
+    /**
+     * Генерация результата для домена, проверка которого была отменена
+     * @param {string} domain - Доменное имя
+     * @returns {Object} - Результат со статусом not_scanned
+     * @private
+     */
+    _getNotScannedResult(domain) {
+        return this._fillEmptyChecks({
+            domain: domain,
+            notScanned: true,
+            dmarc: { status: 'not_scanned', policy: '', record: '' },
+            spf: { status: 'not_scanned', record: '' },
+            dkim: { status: 'not_scanned', selectors: [] },
+            mx: [],
+            securityScore: 0
+        }, 'not_scanned');
+    }
+    
+    /**
+     * Заполнение пустыми результатами собственных проверок из реестра
+     * @param {Object} result - Результат с ошибкой или непроверенный результат
+     * @param {string} status - Статус пустых результатов (error, not_scanned)
+     * @returns {Object} - Тот же результат
+     * @private
+     */
+    _fillEmptyChecks(result, status) {
+        if (this.checks) {
+            this.checks.getCustom().forEach(provider => {
+                if (result[provider.name] === undefined) {
+                    result[provider.name] = this.checks.getEmptyResult(provider.name, status);
+                }
+            });
+        }
+        return result;
+    }
+    
+    /**
+     * Создание ошибки отмены проверки
+     * @returns {Error} - Ошибка с флагом cancelled
+     * @private
+     */
+    _createCancelledError() {
+        const error = new Error('Проверка отменена');
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+    
+    /**
+     * Проверка, что ошибка вызвана отменой сканирования
+     * @param {Error} error - Ошибка
+     * @returns {boolean} - true, если проверка была отменена
+     * @private
+     */
+    _isCancelled(error) {
+        return !!(error && error.cancelled);
     }
     
     /**
-     * Расчет оценки безопасности
-     * @param {string} dmarcStatus - Статус DMARC
-     * @param {string} spfStatus - Статус SPF
-     * @param {string} dkimStatus - Статус DKIM
+     * Задержка с возможностью отмены
+     * @param {number} ms - Длительность в миллисекундах
+     * @param {AbortSignal} [signal] - Сигнал отмены
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this._createCancelledError());
+                return;
+            }
+            
+            const onCancel = () => {
+                clearTimeout(timer);
+                reject(this._createCancelledError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onCancel);
+                }
+                resolve();
+            }, ms);
+            
+            if (signal) {
+                signal.addEventListener('abort', onCancel, { once: true });
+            }
+        });
+    }
+    
+    /**
+     * Расчет оценки безопасности по весам проверок из реестра
+     * (встроенные веса: DMARC 40, SPF 30, DKIM 30; см. CheckRegistry.calculateScore)
+     * @param {Object} result - Результат проверки домена
      * @returns {number} - Оценка безопасности (0-100)
      * @private
      */
-    _calculateSecurityScore(dmarcStatus, spfStatus, dkimStatus) {
-        let score = 0;
-        
-        // DMARC (до 40 баллов)
-        if (dmarcStatus === 'ok') score += 40;
-        else if (dmarcStatus === 'warning') score += 20;
-        
-        // SPF (до 30 баллов)
-        if (spfStatus === 'ok') score += 30;
-        else if (spfStatus === 'warning') score += 15;
-        
-        // DKIM (до 30 баллов)
-        if (dkimStatus === 'ok') score += 30;
-        else if (dkimStatus === 'warning') score += 15;
-        
-        return score;
+    _calculateSecurityScore(result) {
+        return this.checks ? this.checks.calculateScore(result) : 0;
     }
     
     /**
@@ -1097,6 +3244,96 @@ class MultiModeDmarcClient {
     }
 }
 
+// Резолверы по умолчанию в порядке приоритета
+MultiModeDmarcClient.DEFAULT_DNS_RESOLVERS = [
+    'https://cloudflare-dns.com/dns-query',
+    'https://dns.google/dns-query',
+    'https://dns.quad9.net/dns-query'
+];
+
+// Идентификатор формата файла записанной DNS-сессии
+MultiModeDmarcClient.DNS_SESSION_FORMAT = 'dmarc-scanner-dns-session';
+
+// Коды ответа, допустимые в фикстурах (TIMEOUT имитирует отсутствие ответа)
+MultiModeDmarcClient.FIXTURE_RCODES = ['NXDOMAIN', 'SERVFAIL', 'REFUSED', 'TIMEOUT'];
+
+// Коды ошибок, после которых сканирование останавливается (продолжить можно из контрольной точки)
+MultiModeDmarcClient.SCAN_STOP_ERRORS = ['API_QUOTA_EXCEEDED', 'API_UNAUTHORIZED'];
+
+// Число одновременных запросов DKIM селекторов одного домена
+MultiModeDmarcClient.DKIM_PROBE_CONCURRENCY = 4;
+
+// Открытый ключ RSA 2048 бит (SubjectPublicKeyInfo, base64) для DKIM записей режима имитации
+MultiModeDmarcClient.SIMULATED_DKIM_KEY =
+    'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAp2L7MfSSqjWFtqksdetwBaMj7umbcYvaxItevBhn+hmXR/8eXZX66cQaa3IT8+cHw5TFHOr/MWBwpE0JmOS+qSACTiv7iTP7TkU+WbOndDwNWkLxsIa2xkqJjA29mmoAagk7pUCHpE2RD1DOHHo608dG' +
+    '/rHnUTfS30eIdVKgUuJoztP7jjthP58mrD94DexwWbfRZ9I2RM7KPYpL3GsXOcG+/9kP3vg9hn42V4SzKlECPyXExcrIyM/AKWiBBUoSPGLOJOHWRLmKn82oILKPqY0b6V0NndTHhgJgTmLThjAzfhq4pVxcU887LESwHaGvxesqgNbH6oyEl33xbIbnHQIDAQAB';
+
+// Методы проверки домена для каждого режима
+// Фикстуры и записанные сессии проходят тот же конвейер, что и офлайн-режим
+MultiModeDmarcClient.MODE_HANDLERS = {
+    api: '_checkDomainViaApi',
+    web: '_checkDomainViaWeb',
+    offline: '_checkDomainOffline',
+    simulation: '_simulateDomainCheck',
+    fixtures: '_checkDomainOffline',
+    replay: '_checkDomainOffline'
+};
+
+/**
+ * Регистрация встроенных проверок (MX, DMARC, SPF, DKIM) в реестре
+ * Уже зарегистрированные проверки не заменяются
+ * @param {CheckRegistry} registry - Реестр проверок
+ */
+MultiModeDmarcClient.registerBuiltinChecks = function(registry) {
+    const builtinChecks = [
+        {
+            name: 'mx',
+            title: 'MX',
+            column: false,
+            check: (domain, scope) => scope.client._getMxRecords(domain, scope.context),
+            emptyResult: () => []
+        },
+        {
+            name: 'dmarc',
+            title: 'DMARC',
+            weight: 40,
+            fields: [{ key: 'record', title: 'Запись' }, { key: 'policy', title: 'Политика' }],
+            check: (domain, scope) => scope.client._checkDmarc(domain, scope.context),
+            emptyResult: status => ({ status, policy: '', record: '' })
+        },
+        {
+            name: 'spf',
+            title: 'SPF',
+            weight: 30,
+            fields: [{ key: 'record', title: 'Запись' }],
+            check: (domain, scope) => scope.client._checkSpf(domain, scope.context),
+            emptyResult: status => ({ status, record: '' })
+        },
+        {
+            name: 'dkim',
+            title: 'DKIM',
+            weight: 30,
+            fields: [{ key: 'selectors', title: 'Селекторы' }],
+            check: (domain, scope) => scope.client._checkDkim(domain, scope.context),
+            emptyResult: status => ({ status, selectors: [] })
+        }
+    ];
+    
+    builtinChecks.forEach(provider => {
+        if (!registry.has(provider.name)) {
+            registry.register({ ...provider, builtin: true });
+        }
+    });
+};
+
+/**
+ * Генерация случайного seed для режима симуляции
+ * @returns {string} - Seed из 8 шестнадцатеричных символов
+ */
+MultiModeDmarcClient.generateSeed = function() {
+    return Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+};
+
 // Делаем класс MultiModeDmarcClient доступным глобально
 window.MultiModeDmarcClient = MultiModeDmarcClient;
 
@@ -1110,15 +3347,37 @@ document.addEventListener('DOMContentLoaded', () => {
         const delay = window.StorageManager?.get('request_delay', { defaultValue: 1000 }) || 1000;
         const concurrentRequests = window.StorageManager?.get('concurrent_requests', { defaultValue: 3 }) || 3;
         const apiKey = window.StorageManager?.get('api_key', { defaultValue: '' }) || '';
+        const useApi = window.StorageManager?.get('use_api', { defaultValue: false }) === true;
+        const apiBaseUrl = window.StorageManager?.get('api_base_url', { defaultValue: '' }) || '';
+        const webLookupUrl = window.StorageManager?.get('web_lookup_url', { defaultValue: '' }) || '';
         const savedMode = window.StorageManager?.get('dmarc_client_mode', { defaultValue: 'simulation' }) || 'simulation';
+        const dnsResolvers = window.StorageManager?.get('dns_resolvers', { defaultValue: null }) || null;
+        const dnsConsensus = window.StorageManager?.get('dns_consensus', { defaultValue: false }) === true;
+        const dmarcSpec = window.StorageManager?.get('dmarc_spec', { defaultValue: 'rfc7489' }) || 'rfc7489';
+        const dkimSelectors = window.StorageManager?.get('dkim_selectors', { defaultValue: null }) || null;
+        const simulationSeed = window.StorageManager?.get('simulation_seed', { defaultValue: '' }) || '';
+        const fixtures = window.StorageManager?.get('dns_fixtures', { defaultValue: null }) || null;
+        const dnsRecording = window.StorageManager?.get('dns_record_session', { defaultValue: false }) || false;
+        const replaySession = window.StorageManager?.get('dns_replay_session', { defaultValue: null }) || null;
         
         // Создаем клиент
         window.dmarcClient = new MultiModeDmarcClient({
             mode: savedMode,
+            simulationSeed,
+            fixtures,
+            dnsRecording,
+            replaySession,
             delay,
             concurrentRequests,
             apiKey,
-            cacheEnabled: true
+            useApi,
+            apiBaseUrl,
+            webLookupUrl,
+            cacheEnabled: true,
+            dnsResolvers,
+            dnsConsensus,
+            dmarcSpec,
+            dkimSelectors
         });
         
         // Оповещаем о создании клиента
@@ -262,6 +262,8 @@ class ResultsManager {
      * @private
      */
     _applyFiltersAndSort() {
+        const customChecks = this._getCustomCheckNames();
+        
         // Применяем фильтры
         this.filteredResults = this.results.filter(result => {
             // Фильтр по DMARC
@@ -279,6 +281,12 @@ class ResultsManager {
                 return false;
             }
             
+            // Фильтры по статусам собственных проверок из реестра
+            if (customChecks.some(name => this.currentFilters[name] && this.currentFilters[name] !== 'all' &&
+                (!result[name] || result[name].status !== this.currentFilters[name]))) {
+                return false;
+            }
+            
             // Фильтр по оценке безопасности
             if (this.currentFilters.score > 0 && (result.securityScore === undefined || result.securityScore < this.currentFilters.score)) {
                 return false;
@@ -302,6 +310,7 @@ class ResultsManager {
      */
     _sortResults() {
         const { field, direction } = this.sortConfig;
+        const isCustomCheck = this._getCustomCheckNames().includes(field);
         
         this.filteredResults.sort((a, b) => {
             let valueA, valueB;
@@ -329,8 +338,14 @@ class ResultsManager {
                     valueB = b.securityScore || 0;
                     break;
                 default:
-                    valueA = a[field] || '';
-                    valueB = b[field] || '';
+                    // Собственные проверки из реестра сортируются по статусу
+                    if (isCustomCheck) {
+                        valueA = a[field] ? a[field].status : 'error';
+                        valueB = b[field] ? b[field].status : 'error';
+                    } else {
+                        valueA = a[field] || '';
+                        valueB = b[field] || '';
+                    }
             }
             
             // Сортировка по возрастанию/убыванию
@@ -342,6 +357,15 @@ class ResultsManager {
         });
     }
     
+    /**
+     * Имена собственных проверок со статусом из реестра (см. CheckRegistry)
+     * @returns {Array<string>} Имена проверок
+     * @private
+     */
+    _getCustomCheckNames() {
+        return window.checkRegistry ? window.checkRegistry.getColumns({ custom: true }).map(provider => provider.name) : [];
+    }
+    
     /**
      * Получение всех результатов
      * @returns {Array<Object>} Массив всех результатов
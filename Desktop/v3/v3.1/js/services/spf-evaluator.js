@@ -0,0 +1,824 @@
+/**
+ * Рекурсивный разбор SPF записи (RFC 7208)
+ * Раскрывает include и redirect, выполняет запросы механизмов a, mx, ptr и exists,
+ * считает DNS-запросы (лимит 10, RFC 7208, 4.6.4) и пустые ответы (лимит 2),
+ * находит циклы и ошибки, из-за которых получатели завершают проверку результатом permerror.
+ * checkHost вычисляет результат SPF для IP-адреса и отправителя так, как это делает получатель.
+ *
+ * Результат expand - дерево записи:
+ * {
+ *   domain: 'example.com',
+ *   record: 'v=spf1 include:_spf.example.net -all',
+ *   error: null,                 // permerror, temperror или none (у домена нет SPF записи)
+ *   rcode: 'NOERROR',            // код ответа на запрос TXT (если известен): NXDOMAIN - домена не существует
+ *   terms: [{
+ *       raw: 'include:_spf.example.net', type: 'mechanism', qualifier: '+', name: 'include',
+ *       target: '_spf.example.net',  // домен после подстановки макросов
+ *       lookup: true,                // терм требует DNS-запроса и учитывается в лимите
+ *       void: false,                 // запрос вернул пустой ответ
+ *       addresses: [],               // адреса ip4/ip6, a и mx
+ *       child: { ... },              // дерево включенной записи для include и redirect
+ *       unresolved: false,           // терм не раскрыт: макросы, ошибка DNS или превышен лимит раскрытия
+ *       note: null                   // пояснение: терм пропущен, не раскрыт без IP-адреса и т.п.
+ *   }]
+ * }
+ */
+class SpfEvaluator {
+    /**
+     * @param {Object} options - Параметры (нужна одна из функций)
+     * @param {Function} [options.lookup] - async (name, type) => [{ data }]; пустой массив при NXDOMAIN
+     *   и пустом ответе, исключение при ошибке DNS (исключение с флагом cancelled прерывает раскрытие)
+     * @param {Function} [options.resolve] - async (name, type) => { rcode, answers }; позволяет отличить
+     *   несуществующий домен include от домена без SPF записи
+     */
+    constructor(options = {}) {
+        if (typeof options.lookup !== 'function' && typeof options.resolve !== 'function') {
+            throw new Error('SpfEvaluator requires a lookup function');
+        }
+        
+        this.resolve = options.resolve || null;
+        this.lookup = options.lookup || (async (name, type) => (await options.resolve(name, type)).answers);
+    }
+    
+    /**
+     * Раскрытие SPF записи домена
+     * @param {string} domain - Доменное имя
+     * @param {Object} [options] - { record: уже полученная запись домена, чтобы не запрашивать ее повторно }
+     * @returns {Promise<Object>} - { tree, lookups, voidLookups, error, findings, truncated }
+     *   error - permerror, temperror или null,
+     *   findings - замечания { code, tag, severity, message, domain }
+     */
+    async expand(domain, options = {}) {
+        const state = {
+            lookups: 0,
+            voidLookups: 0,
+            truncated: false,
+            findings: [],
+            stack: []
+        };
+        
+        const tree = await this._expandDomain(domain.toLowerCase(), options.record || null, state);
+        
+        if (state.lookups > SpfEvaluator.LOOKUP_LIMIT) {
+            this._addFinding(state, 'lookup-limit', null, 'error', domain,
+                `SPF запись требует ${state.lookups} DNS-запросов при лимите ${SpfEvaluator.LOOKUP_LIMIT} (RFC 7208, 4.6.4). Получатели завершают проверку ошибкой permerror`);
+        } else if (state.lookups > SpfEvaluator.LOOKUP_LIMIT - 2) {
+            this._addFinding(state, 'lookup-limit-near', null, 'warning', domain,
+                `SPF запись требует ${state.lookups} DNS-запросов из ${SpfEvaluator.LOOKUP_LIMIT} допустимых. Новый include или изменение записи поставщика приведет к ошибке permerror`);
+        }
+        
+        if (state.voidLookups > SpfEvaluator.VOID_LOOKUP_LIMIT) {
+            this._addFinding(state, 'void-lookup-limit', null, 'error', domain,
+                `Пустых ответов на DNS-запросы SPF записи: ${state.voidLookups} при лимите ${SpfEvaluator.VOID_LOOKUP_LIMIT} (RFC 7208, 4.6.4). Получатели завершают проверку ошибкой permerror`);
+        }
+        
+        if (state.truncated) {
+            this._addFinding(state, 'expansion-truncated', null, 'info', domain,
+                `Раскрытие остановлено после ${SpfEvaluator.MAX_LOOKUPS} DNS-запросов`);
+        }
+        
+        let error = null;
+        if (state.findings.some(finding => finding.severity === 'error')) {
+            error = 'permerror';
+        } else if (state.findings.some(finding => finding.code === 'temperror')) {
+            error = 'temperror';
+        }
+        
+        return {
+            tree,
+            lookups: state.lookups,
+            voidLookups: state.voidLookups,
+            error,
+            findings: state.findings,
+            truncated: state.truncated
+        };
+    }
+    
+    /**
+     * Раскрытие SPF записи одного домена
+     * @param {string} domain - Доменное имя
+     * @param {string|null} record - Запись, если уже известна
+     * @param {Object} state - Состояние раскрытия (счетчики, замечания, стек доменов)
+     * @returns {Promise<Object>} - Узел дерева
+     * @private
+     */
+    async _expandDomain(domain, record, state) {
+        const node = {
+            domain,
+            record: '',
+            error: null,
+            rcode: null,
+            terms: []
+        };
+        
+        if (record === null) {
+            let answers;
+            try {
+                if (this.resolve) {
+                    const response = await this.resolve(domain, 'TXT');
+                    node.rcode = response.rcode;
+                    answers = response.answers;
+                } else {
+                    answers = await this.lookup(domain, 'TXT');
+                }
+            } catch (error) {
+                // Отмена проверки прерывает раскрытие
+                if (error.cancelled) {
+                    throw error;
+                }
+                node.error = 'temperror';
+                this._addFinding(state, 'temperror', null, 'warning', domain,
+                    `Не удалось получить SPF запись ${domain}: ${error.message}`);
+                return node;
+            }
+            
+            const records = answers.map(answer => answer.data).filter(data => SpfParser.looksLikeSpf(data));
+            
+            if (records.length === 0) {
+                node.error = 'none';
+                return node;
+            }
+            
+            if (records.length > 1) {
+                node.error = 'permerror';
+                node.record = records[0];
+                this._addFinding(state, 'include-multiple-records', domain, 'error', domain,
+                    `У домена ${domain} найдено SPF записей: ${records.length} (RFC 7208, 4.5)`);
+                return node;
+            }
+            
+            record = records[0];
+        }
+        
+        node.record = record;
+        const parsed = SpfParser.parse(record);
+        
+        node.terms = parsed.terms.map(term => ({
+            raw: term.raw,
+            type: term.type,
+            qualifier: term.qualifier,
+            name: term.name,
+            target: term.target,
+            lookup: false,
+            void: false,
+            addresses: [],
+            child: null,
+            unresolved: false,
+            note: null
+        }));
+        
+        // Запись с синтаксической ошибкой не вычисляется (RFC 7208, 4.6)
+        if (!parsed.valid) {
+            node.error = 'permerror';
+            // Ошибки корневой записи показывает разбор записи, здесь - только включенные записи
+            if (state.stack.length > 0) {
+                const errors = parsed.findings.filter(finding => finding.severity === 'error');
+                this._addFinding(state, 'include-syntax', domain, 'error', domain,
+                    `SPF запись ${domain} содержит ошибки: ${errors.map(finding => finding.message).join('; ')}`);
+            }
+            return node;
+        }
+        
+        state.stack.push(domain);
+        
+        for (let i = 0; i < parsed.terms.length; i++) {
+            await this._expandTerm(parsed.terms[i], node.terms[i], domain, parsed, state);
+        }
+        
+        state.stack.pop();
+        
+        return node;
+    }
+    
+    /**
+     * Раскрытие терма: DNS-запросы механизма и включенные записи
+     * @param {Object} term - Терм из SpfParser.parse
+     * @param {Object} entry - Терм узла дерева (заполняется)
+     * @param {string} domain - Домен записи
+     * @param {Object} parsed - Разобранная запись
+     * @param {Object} state - Состояние раскрытия
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _expandTerm(term, entry, domain, parsed, state) {
+        if (term.type === 'modifier' && term.name !== 'redirect') {
+            return;
+        }
+        
+        // При наличии all модификатор redirect не применяется (RFC 7208, 6.1)
+        if (term.name === 'redirect' && parsed.all !== null) {
+            entry.note = 'Игнорируется: в записи есть all';
+            return;
+        }
+        
+        if (term.name === 'ip4' || term.name === 'ip6') {
+            entry.addresses = [term.value];
+            return;
+        }
+        
+        if (term.name === 'all') {
+            return;
+        }
+        
+        // Остальные механизмы и redirect требуют DNS-запроса
+        entry.lookup = true;
+        state.lookups++;
+        
+        if (state.lookups > SpfEvaluator.MAX_LOOKUPS) {
+            state.truncated = true;
+            entry.unresolved = true;
+            entry.note = 'Не раскрыт: превышен лимит раскрытия';
+            return;
+        }
+        
+        const target = term.target ? SpfParser.expandMacros(term.target, { domain }) : domain;
+        if (target === null) {
+            entry.unresolved = true;
+            entry.note = 'Содержит макросы, которые раскрываются только при проверке письма';
+            return;
+        }
+        entry.target = target.toLowerCase().replace(/\.$/, '');
+        
+        try {
+            switch (term.name) {
+                case 'include':
+                case 'redirect':
+                    await this._expandInclude(term, entry, domain, state);
+                    break;
+                
+                case 'a':
+                    entry.addresses = await this._resolveAddresses(entry.target, term);
+                    entry.void = entry.addresses.length === 0;
+                    break;
+                
+                case 'mx':
+                    await this._expandMx(term, entry, domain, state);
+                    break;
+                
+                case 'exists':
+                    entry.void = (await this.lookup(entry.target, 'A')).length === 0;
+                    break;
+                
+                case 'ptr':
+                    entry.note = 'Раскрывается только для IP-адреса отправителя';
+                    break;
+            }
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            entry.unresolved = true;
+            entry.note = `Ошибка DNS: ${error.message}`;
+            this._addFinding(state, 'temperror', term.raw, 'warning', domain,
+                `Не удалось выполнить DNS-запрос для ${term.raw} (${domain}): ${error.message}`);
+            return;
+        }
+        
+        if (entry.void) {
+            state.voidLookups++;
+        }
+    }
+    
+    /**
+     * Раскрытие include и redirect
+     * @param {Object} term - Терм
+     * @param {Object} entry - Терм узла дерева
+     * @param {string} domain - Домен записи
+     * @param {Object} state - Состояние раскрытия
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _expandInclude(term, entry, domain, state) {
+        const kind = term.name === 'include' ? 'include' : 'redirect';
+        
+        if (state.stack.includes(entry.target)) {
+            entry.note = 'Цикл';
+            this._addFinding(state, 'include-loop', term.raw, 'error', domain,
+                `${term.raw} в записи ${domain} образует цикл: ${[...state.stack, entry.target].join(' → ')}`);
+            return;
+        }
+        
+        entry.child = await this._expandDomain(entry.target, null, state);
+        
+        if (entry.child.error === 'none') {
+            // Отсутствие записи - пустой ответ и ошибка permerror (RFC 7208, 5.2 и 6.1)
+            entry.void = true;
+            
+            if (entry.child.rcode === 'NXDOMAIN') {
+                // Несуществующий домен - обычно остаток от сервиса, который больше не используется
+                this._addFinding(state, `${kind}-nxdomain`, term.raw, 'error', domain,
+                    `Домен ${entry.target} из ${term.raw} (${domain}) не существует (NXDOMAIN): вероятно, сервис больше не используется. Получатели завершают проверку ошибкой permerror`);
+            } else {
+                this._addFinding(state, `${kind}-no-record`, term.raw, 'error', domain,
+                    `У домена ${entry.target} из ${term.raw} (${domain}) нет SPF записи. Получатели завершают проверку ошибкой permerror`);
+            }
+        }
+    }
+    
+    /**
+     * Раскрытие механизма mx: запрос MX и адресов почтовых серверов
+     * Запросы адресов не учитываются в лимите 10, но серверов должно быть не больше 10 (RFC 7208, 4.6.4)
+     * @param {Object} term - Терм
+     * @param {Object} entry - Терм узла дерева
+     * @param {string} domain - Домен записи
+     * @param {Object} state - Состояние раскрытия
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _expandMx(term, entry, domain, state) {
+        const exchanges = (await this.lookup(entry.target, 'MX'))
+            .map(answer => String(answer.data).trim().split(/\s+/).pop().replace(/\.$/, ''))
+            .filter(Boolean);
+        
+        entry.void = exchanges.length === 0;
+        
+        if (exchanges.length > SpfEvaluator.MX_LIMIT) {
+            this._addFinding(state, 'mx-limit', term.raw, 'error', domain,
+                `${term.raw} (${domain}): у домена ${entry.target} ${exchanges.length} MX записей при лимите ${SpfEvaluator.MX_LIMIT} (RFC 7208, 4.6.4)`);
+        }
+        
+        for (const exchange of exchanges.slice(0, SpfEvaluator.MX_LIMIT)) {
+            entry.addresses.push(...await this._resolveAddresses(exchange, term));
+        }
+    }
+    
+    /**
+     * Адреса IPv4 и IPv6 домена с префиксами механизма
+     * @param {string} name - Доменное имя
+     * @param {Object} term - Терм (prefix4, prefix6)
+     * @returns {Promise<Array<string>>}
+     * @private
+     */
+    async _resolveAddresses(name, term) {
+        const ipv4 = await this.lookup(name, 'A');
+        const ipv6 = await this.lookup(name, 'AAAA');
+        
+        return [
+            ...ipv4.map(answer => answer.data + (term.prefix4 !== null ? `/${term.prefix4}` : '')),
+            ...ipv6.map(answer => answer.data + (term.prefix6 !== null ? `/${term.prefix6}` : ''))
+        ];
+    }
+    
+    /**
+     * Вычисление результата SPF для IP-адреса и отправителя (функция check_host, RFC 7208, 4)
+     * @param {string} ip - IP-адрес отправляющего сервера (IPv4 или IPv6)
+     * @param {string} domain - Домен, SPF запись которого проверяется
+     * @param {string} [sender] - Отправитель из MAIL FROM (user@domain); по умолчанию postmaster@domain
+     * @param {Object} [options] - { helo: имя из HELO/EHLO, по умолчанию домен отправителя }
+     * @returns {Promise<Object>} - { result, mechanism, domain, path, explanation, message, lookups, voidLookups }
+     *   result - pass, fail, softfail, neutral, none, permerror или temperror,
+     *   mechanism - сработавший терм записи домена, path - цепочка термов до сработавшего механизма
+     *   (например, include и ip4 включенной записи), domain - запись, в которой он находится
+     * @throws {Error} - Некорректный IP-адрес
+     */
+    async checkHost(ip, domain, sender = '', options = {}) {
+        let address = SpfParser.parseIp(ip);
+        if (!address) {
+            throw new Error(`Некорректный IP-адрес: ${ip}`);
+        }
+        
+        // Адрес IPv4, отображенный в IPv6 (::ffff:a.b.c.d), проверяется как IPv4
+        if (address.version === 6 && address.bytes.slice(0, 10).every(byte => byte === 0) &&
+            address.bytes[10] === 0xff && address.bytes[11] === 0xff) {
+            address = { version: 4, bytes: address.bytes.slice(12) };
+        }
+        
+        const name = domain.toLowerCase().replace(/\.$/, '');
+        
+        // Отправитель без локальной части считается postmaster (RFC 7208, 4.3)
+        let mailFrom = String(sender || '').trim() || name;
+        if (!mailFrom.includes('@')) {
+            mailFrom = `postmaster@${mailFrom}`;
+        } else if (mailFrom.startsWith('@')) {
+            mailFrom = `postmaster${mailFrom}`;
+        }
+        const at = mailFrom.lastIndexOf('@');
+        
+        const state = {
+            lookups: 0,
+            voidLookups: 0,
+            stack: [],
+            macros: {
+                ip: address,
+                sender: mailFrom,
+                local: mailFrom.slice(0, at),
+                senderDomain: mailFrom.slice(at + 1).toLowerCase(),
+                helo: options.helo || mailFrom.slice(at + 1).toLowerCase()
+            }
+        };
+        
+        let outcome;
+        try {
+            outcome = await this._checkHost(name, state);
+        } catch (error) {
+            if (!error.spfResult) {
+                throw error;
+            }
+            outcome = {
+                result: error.spfResult,
+                mechanism: null,
+                domain: null,
+                path: [],
+                explanation: null,
+                message: error.message
+            };
+        }
+        
+        return {
+            ...outcome,
+            lookups: state.lookups,
+            voidLookups: state.voidLookups
+        };
+    }
+    
+    /**
+     * check_host для одного домена
+     * Ошибки permerror и temperror передаются исключением с полем spfResult
+     * @param {string} domain - Домен
+     * @param {Object} state - Состояние проверки (счетчики, стек доменов, значения макросов)
+     * @returns {Promise<Object>} - { result, mechanism, domain, path, explanation, message }
+     * @private
+     */
+    async _checkHost(domain, state) {
+        const records = (await this._query(domain, 'TXT'))
+            .map(answer => answer.data)
+            .filter(data => SpfParser.looksLikeSpf(data) && !/^\s/.test(data));
+        
+        if (records.length === 0) {
+            return this._createOutcome('none', null, domain, [], `У домена ${domain} нет SPF записи`);
+        }
+        
+        if (records.length > 1) {
+            throw this._createError('permerror', `У домена ${domain} найдено SPF записей: ${records.length}`);
+        }
+        
+        const parsed = SpfParser.parse(records[0]);
+        if (!parsed.valid) {
+            const error = parsed.findings.find(finding => finding.severity === 'error');
+            throw this._createError('permerror', `SPF запись ${domain} содержит ошибки: ${error ? error.message : records[0]}`);
+        }
+        
+        state.stack.push(domain);
+        
+        for (const term of parsed.terms.filter(item => item.type === 'mechanism')) {
+            const match = await this._matchMechanism(term, domain, state);
+            if (!match) {
+                continue;
+            }
+            
+            state.stack.pop();
+            
+            const result = SpfEvaluator.QUALIFIER_RESULTS[term.qualifier];
+            const explanation = result === 'fail' ? await this._getExplanation(parsed, domain, state) : null;
+            return this._createOutcome(result, term.raw, match.domain || domain, [term.raw, ...(match.path || [])],
+                `Сработал механизм ${term.raw} записи ${domain}`, explanation);
+        }
+        
+        // Ни один механизм не сработал: redirect или neutral (RFC 7208, 4.7)
+        const redirect = parsed.terms.find(term => term.type === 'modifier' && term.name === 'redirect');
+        
+        if (redirect && parsed.all === null) {
+            this._countLookup(state);
+            const target = this._expandTarget(redirect.target, domain, state);
+            
+            if (state.stack.includes(target)) {
+                throw this._createError('permerror', `${redirect.raw} в записи ${domain} образует цикл`);
+            }
+            
+            const outcome = await this._checkHost(target, state);
+            state.stack.pop();
+            
+            if (outcome.result === 'none') {
+                throw this._createError('permerror', `У домена ${target} из ${redirect.raw} (${domain}) нет SPF записи`);
+            }
+            return { ...outcome, path: [redirect.raw, ...outcome.path] };
+        }
+        
+        state.stack.pop();
+        return this._createOutcome('neutral', null, domain, [], `Ни один механизм записи ${domain} не сработал`);
+    }
+    
+    /**
+     * Проверка совпадения механизма с IP-адресом (RFC 7208, 5)
+     * @param {Object} term - Механизм из SpfParser.parse
+     * @param {string} domain - Домен записи
+     * @param {Object} state - Состояние проверки
+     * @returns {Promise<Object|null>} - { domain, path } для include, {} для остальных механизмов или null
+     * @private
+     */
+    async _matchMechanism(term, domain, state) {
+        const ip = state.macros.ip;
+        
+        switch (term.name) {
+            case 'all':
+                return {};
+            
+            case 'ip4':
+            case 'ip6': {
+                const network = SpfParser.parseIp(term.target);
+                const prefix = term.name === 'ip4' ? term.prefix4 : term.prefix6;
+                return network.version === ip.version && SpfParser.inNetwork(ip, network, prefix) ? {} : null;
+            }
+            
+            case 'a': {
+                this._countLookup(state);
+                const target = this._expandTarget(term.target, domain, state);
+                const addresses = await this._query(target, ip.version === 4 ? 'A' : 'AAAA');
+                this._countVoid(state, addresses);
+                return this._matchesAddresses(ip, addresses, term) ? {} : null;
+            }
+            
+            case 'mx': {
+                this._countLookup(state);
+                const target = this._expandTarget(term.target, domain, state);
+                const exchanges = await this._query(target, 'MX');
+                this._countVoid(state, exchanges);
+                
+                if (exchanges.length > SpfEvaluator.MX_LIMIT) {
+                    throw this._createError('permerror', `У домена ${target} больше ${SpfEvaluator.MX_LIMIT} MX записей (${term.raw})`);
+                }
+                
+                for (const exchange of exchanges) {
+                    const host = String(exchange.data).trim().split(/\s+/).pop().replace(/\.$/, '');
+                    if (this._matchesAddresses(ip, await this._query(host, ip.version === 4 ? 'A' : 'AAAA'), term)) {
+                        return {};
+                    }
+                }
+                return null;
+            }
+            
+            case 'ptr': {
+                this._countLookup(state);
+                const target = this._expandTarget(term.target, domain, state);
+                const names = await this._getValidatedNames(ip);
+                return names.some(name => name === target || name.endsWith(`.${target}`)) ? {} : null;
+            }
+            
+            case 'exists': {
+                this._countLookup(state);
+                const target = this._expandTarget(term.target, domain, state);
+                const addresses = await this._query(target, 'A');
+                this._countVoid(state, addresses);
+                return addresses.length > 0 ? {} : null;
+            }
+            
+            case 'include': {
+                this._countLookup(state);
+                const target = this._expandTarget(term.target, domain, state);
+                
+                if (state.stack.includes(target)) {
+                    throw this._createError('permerror', `${term.raw} в записи ${domain} образует цикл`);
+                }
+                
+                // Результат включенной записи: pass - совпадение, fail, softfail и neutral - нет (RFC 7208, 5.2)
+                const outcome = await this._checkHost(target, state);
+                if (outcome.result === 'pass') {
+                    return { domain: outcome.domain, path: outcome.path };
+                }
+                if (outcome.result === 'none') {
+                    throw this._createError('permerror', `У домена ${target} из ${term.raw} (${domain}) нет SPF записи`);
+                }
+                return null;
+            }
+            
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Подтвержденные имена IP-адреса для механизма ptr (RFC 7208, 5.5)
+     * Ошибки DNS при запросе PTR означают несовпадение механизма
+     * @param {Object} ip - { version, bytes }
+     * @returns {Promise<Array<string>>}
+     * @private
+     */
+    async _getValidatedNames(ip) {
+        let names;
+        try {
+            names = await this.lookup(this._getReverseName(ip), 'PTR');
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            return [];
+        }
+        
+        const validated = [];
+        for (const answer of names.slice(0, SpfEvaluator.PTR_LIMIT)) {
+            const name = String(answer.data).toLowerCase().replace(/\.$/, '');
+            try {
+                const addresses = await this.lookup(name, ip.version === 4 ? 'A' : 'AAAA');
+                if (this._matchesAddresses(ip, addresses, { prefix4: null, prefix6: null })) {
+                    validated.push(name);
+                }
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+            }
+        }
+        return validated;
+    }
+    
+    /**
+     * Пояснение отказа из модификатора exp (RFC 7208, 6.2)
+     * Ошибки при получении пояснения не влияют на результат
+     * @param {Object} parsed - Разобранная запись
+     * @param {string} domain - Домен записи
+     * @param {Object} state - Состояние проверки
+     * @returns {Promise<string|null>}
+     * @private
+     */
+    async _getExplanation(parsed, domain, state) {
+        const exp = parsed.terms.find(term => term.type === 'modifier' && term.name === 'exp');
+        if (!exp) {
+            return null;
+        }
+        
+        try {
+            const target = this._expandTarget(exp.target, domain, state);
+            const answers = await this.lookup(target, 'TXT');
+            if (answers.length !== 1) {
+                return null;
+            }
+            return SpfParser.expandMacros(answers[0].data, { ...state.macros, domain, explanation: true });
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * DNS-запрос для check_host: ошибка DNS дает temperror
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @returns {Promise<Array<Object>>}
+     * @private
+     */
+    async _query(name, type) {
+        try {
+            return await this.lookup(name, type);
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            throw this._createError('temperror', `Ошибка DNS для ${name} (${type}): ${error.message}`);
+        }
+    }
+    
+    /**
+     * Учет DNS-запроса механизма или redirect (лимит 10, RFC 7208, 4.6.4)
+     * @param {Object} state - Состояние проверки
+     * @private
+     */
+    _countLookup(state) {
+        state.lookups++;
+        if (state.lookups > SpfEvaluator.LOOKUP_LIMIT) {
+            throw this._createError('permerror', `Превышен лимит ${SpfEvaluator.LOOKUP_LIMIT} DNS-запросов (RFC 7208, 4.6.4)`);
+        }
+    }
+    
+    /**
+     * Учет пустого ответа (лимит 2, RFC 7208, 4.6.4)
+     * @param {Object} state - Состояние проверки
+     * @param {Array<Object>} answers - Ответы DNS
+     * @private
+     */
+    _countVoid(state, answers) {
+        if (answers.length > 0) {
+            return;
+        }
+        state.voidLookups++;
+        if (state.voidLookups > SpfEvaluator.VOID_LOOKUP_LIMIT) {
+            throw this._createError('permerror', `Превышен лимит ${SpfEvaluator.VOID_LOOKUP_LIMIT} пустых ответов DNS (RFC 7208, 4.6.4)`);
+        }
+    }
+    
+    /**
+     * Домен механизма после подстановки макросов; без домена - домен записи
+     * Имя длиннее 253 символов укорачивается слева по меткам (RFC 7208, 7.3)
+     * @param {string} spec - domain-spec механизма
+     * @param {string} domain - Домен записи
+     * @param {Object} state - Состояние проверки
+     * @returns {string}
+     * @private
+     */
+    _expandTarget(spec, domain, state) {
+        if (!spec) {
+            return domain;
+        }
+        
+        let target = SpfParser.expandMacros(spec, { ...state.macros, domain });
+        if (target === null) {
+            throw this._createError('permerror', `Не удалось подставить макросы в ${spec}`);
+        }
+        
+        target = target.toLowerCase().replace(/\.$/, '');
+        while (target.length > 253 && target.includes('.')) {
+            target = target.slice(target.indexOf('.') + 1);
+        }
+        return target;
+    }
+    
+    /**
+     * Совпадает ли IP-адрес с одним из адресов ответа с учетом префиксов механизма
+     * @param {Object} ip - { version, bytes }
+     * @param {Array<Object>} answers - Ответы A или AAAA
+     * @param {Object} term - { prefix4, prefix6 }
+     * @returns {boolean}
+     * @private
+     */
+    _matchesAddresses(ip, answers, term) {
+        const prefix = ip.version === 4 ? term.prefix4 : term.prefix6;
+        return answers.some(answer => {
+            const network = SpfParser.parseIp(answer.data);
+            return network && network.version === ip.version && SpfParser.inNetwork(ip, network, prefix);
+        });
+    }
+    
+    /**
+     * Имя для обратного запроса PTR (in-addr.arpa или ip6.arpa)
+     * @param {Object} ip - { version, bytes }
+     * @returns {string}
+     * @private
+     */
+    _getReverseName(ip) {
+        return `${SpfParser.expandMacros('%{ir}.%{v}', { ip })}.arpa`;
+    }
+    
+    /**
+     * Создание результата check_host
+     * @param {string} result - Результат SPF
+     * @param {string|null} mechanism - Сработавший терм
+     * @param {string} domain - Домен записи со сработавшим механизмом
+     * @param {Array<string>} path - Цепочка термов до сработавшего механизма
+     * @param {string} message - Описание
+     * @param {string|null} [explanation] - Пояснение отказа из exp
+     * @returns {Object}
+     * @private
+     */
+    _createOutcome(result, mechanism, domain, path, message, explanation = null) {
+        return { result, mechanism, domain, path, explanation, message };
+    }
+    
+    /**
+     * Создание ошибки permerror или temperror
+     * @param {string} result - permerror или temperror
+     * @param {string} message - Описание
+     * @returns {Error}
+     * @private
+     */
+    _createError(result, message) {
+        const error = new Error(message);
+        error.spfResult = result;
+        return error;
+    }
+    
+    /**
+     * Добавление замечания (одно замечание на код, терм и домен)
+     * @param {Object} state - Состояние раскрытия
+     * @param {string} code - Код замечания
+     * @param {string|null} tag - Терм или домен, к которому относится замечание
+     * @param {string} severity - error, warning или info
+     * @param {string} domain - Домен записи
+     * @param {string} message - Описание
+     * @private
+     */
+    _addFinding(state, code, tag, severity, domain, message) {
+        if (state.findings.some(finding => finding.code === code && finding.tag === tag && finding.domain === domain)) {
+            return;
+        }
+        
+        state.findings.push({ code, tag, severity, message, domain });
+    }
+}
+
+// Лимит DNS-запросов механизмов и модификаторов (RFC 7208, 4.6.4)
+SpfEvaluator.LOOKUP_LIMIT = 10;
+
+// Лимит пустых ответов (RFC 7208, 4.6.4)
+SpfEvaluator.VOID_LOOKUP_LIMIT = 2;
+
+// Лимит почтовых серверов механизма mx (RFC 7208, 4.6.4)
+SpfEvaluator.MX_LIMIT = 10;
+
+// Лимит имен, проверяемых механизмом ptr (RFC 7208, 4.6.4)
+SpfEvaluator.PTR_LIMIT = 10;
+
+// Результаты check_host по квалификатору сработавшего механизма (RFC 7208, 4.6.2)
+SpfEvaluator.QUALIFIER_RESULTS = {
+    '+': 'pass',
+    '-': 'fail',
+    '~': 'softfail',
+    '?': 'neutral'
+};
+
+// После этого числа запросов раскрытие прекращается, чтобы показать, насколько превышен лимит,
+// не опрашивая DNS бесконечно (например, при длинной цепочке include)
+SpfEvaluator.MAX_LOOKUPS = 30;
+
+// Делаем класс доступным глобально
+window.SpfEvaluator = SpfEvaluator;
@@ -0,0 +1,483 @@
+/**
+ * Сглаживание SPF записи
+ * Заменяет include, a и mx адресами ip4/ip6 из дерева записи (см. SpfEvaluator.expand),
+ * чтобы уложиться в лимит 10 DNS-запросов. Соседние и вложенные диапазоны объединяются
+ * в более широкие CIDR без расширения множества адресов. Адреса пишутся прямо в основную
+ * запись, пока она помещается в ответ, остальные раскладываются по цепочке записей
+ * _spf1.<домен>, _spf2.<домен>, ..., каждая из которых включает следующую.
+ * Строки TXT не длиннее 255 символов, DNS-ответ с записью не больше 512 байт.
+ * Если и после сглаживания запросов больше 10, добавляется предупреждение lookup-limit (error).
+ *
+ * Результат flatten:
+ * {
+ *   domain: 'example.com',
+ *   records: [
+ *       { name: 'example.com', value: 'v=spf1 ip4:198.51.100.0/22 ... include:_spf1.example.com -all', strings: [...], size: 498 },
+ *       { name: '_spf1.example.com', value: 'v=spf1 ip4:192.0.2.0/24 ... include:_spf2.example.com', ... }
+ *   ],
+ *   lookupsBefore: 14,
+ *   lookupsAfter: 2,
+ *   addresses: 57,
+ *   warnings: [{ code, tag, severity, message }]
+ * }
+ */
+class SpfFlattener {
+    /**
+     * @param {Object} [options] - { maxStringLength, maxResponseSize }
+     */
+    constructor(options = {}) {
+        this.maxStringLength = options.maxStringLength || SpfFlattener.MAX_STRING_LENGTH;
+        this.maxResponseSize = options.maxResponseSize || SpfFlattener.MAX_RESPONSE_SIZE;
+    }
+    
+    /**
+     * Построение сглаженной записи
+     * Термы, которые нельзя заменить адресами (exists, ptr, макросы, include с ошибками),
+     * остаются в основной записи на своих местах
+     * @param {string} domain - Доменное имя
+     * @param {Object} expansion - Результат SpfEvaluator.expand
+     * @returns {Object} - Сглаженная запись (см. описание класса)
+     * @throws {Error} - У домена нет SPF записи или запись раскрыта не полностью
+     */
+    flatten(domain, expansion) {
+        const name = domain.toLowerCase().replace(/\.$/, '');
+        
+        if (!expansion.tree || !expansion.tree.record) {
+            throw new Error(`У домена ${name} нет SPF записи`);
+        }
+        
+        if (expansion.truncated) {
+            throw new Error(`SPF запись ${name} раскрыта не полностью: сгладить ее нельзя`);
+        }
+        
+        const warnings = [];
+        const addWarning = (code, tag, severity, message) => {
+            if (!warnings.some(warning => warning.code === code && warning.tag === tag)) {
+                warnings.push({ code, tag, severity, message });
+            }
+        };
+        
+        const items = this._dedupe(this._cutAfterAll(this._collectTerms(expansion.tree, null, addWarning)));
+        this._findVolatileIncludes(expansion.tree, addWarning);
+        
+        // Серии адресов с квалификатором "+" можно писать в основную запись или выносить
+        // в цепочки включаемых записей; адреса с другими квалификаторами остаются в основной
+        // записи, так как include срабатывает только при результате pass
+        const layout = [];
+        let run = [];
+        
+        const flushRun = () => {
+            if (run.length > 0) {
+                layout.push({ inline: [], rest: this._mergeRanges(run) });
+                run = [];
+            }
+        };
+        
+        items.forEach(item => {
+            if (item.address && item.qualifier === '+') {
+                run.push(item);
+            } else {
+                flushRun();
+                layout.push({ item });
+            }
+        });
+        flushRun();
+        
+        this._placeInline(name, layout);
+        
+        // Остаток каждой серии - в цепочку; каждая запись цепочки стоит одного DNS-запроса
+        const mainTerms = [];
+        const chains = [];
+        layout.forEach(entry => {
+            if (entry.item) {
+                mainTerms.push(entry.item);
+                return;
+            }
+            mainTerms.push(...entry.inline);
+            if (entry.rest.length > 0) {
+                const chain = this._packChain(entry.rest, name, chains.length);
+                chains.push(...chain);
+                mainTerms.push({ text: `include:${chain[0].name}`, lookups: chain.length });
+            }
+        });
+        
+        const main = this._createRecord(name, mainTerms.map(item => item.text));
+        if (main.size > this.maxResponseSize) {
+            addWarning('record-too-large', name, 'warning',
+                `Основная запись занимает ${main.size} байт в DNS-ответе (больше ${this.maxResponseSize}): перенесите оставшиеся термы во включаемые записи`);
+        }
+        
+        const lookupsAfter = mainTerms.reduce((total, item) => total + (item.lookups || 0), 0);
+        if (lookupsAfter > SpfEvaluator.LOOKUP_LIMIT) {
+            addWarning('lookup-limit', null, 'error',
+                `Сглаженная запись требует ${lookupsAfter} DNS-запросов (лимит ${SpfEvaluator.LOOKUP_LIMIT}): получатели вернут permerror. ` +
+                'Сократите число адресов или термов, которые нельзя заменить адресами, или разделите отправку по поддоменам');
+        }
+        
+        addWarning('snapshot', null, 'info',
+            'Сглаженная запись содержит адреса на момент проверки: при изменении адресов поставщиков ее нужно построить заново');
+        
+        return {
+            domain: name,
+            records: [main, ...chains],
+            lookupsBefore: expansion.lookups,
+            lookupsAfter,
+            addresses: items.filter(item => item.address).length,
+            warnings
+        };
+    }
+    
+    /**
+     * Сбор термов сглаженной записи в порядке вычисления
+     * @param {Object} node - Узел дерева SpfEvaluator
+     * @param {string|null} qualifier - Квалификатор include, внутри которого находится узел (null - основная запись)
+     * @param {Function} addWarning - Добавление предупреждения
+     * @returns {Array<Object>} - Термы { text, qualifier, address, all, lookups }
+     * @private
+     */
+    _collectTerms(node, qualifier, addWarning) {
+        const items = [];
+        
+        for (const term of node.terms) {
+            if (term.type === 'modifier') {
+                // redirect продолжает вычисление в записи другого домена; без all он применяется
+                if (term.name === 'redirect' && term.lookup) {
+                    if (term.child && !term.child.error && this._isFlattenable(term.child)) {
+                        items.push(...this._collectTerms(term.child, qualifier, addWarning));
+                    } else {
+                        addWarning('not-flattened', term.raw, 'warning', `${term.raw} (${node.domain}) не раскрыт и оставлен без изменений`);
+                        items.push({ text: term.raw, lookups: 1 });
+                    }
+                } else if (term.name === 'exp' && qualifier === null) {
+                    items.push({ text: term.raw, modifier: true });
+                }
+                continue;
+            }
+            
+            // Внутри include срабатывают только термы с результатом pass
+            if (qualifier !== null && term.qualifier !== '+') {
+                if (term.name !== 'all') {
+                    addWarning('include-qualifiers', null, 'info',
+                        'Термы с квалификаторами "-", "~" и "?" во включаемых записях не влияют на результат include и пропущены');
+                }
+                continue;
+            }
+            
+            const effective = qualifier || term.qualifier;
+            const prefix = effective === '+' ? '' : effective;
+            
+            if (term.unresolved) {
+                addWarning('not-flattened', term.raw, 'warning', `${term.raw} (${node.domain}) не раскрыт и оставлен без изменений`);
+                items.push({ text: `${prefix}${term.raw.replace(/^[+\-~?]/, '')}`, lookups: 1 });
+                continue;
+            }
+            
+            switch (term.name) {
+                case 'ip4':
+                case 'ip6':
+                case 'a':
+                case 'mx':
+                    term.addresses.forEach(address => {
+                        items.push({
+                            text: `${prefix}${address.includes(':') ? 'ip6' : 'ip4'}:${address}`,
+                            qualifier: effective,
+                            address: true
+                        });
+                    });
+                    break;
+                
+                case 'include':
+                    if (term.child && !term.child.error && this._isFlattenable(term.child)) {
+                        items.push(...this._collectTerms(term.child, effective, addWarning));
+                    } else {
+                        addWarning('not-flattened', term.raw, 'warning',
+                            `${term.raw} (${node.domain}) содержит ошибки или термы, которые нельзя заменить адресами, и оставлен без изменений`);
+                        items.push({ text: `${prefix}include:${term.target}`, lookups: 1 + (term.child ? this._countLookups(term.child) : 0) });
+                    }
+                    break;
+                
+                case 'exists':
+                case 'ptr':
+                    // Домен уже раскрыт относительно записи, в которой находился терм
+                    addWarning('not-flattened', term.raw, 'info', `${term.raw} (${node.domain}) нельзя заменить адресами`);
+                    items.push({ text: `${prefix}${term.name}:${term.target || node.domain}`, lookups: 1 });
+                    break;
+                
+                case 'all':
+                    items.push({ text: `${prefix}all`, all: true });
+                    break;
+            }
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Можно ли заменить запись адресами: в ее поддереве нет нераскрытых термов
+     * @param {Object} node - Узел дерева
+     * @returns {boolean}
+     * @private
+     */
+    _isFlattenable(node) {
+        return node.terms.every(term => !term.unresolved && (!term.child || (!term.child.error && this._isFlattenable(term.child))));
+    }
+    
+    /**
+     * Число DNS-запросов в поддереве
+     * @param {Object} node - Узел дерева
+     * @returns {number}
+     * @private
+     */
+    _countLookups(node) {
+        return node.terms.reduce((total, term) => total + (term.lookup ? 1 : 0) + (term.child ? this._countLookups(term.child) : 0), 0);
+    }
+    
+    /**
+     * Удаление термов после первого all: они никогда не вычисляются (модификатор exp сохраняется)
+     * @param {Array<Object>} items - Термы
+     * @returns {Array<Object>}
+     * @private
+     */
+    _cutAfterAll(items) {
+        const index = items.findIndex(item => item.all);
+        if (index === -1) {
+            return items;
+        }
+        return [...items.slice(0, index + 1), ...items.slice(index + 1).filter(item => item.modifier)];
+    }
+    
+    /**
+     * Удаление повторяющихся адресов (остается первое вхождение)
+     * @param {Array<Object>} items - Термы
+     * @returns {Array<Object>}
+     * @private
+     */
+    _dedupe(items) {
+        const seen = new Set();
+        return items.filter(item => {
+            if (!item.address) {
+                return true;
+            }
+            if (seen.has(item.text)) {
+                return false;
+            }
+            seen.add(item.text);
+            return true;
+        });
+    }
+    
+    /**
+     * Предупреждения о поставщиках, которые часто меняют адреса (см. SpfVendors)
+     * @param {Object} node - Узел дерева
+     * @param {Function} addWarning - Добавление предупреждения
+     * @private
+     */
+    _findVolatileIncludes(node, addWarning) {
+        node.terms.forEach(term => {
+            if (term.name === 'include' && term.target) {
+                const vendor = SpfVendors.identify(term.target);
+                if (vendor) {
+                    // Включенные записи сервиса (например, _netblocks.google.com) относятся к нему же
+                    if (vendor.volatile) {
+                        addWarning('volatile-include', term.target, 'warning',
+                            `Адреса ${vendor.name} (${term.target}) часто меняются: сглаженную запись придется регулярно обновлять, иначе письма с новых адресов не пройдут SPF. Если лимит позволяет, оставьте этот include без сглаживания`);
+                    }
+                    return;
+                }
+            }
+            if (term.child) {
+                this._findVolatileIncludes(term.child, addWarning);
+            }
+        });
+    }
+    
+    /**
+     * Объединение диапазонов серии: вложенные сети удаляются, сети-соседи одного размера
+     * (a/p и соседняя a/p, вместе образующие сеть /p-1) сливаются, пока это возможно.
+     * Множество разрешенных адресов не меняется
+     * @param {Array<Object>} run - Термы-адреса с квалификатором "+"
+     * @returns {Array<Object>} - Термы { text, qualifier, address }
+     * @private
+     */
+    _mergeRanges(run) {
+        const networks = [];
+        
+        run.forEach(item => {
+            const match = /^ip([46]):([^/]+)(?:\/(\d+))?$/.exec(item.text);
+            const ip = match && SpfParser.parseIp(match[2]);
+            if (!ip) {
+                return;
+            }
+            const bits = ip.bytes.length * 8;
+            const prefix = match[3] !== undefined ? Math.min(parseInt(match[3], 10), bits) : bits;
+            const value = ip.bytes.reduce((total, byte) => (total << 8n) | BigInt(byte), 0n);
+            // Биты адреса за пределами префикса на результат не влияют
+            const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+            networks.push({ version: ip.version, bits, prefix, value: value & mask });
+        });
+        
+        networks.sort((a, b) => a.version - b.version || (a.value < b.value ? -1 : a.value > b.value ? 1 : a.prefix - b.prefix));
+        
+        const size = network => 1n << BigInt(network.bits - network.prefix);
+        const contains = (outer, inner) => outer.version === inner.version && outer.prefix <= inner.prefix &&
+            inner.value >= outer.value && inner.value < outer.value + size(outer);
+        
+        const merged = [];
+        networks.forEach(network => {
+            let current = network;
+            if (merged.length && contains(merged[merged.length - 1], current)) {
+                return;
+            }
+            // Сливаем с предыдущей сетью, пока они образуют сеть на бит короче
+            while (merged.length && current.prefix > 0) {
+                const previous = merged[merged.length - 1];
+                const parentSize = size(current) * 2n;
+                if (previous.version !== current.version || previous.prefix !== current.prefix ||
+                    previous.value % parentSize !== 0n || previous.value + size(previous) !== current.value) {
+                    break;
+                }
+                merged.pop();
+                current = { ...previous, prefix: previous.prefix - 1 };
+            }
+            merged.push(current);
+        });
+        
+        return merged.map(network => {
+            const bytes = [];
+            for (let shift = network.bits - 8; shift >= 0; shift -= 8) {
+                bytes.push(Number((network.value >> BigInt(shift)) & 0xffn));
+            }
+            const address = SpfParser.formatIp({ version: network.version, bytes });
+            const suffix = network.prefix === network.bits ? '' : `/${network.prefix}`;
+            return { text: `ip${network.version}:${address}${suffix}`, qualifier: '+', address: true };
+        });
+    }
+    
+    /**
+     * Перенос адресов серий в основную запись, пока она помещается в DNS-ответ
+     * Серия, поместившаяся целиком, не требует включаемой записи и DNS-запроса
+     * @param {string} domain - Доменное имя
+     * @param {Array<Object>} layout - Термы основной записи: { item } или серии { inline, rest } (изменяются)
+     * @private
+     */
+    _placeInline(domain, layout) {
+        // Имя включаемой записи еще неизвестно: для оценки размера берется имя с запасом
+        const placeholder = `include:_spf99.${domain}`;
+        const fits = () => this._createRecord(domain, layout.flatMap(entry => {
+            if (entry.item) {
+                return [entry.item.text];
+            }
+            const terms = entry.inline.map(item => item.text);
+            return entry.rest.length > 0 ? [...terms, placeholder] : terms;
+        })).size <= this.maxResponseSize;
+        
+        layout.filter(entry => !entry.item).forEach(entry => {
+            // Серия целиком, без ссылки на включаемую запись
+            const rest = entry.rest;
+            entry.inline = rest;
+            entry.rest = [];
+            if (fits()) {
+                return;
+            }
+            
+            // Часть серии, остаток - во включаемой записи
+            entry.inline = [];
+            entry.rest = rest;
+            while (entry.rest.length > 0) {
+                entry.inline.push(entry.rest.shift());
+                if (!fits()) {
+                    entry.rest.unshift(entry.inline.pop());
+                    break;
+                }
+            }
+        });
+    }
+    
+    /**
+     * Раскладка адресов по цепочке записей _spfN.<домен>
+     * @param {Array<Object>} run - Термы-адреса
+     * @param {string} domain - Доменное имя
+     * @param {number} offset - Число уже созданных записей цепочек
+     * @returns {Array<Object>} - Записи (см. _createRecord)
+     * @private
+     */
+    _packChain(run, domain, offset) {
+        const records = [];
+        const chainName = index => `_spf${offset + index + 1}.${domain}`;
+        let start = 0;
+        
+        while (start < run.length) {
+            const index = records.length;
+            const next = `include:${chainName(index + 1)}`;
+            let end = start + 1;
+            
+            // Добавляем адреса, пока запись со ссылкой на следующую помещается в ответ
+            while (end < run.length) {
+                const terms = run.slice(start, end + 1).map(item => item.text);
+                const withNext = end + 1 < run.length ? [...terms, next] : terms;
+                if (this._createRecord(chainName(index), withNext).size > this.maxResponseSize) {
+                    break;
+                }
+                end++;
+            }
+            
+            const terms = run.slice(start, end).map(item => item.text);
+            records.push(this._createRecord(chainName(index), end < run.length ? [...terms, next] : terms));
+            start = end;
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Создание записи: разбиение на строки TXT по границам термов и размер DNS-ответа
+     * @param {string} name - Имя записи
+     * @param {Array<string>} terms - Термы без версии
+     * @returns {Object} - { name, value, strings, size }
+     * @private
+     */
+    _createRecord(name, terms) {
+        const strings = [];
+        let current = 'v=spf1';
+        
+        terms.forEach(term => {
+            // Пробел-разделитель остается в конце строки, чтобы термы не склеились
+            if (current.length + 1 + term.length > this.maxStringLength) {
+                strings.push(`${current} `);
+                current = term;
+            } else {
+                current += ` ${term}`;
+            }
+        });
+        strings.push(current);
+        
+        return {
+            name,
+            value: strings.join(''),
+            strings,
+            size: this._getResponseSize(name, strings)
+        };
+    }
+    
+    /**
+     * Размер DNS-ответа с одной TXT записью: заголовок, вопрос и ответ со сжатым именем
+     * @param {string} name - Имя записи
+     * @param {Array<string>} strings - Строки TXT
+     * @returns {number} - Размер в байтах
+     * @private
+     */
+    _getResponseSize(name, strings) {
+        const question = name.length + 2 + 4;
+        const answer = 2 + 10 + strings.reduce((total, text) => total + 1 + new TextEncoder().encode(text).length, 0);
+        return 12 + question + answer;
+    }
+}
+
+// Максимальная длина строки TXT (RFC 7208, 3.3)
+SpfFlattener.MAX_STRING_LENGTH = 255;
+
+// Размер DNS-ответа, который гарантированно передается по UDP без усечения (RFC 7208, 3.4)
+SpfFlattener.MAX_RESPONSE_SIZE = 512;
+
+// Делаем класс доступным глобально
+window.SpfFlattener = SpfFlattener;
@@ -20,9 +20,15 @@ class FiltersManager {
             domain: ''
         };
         
+        // Фильтры по статусам собственных проверок из реестра: имя проверки -> select
+        this.checkFilters = new Map();
+        
         // Инициализация событий
         this._setupEventListeners();
         
+        // Фильтры собственных проверок
+        this._renderCheckFilters();
+        
         // Инициализация дебаунс-функций
         this._initDebounce();
         
@@ -61,6 +67,49 @@ class FiltersManager {
         
         // Очистка фильтров при обновлении результатов
         EventBus.on('results:cleared', this.resetFilters.bind(this));
+        
+        // Набор проверок изменился: перестраиваем фильтры по их статусам
+        EventBus.on('checks:changed', this._renderCheckFilters.bind(this));
+    }
+    
+    /**
+     * Добавление фильтров по статусам собственных проверок перед фильтром оценки
+     * @private
+     */
+    _renderCheckFilters() {
+        if (!this.filterScore || !window.checkRegistry) return;
+        
+        const scoreFilter = this.filterScore.parentNode;
+        
+        this.checkFilters.forEach(select => select.parentNode.remove());
+        this.checkFilters.clear();
+        
+        window.checkRegistry.getColumns({ custom: true }).forEach(provider => {
+            const id = `filterCheck_${provider.name}`;
+            const select = DOMUtils.createElement('select', { id }, [
+                DOMUtils.createElement('option', { value: 'all' }, 'Все'),
+                DOMUtils.createElement('option', { value: 'ok' }, 'Настроен'),
+                DOMUtils.createElement('option', { value: 'warning' }, 'Проблемы'),
+                DOMUtils.createElement('option', { value: 'error' }, 'Отсутствует')
+            ]);
+            
+            select.value = this.currentFilters[provider.name] || 'all';
+            this.currentFilters[provider.name] = select.value;
+            
+            select.addEventListener('change', (event) => {
+                this.currentFilters[provider.name] = event.target.value;
+                this._applyFilters();
+            });
+            
+            scoreFilter.parentNode.insertBefore(DOMUtils.createElement('div', {
+                class: 'check-filter'
+            }, [
+                DOMUtils.createElement('label', { for: id }, `${provider.title}:`),
+                select
+            ]), scoreFilter);
+            
+            this.checkFilters.set(provider.name, select);
+        });
     }
     
     /**
@@ -164,6 +213,11 @@ class FiltersManager {
             domain: ''
         };
         
+        this.checkFilters.forEach((select, name) => {
+            select.value = 'all';
+            this.currentFilters[name] = 'all';
+        });
+        
         Logger.debug('Filters reset to defaults');
     }
     
@@ -200,6 +254,13 @@ class FiltersManager {
             this.currentFilters.domain = filters.domain;
         }
         
+        this.checkFilters.forEach((select, name) => {
+            if (filters.hasOwnProperty(name)) {
+                select.value = filters[name];
+                this.currentFilters[name] = filters[name];
+            }
+        });
+        
         // Применяем фильтры
         this._applyFilters();
         
@@ -9,6 +9,12 @@ class ModeSelectorUI {
         this.modeStatusMessage = null;
         this.checkModeBtn = null;
         this.modeIndicator = null;
+        this.seedInput = null;
+        this.newSeedBtn = null;
+        this.fixturesInput = null;
+        this.fixturesStatus = null;
+        this.replayInput = null;
+        this.replayStatus = null;
         
         // Флаг инициализации
         this.initialized = false;
@@ -103,9 +109,20 @@ class ModeSelectorUI {
                 <option value="web">Web EasyDMARC (онлайн)</option>
                 <option value="offline">Офлайн (DNS)</option>
                 <option value="simulation">Симуляция</option>
+                <option value="fixtures">Сценарии (фикстуры)</option>
+                <option value="replay">Воспроизведение DNS-сессии</option>
             </select>
             <button id="checkModeAvailability" class="small-btn" type="button">Проверить доступность</button>
             <p id="modeStatusMessage" style="margin-top: 5px; font-size: 12px;"></p>
+            <label for="simulationSeed">Seed симуляции (одинаковый seed - одинаковые результаты):</label>
+            <input type="text" id="simulationSeed" maxlength="64">
+            <button id="newSimulationSeed" class="small-btn" type="button">Новый seed</button>
+            <label for="dnsFixturesFile">Файл сценариев DNS (JSON/YAML) для режима "Сценарии":</label>
+            <input type="file" id="dnsFixturesFile" accept=".json,.yaml,.yml">
+            <p id="dnsFixturesStatus" style="margin-top: 5px; font-size: 12px;"></p>
+            <label for="dnsReplayFile">Записанная DNS-сессия (JSON) для режима "Воспроизведение":</label>
+            <input type="file" id="dnsReplayFile" accept=".json">
+            <p id="dnsReplayStatus" style="margin-top: 5px; font-size: 12px;"></p>
         `;
         
         // Находим, куда добавить группу настроек (перед кнопкой сохранения)
@@ -121,6 +138,12 @@ class ModeSelectorUI {
         this.modeSelector = DOMUtils.getById('clientMode');
         this.modeStatusMessage = DOMUtils.getById('modeStatusMessage');
         this.checkModeBtn = DOMUtils.getById('checkModeAvailability');
+        this.seedInput = DOMUtils.getById('simulationSeed');
+        this.newSeedBtn = DOMUtils.getById('newSimulationSeed');
+        this.fixturesInput = DOMUtils.getById('dnsFixturesFile');
+        this.fixturesStatus = DOMUtils.getById('dnsFixturesStatus');
+        this.replayInput = DOMUtils.getById('dnsReplayFile');
+        this.replayStatus = DOMUtils.getById('dnsReplayStatus');
     }
     
     /**
@@ -201,6 +224,16 @@ class ModeSelectorUI {
             .mode-simulation {
                 color: var(--debug-color);
             }
+            .mode-fixtures,
+            .mode-replay {
+                color: var(--debug-color);
+                font-style: italic;
+            }
+            .mode-seed {
+                font-weight: normal;
+                font-family: monospace;
+                margin-left: 5px;
+            }
         `;
         
         document.head.appendChild(styleElement);
@@ -216,6 +249,23 @@ class ModeSelectorUI {
             this.checkModeBtn.addEventListener('click', this._handleCheckModeClick.bind(this));
         }
         
+        // Генерация нового seed симуляции (применяется при сохранении настроек)
+        if (this.newSeedBtn && this.seedInput) {
+            this.newSeedBtn.addEventListener('click', () => {
+                this.seedInput.value = window.MultiModeDmarcClient ? window.MultiModeDmarcClient.generateSeed() : '';
+            });
+        }
+        
+        // Загрузка файла сценариев
+        if (this.fixturesInput) {
+            this.fixturesInput.addEventListener('change', this._handleFixturesFileChange.bind(this));
+        }
+        
+        // Загрузка записанной DNS-сессии
+        if (this.replayInput) {
+            this.replayInput.addEventListener('change', this._handleReplayFileChange.bind(this));
+        }
+        
         // Обработчик для сохранения настроек
         const saveSettingsBtn = DOMUtils.getById('saveSettingsBtn');
         if (saveSettingsBtn) {
@@ -224,8 +274,9 @@ class ModeSelectorUI {
             
             // Заменяем обработчик
             saveSettingsBtn.onclick = (event) => {
-                // Сохраняем выбранный режим
+                // Сохраняем выбранный режим и seed симуляции
                 this._saveSelectedMode();
+                this._saveSimulationSeed();
                 
                 // Вызываем оригинальный обработчик, если он был
                 if (typeof originalClickHandler === 'function') {
@@ -237,6 +288,7 @@ class ModeSelectorUI {
         // Подписываемся на события изменения режима
         if (window.EventBus && typeof window.EventBus.on === 'function') {
             window.EventBus.on('dmarc_client:mode_changed', this._handleModeChanged.bind(this));
+            window.EventBus.on('dmarc_client:seed_changed', this._handleSeedChanged.bind(this));
         }
     }
     
@@ -254,6 +306,15 @@ class ModeSelectorUI {
                 this.modeSelector.value = currentMode;
             }
             
+            // Устанавливаем текущий seed симуляции
+            if (this.seedInput && window.dmarcClient && typeof window.dmarcClient.getSimulationSeed === 'function') {
+                this.seedInput.value = window.dmarcClient.getSimulationSeed();
+            }
+            
+            // Показываем загруженный набор фикстур и записанную сессию
+            this._updateFixturesStatus();
+            this._updateReplayStatus();
+            
             // Обновляем индикатор режима
             this._updateModeIndicator(currentMode);
         } catch (error) {
@@ -343,6 +404,161 @@ class ModeSelectorUI {
         this._updateProgressText(mode);
     }
     
+    /**
+     * Обработчик изменения seed симуляции
+     * @param {string} seed - Новый seed
+     * @private
+     */
+    _handleSeedChanged(seed) {
+        if (this.seedInput) {
+            this.seedInput.value = seed;
+        }
+        
+        // Обновляем индикатор режима
+        this._updateModeIndicator(window.dmarcClient ? window.dmarcClient.getMode() : 'simulation');
+    }
+    
+    /**
+     * Сохранение seed симуляции
+     * @private
+     */
+    _saveSimulationSeed() {
+        if (!this.seedInput || !window.dmarcClient || typeof window.dmarcClient.setSimulationSeed !== 'function') {
+            return;
+        }
+        
+        try {
+            // Пустое поле - генерируем новый seed
+            const seed = window.dmarcClient.setSimulationSeed(this.seedInput.value);
+            
+            if (window.StorageManager && typeof window.StorageManager.set === 'function') {
+                window.StorageManager.set('simulation_seed', seed);
+            }
+        } catch (error) {
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error('Error saving simulation seed', error);
+            } else {
+                console.error('Error saving simulation seed', error);
+            }
+        }
+    }
+    
+    /**
+     * Обработчик выбора файла сценариев
+     * @param {Event} event - Событие change
+     * @private
+     */
+    async _handleFixturesFileChange(event) {
+        const file = event.target.files[0];
+        if (!file || !window.dmarcClient) return;
+        
+        try {
+            const content = await FileUtils.readTextFile(file);
+            window.dmarcClient.loadFixtures(content, file.name);
+            
+            // Сохраняем разобранные фикстуры, чтобы они пережили перезагрузку
+            if (window.StorageManager && typeof window.StorageManager.set === 'function') {
+                window.StorageManager.set('dns_fixtures', {
+                    name: file.name,
+                    data: window.dmarcClient.fixtures.source
+                });
+            }
+            
+            this._updateFixturesStatus();
+        } catch (error) {
+            if (this.fixturesStatus) {
+                this.fixturesStatus.textContent = `Ошибка загрузки сценариев: ${error.message}`;
+                this.fixturesStatus.style.color = 'var(--error-color)';
+            }
+            
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error('Error loading fixtures file', error);
+            } else {
+                console.error('Error loading fixtures file', error);
+            }
+        } finally {
+            event.target.value = '';
+        }
+    }
+    
+    /**
+     * Обновление строки состояния фикстур
+     * @private
+     */
+    _updateFixturesStatus() {
+        if (!this.fixturesStatus) return;
+        
+        const info = window.dmarcClient && typeof window.dmarcClient.getFixturesInfo === 'function'
+            ? window.dmarcClient.getFixturesInfo()
+            : null;
+        
+        this.fixturesStatus.textContent = info
+            ? `Загружено: ${info.name} (имен: ${info.count})`
+            : 'Сценарии не загружены';
+        this.fixturesStatus.style.color = '';
+    }
+    
+    /**
+     * Обработчик выбора файла записанной DNS-сессии
+     * @param {Event} event - Событие change
+     * @private
+     */
+    async _handleReplayFileChange(event) {
+        const file = event.target.files[0];
+        if (!file || !window.dmarcClient) return;
+        
+        try {
+            const content = await FileUtils.readTextFile(file);
+            window.dmarcClient.loadReplaySession(content, file.name);
+            
+            // Большая сессия может не поместиться в хранилище - тогда она действует до перезагрузки
+            let persisted = true;
+            if (window.StorageManager && typeof window.StorageManager.set === 'function') {
+                persisted = window.StorageManager.set('dns_replay_session', {
+                    name: file.name,
+                    data: window.dmarcClient.replaySession.source
+                });
+            }
+            
+            this._updateReplayStatus(persisted);
+        } catch (error) {
+            if (this.replayStatus) {
+                this.replayStatus.textContent = `Ошибка загрузки сессии: ${error.message}`;
+                this.replayStatus.style.color = 'var(--error-color)';
+            }
+            
+            if (window.Logger && typeof window.Logger.error === 'function') {
+                window.Logger.error('Error loading DNS session file', error);
+            } else {
+                console.error('Error loading DNS session file', error);
+            }
+        } finally {
+            event.target.value = '';
+        }
+    }
+    
+    /**
+     * Обновление строки состояния записанной DNS-сессии
+     * @param {boolean} [persisted=true] - Сохранена ли сессия в хранилище
+     * @private
+     */
+    _updateReplayStatus(persisted = true) {
+        if (!this.replayStatus) return;
+        
+        const info = window.dmarcClient && typeof window.dmarcClient.getReplayInfo === 'function'
+            ? window.dmarcClient.getReplayInfo()
+            : null;
+        
+        if (!info) {
+            this.replayStatus.textContent = 'Сессия не загружена';
+        } else {
+            const recordedAt = info.startedAt ? `, записана ${new Date(info.startedAt).toLocaleString()}` : '';
+            this.replayStatus.textContent = `Загружено: ${info.name} (запросов: ${info.count}${recordedAt})` +
+                (persisted ? '' : ' - слишком большая для сохранения, действует до перезагрузки');
+        }
+        this.replayStatus.style.color = '';
+    }
+    
     /**
      * Сохранение выбранного режима
      * @param {string} [mode] - Режим для сохранения (если не указан, берется из селекта)
@@ -395,8 +611,29 @@ class ModeSelectorUI {
         // Обновляем текст
         this.modeIndicator.textContent = displayName;
         
+        // В режиме симуляции показываем активный seed
+        if (mode === 'simulation' && window.dmarcClient && window.dmarcClient.simulationSeed) {
+            this.modeIndicator.appendChild(DOMUtils.createElement('span', {
+                class: 'mode-seed'
+            }, `(seed: ${window.dmarcClient.simulationSeed})`));
+        }
+        
+        // В режиме сценариев показываем имя набора фикстур
+        if (mode === 'fixtures' && window.dmarcClient && window.dmarcClient.fixtures) {
+            this.modeIndicator.appendChild(DOMUtils.createElement('span', {
+                class: 'mode-seed'
+            }, `(${window.dmarcClient.fixtures.name})`));
+        }
+        
+        // В режиме воспроизведения показываем имя записанной сессии
+        if (mode === 'replay' && window.dmarcClient && window.dmarcClient.replaySession) {
+            this.modeIndicator.appendChild(DOMUtils.createElement('span', {
+                class: 'mode-seed'
+            }, `(${window.dmarcClient.replaySession.name})`));
+        }
+        
         // Удаляем все классы режимов
-        this.modeIndicator.classList.remove('mode-api', 'mode-web', 'mode-offline', 'mode-simulation');
+        this.modeIndicator.classList.remove('mode-api', 'mode-web', 'mode-offline', 'mode-simulation', 'mode-fixtures', 'mode-replay');
         
         // Добавляем класс для текущего режима
         this.modeIndicator.classList.add(`mode-${mode}`);
@@ -432,7 +669,9 @@ class ModeSelectorUI {
             'api': 'API EasyDMARC (онлайн)',
             'web': 'Web EasyDMARC (онлайн)',
             'offline': 'Офлайн (DNS)',
-            'simulation': 'Симуляция'
+            'simulation': 'Симуляция',
+            'fixtures': 'Сценарии (фикстуры)',
+            'replay': 'Воспроизведение DNS-сессии'
         };
         
         return modeNames[mode] || mode;
@@ -52,8 +52,8 @@ class RecommendationsManager {
      * @private
      */
     _addDmarcRecommendations(recommendations, result, domain) {
-        // Проверяем статус DMARC
-        if (!result.dmarc || result.dmarc.status === 'error') {
+        // Проверяем наличие DMARC записи
+        if (!result.dmarc || !result.dmarc.record) {
             // DMARC запись отсутствует
             recommendations.push({
                 id: 'dmarc-missing',
@@ -68,55 +68,310 @@ class RecommendationsManager {
                 ],
                 severity: 'high'
             });
-        } else if (result.dmarc.status === 'warning') {
-            // Проверяем политику DMARC
+            return;
+        }
+        
+        const parsed = this._parseDmarc(result);
+        if (!parsed) {
+            return;
+        }
+        
+        // Запись, унаследованная от организационного домена, исправляется у него
+        const inherited = result.dmarc.inherited || null;
+        
+        // Замечания разбора записи: несколько записей, синтаксис, неизвестные и повторяющиеся теги,
+        // недопустимые значения, ошибки разбиения на строки
+        this._addDmarcFindingRecommendations(recommendations, parsed, inherited ? inherited.from : domain);
+        
+        // Остальные рекомендации имеют смысл, только если получатели применяют запись
+        if (!parsed.valid) {
+            return;
+        }
+        
+        const { effective } = parsed;
+        
+        if (inherited) {
+            // Для поддомена действует политика sp организационного домена,
+            // для несуществующего домена (DMARCbis) - np
+            const policyTag = inherited.nonExistent ? 'np' : 'sp';
             if (result.dmarc.policy === 'none') {
                 recommendations.push({
-                    id: 'dmarc-policy-none',
-                    title: 'Усильте политику DMARC',
-                    description: 'Политика "none" не защищает ваш домен. Рекомендуется использовать "quarantine" или "reject" для реальной защиты.',
-                    example: `v=DMARC1; p=quarantine; rua=mailto:dmarc-reports@${domain}; pct=100`,
+                    id: 'dmarc-inherited-policy-none',
+                    title: 'Защитите поддомен политикой DMARC',
+                    description: `У ${domain} нет собственной DMARC записи, а запись организационного домена ${inherited.from} задает для поддоменов политику "none" (${inherited.tag}=none). Письма от имени ${domain} не будут отклонены.`,
+                    example: DmarcParser.format({ ...parsed.tags, [policyTag]: 'quarantine' }, { spec: parsed.spec }),
                     steps: [
                         'Войдите в панель управления DNS вашего домена',
-                        `Найдите существующую TXT запись с именем _dmarc.${domain}`,
-                        'Измените параметр p=none на p=quarantine или p=reject',
+                        `Добавьте в TXT запись _dmarc.${inherited.from} параметр ${policyTag}=quarantine или ${policyTag}=reject, как показано в примере`,
+                        `Либо создайте для поддомена собственную TXT запись _dmarc.${domain} с политикой quarantine или reject`,
                         'Сохраните изменения'
                     ],
                     severity: 'medium'
                 });
-            } else if (!result.dmarc.record.includes('pct=')) {
-                recommendations.push({
-                    id: 'dmarc-missing-pct',
-                    title: 'Добавьте процент применения DMARC (pct)',
-                    description: 'Параметр pct указывает, к какому проценту писем применяется политика. Рекомендуется начать с 10% и постепенно увеличивать до 100%.',
-                    example: `${result.dmarc.record}; pct=100`,
-                    steps: [
-                        'Войдите в панель управления DNS вашего домена',
-                        `Найдите существующую TXT запись с именем _dmarc.${domain}`,
-                        'Добавьте параметр pct=100 в конец записи',
-                        'Сохраните изменения'
-                    ],
-                    severity: 'low'
-                });
             }
-            
-            // Проверяем наличие адреса для отчетов
-            if (!result.dmarc.record.includes('rua=')) {
-                recommendations.push({
-                    id: 'dmarc-missing-rua',
-                    title: 'Добавьте адрес для отчетов DMARC',
-                    description: 'Параметр rua указывает адрес электронной почты для получения агрегированных отчетов DMARC. Это поможет отслеживать эффективность настроек.',
-                    example: `${result.dmarc.record}; rua=mailto:dmarc-reports@${domain}`,
-                    steps: [
-                        'Войдите в панель управления DNS вашего домена',
-                        `Найдите существующую TXT запись с именем _dmarc.${domain}`,
-                        `Добавьте параметр rua=mailto:dmarc-reports@${domain}`,
-                        'Сохраните изменения'
-                    ],
-                    severity: 'low'
-                });
+            return;
+        }
+        
+        // Проверяем политику DMARC
+        if (effective.p === 'none') {
+            recommendations.push({
+                id: 'dmarc-policy-none',
+                title: 'Усильте политику DMARC',
+                description: 'Политика "none" не защищает ваш домен. Рекомендуется использовать "quarantine" или "reject" для реальной защиты.',
+                example: DmarcParser.format({ ...parsed.tags, p: 'quarantine' }, { spec: parsed.spec }),
+                steps: [
+                    'Войдите в панель управления DNS вашего домена',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    'Измените параметр p=none на p=quarantine или p=reject',
+                    'Сохраните изменения'
+                ],
+                severity: 'medium'
+            });
+        } else if (effective.sp === 'none') {
+            recommendations.push({
+                id: 'dmarc-subdomain-policy-none',
+                title: 'Усильте политику DMARC для поддоменов',
+                description: `Для основного домена задана политика "${effective.p}", но sp=none оставляет поддомены без защиты: письма от имени несуществующих поддоменов не будут отклонены.`,
+                example: DmarcParser.format({ ...parsed.tags, sp: effective.p }, { spec: parsed.spec }),
+                steps: [
+                    'Войдите в панель управления DNS вашего домена',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    `Измените параметр sp=none на sp=${effective.p} или удалите его, чтобы поддомены наследовали политику p`,
+                    'Сохраните изменения'
+                ],
+                severity: 'medium'
+            });
+        }
+        
+        // DMARCbis: политика для несуществующих поддоменов
+        if (parsed.spec === 'dmarcbis' && effective.p !== 'none' && effective.sp !== 'none' && effective.np === 'none') {
+            recommendations.push({
+                id: 'dmarc-np-none',
+                title: 'Задайте политику DMARC для несуществующих поддоменов',
+                description: `Параметр np=none оставляет без защиты несуществующие поддомены ${domain}: письма от их имени не будут отклонены, хотя легитимной почты с них быть не может.`,
+                example: DmarcParser.format({ ...parsed.tags, np: 'reject' }, { spec: parsed.spec }),
+                steps: [
+                    'Войдите в панель управления DNS вашего домена',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    'Измените параметр np=none на np=reject или удалите его, чтобы действовала политика sp',
+                    'Сохраните изменения'
+                ],
+                severity: 'low'
+            });
+        }
+        
+        // DMARCbis: тестовый режим вместо pct
+        if (parsed.spec === 'dmarcbis' && effective.p !== 'none' && effective.t === 'y') {
+            recommendations.push({
+                id: 'dmarc-testing-mode',
+                title: 'Выключите тестовый режим DMARC',
+                description: `Параметр t=y включает тестовый режим: получатели не применяют политику "${effective.p}" полностью (quarantine вместо reject, без карантина вместо quarantine).`,
+                example: DmarcParser.format({ ...parsed.tags, t: undefined }, { spec: parsed.spec }),
+                steps: [
+                    'Убедитесь по отчетам DMARC, что легитимные письма проходят проверку',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    'Удалите параметр t=y или замените его на t=n',
+                    'Сохраните изменения'
+                ],
+                severity: 'low'
+            });
+        }
+        
+        // Политика применяется только к части писем (pct исключен в DMARCbis, см. замечание deprecated-tag)
+        if (parsed.spec === 'rfc7489' && effective.p !== 'none' && effective.pct < 100) {
+            recommendations.push({
+                id: 'dmarc-partial-pct',
+                title: 'Примените политику DMARC ко всем письмам',
+                description: `Параметр pct=${effective.pct} означает, что политика "${effective.p}" применяется только к ${effective.pct}% писем, не прошедших проверку. Остальные обрабатываются как при более мягкой политике.`,
+                example: DmarcParser.format({ ...parsed.tags, pct: 100 }, { spec: parsed.spec }),
+                steps: [
+                    'Убедитесь по отчетам DMARC, что легитимные письма проходят проверку',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    'Постепенно увеличьте pct до 100 или удалите параметр (по умолчанию 100)',
+                    'Сохраните изменения'
+                ],
+                severity: 'low'
+            });
+        }
+        
+        // Проверяем наличие адреса для отчетов
+        if (effective.rua.length === 0) {
+            recommendations.push({
+                id: 'dmarc-missing-rua',
+                title: 'Добавьте адрес для отчетов DMARC',
+                description: 'Параметр rua указывает адрес электронной почты для получения агрегированных отчетов DMARC. Это поможет отслеживать эффективность настроек.',
+                example: DmarcParser.format({ ...parsed.tags, rua: [`mailto:dmarc-reports@${domain}`] }, { spec: parsed.spec }),
+                steps: [
+                    'Войдите в панель управления DNS вашего домена',
+                    `Найдите существующую TXT запись с именем _dmarc.${domain}`,
+                    `Добавьте параметр rua=mailto:dmarc-reports@${domain}`,
+                    'Сохраните изменения'
+                ],
+                severity: 'low'
+            });
+        }
+    }
+    
+    /**
+     * Рекомендации по замечаниям разбора DMARC записи (см. DmarcParser.parse)
+     * @param {Array<Object>} recommendations - Массив рекомендаций
+     * @param {Object} parsed - Результат разбора записи
+     * @param {string} domain - Доменное имя
+     * @private
+     */
+    _addDmarcFindingRecommendations(recommendations, parsed, domain) {
+        const titles = {
+            'multiple-records': 'Оставьте одну DMARC запись',
+            'syntax': 'Исправьте синтаксис DMARC записи',
+            'version-not-first': 'Поставьте v=DMARC1 в начало DMARC записи',
+            'version-case': 'Исправьте регистр версии в DMARC записи',
+            'missing-version': 'Добавьте тег v=DMARC1 в DMARC запись',
+            'duplicate-tag': 'Удалите повторяющийся тег из DMARC записи',
+            'unknown-tag': 'Удалите неизвестный тег из DMARC записи',
+            'tag-case': 'Запишите теги DMARC записи в нижнем регистре',
+            'invalid-value': 'Исправьте значение тега DMARC записи',
+            'missing-policy': 'Укажите политику DMARC (тег p)',
+            'empty-tag': 'Удалите лишний разделитель из DMARC записи',
+            'leading-whitespace': 'Удалите пробел в начале DMARC записи',
+            'invisible-characters': 'Удалите невидимые символы из DMARC записи',
+            'split-missing-separator': 'Исправьте разбиение DMARC записи на строки',
+            'string-too-long': 'Разбейте DMARC запись на строки до 255 символов',
+            'unauthorized-report-destination': 'Подтвердите внешний адрес для отчетов DMARC',
+            'deprecated-tag': 'Удалите исключенный в DMARCbis тег из DMARC записи'
+        };
+        
+        this._addFindingRecommendations(recommendations, parsed.findings, {
+            prefix: 'dmarc',
+            titles,
+            defaultTitle: 'Исправьте DMARC запись',
+            valid: parsed.valid,
+            consequence: 'Получатели не применяют некорректную запись, и домен остается без защиты DMARC.',
+            // Пример исправленной записи: только корректные теги, политика по умолчанию none
+            example: DmarcParser.format({ ...parsed.tags, p: parsed.tags.p || parsed.effective.p || 'none' }, { spec: parsed.spec }),
+            location: `TXT запись с именем _dmarc.${domain}`,
+            separator: '";"'
+        });
+    }
+    
+    /**
+     * Рекомендации по замечаниям к записи (общие для DMARC и SPF)
+     * Замечания уровня info (например, корректное разбиение записи на строки) пропускаются;
+     * если замечание содержит запись, которую нужно добавить (record), она выводится вместо примера
+     * @param {Array<Object>} recommendations - Массив рекомендаций
+     * @param {Array<Object>} findings - Замечания { code, tag, severity, message }
+     * @param {Object} options - { prefix, titles, severities, defaultTitle, valid, consequence, example, location, separator }
+     *   severities - важность рекомендации по коду замечания (для предупреждений, опасных сами по себе)
+     * @private
+     */
+    _addFindingRecommendations(recommendations, findings, options) {
+        // Сокращение DNS-запросов SPF записи (RFC 7208, 4.6.4)
+        const lookupSteps = [
+            'Войдите в панель управления DNS вашего домена',
+            `Найдите существующую ${options.location}`,
+            'Удалите include сервисов, которые больше не отправляют почту от имени домена',
+            'Замените механизмы a и mx адресами ip4/ip6, а include с неизменными адресами - их диапазонами',
+            'Сохраните изменения и проверьте число DNS-запросов повторно'
+        ];
+        
+        // Замена DKIM ключа без перерыва в подписи: новый селектор, затем отзыв старого
+        const rotationSteps = [
+            `Создайте новую пару ключей RSA ${DkimParser.RECOMMENDED_RSA_BITS} бит в почтовой системе или у сервиса рассылок`,
+            'Опубликуйте открытый ключ в TXT записи нового селектора',
+            'Переключите подпись писем на новый селектор и убедитесь, что подпись проходит проверку',
+            'Отзовите старый ключ: оставьте в его записи пустой тег p='
+        ];
+        
+        const steps = {
+            'key-too-short': rotationSteps,
+            'key-weak': rotationSteps,
+            'lookup-limit': lookupSteps,
+            'lookup-limit-near': lookupSteps,
+            'void-lookup-limit': [
+                'Войдите в панель управления DNS вашего домена',
+                `Найдите существующую ${options.location}`,
+                'Удалите термы, DNS-запросы которых возвращают пустой ответ (отмечены в дереве записи)',
+                'Сохраните изменения'
+            ],
+            'multiple-records': [
+                'Войдите в панель управления DNS вашего домена',
+                `Найдите все записи: ${options.location}`,
+                'Объедините нужные параметры в одну запись, как показано в примере, и удалите остальные',
+                'Сохраните изменения'
+            ],
+            'split-missing-separator': [
+                'Войдите в панель управления DNS вашего домена',
+                `Найдите существующую ${options.location}`,
+                `Добавьте разделитель ${options.separator} в конец строки перед стыком или замените запись одной строкой, как в примере`,
+                'Сохраните изменения'
+            ],
+            'spf-rr-type': [
+                'Войдите в панель управления DNS вашего домена',
+                'Найдите запись типа SPF (не TXT) для домена',
+                'Убедитесь, что то же значение опубликовано в TXT записи, и удалите запись типа SPF',
+                'Сохраните изменения'
+            ],
+            'string-too-long': [
+                'Войдите в панель управления DNS вашего домена',
+                `Найдите существующую ${options.location}`,
+                `Разбейте значение на несколько строк в кавычках не длиннее 255 символов, оставив разделитель ${options.separator} в конце каждой строки`,
+                'Сохраните изменения'
+            ],
+            // Запись публикует владелец домена получателя отчетов, а не владелец проверяемого домена
+            'unauthorized-report-destination': [
+                'Убедитесь, что адрес для отчетов указан верно',
+                'Попросите владельца домена получателя (например, сервис обработки отчетов DMARC) опубликовать TXT запись из примера',
+                `Либо укажите в ${options.location} адрес для отчетов в вашем домене`,
+                'После публикации записи получатели начнут отправлять отчеты на этот адрес'
+            ]
+        };
+        
+        findings.filter(finding => finding.severity !== 'info').forEach(finding => {
+            let severity = (options.severities && options.severities[finding.code]) || 'low';
+            if (finding.severity === 'error') {
+                // Ошибка, из-за которой получатели не применяют запись, важнее ошибки отдельного тега
+                severity = options.valid ? 'medium' : 'high';
             }
+            
+            recommendations.push({
+                id: `${options.prefix}-${finding.code}${finding.tag ? `-${finding.tag}` : ''}`,
+                title: options.titles[finding.code] || options.defaultTitle,
+                description: options.valid
+                    ? finding.message
+                    : `${finding.message}. ${options.consequence}`,
+                example: finding.record || options.example,
+                steps: steps[finding.code] || [
+                    'Войдите в панель управления DNS вашего домена',
+                    `Найдите существующую ${options.location}`,
+                    'Замените значение записи исправленным, как показано в примере',
+                    'Сохраните изменения'
+                ],
+                severity
+            });
+        });
+    }
+    
+    /**
+     * Разбор DMARC записи результата
+     * Замечания берутся из результата проверки: кроме разбора записи они учитывают
+     * несколько записей и разбиение на строки, которые по тексту записи не определить
+     * @param {Object} result - Результат сканирования
+     * @returns {Object|null} Результат DmarcParser.parse или null, если записи нет
+     * @private
+     */
+    _parseDmarc(result) {
+        if (!result.dmarc || !result.dmarc.record || !window.DmarcParser) {
+            return null;
+        }
+        
+        // Результаты, проверенные до выбора спецификации, оцениваются по текущей настройке
+        const spec = result.dmarc.spec ||
+            (window.StorageManager ? window.StorageManager.get('dmarc_spec', { defaultValue: 'rfc7489' }) : 'rfc7489');
+        const parsed = DmarcParser.parse(result.dmarc.record, { spec });
+        if (Array.isArray(result.dmarc.findings)) {
+            parsed.findings = result.dmarc.findings;
+            parsed.valid = parsed.valid && result.dmarc.status !== 'error';
         }
+        return parsed;
     }
     
     /**
@@ -127,13 +382,16 @@ class RecommendationsManager {
      * @private
      */
     _addSpfRecommendations(recommendations, result, domain) {
-        // Проверяем статус SPF
-        if (!result.spf || result.spf.status === 'error') {
-            // SPF запись отсутствует
+        // Проверяем наличие SPF записи
+        if (!result.spf || !result.spf.record) {
+            // SPF запись отсутствует; запись устаревшего типа SPF (99) получатели не запрашивают
+            const rrType = result.spf && Array.isArray(result.spf.findings) &&
+                result.spf.findings.some(finding => finding.code === 'spf-rr-type');
             recommendations.push({
                 id: 'spf-missing',
                 title: 'Добавьте SPF запись',
-                description: 'SPF (Sender Policy Framework) определяет, какие серверы имеют право отправлять почту от имени вашего домена.',
+                description: 'SPF (Sender Policy Framework) определяет, какие серверы имеют право отправлять почту от имени вашего домена.' +
+                    (rrType ? ' Запись опубликована только с устаревшим типом SPF (99), который получатели не запрашивают: опубликуйте ее как TXT запись.' : ''),
                 example: `v=spf1 include:_spf.google.com include:_spf.${domain} ~all`,
                 steps: [
                     'Войдите в панель управления DNS вашего домена',
@@ -143,52 +401,92 @@ class RecommendationsManager {
                 ],
                 severity: 'high'
             });
-        } else if (result.spf.status === 'warning') {
-            // Проверяем содержимое SPF записи
-            if (result.spf.record.includes('?all')) {
-                recommendations.push({
-                    id: 'spf-neutral',
-                    title: 'Усильте директиву SPF',
-                    description: 'Директива ?all (нейтральная) не обеспечивает никакой защиты. Рекомендуется использовать ~all (мягкое ограничение) или -all (строгое ограничение).',
-                    example: result.spf.record.replace('?all', '-all'),
-                    steps: [
-                        'Войдите в панель управления DNS вашего домена',
-                        'Найдите существующую TXT запись с SPF',
-                        'Замените директиву ?all на ~all или -all',
-                        'Сохраните изменения'
-                    ],
-                    severity: 'medium'
-                });
-            } else if (result.spf.record.includes('+all')) {
-                recommendations.push({
-                    id: 'spf-allow-all',
-                    title: 'Исправьте опасную директиву SPF',
-                    description: 'Директива +all разрешает отправку почты любым сервером. Это представляет серьезную угрозу безопасности!',
-                    example: result.spf.record.replace('+all', '-all'),
-                    steps: [
-                        'Войдите в панель управления DNS вашего домена',
-                        'Найдите существующую TXT запись с SPF',
-                        'Замените директиву +all на -all',
-                        'Сохраните изменения'
-                    ],
-                    severity: 'high'
-                });
-            } else if (result.spf.record.includes('~all') && result.dmarc && result.dmarc.status === 'ok' && result.dmarc.policy === 'reject') {
-                recommendations.push({
-                    id: 'spf-soft-fail',
-                    title: 'Усильте директиву SPF для соответствия DMARC',
-                    description: 'У вас установлена строгая политика DMARC (reject), но мягкая директива SPF (~all). Для максимальной защиты рекомендуется использовать -all.',
-                    example: result.spf.record.replace('~all', '-all'),
-                    steps: [
-                        'Войдите в панель управления DNS вашего домена',
-                        'Найдите существующую TXT запись с SPF',
-                        'Замените директиву ~all на -all',
-                        'Сохраните изменения'
-                    ],
-                    severity: 'low'
-                });
-            }
+            return;
+        }
+        
+        // Замечания к оформлению: несколько записей, пробелы, регистр, разбиение на строки
+        if (Array.isArray(result.spf.findings)) {
+            this._addFindingRecommendations(recommendations, result.spf.findings, {
+                prefix: 'spf',
+                titles: {
+                    'multiple-records': 'Оставьте одну SPF запись',
+                    'version-case': 'Запишите версию SPF в нижнем регистре',
+                    'leading-whitespace': 'Удалите пробел в начале SPF записи',
+                    'invisible-characters': 'Удалите невидимые символы из SPF записи',
+                    'invalid-whitespace': 'Разделите термы SPF записи пробелами',
+                    'split-missing-separator': 'Исправьте разбиение SPF записи на строки',
+                    'string-too-long': 'Разбейте SPF запись на строки до 255 символов',
+                    'invalid-term': 'Исправьте терм SPF записи',
+                    'duplicate-modifier': 'Удалите повторяющийся модификатор из SPF записи',
+                    'lookup-limit': 'Сократите число DNS-запросов SPF записи',
+                    'lookup-limit-near': 'Сократите число DNS-запросов SPF записи',
+                    'void-lookup-limit': 'Удалите из SPF записи ссылки на несуществующие домены',
+                    'include-loop': 'Устраните цикл include в SPF записи',
+                    'include-no-record': 'Удалите include домена без SPF записи',
+                    'include-nxdomain': 'Удалите include несуществующего домена',
+                    'redirect-nxdomain': 'Исправьте redirect на несуществующий домен',
+                    'redirect-no-record': 'Исправьте redirect в SPF записи',
+                    'include-multiple-records': 'Исправьте включенную SPF запись',
+                    'include-syntax': 'Исправьте включенную SPF запись',
+                    'mx-limit': 'Замените механизм mx адресами серверов',
+                    'temperror': 'Повторите проверку SPF записи',
+                    'all-pass': 'Исправьте опасную директиву SPF',
+                    'all-neutral': 'Усильте директиву SPF',
+                    'missing-all': 'Завершите SPF запись механизмом all',
+                    'terms-after-all': 'Перенесите механизмы SPF записи до all',
+                    'redirect-with-all': 'Удалите redirect или all из SPF записи',
+                    'ptr-mechanism': 'Замените механизм ptr в SPF записи',
+                    'duplicate-mechanism': 'Удалите повторяющийся механизм из SPF записи',
+                    'overlapping-range': 'Удалите перекрытый диапазон из SPF записи',
+                    'redundant-mechanism': 'Удалите лишний механизм из SPF записи',
+                    'broad-range': 'Проверьте диапазон адресов в SPF записи',
+                    'macro-ptr': 'Замените макрос %{p} в SPF записи',
+                    'spf-rr-type': 'Удалите запись устаревшего типа SPF'
+                },
+                severities: {
+                    'all-pass': 'high',
+                    'all-neutral': 'medium',
+                    'missing-all': 'medium'
+                },
+                defaultTitle: 'Исправьте SPF запись',
+                valid: result.spf.status !== 'error',
+                consequence: 'Получатели не применяют такую запись, и домен остается без защиты SPF.',
+                example: this._getSpfExample(result.spf.record),
+                location: 'TXT запись с SPF',
+                separator: '(пробел)'
+            });
         }
+        
+        // ~all не ошибка, но при строгой политике DMARC запись лучше завершить -all
+        const softfail = Array.isArray(result.spf.findings) &&
+            result.spf.findings.find(finding => finding.code === 'all-softfail');
+        if (softfail && result.dmarc && result.dmarc.status === 'ok' && result.dmarc.policy === 'reject') {
+            recommendations.push({
+                id: 'spf-soft-fail',
+                title: 'Усильте директиву SPF для соответствия DMARC',
+                description: 'У вас установлена строгая политика DMARC (reject), но мягкая директива SPF (~all). Для максимальной защиты рекомендуется использовать -all.',
+                example: result.spf.record.replace(softfail.tag, '-all'),
+                steps: [
+                    'Войдите в панель управления DNS вашего домена',
+                    'Найдите существующую TXT запись с SPF',
+                    'Замените директиву ~all на -all',
+                    'Сохраните изменения'
+                ],
+                severity: 'low'
+            });
+        }
+    }
+    
+    /**
+     * Пример SPF записи с исправленным оформлением: версия в нижнем регистре,
+     * термы через один пробел, без невидимых символов
+     * @param {string} record - Текст SPF записи
+     * @returns {string}
+     * @private
+     */
+    _getSpfExample(record) {
+        const [version, ...terms] = String(record).replace(/[^\x21-\x7E]+/g, ' ').trim().split(' ');
+        return [version.toLowerCase(), ...terms].join(' ');
     }
     
     /**
@@ -199,13 +497,17 @@ class RecommendationsManager {
      * @private
      */
     _addDkimRecommendations(recommendations, result, domain) {
-        // Проверяем статус DKIM
-        if (!result.dkim || result.dkim.status === 'error') {
+        // Проверяем статус DKIM: ошибка без найденных ключей - DKIM не настроен
+        const hasRecords = result.dkim && Array.isArray(result.dkim.records) && result.dkim.records.length > 0;
+        if (!result.dkim || (result.dkim.status === 'error' && !hasRecords)) {
             // DKIM не настроен
             recommendations.push({
                 id: 'dkim-missing',
                 title: 'Настройте DKIM подпись',
-                description: 'DKIM (DomainKeys Identified Mail) позволяет получателям проверить, что письмо действительно было отправлено с вашего домена и не было изменено в пути.',
+                description: 'DKIM (DomainKeys Identified Mail) позволяет получателям проверить, что письмо действительно было отправлено с вашего домена и не было изменено в пути.' +
+                    (result.dkim && result.dkim.probed
+                        ? ` Проверено селекторов: ${result.dkim.probed}. Если домен подписывает почту другим селектором, добавьте его в настройках (дополнительные DKIM селекторы).`
+                        : ''),
                 example: 'v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQC9... (публичный ключ)',
                 steps: [
                     'Создайте пару DKIM ключей в вашей почтовой системе или у почтового провайдера',
@@ -215,22 +517,31 @@ class RecommendationsManager {
                 ],
                 severity: 'high'
             });
-        } else if (result.dkim.status === 'warning') {
-            // DKIM настроен частично
-            if (result.dkim.selectors && result.dkim.selectors.length === 1) {
-                recommendations.push({
-                    id: 'dkim-single-selector',
-                    title: 'Добавьте дополнительные DKIM селекторы',
-                    description: 'У вас настроен только один DKIM селектор. Рекомендуется настроить дополнительные селекторы для разных сервисов рассылки.',
-                    example: `Текущий селектор: ${result.dkim.selectors[0]}`,
-                    steps: [
-                        'Создайте дополнительные пары DKIM ключей для разных сервисов',
-                        `Создайте TXT записи для новых селекторов (например, google._domainkey.${domain})`,
-                        'Настройте каждый сервис рассылки на использование своего селектора'
-                    ],
-                    severity: 'low'
-                });
-            }
+        }
+        
+        // Замечания к ключам селекторов: длина ключа, тестовый режим, отозванные ключи
+        if (result.dkim && Array.isArray(result.dkim.findings)) {
+            this._addFindingRecommendations(recommendations, result.dkim.findings, {
+                prefix: 'dkim',
+                titles: {
+                    'all-revoked': 'Опубликуйте действующий DKIM ключ',
+                    'key-too-short': 'Замените короткий DKIM ключ',
+                    'key-weak': 'Увеличьте длину DKIM ключа до 2048 бит',
+                    'testing': 'Выключите тестовый режим DKIM',
+                    'missing-key': 'Опубликуйте корректный DKIM ключ',
+                    'invalid-key': 'Опубликуйте корректный DKIM ключ',
+                    'key-type-mismatch': 'Опубликуйте корректный DKIM ключ',
+                    'unknown-key-type': 'Укажите поддерживаемый тип DKIM ключа',
+                    'sha1-only': 'Разрешите SHA-256 для DKIM ключа',
+                    'service-type': 'Разрешите использование DKIM ключа для почты'
+                },
+                defaultTitle: 'Исправьте DKIM запись',
+                valid: result.dkim.status !== 'error',
+                consequence: 'Получатели не смогут проверить DKIM подпись писем домена.',
+                example: `v=DKIM1; k=rsa; p=<открытый ключ RSA ${DkimParser.RECOMMENDED_RSA_BITS} бит>`,
+                location: 'TXT запись DKIM селектора',
+                separator: '";"'
+            });
         }
     }
     
@@ -278,12 +589,13 @@ class RecommendationsManager {
         }
         
         // Рекомендация по мониторингу
-        if (result.dmarc && result.dmarc.status === 'ok' && !result.dmarc.record.includes('ruf=')) {
+        const parsedDmarc = result.dmarc && result.dmarc.status === 'ok' ? this._parseDmarc(result) : null;
+        if (parsedDmarc && parsedDmarc.effective.ruf.length === 0) {
             recommendations.push({
                 id: 'dmarc-forensic-reports',
                 title: 'Включите сбор подробных отчетов DMARC',
                 description: 'Подробные отчеты (forensic reports) помогают выявить конкретные случаи подделки адресов отправителей.',
-                example: `${result.dmarc.record}; ruf=mailto:dmarc-forensic@${domain}`,
+                example: DmarcParser.format({ ...parsedDmarc.tags, ruf: [`mailto:dmarc-forensic@${domain}`] }, { spec: parsedDmarc.spec }),
                 steps: [
                     'Добавьте параметр ruf в вашу запись DMARC',
                     'Настройте обработку входящих отчетов для анализа',
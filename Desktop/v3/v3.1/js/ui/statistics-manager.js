@@ -136,12 +136,26 @@ class StatisticsManager {
      * @private
      */
     _calculateStatistics(results) {
+        // Непроверенные (после остановки сканирования) домены не учитываются в статистике
+        const scannedResults = results.filter(result => !result.notScanned);
+        
         const stats = {
-            total: results.length,
+            total: scannedResults.length,
+            notScanned: results.length - scannedResults.length,
             dmarc: { ok: 0, warning: 0, error: 0 },
             spf: { ok: 0, warning: 0, error: 0 },
             dkim: { ok: 0, warning: 0, error: 0 },
+            // Сервисы, которым SPF записи разрешают отправку: id сервиса -> { name, domains }
+            spfSenders: {},
+            // Домены с include неизвестных сервисов и с несуществующими или пустыми include
+            spfOtherIncludes: 0,
+            spfDeadIncludes: 0,
             averageScore: 0,
+            // Происхождение результатов: количество по режимам и число результатов симуляции
+            provenance: {
+                byMode: {},
+                simulated: 0
+            },
             securityLevels: {
                 high: 0,    // 80-100
                 medium: 0,  // 50-79
@@ -149,14 +163,21 @@ class StatisticsManager {
             }
         };
         
-        if (results.length === 0) {
+        if (scannedResults.length === 0) {
             return stats;
         }
         
         // Собираем данные
         let totalScore = 0;
         
-        results.forEach(result => {
+        scannedResults.forEach(result => {
+            // Учет режима, давшего результат
+            const mode = result.provenance ? result.provenance.mode : 'unknown';
+            stats.provenance.byMode[mode] = (stats.provenance.byMode[mode] || 0) + 1;
+            if (result.provenance && result.provenance.simulated) {
+                stats.provenance.simulated++;
+            }
+            
             // Подсчет статусов DMARC
             if (result.dmarc && result.dmarc.status) {
                 stats.dmarc[result.dmarc.status]++;
@@ -171,6 +192,23 @@ class StatisticsManager {
                 stats.spf.error++;
             }
             
+            // Учет отправителей из SPF записи (см. SpfVendors.getSenders)
+            if (result.spf && Array.isArray(result.spf.senders)) {
+                result.spf.senders.forEach(sender => {
+                    if (sender.vendor && sender.vendor !== 'own') {
+                        const entry = stats.spfSenders[sender.vendor] || (stats.spfSenders[sender.vendor] = { name: sender.name, domains: 0 });
+                        entry.domains++;
+                    }
+                });
+                
+                if (result.spf.senders.some(sender => !sender.vendor)) {
+                    stats.spfOtherIncludes++;
+                }
+                if (result.spf.senders.some(sender => sender.status === 'nxdomain' || sender.status === 'no-record')) {
+                    stats.spfDeadIncludes++;
+                }
+            }
+            
             // Подсчет статусов DKIM
             if (result.dkim && result.dkim.status) {
                 stats.dkim[result.dkim.status]++;
@@ -193,7 +231,7 @@ class StatisticsManager {
         });
         
         // Расчет средней оценки безопасности
-        stats.averageScore = Math.round(totalScore / results.length);
+        stats.averageScore = Math.round(totalScore / scannedResults.length);
         
         return stats;
     }
@@ -211,7 +249,9 @@ class StatisticsManager {
                     <h4>Общая статистика</h4>
                     <div class="stats-data">
                         <p>Всего проверено доменов: <strong>${stats.total}</strong></p>
+                        ${stats.notScanned > 0 ? `<p>Не проверено (сканирование остановлено): <strong>${stats.notScanned}</strong></p>` : ''}
                         <p>Средняя оценка безопасности: <strong>${stats.averageScore}%</strong></p>
+                        ${this._generateProvenanceHTML(stats)}
                     </div>
                 </div>
                 
@@ -245,6 +285,8 @@ class StatisticsManager {
                     </table>
                 </div>
                 
+                ${this._generateSpfSendersHTML(stats)}
+                
                 <div class="stats-card">
                     <h4>Уровни безопасности доменов</h4>
                     <div class="security-levels">
@@ -276,6 +318,76 @@ class StatisticsManager {
         `;
     }
     
+    /**
+     * Генерация карточки сервисов, которым SPF записи разрешают отправку
+     * @param {Object} stats - Объект со статистикой
+     * @returns {string} HTML разметка или пустая строка, если данных об отправителях нет
+     * @private
+     */
+    _generateSpfSendersHTML(stats) {
+        const rows = this._generateSpfSendersRows(stats);
+        if (!rows) {
+            return '';
+        }
+        
+        return `
+            <div class="stats-card">
+                <h4>Сервисы, отправляющие почту (SPF)</h4>
+                <table class="stats-table">
+                    <tr>
+                        <th>Сервис</th>
+                        <th>Доменов</th>
+                    </tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Строки таблицы сервисов: по убыванию числа доменов, затем include неизвестных сервисов
+     * @param {Object} stats - Объект со статистикой
+     * @returns {string} HTML разметка строк
+     * @private
+     */
+    _generateSpfSendersRows(stats) {
+        const percent = count => Math.round(count / stats.total * 100) || 0;
+        
+        const rows = Object.values(stats.spfSenders)
+            .sort((a, b) => b.domains - a.domains || a.name.localeCompare(b.name))
+            .map(sender => `<tr><td>${sender.name}</td><td>${sender.domains} (${percent(sender.domains)}%)</td></tr>`);
+        
+        if (stats.spfOtherIncludes > 0) {
+            rows.push(`<tr><td>Другие include</td><td>${stats.spfOtherIncludes} (${percent(stats.spfOtherIncludes)}%)</td></tr>`);
+        }
+        
+        return rows.join('');
+    }
+    
+    /**
+     * Генерация HTML со сведениями о происхождении результатов
+     * @param {Object} stats - Объект со статистикой
+     * @returns {string} HTML разметка
+     * @private
+     */
+    _generateProvenanceHTML(stats) {
+        const modes = Object.entries(stats.provenance.byMode)
+            .map(([mode, count]) => `${mode}: ${count}`)
+            .join(', ');
+        
+        if (!modes) {
+            return '';
+        }
+        
+        let html = `<p>Источник данных (режим): <strong>${modes}</strong></p>`;
+        
+        if (stats.provenance.simulated > 0) {
+            html += `<p class="status-warning">Результаты симуляции и сценариев (не являются реальной проверкой): <strong>${stats.provenance.simulated}</strong></p>`;
+        }
+        
+        return html;
+    }
+    
     /**
      * Генерация списка рекомендуемых действий на основе статистики
      * @param {Object} stats - Объект со статистикой
@@ -317,6 +429,16 @@ class StatisticsManager {
             `);
         }
         
+        if (stats.spfDeadIncludes > 0) {
+            actions.push(`
+                <li class="action-item">
+                    <strong class="status-error">Удалите устаревшие include:</strong> 
+                    ${stats.spfDeadIncludes} ${this._pluralize(stats.spfDeadIncludes, 'домен', 'домена', 'доменов')} 
+                    ссылаются в SPF на несуществующие домены или домены без SPF записи. Проверка SPF таких доменов завершается ошибкой.
+                </li>
+            `);
+        }
+        
         // Рекомендации по DKIM
         if (stats.dkim.error > 0) {
             actions.push(`
@@ -419,7 +541,9 @@ class StatisticsManager {
                     <div class="stats-section">
                         <h2>Общая статистика</h2>
                         <p>Всего проверено доменов: <strong>${stats.total}</strong></p>
+                        ${stats.notScanned > 0 ? `<p>Не проверено (сканирование остановлено): <strong>${stats.notScanned}</strong></p>` : ''}
                         <p>Средняя оценка безопасности: <strong>${stats.averageScore}%</strong></p>
+                        ${this._generateProvenanceHTML(stats)}
                     </div>
                     
                     <div class="stats-section">
@@ -452,6 +576,19 @@ class StatisticsManager {
                         </table>
                     </div>
                     
+                    ${this._generateSpfSendersRows(stats) ? `
+                    <div class="stats-section">
+                        <h2>Сервисы, отправляющие почту (SPF)</h2>
+                        <table>
+                            <tr>
+                                <th>Сервис</th>
+                                <th>Доменов</th>
+                            </tr>
+                            ${this._generateSpfSendersRows(stats)}
+                        </table>
+                    </div>
+                    ` : ''}
+                    
                     <div class="stats-section">
                         <h2>Уровни безопасности доменов</h2>
                         <div class="security-level high">
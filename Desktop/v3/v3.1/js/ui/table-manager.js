@@ -25,6 +25,9 @@ class TableManager {
         // Инициализация событий
         this._setupEventListeners();
         
+        // Колонки собственных проверок из реестра
+        this._renderCheckColumns();
+        
         Logger.debug('TableManager initialized');
     }
     
@@ -51,6 +54,18 @@ class TableManager {
                     const row = detailBtn.closest('tr');
                     this._toggleDetails(row);
                 }
+                
+                // Проверка SPF для IP-адреса в деталях домена
+                const spfTestBtn = e.target.closest('.spf-test-btn');
+                if (spfTestBtn) {
+                    this._handleSpfTest(spfTestBtn);
+                }
+                
+                // Сглаживание SPF записи
+                const spfFlattenBtn = e.target.closest('.spf-flatten-btn');
+                if (spfFlattenBtn) {
+                    this._handleSpfFlatten(spfFlattenBtn);
+                }
             });
         }
         
@@ -59,6 +74,43 @@ class TableManager {
         EventBus.on('results:filtered', this.updateResults.bind(this));
         EventBus.on('results:sorted', this.updateResults.bind(this));
         EventBus.on('results:cleared', this.clearTable.bind(this));
+        
+        // Набор проверок изменился: перестраиваем заголовки и строки
+        EventBus.on('checks:changed', () => {
+            this._renderCheckColumns();
+            if (this.currentResults.length > 0) {
+                this.updateResults(this.currentResults);
+            }
+        });
+    }
+    
+    /**
+     * Собственные проверки из реестра, для которых нужна колонка (см. CheckRegistry)
+     * @returns {Array<Object>} Описания проверок
+     * @private
+     */
+    _getCheckColumns() {
+        return window.checkRegistry ? window.checkRegistry.getColumns({ custom: true }) : [];
+    }
+    
+    /**
+     * Добавление заголовков колонок собственных проверок перед колонкой оценки
+     * @private
+     */
+    _renderCheckColumns() {
+        if (!this.table) return;
+        
+        this.table.querySelectorAll('th.check-column').forEach(th => th.remove());
+        
+        const scoreHeader = this.table.querySelector('th[data-sort="score"]');
+        if (!scoreHeader) return;
+        
+        this._getCheckColumns().forEach(provider => {
+            scoreHeader.parentNode.insertBefore(DOMUtils.createElement('th', {
+                class: 'check-column',
+                'data-sort': provider.name
+            }, provider.title), scoreHeader);
+        });
     }
     
     /**
@@ -148,10 +200,21 @@ class TableManager {
             dkimCell.textContent = 'Ошибка';
             dkimCell.classList.add('status-error');
             scoreCell.textContent = '0%';
+        } else if (result.notScanned) {
+            // Домен не проверялся из-за остановки сканирования
+            [dmarcCell, spfCell, dkimCell].forEach(cell => {
+                cell.textContent = this._getStatusText('not_scanned');
+                cell.classList.add('status-not_scanned');
+            });
+            scoreCell.textContent = '—';
         } else {
             // DMARC статус
             dmarcCell.textContent = this._getStatusText(result.dmarc ? result.dmarc.status : 'error');
             dmarcCell.classList.add(`status-${result.dmarc ? result.dmarc.status : 'error'}`);
+            if (result.dmarc && result.dmarc.inherited) {
+                dmarcCell.textContent += ` (от ${result.dmarc.inherited.from})`;
+                dmarcCell.title = `Унаследована от ${result.dmarc.inherited.from} (${result.dmarc.inherited.tag}=${result.dmarc.policy || '?'})`;
+            }
             
             // SPF статус
             spfCell.textContent = this._getStatusText(result.spf ? result.spf.status : 'error');
@@ -163,6 +226,35 @@ class TableManager {
             
             // Оценка безопасности
             scoreCell.textContent = `${result.securityScore || 0}%`;
+            
+            // Отмечаем домены, для которых резолверы вернули разные ответы
+            if (result.dnsConsensus && result.dnsConsensus.disagreements.length > 0) {
+                domainCell.classList.add('dns-disagreement');
+                domainCell.title = 'DNS-резолверы вернули разные ответы';
+            }
+        }
+        
+        // Статусы собственных проверок из реестра
+        this._getCheckColumns().forEach(provider => {
+            const status = result[provider.name] ? result[provider.name].status : 'error';
+            const cell = DOMUtils.createElement('td', {
+                class: `check-cell status-${result.error ? 'error' : status}`
+            }, result.error ? 'Ошибка' : this._getStatusText(status));
+            
+            if (result[provider.name] && result[provider.name].error) {
+                cell.title = result[provider.name].error;
+            }
+            
+            scoreCell.parentNode.insertBefore(cell, scoreCell);
+        });
+        
+        // Результаты симуляции и фикстур помечаем, чтобы их не приняли за реальную проверку
+        if (result.provenance && result.provenance.simulated) {
+            row.querySelector('tr').classList.add('simulated-row');
+            domainCell.appendChild(DOMUtils.createElement('span', {
+                class: 'simulated-badge',
+                title: `Результат получен в режиме ${result.provenance.mode} и не является реальной проверкой`
+            }, result.provenance.mode === 'fixtures' ? 'сценарий' : 'симуляция'));
         }
         
         // Добавляем data-атрибут с доменом для связи со строкой деталей
@@ -185,6 +277,11 @@ class TableManager {
         // Устанавливаем data-атрибут с доменом
         row.dataset.domain = result.domain;
         
+        // Строка деталей занимает все колонки, включая колонки собственных проверок
+        if (this.table) {
+            row.querySelector('.domain-details').colSpan = this.table.querySelectorAll('thead th').length;
+        }
+        
         // Заполняем детали
         const domainTitle = detailsRow.querySelector('.details-domain');
         domainTitle.textContent = `Детальная информация для ${result.domain}`;
@@ -211,6 +308,21 @@ class TableManager {
             // Добавляем секцию с ошибкой
             const sectionsContainer = detailsRow.querySelector('.details-sections');
             sectionsContainer.appendChild(errorSection);
+        } else if (result.notScanned) {
+            // Скрываем секции с деталями
+            const sections = detailsRow.querySelectorAll('.detail-section');
+            sections.forEach(section => section.style.display = 'none');
+            
+            const notScannedSection = DOMUtils.createElement('div', {
+                class: 'detail-section'
+            }, [
+                DOMUtils.createElement('h5', {}, 'Не проверен'),
+                DOMUtils.createElement('p', {
+                    class: 'status-not_scanned'
+                }, 'Сканирование было остановлено до проверки этого домена')
+            ]);
+            
+            detailsRow.querySelector('.details-sections').appendChild(notScannedSection);
         } else {
             // Заполняем секции с деталями
             
@@ -222,8 +334,20 @@ class TableManager {
             dmarcStatus.textContent = this._getStatusText(result.dmarc ? result.dmarc.status : 'error');
             dmarcStatus.classList.add(`status-${result.dmarc ? result.dmarc.status : 'error'}`);
             dmarcRecord.textContent = result.dmarc && result.dmarc.record ? result.dmarc.record : 'Отсутствует';
+            
+            // Запись организационного домена, которую получатели применяют к поддомену
+            if (result.dmarc && result.dmarc.inherited) {
+                const { from, tag } = result.dmarc.inherited;
+                dmarcRecord.textContent = `Унаследована от ${from} (${tag}=${result.dmarc.policy || '?'}): ${result.dmarc.record}`;
+            }
             dmarcPolicy.textContent = result.dmarc && result.dmarc.policy ? result.dmarc.policy : 'Не определена';
             
+            // Замечания разбора DMARC записи
+            if (result.dmarc && result.dmarc.findings && result.dmarc.findings.length > 0) {
+                detailsRow.querySelector('.dmarc-section').appendChild(
+                    this._createFindingsList(result.dmarc.findings, 'dmarc-findings'));
+            }
+            
             // SPF
             const spfStatus = detailsRow.querySelector('.spf-status');
             const spfRecord = detailsRow.querySelector('.spf-record');
@@ -232,6 +356,40 @@ class TableManager {
             spfStatus.classList.add(`status-${result.spf ? result.spf.status : 'error'}`);
             spfRecord.textContent = result.spf && result.spf.record ? result.spf.record : 'Отсутствует';
             
+            // Замечания к оформлению SPF записи
+            if (result.spf && result.spf.findings && result.spf.findings.length > 0) {
+                detailsRow.querySelector('.spf-section').appendChild(
+                    this._createFindingsList(result.spf.findings, 'spf-findings'));
+            }
+            
+            // Отправители, которым разрешена отправка
+            if (result.spf && Array.isArray(result.spf.senders) && result.spf.senders.length > 0) {
+                detailsRow.querySelector('.spf-section').appendChild(this._createSpfSenders(result.spf.senders));
+            }
+            
+            // Дерево раскрытия SPF записи и число DNS-запросов
+            if (result.spf && result.spf.tree) {
+                const spfSection = detailsRow.querySelector('.spf-section');
+                const overLimit = result.spf.lookups > SpfEvaluator.LOOKUP_LIMIT ||
+                    result.spf.voidLookups > SpfEvaluator.VOID_LOOKUP_LIMIT;
+                
+                spfSection.appendChild(DOMUtils.createElement('p', {
+                    class: overLimit ? 'status-error' : null
+                }, `DNS-запросов: ${result.spf.lookups} из ${SpfEvaluator.LOOKUP_LIMIT}, пустых ответов: ${result.spf.voidLookups} из ${SpfEvaluator.VOID_LOOKUP_LIMIT}`));
+                spfSection.appendChild(this._createSpfTree(result.spf.tree));
+                
+                // Сглаживание записи, которая превышает лимит DNS-запросов или близка к нему
+                if (result.spf.lookups > SpfEvaluator.LOOKUP_LIMIT - 2) {
+                    spfSection.appendChild(DOMUtils.createElement('div', { class: 'spf-flatten' }, [
+                        DOMUtils.createElement('button', {
+                            type: 'button',
+                            class: 'secondary-btn spf-flatten-btn'
+                        }, 'Сгладить SPF'),
+                        DOMUtils.createElement('div', { class: 'spf-flatten-result' })
+                    ]));
+                }
+            }
+            
             // DKIM
             const dkimStatus = detailsRow.querySelector('.dkim-status');
             const dkimSelectors = detailsRow.querySelector('.dkim-selectors');
@@ -239,7 +397,17 @@ class TableManager {
             dkimStatus.textContent = this._getStatusText(result.dkim ? result.dkim.status : 'error');
             dkimStatus.classList.add(`status-${result.dkim ? result.dkim.status : 'error'}`);
             dkimSelectors.textContent = result.dkim && result.dkim.selectors && result.dkim.selectors.length > 0 ? 
-                result.dkim.selectors.join(', ') : 'Отсутствуют';
+                this._getDkimSelectorsText(result.dkim) : 'Отсутствуют';
+            
+            // Ключи селекторов: по строке на селектор
+            if (result.dkim && Array.isArray(result.dkim.records) && result.dkim.records.length > 0) {
+                const dkimSection = detailsRow.querySelector('.dkim-section');
+                dkimSection.appendChild(this._createDkimKeysTable(result.dkim.records));
+                
+                if (result.dkim.findings && result.dkim.findings.length > 0) {
+                    dkimSection.appendChild(this._createFindingsList(result.dkim.findings, 'dkim-findings'));
+                }
+            }
             
             // MX записи
             const mxRecords = detailsRow.querySelector('.mx-records');
@@ -259,6 +427,22 @@ class TableManager {
                 mxRecords.textContent = 'Отсутствуют';
             }
             
+            // Собственные проверки из реестра
+            if (window.checkRegistry) {
+                const sectionsContainer = detailsRow.querySelector('.details-sections');
+                window.checkRegistry.getCustom().forEach(provider => {
+                    if (result[provider.name] !== undefined) {
+                        sectionsContainer.appendChild(this._createCheckSection(provider, result[provider.name]));
+                    }
+                });
+            }
+            
+            // Сверка ответов резолверов (режим консенсуса)
+            if (result.dnsConsensus) {
+                const sectionsContainer = detailsRow.querySelector('.details-sections');
+                sectionsContainer.appendChild(this._createConsensusSection(result.dnsConsensus));
+            }
+            
             // Рекомендации (заполняются отложенно)
             const recommendationsContainer = detailsRow.querySelector('.recommendations-container');
             recommendationsContainer.textContent = 'Загрузка рекомендаций...';
@@ -275,9 +459,430 @@ class TableManager {
             }, 100);
         }
         
+        // Происхождение результата
+        if (result.provenance) {
+            detailsRow.querySelector('.details-sections').appendChild(this._createProvenanceSection(result.provenance));
+        }
+        
         return detailsRow;
     }
     
+    /**
+     * Создание секции с происхождением результата
+     * @param {Object} provenance - Сведения о происхождении (см. MultiModeDmarcClient._addProvenance)
+     * @returns {HTMLElement} Секция деталей
+     * @private
+     */
+    _createProvenanceSection(provenance) {
+        const section = DOMUtils.createElement('div', {
+            class: 'detail-section provenance-section'
+        });
+        
+        section.appendChild(DOMUtils.createElement('h5', {}, 'Происхождение результата'));
+        
+        if (provenance.simulated) {
+            section.appendChild(DOMUtils.createElement('p', {
+                class: 'status-warning'
+            }, 'Результат не является реальной проверкой: данные получены из симуляции или сценария'));
+        }
+        
+        const mode = provenance.mode === provenance.requestedMode
+            ? provenance.mode
+            : `${provenance.mode} (выбран ${provenance.requestedMode})`;
+        
+        section.appendChild(DOMUtils.createElement('p', {}, `Режим: ${mode}`));
+        
+        if (provenance.fallbackReason) {
+            section.appendChild(DOMUtils.createElement('p', {
+                class: 'status-warning'
+            }, `Причина смены режима: ${provenance.fallbackReason}`));
+        }
+        
+        section.appendChild(DOMUtils.createElement('p', {}, `Источник: ${provenance.source || 'нет данных'}`));
+        section.appendChild(DOMUtils.createElement('p', {}, `Проверено: ${new Date(provenance.timestamp).toLocaleString()} (${provenance.durationMs} мс)`));
+        
+        return section;
+    }
+    
+    /**
+     * Найденные DKIM селекторы с сервисами, которые их используют
+     * @param {Object} dkim - Результат проверки DKIM
+     * @returns {string} Например: "google (Google Workspace), s1 (SendGrid)"
+     * @private
+     */
+    _getDkimSelectorsText(dkim) {
+        if (!Array.isArray(dkim.records)) {
+            return dkim.selectors.join(', ');
+        }
+        
+        return dkim.records
+            .map(item => (item.providers.length ? `${item.selector} (${item.providers.join(' / ')})` : item.selector))
+            .join(', ');
+    }
+    
+    /**
+     * Создание таблицы DKIM ключей: селектор, сервис, тип и длина ключа, статус
+     * @param {Array<Object>} records - Записи селекторов (см. MultiModeDmarcClient._analyzeDkimRecord)
+     * @returns {HTMLElement} Таблица
+     * @private
+     */
+    _createDkimKeysTable(records) {
+        const header = DOMUtils.createElement('tr', {}, ['Селектор', 'Сервис', 'Ключ', 'Статус']
+            .map(title => DOMUtils.createElement('th', {}, title)));
+        
+        const rows = records.map(record => DOMUtils.createElement('tr', { title: record.name }, [
+            DOMUtils.createElement('td', {}, record.selector),
+            DOMUtils.createElement('td', {}, record.providers.length ? record.providers.join(' / ') : '—'),
+            DOMUtils.createElement('td', {}, DkimParser.describeKey(record)),
+            DOMUtils.createElement('td', {
+                class: `status-${record.status}`
+            }, record.revoked ? 'Отозван' : this._getStatusText(record.status))
+        ]));
+        
+        return DOMUtils.createElement('table', { class: 'dkim-keys' }, [
+            DOMUtils.createElement('thead', {}, [header]),
+            DOMUtils.createElement('tbody', {}, rows)
+        ]);
+    }
+    
+    /**
+     * Создание списка замечаний к записи
+     * @param {Array<Object>} findings - Замечания { code, tag, severity, message }
+     * @param {string} className - Класс списка
+     * @returns {HTMLElement} Список замечаний
+     * @private
+     */
+    _createFindingsList(findings, className) {
+        const severityClasses = {
+            error: 'status-error',
+            warning: 'status-warning',
+            info: 'status-not_scanned'
+        };
+        
+        const findingsList = DOMUtils.createElement('ul', {
+            class: className
+        });
+        
+        findings.forEach(finding => {
+            findingsList.appendChild(DOMUtils.createElement('li', {
+                class: severityClasses[finding.severity] || 'status-warning'
+            }, finding.message));
+        });
+        
+        return findingsList;
+    }
+    
+    /**
+     * Создание списка отправителей, которым SPF запись разрешает отправку (см. SpfVendors.getSenders)
+     * Несуществующие и пустые include отмечаются как ошибки
+     * @param {Array<Object>} senders - Отправители { vendor, name, include, status }
+     * @returns {HTMLElement} Абзац со списком
+     * @private
+     */
+    _createSpfSenders(senders) {
+        const statusTexts = {
+            nxdomain: 'домен не существует',
+            'no-record': 'нет SPF записи',
+            error: 'ошибка'
+        };
+        
+        const items = senders.map((sender, index) => DOMUtils.createElement('span', {
+            class: sender.status === 'ok' ? null : 'status-error',
+            title: sender.include || null
+        }, `${index > 0 ? ', ' : ''}${sender.name}${sender.status === 'ok' ? '' : ` (${statusTexts[sender.status]})`}`));
+        
+        return DOMUtils.createElement('p', { class: 'spf-senders' }, [
+            DOMUtils.createElement('strong', {}, 'Разрешена отправка: '),
+            ...items
+        ]);
+    }
+    
+    /**
+     * Обработчик проверки SPF для IP-адреса и отправителя (см. MultiModeDmarcClient.checkSpfHost)
+     * @param {HTMLElement} button - Кнопка проверки
+     * @private
+     */
+    async _handleSpfTest(button) {
+        const tester = button.closest('.spf-tester');
+        const domain = button.closest('tr.details-row').dataset.domain;
+        const ip = tester.querySelector('.spf-test-ip').value.trim();
+        const sender = tester.querySelector('.spf-test-sender').value.trim();
+        const output = tester.querySelector('.spf-test-result');
+        
+        output.textContent = '';
+        
+        if (!ip) {
+            output.appendChild(DOMUtils.createElement('p', { class: 'status-error' }, 'Укажите IP-адрес'));
+            return;
+        }
+        
+        if (!window.dmarcClient || typeof window.dmarcClient.checkSpfHost !== 'function') {
+            output.appendChild(DOMUtils.createElement('p', { class: 'status-error' }, 'Проверка IP-адреса недоступна в текущем режиме'));
+            return;
+        }
+        
+        button.disabled = true;
+        output.appendChild(DOMUtils.createElement('p', {}, 'Проверка...'));
+        
+        try {
+            const outcome = await window.dmarcClient.checkSpfHost(domain, ip, sender);
+            output.textContent = '';
+            output.appendChild(this._createSpfTestResult(outcome));
+        } catch (error) {
+            Logger.error(`SPF check_host failed for ${domain}`, error);
+            output.textContent = '';
+            output.appendChild(DOMUtils.createElement('p', { class: 'status-error' }, `Ошибка: ${error.message}`));
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Создание блока с результатом проверки SPF для IP-адреса
+     * @param {Object} outcome - Результат SpfEvaluator.checkHost
+     * @returns {HTMLElement} Блок результата
+     * @private
+     */
+    _createSpfTestResult(outcome) {
+        const resultClasses = {
+            pass: 'status-ok',
+            fail: 'status-error',
+            permerror: 'status-error',
+            softfail: 'status-warning',
+            temperror: 'status-warning'
+        };
+        
+        const lines = [
+            DOMUtils.createElement('p', {
+                class: resultClasses[outcome.result] || 'status-not_scanned'
+            }, `Результат: ${outcome.result}`)
+        ];
+        
+        if (outcome.mechanism) {
+            lines.push(DOMUtils.createElement('p', {},
+                `Механизм: ${outcome.path.join(' → ')}${outcome.domain ? ` (запись ${outcome.domain})` : ''}`));
+        } else if (outcome.message) {
+            lines.push(DOMUtils.createElement('p', {}, outcome.message));
+        }
+        
+        if (outcome.explanation) {
+            lines.push(DOMUtils.createElement('p', {}, `Пояснение (exp): ${outcome.explanation}`));
+        }
+        
+        lines.push(DOMUtils.createElement('p', {}, `DNS-запросов: ${outcome.lookups}, пустых ответов: ${outcome.voidLookups}`));
+        
+        return DOMUtils.createElement('div', {}, lines);
+    }
+    
+    /**
+     * Обработчик сглаживания SPF записи (см. MultiModeDmarcClient.flattenSpf)
+     * @param {HTMLElement} button - Кнопка сглаживания
+     * @private
+     */
+    async _handleSpfFlatten(button) {
+        const domain = button.closest('tr.details-row').dataset.domain;
+        const output = button.closest('.spf-flatten').querySelector('.spf-flatten-result');
+        
+        output.textContent = '';
+        
+        if (!window.dmarcClient || typeof window.dmarcClient.flattenSpf !== 'function') {
+            output.appendChild(DOMUtils.createElement('p', { class: 'status-error' }, 'Сглаживание SPF недоступно в текущем режиме'));
+            return;
+        }
+        
+        button.disabled = true;
+        output.appendChild(DOMUtils.createElement('p', {}, 'Раскрытие записи...'));
+        
+        try {
+            const flattened = await window.dmarcClient.flattenSpf(domain);
+            output.textContent = '';
+            output.appendChild(this._createSpfFlattenResult(flattened));
+        } catch (error) {
+            Logger.error(`SPF flattening failed for ${domain}`, error);
+            output.textContent = '';
+            output.appendChild(DOMUtils.createElement('p', { class: 'status-error' }, `Ошибка: ${error.message}`));
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Создание блока со сглаженной SPF записью: число DNS-запросов до и после,
+     * записи в виде строк TXT и предупреждения
+     * @param {Object} flattened - Результат SpfFlattener.flatten
+     * @returns {HTMLElement} Блок результата
+     * @private
+     */
+    _createSpfFlattenResult(flattened) {
+        const container = DOMUtils.createElement('div', {}, [
+            DOMUtils.createElement('p', {
+                class: flattened.lookupsAfter > SpfEvaluator.LOOKUP_LIMIT ? 'status-error' : 'status-ok'
+            }, `DNS-запросов: ${flattened.lookupsBefore} → ${flattened.lookupsAfter} из ${SpfEvaluator.LOOKUP_LIMIT}, адресов: ${flattened.addresses}`)
+        ]);
+        
+        flattened.records.forEach(record => {
+            container.appendChild(DOMUtils.createElement('p', {}, [
+                DOMUtils.createElement('strong', {}, `${record.name} TXT`),
+                DOMUtils.createElement('span', {}, ` (${record.size} байт в ответе)`)
+            ]));
+            container.appendChild(DOMUtils.createElement('pre', {},
+                record.strings.map(text => `"${text}"`).join(' ')));
+        });
+        
+        if (flattened.warnings.length > 0) {
+            container.appendChild(this._createFindingsList(flattened.warnings, 'spf-flatten-warnings'));
+        }
+        
+        return container;
+    }
+    
+    /**
+     * Создание дерева раскрытия SPF записи (см. SpfEvaluator)
+     * Термы, требующие DNS-запроса, отмечены "[DNS]", включенные записи вложены в include и redirect
+     * @param {Object} node - Узел дерева { domain, record, error, terms }
+     * @returns {HTMLElement} Список термов
+     * @private
+     */
+    _createSpfTree(node) {
+        const list = DOMUtils.createElement('ul', {
+            class: 'spf-tree'
+        });
+        
+        if (node.error && node.error !== 'none') {
+            list.appendChild(DOMUtils.createElement('li', {
+                class: 'status-error'
+            }, `${node.domain}: ${node.error}`));
+        }
+        
+        node.terms.forEach(term => {
+            const notes = [];
+            if (term.lookup) {
+                notes.push('[DNS]');
+            }
+            if (term.target && term.target !== term.raw && term.lookup) {
+                notes.push(`→ ${term.target}`);
+            }
+            if (term.addresses.length > 0) {
+                notes.push(`(${term.addresses.join(', ')})`);
+            }
+            if (term.void) {
+                notes.push('пустой ответ');
+            }
+            if (term.note) {
+                notes.push(term.note);
+            }
+            
+            const item = DOMUtils.createElement('li', {
+                class: term.void ? 'status-warning' : null
+            }, [term.raw, ...notes].join(' '));
+            
+            if (term.child) {
+                item.appendChild(term.child.error === 'none'
+                    ? DOMUtils.createElement('div', { class: 'status-error' }, `${term.child.domain}: нет SPF записи`)
+                    : this._createSpfTree(term.child));
+            }
+            
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Создание секции с результатом собственной проверки
+     * @param {Object} provider - Описание проверки из реестра
+     * @param {*} checkResult - Результат проверки
+     * @returns {HTMLElement} Секция деталей
+     * @private
+     */
+    _createCheckSection(provider, checkResult) {
+        const section = DOMUtils.createElement('div', {
+            class: `detail-section check-section ${provider.name}-section`
+        });
+        
+        section.appendChild(DOMUtils.createElement('h5', {}, provider.title));
+        
+        // Результат без схемы (проверка без статуса) выводим как есть
+        if (!checkResult || typeof checkResult !== 'object' || Array.isArray(checkResult)) {
+            section.appendChild(DOMUtils.createElement('p', {}, window.checkRegistry.formatValue(checkResult) || 'Нет данных'));
+            return section;
+        }
+        
+        if (checkResult.status) {
+            section.appendChild(DOMUtils.createElement('p', {}, [
+                DOMUtils.createElement('strong', {}, 'Статус: '),
+                DOMUtils.createElement('span', {
+                    class: `status-${checkResult.status}`
+                }, this._getStatusText(checkResult.status))
+            ]));
+        }
+        
+        provider.fields.forEach(field => {
+            section.appendChild(DOMUtils.createElement('p', {}, [
+                DOMUtils.createElement('strong', {}, `${field.title}: `),
+                DOMUtils.createElement('span', {}, window.checkRegistry.formatValue(checkResult[field.key]) || 'Отсутствует')
+            ]));
+        });
+        
+        if (checkResult.error) {
+            section.appendChild(DOMUtils.createElement('p', {
+                class: 'status-error'
+            }, checkResult.error));
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Создание секции со сверкой ответов DNS-резолверов
+     * @param {Object} consensus - Данные консенсуса { resolvers, disagreements, unverified }
+     * @returns {HTMLElement} Секция деталей
+     * @private
+     */
+    _createConsensusSection(consensus) {
+        const section = DOMUtils.createElement('div', {
+            class: 'detail-section consensus-section'
+        });
+        
+        section.appendChild(DOMUtils.createElement('h5', {}, 'Консенсус DNS'));
+        section.appendChild(DOMUtils.createElement('p', {}, `Резолверы: ${consensus.resolvers.join(', ') || 'нет данных'}`));
+        
+        if (consensus.disagreements.length === 0) {
+            section.appendChild(DOMUtils.createElement('p', {
+                class: 'status-ok'
+            }, 'Ответы резолверов совпадают'));
+        } else {
+            const list = DOMUtils.createElement('ul', {
+                class: 'consensus-list'
+            });
+            
+            consensus.disagreements.forEach(disagreement => {
+                const item = DOMUtils.createElement('li', {
+                    class: 'status-warning'
+                }, `${disagreement.name} (${disagreement.type})`);
+                
+                const responses = DOMUtils.createElement('ul');
+                disagreement.responses.forEach(response => {
+                    const answers = response.answers.length ? response.answers.join(' | ') : 'нет записей';
+                    responses.appendChild(DOMUtils.createElement('li', {}, `${response.resolver} [${response.rcode}]: ${answers}`));
+                });
+                
+                item.appendChild(responses);
+                list.appendChild(item);
+            });
+            
+            section.appendChild(list);
+        }
+        
+        if (consensus.unverified.length > 0) {
+            section.appendChild(DOMUtils.createElement('p', {
+                class: 'status-warning'
+            }, `Не удалось сверить: ${consensus.unverified.map(item => `${item.name} (${item.type})`).join(', ')}`));
+        }
+        
+        return section;
+    }
+    
     /**
      * Переключение отображения деталей
      * @param {HTMLElement} row - Строка таблицы
@@ -403,6 +1008,7 @@ class TableManager {
             case 'ok': return 'Настроен';
             case 'warning': return 'Проблемы';
             case 'error': return 'Отсутствует';
+            case 'not_scanned': return 'Не проверен';
             default: return 'Неизвестно';
         }
     }
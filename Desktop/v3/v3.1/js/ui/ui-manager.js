@@ -8,6 +8,7 @@ class UIManager {
         this.loadBtn = DOMUtils.getById('loadBtn');
         this.scanBtn = DOMUtils.getById('scanBtn');
         this.stopBtn = DOMUtils.getById('stopBtn');
+        this.pauseBtn = DOMUtils.getById('pauseBtn');
         this.progressBar = DOMUtils.getById('progressBar');
         this.progressText = DOMUtils.getById('progressText');
         this.exportBtn = DOMUtils.getById('exportBtn');
@@ -16,15 +17,25 @@ class UIManager {
         this.settingsBtn = DOMUtils.getById('settingsBtn');
         this.settingsPanel = DOMUtils.getById('settingsPanel');
         this.saveSettingsBtn = DOMUtils.getById('saveSettingsBtn');
+        this.invalidateCacheBtn = DOMUtils.getById('invalidateCacheBtn');
+        this.clearCacheBtn = DOMUtils.getById('clearCacheBtn');
+        this.exportDnsSessionBtn = DOMUtils.getById('exportDnsSessionBtn');
+        this.publicSuffixFile = DOMUtils.getById('publicSuffixFile');
+        this.updatePublicSuffixBtn = DOMUtils.getById('updatePublicSuffixBtn');
+        this.resetPublicSuffixBtn = DOMUtils.getById('resetPublicSuffixBtn');
         
         // Состояние сканирования
         this.scanningState = {
             isScanning: false,
+            isPaused: false,
             progress: 0,
             processed: 0,
             total: 0
         };
         
+        // Текущее сканирование для сохранения контрольных точек
+        this.currentScan = null;
+        
         // Инициализация обработчиков событий
         this._setupEventListeners();
         
@@ -51,6 +62,14 @@ class UIManager {
             this.stopBtn.addEventListener('click', this._handleStopClick.bind(this));
         }
         
+        // Кнопка паузы/продолжения сканирования
+        if (this.pauseBtn) {
+            this.pauseBtn.addEventListener('click', this._handlePauseClick.bind(this));
+        }
+        
+        // Сохраняем прогресс при закрытии или перезагрузке страницы
+        window.addEventListener('beforeunload', () => this._saveCheckpoint(true));
+        
         // Кнопки экспорта
         if (this.exportBtn) {
             this.exportBtn.addEventListener('click', this._handleExportClick.bind(this));
@@ -73,6 +92,33 @@ class UIManager {
             this.saveSettingsBtn.addEventListener('click', this._handleSaveSettingsClick.bind(this));
         }
         
+        // Управление кэшем DNS
+        if (this.invalidateCacheBtn) {
+            this.invalidateCacheBtn.addEventListener('click', this._handleInvalidateCacheClick.bind(this));
+        }
+        
+        if (this.clearCacheBtn) {
+            this.clearCacheBtn.addEventListener('click', this._handleClearCacheClick.bind(this));
+        }
+        
+        // Экспорт записанной DNS-сессии
+        if (this.exportDnsSessionBtn) {
+            this.exportDnsSessionBtn.addEventListener('click', this._handleExportDnsSessionClick.bind(this));
+        }
+        
+        // Список публичных суффиксов
+        if (this.publicSuffixFile) {
+            this.publicSuffixFile.addEventListener('change', this._handlePublicSuffixFileChange.bind(this));
+        }
+        
+        if (this.updatePublicSuffixBtn) {
+            this.updatePublicSuffixBtn.addEventListener('click', this._handleUpdatePublicSuffixClick.bind(this));
+        }
+        
+        if (this.resetPublicSuffixBtn) {
+            this.resetPublicSuffixBtn.addEventListener('click', this._handleResetPublicSuffixClick.bind(this));
+        }
+        
         // Подписка на события
         EventBus.on('scan:state_changed', this._handleScanStateChanged.bind(this));
         EventBus.on('file:selected', this._handleFileSelected.bind(this));
@@ -128,11 +174,11 @@ class UIManager {
             window.dmarcClient.stopScan();
         }
         
+        this.scanningState.isScanning = false;
+        
         // Обновляем UI
         this._updateScanningUI(false);
         
-        this.scanningState.isScanning = false;
-        
         // Обновляем текст прогресса
         if (this.progressText) {
             this.progressText.textContent = 'Сканирование остановлено';
@@ -141,6 +187,73 @@ class UIManager {
         Logger.info('Scanning stopped by user');
     }
     
+    /**
+     * Обработчик клика по кнопке паузы/продолжения
+     * Во время сканирования ставит его на паузу или снимает с паузы,
+     * вне сканирования продолжает прерванное сканирование из контрольной точки
+     * @private
+     */
+    _handlePauseClick() {
+        if (!window.dmarcClient) return;
+        
+        if (!this.scanningState.isScanning) {
+            const checkpoint = StorageManager.get('scan_checkpoint');
+            if (checkpoint) {
+                this.resumeFromCheckpoint(checkpoint);
+            }
+            return;
+        }
+        
+        if (typeof window.dmarcClient.pauseScan !== 'function') {
+            Logger.warn('Current DMARC client does not support pausing');
+            return;
+        }
+        
+        if (this.scanningState.isPaused) {
+            window.dmarcClient.resumeScan();
+            this.scanningState.isPaused = false;
+            
+            if (this.progressText) {
+                this.progressText.textContent = `Обработано ${this.scanningState.processed} из ${this.scanningState.total} доменов (${this.scanningState.progress}%)`;
+            }
+        } else {
+            window.dmarcClient.pauseScan();
+            this.scanningState.isPaused = true;
+            this._saveCheckpoint(true);
+            
+            if (this.progressText) {
+                this.progressText.textContent = `Сканирование приостановлено: обработано ${this.scanningState.processed} из ${this.scanningState.total} доменов`;
+            }
+        }
+        
+        this._updatePauseButton();
+        Logger.info(`Scanning ${this.scanningState.isPaused ? 'paused' : 'resumed'} by user`);
+    }
+    
+    /**
+     * Обновление кнопки паузы/продолжения
+     * @private
+     */
+    _updatePauseButton() {
+        if (!this.pauseBtn) return;
+        
+        if (this.scanningState.isScanning) {
+            this.pauseBtn.disabled = false;
+            this.pauseBtn.textContent = this.scanningState.isPaused ? 'Продолжить' : 'Пауза';
+            return;
+        }
+        
+        // Вне сканирования кнопка позволяет продолжить прерванное сканирование
+        // (после остановки - только когда завершатся текущие запросы)
+        const checkpoint = StorageManager.get('scan_checkpoint');
+        const canResume = !this.currentScan &&
+            !!(checkpoint && Array.isArray(checkpoint.pending) && checkpoint.pending.length > 0);
+        
+        this.pauseBtn.disabled = !canResume;
+        this.pauseBtn.textContent = 'Продолжить';
+        this.pauseBtn.title = canResume ? `Осталось доменов: ${checkpoint.pending.length}` : '';
+    }
+    
     /**
      * Обработчик клика по кнопке экспорта JSON
      * @private
@@ -245,6 +358,15 @@ class UIManager {
         // Скрываем другие панели
         this._hideOtherPanels();
         
+        // Обновляем состояние DoH-резолверов, кэша и записи DNS-сессии
+        if (!isVisible) {
+            this._renderResolverHealth();
+            this._renderCacheStats();
+            this._renderDnsSessionInfo();
+            this._renderPublicSuffixInfo();
+            this._renderApiStatus();
+        }
+        
         Logger.debug(`Settings panel ${isVisible ? 'hidden' : 'shown'}`);
     }
     
@@ -256,22 +378,72 @@ class UIManager {
         // Получаем значения настроек
         const apiKey = DOMUtils.getById('apiKey')?.value || '';
         const useApi = DOMUtils.getById('useApi')?.checked || false;
+        const apiBaseUrl = (DOMUtils.getById('apiBaseUrl')?.value || '').trim();
+        const webLookupUrl = (DOMUtils.getById('webLookupUrl')?.value || '').trim();
         const requestDelay = parseInt(DOMUtils.getById('requestDelay')?.value) || 1000;
         const concurrentRequests = parseInt(DOMUtils.getById('concurrentRequests')?.value) || 3;
         const logLevel = DOMUtils.getById('logLevel')?.value || 'info';
+        const dnsResolvers = (DOMUtils.getById('dnsResolvers')?.value || '')
+            .split(/[\s,]+/)
+            .filter(Boolean);
+        const dnsConsensus = DOMUtils.getById('dnsConsensus')?.checked || false;
+        const dnsCacheMinTtl = parseInt(DOMUtils.getById('dnsCacheMinTtl')?.value) || 0;
+        const dnsCacheMaxTtl = Math.max(dnsCacheMinTtl, parseInt(DOMUtils.getById('dnsCacheMaxTtl')?.value) || 86400);
+        const dnsRecordSession = DOMUtils.getById('dnsRecordSession')?.checked || false;
+        const dmarcSpec = DOMUtils.getById('dmarcSpec')?.value || 'rfc7489';
+        const dkimSelectors = DkimSelectors.parseCustom(DOMUtils.getById('dkimSelectors')?.value || '');
         
         // Сохраняем настройки
         StorageManager.set('api_key', apiKey);
         StorageManager.set('use_api', useApi);
+        StorageManager.set('api_base_url', apiBaseUrl);
+        StorageManager.set('web_lookup_url', webLookupUrl);
         StorageManager.set('request_delay', requestDelay);
         StorageManager.set('concurrent_requests', concurrentRequests);
+        StorageManager.set('dns_resolvers', dnsResolvers);
+        StorageManager.set('dns_consensus', dnsConsensus);
+        StorageManager.set('dns_cache_min_ttl', dnsCacheMinTtl);
+        StorageManager.set('dns_cache_max_ttl', dnsCacheMaxTtl);
+        StorageManager.set('dns_record_session', dnsRecordSession);
+        StorageManager.set('dmarc_spec', dmarcSpec);
+        StorageManager.set('dkim_selectors', { global: dkimSelectors.global, domains: dkimSelectors.domains });
         
         // Обновляем настройки клиента
         if (window.dmarcClient) {
-            window.dmarcClient.apiKey = apiKey;
-            window.dmarcClient.useApi = useApi;
+            if (typeof window.dmarcClient.setApiSettings === 'function') {
+                window.dmarcClient.setApiSettings({ apiKey, useApi, apiBaseUrl });
+            } else {
+                window.dmarcClient.apiKey = apiKey;
+                window.dmarcClient.useApi = useApi;
+            }
+            
+            if (typeof window.dmarcClient.setWebLookupUrl === 'function') {
+                window.dmarcClient.setWebLookupUrl(webLookupUrl);
+            }
             window.dmarcClient.setDelay(requestDelay);
             window.dmarcClient.setConcurrentRequests(concurrentRequests);
+            
+            if (typeof window.dmarcClient.setDnsResolvers === 'function') {
+                window.dmarcClient.setDnsResolvers(dnsResolvers);
+                window.dmarcClient.setDnsConsensus(dnsConsensus);
+            }
+            
+            if (typeof window.dmarcClient.setDnsRecording === 'function') {
+                window.dmarcClient.setDnsRecording(dnsRecordSession);
+            }
+            
+            if (typeof window.dmarcClient.setDmarcSpec === 'function') {
+                window.dmarcClient.setDmarcSpec(dmarcSpec);
+            }
+            
+            if (typeof window.dmarcClient.setDkimSelectors === 'function') {
+                window.dmarcClient.setDkimSelectors(dkimSelectors);
+            }
+        }
+        
+        // Обновляем ограничения TTL кэша
+        if (window.dnsCache) {
+            window.dnsCache.setTtlLimits(dnsCacheMinTtl, dnsCacheMaxTtl);
         }
         
         // Обновляем уровень логирования
@@ -290,9 +462,292 @@ class UIManager {
         }
         
         // Показываем сообщение об успешном сохранении
-        this._showInfo('Настройки успешно сохранены');
+        if (dkimSelectors.invalid.length) {
+            this._showInfo(`Настройки сохранены. Некорректные DKIM селекторы пропущены: ${dkimSelectors.invalid.join(', ')}`);
+        } else {
+            this._showInfo('Настройки успешно сохранены');
+        }
+        
+        // Проверяем ключ API, если API включен
+        if (useApi && apiKey) {
+            this._validateApiKey();
+        }
+        
+        Logger.info('Settings saved', { apiKey: apiKey ? '***' : '', useApi, apiBaseUrl, webLookupUrl, requestDelay, concurrentRequests, logLevel, dnsResolvers, dnsConsensus, dnsCacheMinTtl, dnsCacheMaxTtl, dnsRecordSession, dmarcSpec, dkimSelectors });
+    }
+    
+    /**
+     * Обработчик клика по кнопке сброса кэша домена
+     * @private
+     */
+    _handleInvalidateCacheClick() {
+        const domainInput = DOMUtils.getById('dnsCacheDomain');
+        const domain = domainInput ? domainInput.value.trim() : '';
+        
+        if (!domain) {
+            this._showError('Укажите домен для сброса кэша');
+            return;
+        }
+        
+        if (!window.dmarcClient || typeof window.dmarcClient.invalidateCache !== 'function') {
+            this._showError('Клиент DMARC не инициализирован');
+            return;
+        }
+        
+        const removed = window.dmarcClient.invalidateCache(domain);
+        this._showInfo(`Кэш для ${domain} сброшен (удалено записей: ${removed})`);
+        this._renderCacheStats();
+    }
+    
+    /**
+     * Обработчик клика по кнопке полной очистки кэша
+     * @private
+     */
+    _handleClearCacheClick() {
+        if (window.dmarcClient) {
+            window.dmarcClient.clearCache();
+        }
+        this._renderCacheStats();
+    }
+    
+    /**
+     * Проверка ключа API EasyDMARC с выводом результата
+     * @private
+     */
+    async _validateApiKey() {
+        const client = window.dmarcClient;
+        if (!client || typeof client.validateApiKey !== 'function') return;
+        
+        try {
+            const validation = await client.validateApiKey();
+            
+            if (validation.valid) {
+                this._showInfo('API ключ EasyDMARC действителен');
+            } else {
+                this._showError(`API ключ не принят: ${validation.error}`);
+            }
+        } catch (error) {
+            Logger.error('Error validating API key', error);
+        }
+        
+        this._renderApiStatus();
+    }
+    
+    /**
+     * Отображение состояния квоты API в панели настроек
+     * @private
+     */
+    _renderApiStatus() {
+        const container = DOMUtils.getById('apiStatus');
+        if (!container) return;
+        
+        const quota = window.dmarcClient && typeof window.dmarcClient.getApiQuota === 'function'
+            ? window.dmarcClient.getApiQuota()
+            : null;
+        
+        if (!quota || quota.limit === null && quota.remaining === null && !quota.exhausted) {
+            container.textContent = '';
+            return;
+        }
+        
+        let text = quota.exhausted
+            ? 'Квота API исчерпана'
+            : `Квота API: осталось ${quota.remaining !== null ? quota.remaining : '?'} из ${quota.limit !== null ? quota.limit : '?'}`;
+        if (quota.resetAt) {
+            text += `, сброс ${new Date(quota.resetAt).toLocaleString()}`;
+        }
+        
+        container.textContent = text;
+    }
+    
+    /**
+     * Обработчик клика по кнопке экспорта DNS-сессии
+     * @private
+     */
+    _handleExportDnsSessionClick() {
+        const session = window.dmarcClient && typeof window.dmarcClient.getDnsSession === 'function'
+            ? window.dmarcClient.getDnsSession()
+            : null;
+        
+        if (!session || session.entries.length === 0) {
+            this._showError('Нет записанной DNS-сессии. Включите запись и запустите сканирование в офлайн-режиме');
+            return;
+        }
+        
+        try {
+            const date = session.startedAt.slice(0, 19).replace(/[T:]/g, '-');
+            FileUtils.exportJSON(session, `dns_session_${date}`);
+            this._showInfo(`DNS-сессия экспортирована (запросов: ${session.entries.length})`);
+        } catch (error) {
+            this._showError(`Ошибка экспорта DNS-сессии: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Отображение сведений о записанной DNS-сессии в панели настроек
+     * @private
+     */
+    _renderDnsSessionInfo() {
+        const container = DOMUtils.getById('dnsSessionInfo');
+        if (!container) return;
+        
+        const session = window.dmarcClient && typeof window.dmarcClient.getDnsSession === 'function'
+            ? window.dmarcClient.getDnsSession()
+            : null;
+        
+        container.textContent = session
+            ? `Записано запросов: ${session.entries.length} (начало: ${new Date(session.startedAt).toLocaleString()})`
+            : 'Сессия не записана';
+    }
+    
+    /**
+     * Обработчик выбора файла списка публичных суффиксов
+     * @param {Event} event - Событие change
+     * @private
+     */
+    async _handlePublicSuffixFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            const text = await FileUtils.readTextFile(file);
+            const info = PublicSuffixList.load(text, file.name);
+            this._savePublicSuffixList(text, info);
+            this._showInfo(`Список публичных суффиксов загружен (правил: ${info.count})`);
+        } catch (error) {
+            Logger.error('Error loading public suffix list', error);
+            this._showError(`Ошибка загрузки списка публичных суффиксов: ${error.message}`);
+        } finally {
+            event.target.value = '';
+            this._renderPublicSuffixInfo();
+        }
+    }
+    
+    /**
+     * Обработчик клика по кнопке обновления списка публичных суффиксов
+     * @private
+     */
+    async _handleUpdatePublicSuffixClick() {
+        try {
+            const { text, ...info } = await PublicSuffixList.update();
+            this._savePublicSuffixList(text, info);
+            this._showInfo(`Список публичных суффиксов обновлен (правил: ${info.count})`);
+        } catch (error) {
+            Logger.error('Error updating public suffix list', error);
+            this._showError(`Не удалось обновить список публичных суффиксов: ${error.message}. Скачайте public_suffix_list.dat и загрузите файл`);
+        }
+        
+        this._renderPublicSuffixInfo();
+    }
+    
+    /**
+     * Обработчик клика по кнопке возврата к встроенному списку публичных суффиксов
+     * @private
+     */
+    _handleResetPublicSuffixClick() {
+        PublicSuffixList.reset();
+        StorageManager.remove('public_suffix_list');
+        this._renderPublicSuffixInfo();
+    }
+    
+    /**
+     * Сохранение загруженного списка публичных суффиксов, чтобы он пережил перезагрузку
+     * @param {string} text - Текст списка
+     * @param {Object} info - Сведения о списке (PublicSuffixList.getInfo)
+     * @private
+     */
+    _savePublicSuffixList(text, info) {
+        const saved = StorageManager.set('public_suffix_list', {
+            source: info.source,
+            loadedAt: info.loadedAt,
+            data: text
+        });
+        
+        if (!saved) {
+            Logger.warn('Public suffix list is not persisted: storage quota exceeded or unavailable');
+        }
+    }
+    
+    /**
+     * Восстановление сохраненного списка публичных суффиксов
+     * @private
+     */
+    _restorePublicSuffixList() {
+        const stored = StorageManager.get('public_suffix_list');
+        if (!stored || !stored.data || !window.PublicSuffixList) return;
+        
+        try {
+            PublicSuffixList.load(stored.data, stored.source, stored.loadedAt);
+            Logger.debug('Public suffix list restored', PublicSuffixList.getInfo());
+        } catch (error) {
+            Logger.warn('Stored public suffix list is invalid, using bundled list', error);
+            StorageManager.remove('public_suffix_list');
+        }
+    }
+    
+    /**
+     * Отображение сведений о списке публичных суффиксов в панели настроек
+     * @private
+     */
+    _renderPublicSuffixInfo() {
+        const container = DOMUtils.getById('publicSuffixInfo');
+        if (!container || !window.PublicSuffixList) return;
+        
+        const info = PublicSuffixList.getInfo();
+        container.textContent = info.bundled
+            ? `Встроенный список (правил: ${info.count})`
+            : `${info.source} (правил: ${info.count}, загружен: ${new Date(info.loadedAt).toLocaleString()})`;
+    }
+    
+    /**
+     * Отображение статистики кэша DNS в панели настроек
+     * @private
+     */
+    _renderCacheStats() {
+        const container = DOMUtils.getById('dnsCacheStats');
+        if (!container) return;
+        
+        const stats = window.dmarcClient && typeof window.dmarcClient.getCacheStats === 'function'
+            ? window.dmarcClient.getCacheStats()
+            : null;
+        
+        if (!stats) {
+            container.textContent = 'Кэш DNS недоступен';
+            return;
+        }
+        
+        container.textContent = `Записей: ${stats.entries}, попаданий: ${stats.hits}, промахов: ${stats.misses} (${stats.hitRate}%)` +
+            (stats.persistent ? '' : ' - без сохранения между сессиями');
+    }
+    
+    /**
+     * Отображение состояния DoH-резолверов в панели настроек
+     * @private
+     */
+    _renderResolverHealth() {
+        const container = DOMUtils.getById('dnsResolverHealth');
+        if (!container) return;
         
-        Logger.info('Settings saved', { apiKey: apiKey ? '***' : '', useApi, requestDelay, concurrentRequests, logLevel });
+        DOMUtils.empty(container);
+        
+        if (!window.dmarcClient || typeof window.dmarcClient.getResolverHealth !== 'function') {
+            return;
+        }
+        
+        window.dmarcClient.getResolverHealth().forEach(health => {
+            let text = `${health.resolver}: ${health.successes} успешных, ${health.failures} отказов`;
+            if (health.lastLatency !== null) {
+                text += `, ${health.lastLatency} мс`;
+            }
+            if (!health.healthy) {
+                text += ' (временно отключен)';
+            }
+            
+            container.appendChild(DOMUtils.createElement('div', {
+                class: health.healthy ? '' : 'resolver-unhealthy',
+                title: health.lastError || null
+            }, text));
+        });
     }
     
     /**
@@ -324,6 +779,8 @@ class UIManager {
             return;
         }
         
+        let domains;
+        
         try {
             // Обновляем UI
             this._updateScanningUI(true);
@@ -344,30 +801,136 @@ class UIManager {
             
             // Читаем файл
             const content = await FileUtils.readTextFile(file);
-            const domains = FileUtils.parseLines(content);
+            domains = FileUtils.parseLines(content);
             
             if (domains.length === 0) {
                 throw new Error('Файл не содержит доменов');
             }
-            
+        } catch (error) {
+            this._handleScanFailure(error);
+            return;
+        }
+        
+        // Новое сканирование заменяет прерванное
+        this._clearCheckpoint();
+        
+        // Новое сканирование начинает новую DNS-сессию, продолжение дописывает в текущую
+        if (window.dmarcClient.dnsRecording && typeof window.dmarcClient.startDnsRecording === 'function') {
+            window.dmarcClient.startDnsRecording();
+        }
+        
+        await this._runScan(domains, [], file.name);
+    }
+    
+    /**
+     * Продолжение прерванного сканирования из контрольной точки
+     * @param {Object} checkpoint - Контрольная точка (см. _saveCheckpoint)
+     */
+    async resumeFromCheckpoint(checkpoint) {
+        if (!checkpoint || !window.dmarcClient || this.scanningState.isScanning || this.currentScan) {
+            return;
+        }
+        
+        // Восстанавливаем настройки, с которыми выполнялось сканирование
+        const settings = checkpoint.settings || {};
+        const client = window.dmarcClient;
+        
+        if (settings.mode && typeof client.setMode === 'function') client.setMode(settings.mode);
+        if (settings.delay) client.setDelay(settings.delay);
+        if (settings.concurrentRequests) client.setConcurrentRequests(settings.concurrentRequests);
+        if (settings.dnsResolvers && typeof client.setDnsResolvers === 'function') client.setDnsResolvers(settings.dnsResolvers);
+        if (settings.dnsConsensus !== undefined && typeof client.setDnsConsensus === 'function') client.setDnsConsensus(settings.dnsConsensus);
+        if (settings.dmarcSpec && typeof client.setDmarcSpec === 'function') client.setDmarcSpec(settings.dmarcSpec);
+        if (settings.dkimSelectors && typeof client.setDkimSelectors === 'function') client.setDkimSelectors(settings.dkimSelectors);
+        if (settings.simulationSeed && typeof client.setSimulationSeed === 'function') client.setSimulationSeed(settings.simulationSeed);
+        
+        this._updateScanningUI(true);
+        this.scanningState.isScanning = true;
+        
+        // Результаты хранятся отдельно от очереди; домены без сохраненного результата проверяются заново
+        const domainKeys = new Set(checkpoint.domains.map(domain => String(domain).trim().toLowerCase()));
+        const results = window.checkpointStore
+            ? (await window.checkpointStore.getResults()).filter(result => domainKeys.has(String(result.domain).trim().toLowerCase()))
+            : [];
+        
+        Logger.info(`Resuming scan: ${checkpoint.domains.length - results.length} of ${checkpoint.domains.length} domains remaining`);
+        
+        await this._runScan(checkpoint.domains, results, checkpoint.fileName || '');
+    }
+    
+    /**
+     * Предложение продолжить прерванное сканирование после перезагрузки страницы
+     */
+    offerScanResume() {
+        const checkpoint = StorageManager.get('scan_checkpoint');
+        
+        if (!checkpoint || !Array.isArray(checkpoint.pending) || checkpoint.pending.length === 0) {
+            return;
+        }
+        
+        const source = checkpoint.fileName ? ` (${checkpoint.fileName})` : '';
+        const message = `Найдено прерванное сканирование${source}: проверено ${checkpoint.completed || 0} из ${checkpoint.domains.length} доменов.\n\n` +
+            `ОК - продолжить с оставшихся ${checkpoint.pending.length} доменов, Отмена - удалить сохраненный прогресс.`;
+        
+        if (confirm(message)) {
+            this.resumeFromCheckpoint(checkpoint);
+        } else {
+            this._clearCheckpoint();
+            this._updatePauseButton();
+            Logger.info('Scan checkpoint discarded by user');
+        }
+    }
+    
+    /**
+     * Выполнение сканирования с сохранением контрольных точек
+     * @param {Array<string>} domains - Полный список доменов сканирования
+     * @param {Array<Object>} previousResults - Результаты, полученные до возобновления
+     * @param {string} fileName - Имя исходного файла
+     * @private
+     */
+    async _runScan(domains, previousResults, fileName) {
+        const domainKey = domain => String(domain).trim().toLowerCase();
+        const completed = new Set(previousResults.map(result => domainKey(result.domain)));
+        const pending = domains.filter(domain => !completed.has(domainKey(domain)));
+        const offset = domains.length - pending.length;
+        
+        this.currentScan = {
+            domains,
+            fileName,
+            startedAt: new Date().toISOString(),
+            lastCheckpoint: 0,
+            // Домены, результаты которых уже записаны в хранилище контрольной точки
+            storedDomains: new Set(previousResults.map(result => domainKey(result.domain))),
+            checkpointFailed: false
+        };
+        
+        try {
             // Обновляем текст прогресса
             if (this.progressText) {
-                this.progressText.textContent = `Подготовка к сканированию ${domains.length} доменов...`;
+                this.progressText.textContent = offset > 0
+                    ? `Продолжение сканирования: осталось ${pending.length} из ${domains.length} доменов...`
+                    : `Подготовка к сканированию ${domains.length} доменов...`;
             }
             
             // Обновляем состояние
             this.scanningState.total = domains.length;
             
-            // Очищаем предыдущие результаты
+            // Очищаем предыдущие результаты и восстанавливаем уже полученные
             if (window.resultsManager) {
                 window.resultsManager.clearResults();
+                if (previousResults.length > 0) {
+                    window.resultsManager.setResults(previousResults);
+                }
             }
             
             // Обновляем прогресс-бар
-            this._updateProgressBar(5);
+            this._updateProgressBar(offset > 0 ? Math.round(offset / domains.length * 100) : 5);
             
             // Функция для отслеживания прогресса
-            const progressCallback = (processed, total, result) => {
+            const progressCallback = (runProcessed, runTotal, result) => {
+                const processed = offset + runProcessed;
+                const total = domains.length;
+                
                 // Обновляем состояние
                 this.scanningState.processed = processed;
                 this.scanningState.progress = Math.round((processed / total) * 100);
@@ -376,7 +939,7 @@ class UIManager {
                 this._updateProgressBar(this.scanningState.progress);
                 
                 // Обновляем текст прогресса
-                if (this.progressText) {
+                if (this.progressText && !this.scanningState.isPaused) {
                     this.progressText.textContent = `Обработано ${processed} из ${total} доменов (${this.scanningState.progress}%)`;
                 }
                 
@@ -394,18 +957,40 @@ class UIManager {
                         progress: this.scanningState.progress
                     });
                 }
+                
+                // Периодически сохраняем контрольную точку
+                this._saveCheckpoint();
             };
             
-            // Запускаем сканирование
-            const results = await window.dmarcClient.checkDomains(domains, progressCallback);
+            // Запускаем сканирование оставшихся доменов
+            const runResults = pending.length > 0
+                ? await window.dmarcClient.checkDomains(pending, progressCallback)
+                : [];
+            
+            // Объединяем результаты в исходном порядке доменов
+            const resultMap = new Map();
+            previousResults.concat(runResults).forEach(result => resultMap.set(domainKey(result.domain), result));
+            const results = domains
+                .map(domain => resultMap.get(domainKey(domain)))
+                .filter(Boolean);
             
             // Обновляем результаты
             if (window.resultsManager) {
                 window.resultsManager.setResults(results);
             }
             
+            // Остановленное сканирование можно продолжить позже, завершенное - удаляем контрольную точку
+            const notScannedCount = results.filter(result => result.notScanned).length;
+            if (notScannedCount > 0) {
+                this._saveCheckpoint(true);
+            } else {
+                this._clearCheckpoint();
+            }
+            this.currentScan = null;
+            
             // Обновляем состояние сканирования
             this.scanningState.isScanning = false;
+            this.scanningState.isPaused = false;
             
             // Обновляем UI
             this._updateScanningUI(false);
@@ -414,8 +999,16 @@ class UIManager {
             this._updateProgressBar(100);
             
             // Обновляем текст прогресса
+            const stopReason = window.dmarcClient.stopReason;
             if (this.progressText) {
-                this.progressText.textContent = `Сканирование завершено. Обработано ${domains.length} доменов.`;
+                this.progressText.textContent = notScannedCount > 0
+                    ? `Сканирование остановлено${stopReason ? `: ${stopReason}` : ''}. Проверено ${domains.length - notScannedCount} из ${domains.length} доменов.`
+                    : `Сканирование завершено. Обработано ${domains.length} доменов.`;
+            }
+            
+            // Сканирование остановлено из-за квоты или ключа API: после исправления его можно продолжить
+            if (stopReason && notScannedCount > 0) {
+                this._showError(`Сканирование остановлено: ${stopReason}. Оставшиеся ${notScannedCount} доменов можно проверить позже кнопкой "Продолжить".`);
             }
             
             // Генерируем событие завершения сканирования
@@ -433,24 +1026,126 @@ class UIManager {
             
             Logger.info(`Scanning completed. Processed ${domains.length} domains.`);
         } catch (error) {
-            Logger.error('Error during scanning', error);
-            
-            // Обновляем состояние сканирования
-            this.scanningState.isScanning = false;
-            
-            // Обновляем UI
-            this._updateScanningUI(false);
-            
-            // Обновляем текст прогресса
-            if (this.progressText) {
-                this.progressText.textContent = `Ошибка сканирования: ${error.message}`;
+            // Сохраняем прогресс, чтобы сканирование можно было продолжить
+            this._saveCheckpoint(true);
+            this.currentScan = null;
+            this._handleScanFailure(error);
+        }
+    }
+    
+    /**
+     * Обработка ошибки сканирования
+     * @param {Error} error - Ошибка
+     * @private
+     */
+    _handleScanFailure(error) {
+        Logger.error('Error during scanning', error);
+        
+        // Обновляем состояние сканирования
+        this.scanningState.isScanning = false;
+        this.scanningState.isPaused = false;
+        
+        // Обновляем UI
+        this._updateScanningUI(false);
+        
+        // Обновляем текст прогресса
+        if (this.progressText) {
+            this.progressText.textContent = `Ошибка сканирования: ${error.message}`;
+        }
+        
+        // Генерируем событие ошибки сканирования
+        EventBus.emit('scan:error', error);
+        
+        // Показываем сообщение об ошибке
+        this._showError(`Ошибка сканирования: ${error.message}`);
+    }
+    
+    /**
+     * Сохранение контрольной точки сканирования
+     * В localStorage сохраняются список доменов, оставшаяся очередь и настройки, новые результаты
+     * дописываются в IndexedDB (CheckpointStore): полные результаты тысяч доменов не помещаются в квоту localStorage
+     * @param {boolean} [force=false] - Сохранить независимо от интервала
+     * @private
+     */
+    _saveCheckpoint(force = false) {
+        if (!this.currentScan) return;
+        
+        const now = Date.now();
+        if (!force && now - this.currentScan.lastCheckpoint < UIManager.CHECKPOINT_INTERVAL) {
+            return;
+        }
+        this.currentScan.lastCheckpoint = now;
+        
+        // Непроверенные домены остаются в очереди
+        const results = (window.resultsManager ? window.resultsManager.getAllResults() : [])
+            .filter(result => !result.notScanned);
+        const completed = new Set(results.map(result => String(result.domain).trim().toLowerCase()));
+        const pending = this.currentScan.domains.filter(domain => !completed.has(String(domain).trim().toLowerCase()));
+        
+        // Результаты записываются один раз, по мере проверки доменов
+        const scan = this.currentScan;
+        const newResults = results.filter(result => !scan.storedDomains.has(String(result.domain).trim().toLowerCase()));
+        newResults.forEach(result => scan.storedDomains.add(String(result.domain).trim().toLowerCase()));
+        
+        if (newResults.length > 0) {
+            const stored = window.checkpointStore ? window.checkpointStore.putResults(newResults) : Promise.resolve(false);
+            stored.then(ok => {
+                if (!ok) {
+                    this._handleCheckpointFailure(scan);
+                }
+            });
+        }
+        
+        const client = window.dmarcClient || {};
+        const saved = StorageManager.set('scan_checkpoint', {
+            fileName: this.currentScan.fileName,
+            startedAt: this.currentScan.startedAt,
+            updatedAt: new Date(now).toISOString(),
+            domains: this.currentScan.domains,
+            pending,
+            completed: results.length,
+            settings: {
+                mode: typeof client.getMode === 'function' ? client.getMode() : client.mode,
+                delay: client.delay,
+                concurrentRequests: client.concurrentRequests,
+                dnsResolvers: client.dnsResolvers,
+                dnsConsensus: client.dnsConsensus,
+                dmarcSpec: client.dmarcSpec,
+                dkimSelectors: client.dkimSelectors,
+                simulationSeed: client.simulationSeed
             }
-            
-            // Генерируем событие ошибки сканирования
-            EventBus.emit('scan:error', error);
-            
-            // Показываем сообщение об ошибке
-            this._showError(`Ошибка сканирования: ${error.message}`);
+        });
+        
+        if (!saved) {
+            this._handleCheckpointFailure(scan);
+        }
+        
+        this._updatePauseButton();
+    }
+    
+    /**
+     * Сообщение о том, что контрольную точку сохранить не удалось (один раз за сканирование)
+     * @param {Object} scan - Текущее сканирование
+     * @private
+     */
+    _handleCheckpointFailure(scan) {
+        Logger.warn('Failed to save scan checkpoint');
+        
+        if (scan.checkpointFailed) return;
+        scan.checkpointFailed = true;
+        
+        this._showError('Не удалось сохранить прогресс сканирования: после перезагрузки страницы продолжить его не получится. Проверьте свободное место в хранилище браузера.');
+    }
+    
+    /**
+     * Удаление контрольной точки сканирования вместе с сохраненными результатами
+     * @private
+     */
+    _clearCheckpoint() {
+        StorageManager.remove('scan_checkpoint');
+        
+        if (window.checkpointStore) {
+            window.checkpointStore.clear();
         }
     }
     
@@ -469,6 +1164,11 @@ class UIManager {
             this.stopBtn.disabled = !isScanning;
         }
         
+        if (!isScanning) {
+            this.scanningState.isPaused = false;
+        }
+        this._updatePauseButton();
+        
         if (this.loadBtn) {
             this.loadBtn.disabled = isScanning;
         }
@@ -614,27 +1314,59 @@ class UIManager {
         // Загружаем настройки из хранилища
         const apiKey = StorageManager.get('api_key', { defaultValue: '' });
         const useApi = StorageManager.get('use_api', { defaultValue: false });
+        const apiBaseUrl = StorageManager.get('api_base_url', { defaultValue: '' });
+        const webLookupUrl = StorageManager.get('web_lookup_url', { defaultValue: '' });
         const requestDelay = StorageManager.get('request_delay', { defaultValue: 1000 });
         const concurrentRequests = StorageManager.get('concurrent_requests', { defaultValue: 3 });
         const logLevel = StorageManager.get('log_level', { defaultValue: 'info' });
+        const dnsResolvers = StorageManager.get('dns_resolvers', { defaultValue: [] });
+        const dnsConsensus = StorageManager.get('dns_consensus', { defaultValue: false });
+        const dnsCacheMinTtl = StorageManager.get('dns_cache_min_ttl', { defaultValue: 60 });
+        const dnsCacheMaxTtl = StorageManager.get('dns_cache_max_ttl', { defaultValue: 86400 });
+        const dnsRecordSession = StorageManager.get('dns_record_session', { defaultValue: false });
+        const dmarcSpec = StorageManager.get('dmarc_spec', { defaultValue: 'rfc7489' });
+        const dkimSelectors = StorageManager.get('dkim_selectors', { defaultValue: null });
         
         // Устанавливаем значения в форму
         const apiKeyInput = DOMUtils.getById('apiKey');
         const useApiCheckbox = DOMUtils.getById('useApi');
+        const apiBaseUrlInput = DOMUtils.getById('apiBaseUrl');
+        const webLookupUrlInput = DOMUtils.getById('webLookupUrl');
         const requestDelayInput = DOMUtils.getById('requestDelay');
         const concurrentRequestsInput = DOMUtils.getById('concurrentRequests');
         const logLevelSelect = DOMUtils.getById('logLevel');
+        const dnsResolversInput = DOMUtils.getById('dnsResolvers');
+        const dnsConsensusCheckbox = DOMUtils.getById('dnsConsensus');
+        const dnsCacheMinTtlInput = DOMUtils.getById('dnsCacheMinTtl');
+        const dnsCacheMaxTtlInput = DOMUtils.getById('dnsCacheMaxTtl');
+        const dnsRecordSessionCheckbox = DOMUtils.getById('dnsRecordSession');
+        const dmarcSpecSelect = DOMUtils.getById('dmarcSpec');
+        const dkimSelectorsInput = DOMUtils.getById('dkimSelectors');
         
         if (apiKeyInput) apiKeyInput.value = apiKey;
         if (useApiCheckbox) useApiCheckbox.checked = useApi;
+        if (apiBaseUrlInput) apiBaseUrlInput.value = apiBaseUrl;
+        if (webLookupUrlInput) webLookupUrlInput.value = webLookupUrl;
         if (requestDelayInput) requestDelayInput.value = requestDelay;
         if (concurrentRequestsInput) concurrentRequestsInput.value = concurrentRequests;
         if (logLevelSelect) logLevelSelect.value = logLevel;
+        if (dnsResolversInput) dnsResolversInput.value = (dnsResolvers || []).join('\n');
+        if (dnsConsensusCheckbox) dnsConsensusCheckbox.checked = dnsConsensus;
+        if (dnsCacheMinTtlInput) dnsCacheMinTtlInput.value = dnsCacheMinTtl;
+        if (dnsCacheMaxTtlInput) dnsCacheMaxTtlInput.value = dnsCacheMaxTtl;
+        if (dnsRecordSessionCheckbox) dnsRecordSessionCheckbox.checked = dnsRecordSession;
+        if (dmarcSpecSelect) dmarcSpecSelect.value = dmarcSpec;
+        if (dkimSelectorsInput) dkimSelectorsInput.value = DkimSelectors.formatCustom(dkimSelectors);
+        
+        this._restorePublicSuffixList();
         
         Logger.debug('Settings loaded to form');
     }
 }
 
+// Минимальный интервал между сохранениями контрольной точки сканирования (мс)
+UIManager.CHECKPOINT_INTERVAL = 2000;
+
 // Создаем глобальный экземпляр UI менеджера после загрузки DOM
 document.addEventListener('DOMContentLoaded', () => {
     window.uiManager = new UIManager();
@@ -642,6 +1374,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // Загружаем настройки в форму
     window.uiManager.loadSettingsToForm();
     
+    // Предлагаем продолжить прерванное сканирование, когда клиент будет готов
+    window.uiManager._updatePauseButton();
+    EventBus.once('dmarc_client:ready', () => window.uiManager.offerScanResume());
+    
     // Проверяем, есть ли сохраненные результаты
     if (StorageManager.get('scan_results')) {
         // Загружаем результаты
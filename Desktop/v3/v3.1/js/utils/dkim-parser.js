@@ -0,0 +1,335 @@
+/**
+ * Разбор DKIM-записей открытых ключей (RFC 6376, раздел 3.6.1; Ed25519 - RFC 8463)
+ * Запись разбирается как список "тег=значение" через ";". Открытый ключ (тег p)
+ * декодируется из base64: для RSA определяется длина модуля, для Ed25519 - тип ключа.
+ * Результат содержит список замечаний в том же формате, что и DmarcParser.
+ */
+const DkimParser = (function() {
+    // Теги записи ключа (RFC 6376, 3.6.1)
+    const KNOWN_TAGS = ['v', 'h', 'k', 'n', 'p', 's', 't'];
+    
+    const KEY_TYPES = ['rsa', 'ed25519'];
+    const HASH_ALGORITHMS = ['sha1', 'sha256'];
+    
+    // Длины ключей RSA (RFC 8301, 3.2): короче 1024 бит получатели не принимают, 2048 бит рекомендуются
+    const MIN_RSA_BITS = 1024;
+    const RECOMMENDED_RSA_BITS = 2048;
+    
+    // Идентификаторы алгоритмов в SubjectPublicKeyInfo (DER, шестнадцатеричная запись)
+    const RSA_OID = '2a864886f70d010101';     // 1.2.840.113549.1.1.1 rsaEncryption
+    const ED25519_OID = '2b6570';             // 1.3.101.112 id-Ed25519
+    
+    /**
+     * Разбор DKIM-записи
+     *
+     * Замечание: { code, tag, severity, message }
+     *
+     * @param {string} record - Текст TXT-записи
+     * @returns {Object} { valid, tags, keyType, keyBits, revoked, testing, strict, hashAlgorithms, serviceTypes, notes, findings }
+     *   valid - получатели смогут проверить подпись этим ключом (ключ не отозван и разобран без ошибок),
+     *   keyType - rsa, ed25519 или null, keyBits - длина ключа RSA (для Ed25519 - 256),
+     *   revoked - ключ отозван (пустой тег p), testing - тестовый режим (t=y),
+     *   strict - подпись домена не распространяется на поддомены (t=s)
+     */
+    function parse(record) {
+        const findings = [];
+        const tags = {};
+        
+        const addFinding = (code, tag, severity, message) => {
+            findings.push({ code, tag, severity, message });
+        };
+        
+        const parts = String(record || '').split(';').map(part => part.trim());
+        
+        // Завершающая ";" допустима и дает пустой элемент
+        if (parts.length > 1 && parts[parts.length - 1] === '') {
+            parts.pop();
+        }
+        
+        parts.forEach((part, index) => {
+            if (part === '') {
+                return;
+            }
+            
+            const separator = part.indexOf('=');
+            if (separator === -1) {
+                addFinding('syntax', null, 'error', `Элемент "${part}" не имеет вида тег=значение`);
+                return;
+            }
+            
+            const name = part.slice(0, separator).trim();
+            // Значение может содержать пробелы (FWS), в base64 они не значимы
+            const value = part.slice(separator + 1).trim();
+            
+            if (name === 'v' && index !== 0) {
+                addFinding('version-not-first', 'v', 'error', 'Тег v=DKIM1 должен быть первым в записи');
+            }
+            
+            // Повтор тега делает запись некорректной (RFC 6376, 3.2)
+            if (Object.prototype.hasOwnProperty.call(tags, name)) {
+                addFinding('duplicate-tag', name, 'error', `Тег ${name} указан повторно: получатели отбросят запись`);
+                return;
+            }
+            
+            tags[name] = value;
+        });
+        
+        if (tags.v !== undefined && tags.v !== 'DKIM1') {
+            addFinding('invalid-version', 'v', 'error', `Версия записана как "${tags.v}": значение должно быть DKIM1`);
+        }
+        
+        Object.keys(tags).filter(name => !KNOWN_TAGS.includes(name)).forEach(name => {
+            addFinding('unknown-tag', name, 'info', `Неизвестный тег ${name} (игнорируется получателями)`);
+        });
+        
+        // Тип ключа по умолчанию - rsa
+        const keyType = (tags.k || 'rsa').toLowerCase();
+        if (!KEY_TYPES.includes(keyType)) {
+            addFinding('unknown-key-type', 'k', 'error', `Неизвестный тип ключа k=${tags.k}: получатели поддерживают rsa и ed25519`);
+        }
+        
+        const hashAlgorithms = splitList(tags.h);
+        hashAlgorithms.filter(algorithm => !HASH_ALGORITHMS.includes(algorithm)).forEach(algorithm => {
+            addFinding('unknown-hash', 'h', 'info', `Неизвестный алгоритм хеширования ${algorithm} в теге h (игнорируется получателями)`);
+        });
+        if (hashAlgorithms.length && !hashAlgorithms.includes('sha256')) {
+            addFinding('sha1-only', 'h', 'error', `Ключ разрешает только алгоритм h=${tags.h}: подписи SHA-1 получатели не принимают (RFC 8301), укажите sha256 или удалите тег h`);
+        }
+        
+        // Тег s: * (по умолчанию) или email
+        const serviceTypes = splitList(tags.s);
+        if (serviceTypes.length && !serviceTypes.includes('*') && !serviceTypes.includes('email')) {
+            addFinding('service-type', 's', 'error', `Ключ предназначен для сервисов s=${tags.s} и не применяется к почте: укажите s=email или удалите тег s`);
+        }
+        
+        const flags = splitList(tags.t);
+        const testing = flags.includes('y');
+        const strict = flags.includes('s');
+        
+        if (testing) {
+            addFinding('testing', 't', 'warning', 'Ключ в тестовом режиме (t=y): получатели могут не отличать письма с неверной подписью от неподписанных. Удалите флаг y после проверки подписи');
+        }
+        
+        let revoked = false;
+        let keyBits = null;
+        let publicKeyType = null;
+        
+        if (tags.p === undefined) {
+            addFinding('missing-key', 'p', 'error', 'В записи нет открытого ключа (тег p)');
+        } else if (tags.p.replace(/\s+/g, '') === '') {
+            // Пустой p - ключ отозван (RFC 6376, 3.6.1)
+            revoked = true;
+            addFinding('key-revoked', 'p', 'info', 'Ключ отозван (пустой тег p): подписи этим селектором не проходят проверку');
+        } else if (KEY_TYPES.includes(keyType)) {
+            const key = parsePublicKey(tags.p, keyType);
+            
+            if (key.error) {
+                addFinding('invalid-key', 'p', 'error', `Открытый ключ не разобран: ${key.error}`);
+            } else {
+                publicKeyType = key.type;
+                keyBits = key.bits;
+                
+                if (key.type !== keyType) {
+                    addFinding('key-type-mismatch', 'k', 'error', `Тип ключа k=${keyType} не совпадает с ключом в теге p (${key.type})`);
+                } else if (key.type === 'rsa' && key.bits < MIN_RSA_BITS) {
+                    addFinding('key-too-short', 'p', 'error', `Ключ RSA длиной ${key.bits} бит: ключи короче ${MIN_RSA_BITS} бит получатели не принимают (RFC 8301), а подпись можно подделать`);
+                } else if (key.type === 'rsa' && key.bits < RECOMMENDED_RSA_BITS) {
+                    addFinding('key-weak', 'p', 'warning', `Ключ RSA длиной ${key.bits} бит: рекомендуется ${RECOMMENDED_RSA_BITS} бит (RFC 8301)`);
+                }
+            }
+        }
+        
+        return {
+            valid: !revoked && !findings.some(finding => finding.severity === 'error'),
+            tags,
+            keyType: publicKeyType || (KEY_TYPES.includes(keyType) ? keyType : null),
+            keyBits,
+            revoked,
+            testing,
+            strict,
+            hashAlgorithms,
+            serviceTypes,
+            notes: tags.n || '',
+            findings
+        };
+    }
+    
+    /**
+     * Список значений тега через ":" (h, s, t)
+     * @param {string} [value] - Значение тега
+     * @returns {Array<string>}
+     */
+    function splitList(value) {
+        return String(value || '').split(':').map(item => item.trim().toLowerCase()).filter(Boolean);
+    }
+    
+    /**
+     * Разбор открытого ключа из тега p
+     * RSA публикуется как SubjectPublicKeyInfo (RFC 6376, 3.6.1), иногда - как RSAPublicKey (PKCS#1);
+     * Ed25519 - как 32 байта ключа (RFC 8463), иногда - как SubjectPublicKeyInfo
+     * @param {string} value - Значение тега p (base64, пробелы допустимы)
+     * @param {string} [keyType] - Тип ключа из тега k
+     * @returns {Object} { type: rsa|ed25519, bits, format: spki|pkcs1|raw } или { error }
+     */
+    function parsePublicKey(value, keyType = 'rsa') {
+        const base64 = String(value || '').replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.length % 4 === 1) {
+            return { error: 'значение не в кодировке base64' };
+        }
+        
+        let bytes;
+        try {
+            bytes = Array.from(atob(base64), char => char.charCodeAt(0));
+        } catch (error) {
+            return { error: 'значение не в кодировке base64' };
+        }
+        
+        if (keyType === 'ed25519' && bytes.length === 32) {
+            return { type: 'ed25519', bits: 256, format: 'raw' };
+        }
+        
+        const outer = readTlv(bytes, 0);
+        if (!outer || outer.tag !== 0x30) {
+            return { error: 'ожидалась структура DER (SEQUENCE)' };
+        }
+        
+        const first = readTlv(bytes, outer.start);
+        if (!first) {
+            return { error: 'структура DER повреждена' };
+        }
+        
+        // RSAPublicKey без идентификатора алгоритма
+        if (first.tag === 0x02) {
+            const rsa = parseRsaPublicKey(bytes, 0);
+            return rsa ? { type: 'rsa', bits: rsa.bits, format: 'pkcs1' } : { error: 'структура RSAPublicKey повреждена' };
+        }
+        
+        // SubjectPublicKeyInfo: AlgorithmIdentifier и BIT STRING с ключом
+        const oid = first.tag === 0x30 ? readTlv(bytes, first.start) : null;
+        const bitString = readTlv(bytes, first.end);
+        if (!oid || oid.tag !== 0x06 || !bitString || bitString.tag !== 0x03) {
+            return { error: 'структура SubjectPublicKeyInfo повреждена' };
+        }
+        
+        const algorithm = bytes.slice(oid.start, oid.end).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        
+        if (algorithm === ED25519_OID) {
+            return { type: 'ed25519', bits: 256, format: 'spki' };
+        }
+        
+        if (algorithm !== RSA_OID) {
+            return { error: `неизвестный алгоритм ключа (OID ${algorithm})` };
+        }
+        
+        // Первый байт BIT STRING - число неиспользуемых бит
+        const rsa = parseRsaPublicKey(bytes, bitString.start + 1);
+        return rsa ? { type: 'rsa', bits: rsa.bits, format: 'spki' } : { error: 'структура RSAPublicKey повреждена' };
+    }
+    
+    /**
+     * Разбор RSAPublicKey: SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+     * @param {Array<number>} bytes - Байты DER
+     * @param {number} offset - Начало структуры
+     * @returns {Object|null} { bits } или null
+     */
+    function parseRsaPublicKey(bytes, offset) {
+        const sequence = readTlv(bytes, offset);
+        const modulus = sequence && sequence.tag === 0x30 ? readTlv(bytes, sequence.start) : null;
+        const exponent = modulus && modulus.tag === 0x02 ? readTlv(bytes, modulus.end) : null;
+        if (!exponent || exponent.tag !== 0x02) {
+            return null;
+        }
+        
+        // Ведущие нулевые байты модуля (знак INTEGER) не входят в длину ключа
+        let start = modulus.start;
+        while (start < modulus.end && bytes[start] === 0) {
+            start++;
+        }
+        if (start === modulus.end) {
+            return null;
+        }
+        
+        return { bits: (modulus.end - start - 1) * 8 + bytes[start].toString(2).length };
+    }
+    
+    /**
+     * Чтение элемента DER (тег, длина, значение)
+     * @param {Array<number>} bytes - Байты DER
+     * @param {number} offset - Начало элемента
+     * @returns {Object|null} { tag, start, end } - границы значения или null, если элемент выходит за данные
+     */
+    function readTlv(bytes, offset) {
+        if (offset + 2 > bytes.length) {
+            return null;
+        }
+        
+        const tag = bytes[offset];
+        let length = bytes[offset + 1];
+        let start = offset + 2;
+        
+        // Длинная форма длины: младшие 7 бит - число байт длины
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            if (count < 1 || count > 4 || start + count > bytes.length) {
+                return null;
+            }
+            length = 0;
+            for (let i = 0; i < count; i++) {
+                length = length * 256 + bytes[start + i];
+            }
+            start += count;
+        }
+        
+        if (start + length > bytes.length) {
+            return null;
+        }
+        
+        return { tag, start, end: start + length };
+    }
+    
+    /**
+     * Описание ключа для людей: "RSA 2048 бит", "Ed25519, тестовый режим (t=y)", "отозван"
+     * @param {Object} key - Результат parse или объект с полями keyType, keyBits, revoked, testing, strict
+     * @returns {string}
+     */
+    function describeKey(key) {
+        if (key.revoked) {
+            return 'отозван';
+        }
+        
+        let text = 'не разобран';
+        if (key.keyType === 'rsa' && key.keyBits) {
+            text = `RSA ${key.keyBits} бит`;
+        } else if (key.keyType === 'ed25519' && key.keyBits) {
+            text = 'Ed25519';
+        }
+        
+        const flags = [key.testing ? 'тестовый режим (t=y)' : null, key.strict ? 'без поддоменов (t=s)' : null].filter(Boolean);
+        return flags.length ? `${text}, ${flags.join(', ')}` : text;
+    }
+    
+    /**
+     * Похожа ли TXT-запись на DKIM-запись ключа
+     * @param {string} record - Текст TXT-записи
+     * @returns {boolean}
+     */
+    function looksLikeDkim(record) {
+        const text = String(record || '');
+        return /^\s*v\s*=\s*DKIM1\s*(;|$)/i.test(text) || /(^|;)\s*[kp]\s*=/.test(text);
+    }
+    
+    // Публичное API
+    const dkimParser = {
+        parse,
+        parsePublicKey,
+        describeKey,
+        looksLikeDkim,
+        MIN_RSA_BITS,
+        RECOMMENDED_RSA_BITS
+    };
+    
+    // Делаем API доступным глобально
+    window.DkimParser = dkimParser;
+    
+    return dkimParser;
+})();
@@ -0,0 +1,168 @@
+/**
+ * Справочник DKIM селекторов для поиска ключей домена
+ * Имена DKIM записей (селектор._domainkey.домен) нельзя перечислить через DNS, поэтому
+ * проверяются селекторы, которые используют известные сервисы. Найденный селектор
+ * указывает на сервис, подписывающий почту домена. Пользователь может добавить
+ * свои селекторы: общие для всех доменов и для отдельных доменов.
+ */
+const DkimSelectors = (function() {
+    // Селекторы сервисов; один селектор может использоваться несколькими сервисами.
+    // Сервисы со случайными селекторами (Amazon SES Easy DKIM) сюда не входят: их селекторы
+    // пользователь добавляет сам
+    const PROVIDERS = [
+        { id: 'google', name: 'Google Workspace', selectors: ['google', 'google2048'] },
+        { id: 'microsoft365', name: 'Microsoft 365', selectors: ['selector1', 'selector2'] },
+        { id: 'mailchimp', name: 'Mailchimp', selectors: ['k1', 'k2', 'k3'] },
+        { id: 'mandrill', name: 'Mandrill', selectors: ['mandrill'] },
+        { id: 'sendgrid', name: 'SendGrid', selectors: ['s1', 's2', 'smtpapi'] },
+        { id: 'mailgun', name: 'Mailgun', selectors: ['smtp', 'mailo', 'krs', 'pic', 'mg'] },
+        { id: 'zoho', name: 'Zoho Mail', selectors: ['zoho', 'zmail'] },
+        { id: 'yandex', name: 'Яндекс 360', selectors: ['mail'] },
+        { id: 'mailru', name: 'VK WorkMail (Mail.ru)', selectors: ['mailru'] },
+        { id: 'brevo', name: 'Brevo (Sendinblue)', selectors: ['mail', 'brevo1', 'brevo2'] },
+        { id: 'postmark', name: 'Postmark', selectors: ['pm'] },
+        { id: 'mailjet', name: 'Mailjet', selectors: ['mailjet'] },
+        { id: 'hubspot', name: 'HubSpot', selectors: ['hs1', 'hs2'] },
+        { id: 'salesforce', name: 'Salesforce', selectors: ['sf1', 'sf2'] },
+        { id: 'zendesk', name: 'Zendesk', selectors: ['zendesk1', 'zendesk2'] },
+        { id: 'fastmail', name: 'Fastmail', selectors: ['fm1', 'fm2', 'fm3'] },
+        { id: 'protonmail', name: 'Proton Mail', selectors: ['protonmail', 'protonmail2', 'protonmail3'] },
+        { id: 'unisender', name: 'UniSender', selectors: ['us'] },
+        { id: 'sendpulse', name: 'SendPulse', selectors: ['sign'] }
+    ];
+    
+    // Селекторы по умолчанию почтовых серверов и панелей управления (не указывают на сервис)
+    const GENERIC_SELECTORS = ['default', 'dkim', 'selector', 'key1', 'key2', 'mx', 'email', 's1024', 's2048'];
+    
+    /**
+     * Проверка имени селектора: одна или несколько меток DNS (RFC 6376, 3.1)
+     * @param {string} selector - Селектор
+     * @returns {boolean}
+     */
+    function isValidSelector(selector) {
+        const labels = String(selector || '').split('.');
+        return labels.every(label => /^[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?$/i.test(label));
+    }
+    
+    /**
+     * Сервисы, которые используют селектор
+     * @param {string} selector - Селектор
+     * @returns {Array<Object>} Описания сервисов { id, name, selectors }
+     */
+    function identify(selector) {
+        const name = String(selector || '').toLowerCase();
+        return PROVIDERS.filter(provider => provider.selectors.includes(name));
+    }
+    
+    /**
+     * Приведение пользовательских селекторов к виду { global, domains }
+     * Некорректные селекторы отбрасываются, домены приводятся к нижнему регистру
+     * @param {Object} [config] - { global: Array<string>, domains: { домен: Array<string> } }
+     * @returns {Object} { global, domains }
+     */
+    function normalizeCustom(config) {
+        const clean = list => [...new Set((Array.isArray(list) ? list : [])
+            .map(selector => String(selector).trim().toLowerCase())
+            .filter(selector => selector && isValidSelector(selector)))];
+        
+        const domains = {};
+        Object.entries((config && config.domains) || {}).forEach(([domain, selectors]) => {
+            const name = String(domain).trim().toLowerCase().replace(/\.$/, '');
+            const list = clean(selectors);
+            if (name && list.length) {
+                domains[name] = [...new Set([...(domains[name] || []), ...list])];
+            }
+        });
+        
+        return { global: clean(config && config.global), domains };
+    }
+    
+    /**
+     * Разбор пользовательских селекторов из текста настроек
+     * Строка "s1, s2" добавляет общие селекторы, строка "example.com: s1 s2" - селекторы домена
+     * @param {string} text - Текст (по одному правилу на строку)
+     * @returns {Object} { global, domains, invalid } - invalid: отброшенные селекторы
+     */
+    function parseCustom(text) {
+        const config = { global: [], domains: {} };
+        const invalid = [];
+        
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const match = /^\s*([^:\s]+)\s*:(.*)$/.exec(line);
+            const selectors = (match ? match[2] : line).split(/[\s,;]+/).filter(Boolean);
+            
+            invalid.push(...selectors.filter(selector => !isValidSelector(selector)));
+            
+            if (match) {
+                const domain = match[1].toLowerCase();
+                config.domains[domain] = [...(config.domains[domain] || []), ...selectors];
+            } else {
+                config.global.push(...selectors);
+            }
+        });
+        
+        return { ...normalizeCustom(config), invalid };
+    }
+    
+    /**
+     * Запись пользовательских селекторов в текст настроек (обратное parseCustom)
+     * @param {Object} [config] - { global, domains }
+     * @returns {string}
+     */
+    function formatCustom(config) {
+        const { global, domains } = normalizeCustom(config);
+        const lines = global.length ? [global.join(', ')] : [];
+        Object.entries(domains).forEach(([domain, selectors]) => {
+            lines.push(`${domain}: ${selectors.join(', ')}`);
+        });
+        return lines.join('\n');
+    }
+    
+    /**
+     * Селекторы для проверки домена в порядке проверки: селекторы домена и общие
+     * пользовательские селекторы, затем селекторы сервисов и селекторы по умолчанию
+     * @param {string} domain - Доменное имя
+     * @param {Object} [custom] - Пользовательские селекторы { global, domains }
+     * @returns {Array<Object>} { selector, custom, providers: Array<{ id, name }> }
+     */
+    function getSelectors(domain, custom = null) {
+        const { global, domains } = normalizeCustom(custom);
+        const name = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+        
+        const own = [...(domains[name] || []), ...global];
+        const builtin = [...PROVIDERS.flatMap(provider => provider.selectors), ...GENERIC_SELECTORS];
+        
+        const seen = new Set();
+        const selectors = [];
+        [...own, ...builtin].forEach((selector, index) => {
+            if (seen.has(selector)) {
+                return;
+            }
+            seen.add(selector);
+            selectors.push({
+                selector,
+                custom: index < own.length,
+                providers: identify(selector).map(provider => ({ id: provider.id, name: provider.name }))
+            });
+        });
+        
+        return selectors;
+    }
+    
+    // Публичное API
+    const dkimSelectors = {
+        getSelectors,
+        identify,
+        isValidSelector,
+        normalizeCustom,
+        parseCustom,
+        formatCustom,
+        PROVIDERS,
+        GENERIC_SELECTORS
+    };
+    
+    // Делаем API доступным глобально
+    window.DkimSelectors = dkimSelectors;
+    
+    return dkimSelectors;
+})();
@@ -0,0 +1,403 @@
+/**
+ * Разбор и проверка DMARC-записей по RFC 7489 (раздел 6.3) или черновику DMARCbis
+ * Запись разбирается как список "тег=значение" через ";". Результат содержит
+ * разобранные теги, действующие значения с учетом умолчаний и список замечаний
+ * с кодами, по которым RecommendationsManager формирует рекомендации.
+ */
+const DmarcParser = (function() {
+    // Теги RFC 7489 и DMARCbis в рекомендуемом порядке записи
+    const KNOWN_TAGS = ['v', 'p', 'sp', 'np', 'psd', 't', 'adkim', 'aspf', 'pct', 'fo', 'rf', 'ri', 'rua', 'ruf'];
+    
+    // Спецификации, по которым оценивается запись
+    const SPECS = ['rfc7489', 'dmarcbis'];
+    
+    // Теги, добавленные в DMARCbis: политика для несуществующих поддоменов, признак PSD, тестовый режим
+    const DMARCBIS_TAGS = ['np', 'psd', 't'];
+    
+    // Теги RFC 7489, исключенные в DMARCbis
+    const DEPRECATED_TAGS = ['pct', 'ri'];
+    
+    const POLICIES = ['none', 'quarantine', 'reject'];
+    const PSD_VALUES = ['y', 'n', 'u'];
+    const FLAGS = ['y', 'n'];
+    const ALIGNMENT_MODES = ['r', 's'];
+    const FAILURE_OPTIONS = ['0', '1', 'd', 's'];
+    const REPORT_FORMATS = ['afrf'];
+    
+    // Невидимые символы, которые попадают в записи при копировании из документов
+    const INVISIBLE_CHARACTERS = /[\u00A0\u200B-\u200D\u2060\uFEFF]/;
+    
+    // Значения по умолчанию (RFC 7489, 6.3; DMARCbis); sp по умолчанию совпадает с p, np - с sp
+    const DEFAULTS = {
+        adkim: 'r',
+        aspf: 'r',
+        pct: 100,
+        fo: ['0'],
+        rf: ['afrf'],
+        ri: 86400,
+        psd: 'u',
+        t: 'n'
+    };
+    
+    /**
+     * Разбор DMARC-записи
+     *
+     * Замечание: { code, tag, severity, message }
+     *   severity: error - нарушение синтаксиса или недопустимое значение (тег игнорируется получателями),
+     *             warning - запись корректна, но содержит лишнее (неизвестные теги, пустые значения),
+     *             info - сведения, не требующие исправления (теги другой версии спецификации)
+     *
+     * @param {string} record - Текст TXT-записи
+     * @param {Object} [options] - { spec: rfc7489 (по умолчанию) или dmarcbis }
+     *   rfc7489 - теги DMARCbis разбираются, но отмечаются как неизвестные RFC 7489 получателям,
+     *   dmarcbis - pct и ri отмечаются как исключенные
+     * @returns {Object} { valid, spec, tags, effective, findings }
+     *   valid - получатели применят запись (v=DMARC1 первым тегом, политика определена),
+     *   tags - корректно разобранные теги (pct и ri - числа, rua, ruf, fo и rf - массивы),
+     *   effective - действующие значения с учетом умолчаний
+     */
+    function parse(record, options = {}) {
+        const spec = options.spec === 'dmarcbis' ? 'dmarcbis' : 'rfc7489';
+        const findings = [];
+        const tags = {};
+        const seen = new Set();
+        
+        const addFinding = (code, tag, severity, message) => {
+            findings.push({ code, tag, severity, message });
+        };
+        
+        const text = String(record || '');
+        
+        if (/^\s/.test(text)) {
+            addFinding('leading-whitespace', 'v', 'error', 'Запись начинается с пробела: получатели ищут запись, начинающуюся ровно с "v=DMARC1", и отбросят ее');
+        }
+        
+        if (INVISIBLE_CHARACTERS.test(text)) {
+            addFinding('invisible-characters', null, 'error', 'Запись содержит невидимые символы (неразрывный пробел или символ нулевой ширины), вероятно, попавшие при копировании');
+        }
+        
+        const parts = text.split(';').map(part => part.trim());
+        
+        // Завершающая ";" допустима и дает пустой элемент
+        if (parts.length > 1 && parts[parts.length - 1] === '') {
+            parts.pop();
+        }
+        
+        parts.forEach((part, index) => {
+            if (part === '') {
+                addFinding('empty-tag', null, 'warning', `Пустой элемент записи на позиции ${index + 1} (лишняя ";")`);
+                return;
+            }
+            
+            const separator = part.indexOf('=');
+            if (separator === -1) {
+                addFinding('syntax', null, 'error', `Элемент "${part}" не имеет вида тег=значение`);
+                return;
+            }
+            
+            const rawName = part.slice(0, separator).trim();
+            const name = rawName.toLowerCase();
+            const value = part.slice(separator + 1).trim();
+            
+            if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+                addFinding('syntax', null, 'error', `Некорректное имя тега "${rawName}"`);
+                return;
+            }
+            
+            if (rawName !== name && KNOWN_TAGS.includes(name)) {
+                addFinding('tag-case', name, 'warning', `Тег ${rawName} записан в верхнем регистре: используйте ${name}, не все получатели сравнивают теги без учета регистра`);
+            }
+            
+            if (name === 'v' && index !== 0) {
+                addFinding('version-not-first', 'v', 'error', 'Тег v=DMARC1 должен быть первым в записи');
+            }
+            
+            if (seen.has(name)) {
+                addFinding('duplicate-tag', name, 'error', `Тег ${name} указан повторно, значение "${value}" проигнорировано`);
+                return;
+            }
+            seen.add(name);
+            
+            if (!KNOWN_TAGS.includes(name)) {
+                addFinding('unknown-tag', name, 'warning', `Неизвестный тег ${name} (игнорируется получателями)`);
+                return;
+            }
+            
+            if (value === '') {
+                addFinding('invalid-value', name, 'error', `Тег ${name} не содержит значения`);
+                return;
+            }
+            
+            const parsed = parseTagValue(name, value);
+            if (parsed.error) {
+                // Версия чувствительна к регистру: v=dmarc1 - частая ошибка, сообщаем о ней отдельно
+                if (name === 'v' && value.toUpperCase() === 'DMARC1') {
+                    addFinding('version-case', 'v', 'error', `Версия записана как "${value}": значение чувствительно к регистру, должно быть DMARC1`);
+                } else {
+                    addFinding('invalid-value', name, 'error', parsed.error);
+                }
+                return;
+            }
+            
+            tags[name] = parsed.value;
+            
+            if (spec === 'rfc7489' && DMARCBIS_TAGS.includes(name)) {
+                addFinding('dmarcbis-tag', name, 'info', `Тег ${name} определен в DMARCbis, получатели, поддерживающие только RFC 7489, его игнорируют`);
+            } else if (spec === 'dmarcbis' && DEPRECATED_TAGS.includes(name)) {
+                // pct < 100 меняет применение политики только у RFC 7489 получателей, остальное безвредно
+                addFinding('deprecated-tag', name, name === 'pct' && parsed.value < 100 ? 'warning' : 'info', name === 'pct'
+                    ? 'Тег pct исключен в DMARCbis: политика применяется ко всем письмам, для тестового режима используйте t=y'
+                    : 'Тег ri исключен в DMARCbis и игнорируется, агрегированные отчеты отправляются раз в сутки');
+            }
+        });
+        
+        if (!seen.has('v')) {
+            addFinding('missing-version', 'v', 'error', 'В записи нет тега v=DMARC1');
+        }
+        
+        // Без корректного p запись применяется как p=none, только если указан корректный rua (RFC 7489, 6.6.3)
+        let policy = tags.p || null;
+        if (!policy) {
+            const hasRua = !!(tags.rua && tags.rua.length > 0);
+            if (hasRua) {
+                policy = 'none';
+            }
+            if (!seen.has('p')) {
+                addFinding('missing-policy', 'p', hasRua ? 'warning' : 'error', hasRua
+                    ? 'Тег p не указан: при наличии rua запись применяется как p=none'
+                    : 'Обязательный тег p не указан');
+            }
+        }
+        
+        const versionValid = tags.v === 'DMARC1' &&
+            !findings.some(finding => finding.code === 'version-not-first' || finding.code === 'leading-whitespace');
+        
+        const effective = {
+            p: policy || null,
+            sp: tags.sp || policy || null,
+            np: tags.np || tags.sp || policy || null,
+            psd: tags.psd || DEFAULTS.psd,
+            t: tags.t || DEFAULTS.t,
+            adkim: tags.adkim || DEFAULTS.adkim,
+            aspf: tags.aspf || DEFAULTS.aspf,
+            pct: tags.pct !== undefined ? tags.pct : DEFAULTS.pct,
+            fo: tags.fo || DEFAULTS.fo,
+            rf: tags.rf || DEFAULTS.rf,
+            ri: tags.ri !== undefined ? tags.ri : DEFAULTS.ri,
+            rua: tags.rua || [],
+            ruf: tags.ruf || []
+        };
+        
+        return {
+            valid: versionValid && !!policy,
+            spec,
+            tags,
+            effective,
+            findings
+        };
+    }
+    
+    /**
+     * Разбор и проверка значения тега
+     * @param {string} name - Имя тега (в нижнем регистре)
+     * @param {string} value - Значение тега
+     * @returns {Object} { value } или { error }
+     */
+    function parseTagValue(name, value) {
+        switch (name) {
+            case 'v':
+                // Значение версии чувствительно к регистру
+                return value === 'DMARC1'
+                    ? { value }
+                    : { error: `Недопустимая версия "${value}", ожидается DMARC1` };
+            
+            case 'p':
+            case 'sp':
+            case 'np':
+                return POLICIES.includes(value.toLowerCase())
+                    ? { value: value.toLowerCase() }
+                    : { error: `Недопустимая политика ${name}=${value}, допустимы: ${POLICIES.join(', ')}` };
+            
+            case 'psd':
+                return PSD_VALUES.includes(value.toLowerCase())
+                    ? { value: value.toLowerCase() }
+                    : { error: `Недопустимое значение psd=${value}, допустимы: y (публичный суффикс), n, u (не указано)` };
+            
+            case 't':
+                return FLAGS.includes(value.toLowerCase())
+                    ? { value: value.toLowerCase() }
+                    : { error: `Недопустимое значение t=${value}, допустимы: y (тестовый режим), n` };
+            
+            case 'adkim':
+            case 'aspf':
+                return ALIGNMENT_MODES.includes(value.toLowerCase())
+                    ? { value: value.toLowerCase() }
+                    : { error: `Недопустимый режим выравнивания ${name}=${value}, допустимы: r (мягкий), s (строгий)` };
+            
+            case 'pct': {
+                const pct = /^\d{1,3}$/.test(value) ? parseInt(value, 10) : NaN;
+                return pct >= 0 && pct <= 100
+                    ? { value: pct }
+                    : { error: `Недопустимое значение pct=${value}, ожидается целое число от 0 до 100` };
+            }
+            
+            case 'ri': {
+                const ri = /^\d{1,10}$/.test(value) ? parseInt(value, 10) : NaN;
+                return ri >= 0 && ri <= 0xFFFFFFFF
+                    ? { value: ri }
+                    : { error: `Недопустимое значение ri=${value}, ожидается число секунд` };
+            }
+            
+            case 'fo': {
+                const options = value.split(':').map(item => item.trim().toLowerCase());
+                const invalid = options.filter(item => !FAILURE_OPTIONS.includes(item));
+                return invalid.length === 0
+                    ? { value: options }
+                    : { error: `Недопустимые параметры fo: ${invalid.join(', ')} (допустимы 0, 1, d, s через ":")` };
+            }
+            
+            case 'rf': {
+                const formats = value.split(':').map(item => item.trim().toLowerCase());
+                const invalid = formats.filter(item => !REPORT_FORMATS.includes(item));
+                return invalid.length === 0
+                    ? { value: formats }
+                    : { error: `Недопустимый формат отчетов rf: ${invalid.join(', ')} (допустим afrf)` };
+            }
+            
+            case 'rua':
+            case 'ruf': {
+                const uris = value.split(',').map(item => item.trim());
+                const invalid = uris.filter(uri => !isValidReportUri(uri));
+                return invalid.length === 0
+                    ? { value: uris }
+                    : { error: `Некорректные адреса отчетов ${name}: ${invalid.join(', ')}` };
+            }
+            
+            default:
+                return { value };
+        }
+    }
+    
+    /**
+     * Проверка адреса для отчетов
+     * @param {string} uri - Адрес
+     * @returns {boolean}
+     */
+    function isValidReportUri(uri) {
+        return parseReportUri(uri) !== null;
+    }
+    
+    /**
+     * Разбор адреса для отчетов (DMARC URI, RFC 7489, 6.2): URI с необязательным
+     * ограничением размера отчета "!10m" (единицы k, m, g, t - степени 1024)
+     * @param {string} uri - Адрес, например mailto:dmarc@example.com!10m
+     * @returns {Object|null} { uri, scheme, address, domain, maxSize, sizeLimit } или null для некорректного адреса
+     *   domain - домен получателя (для mailto - часть адреса после @),
+     *   maxSize - ограничение размера в байтах или null
+     */
+    function parseReportUri(uri) {
+        const text = String(uri || '').trim();
+        const match = /^([a-z][a-z0-9+.-]*):([^!\s]+)(?:!([0-9]+)([kmgt])?)?$/i.exec(text);
+        if (!match) {
+            return null;
+        }
+        
+        const scheme = match[1].toLowerCase();
+        const address = match[2];
+        let domain = null;
+        
+        if (scheme === 'mailto') {
+            const mailbox = /^[^@\s]+@([^@\s?]+\.[^@\s?]+)(\?.*)?$/.exec(address);
+            if (!mailbox) {
+                return null;
+            }
+            domain = mailbox[1].toLowerCase();
+        } else {
+            try {
+                domain = new URL(`${scheme}:${address}`).hostname.toLowerCase() || null;
+            } catch (error) {
+                domain = null;
+            }
+        }
+        
+        const units = { k: 1, m: 2, g: 3, t: 4 };
+        const unit = (match[4] || '').toLowerCase();
+        
+        return {
+            uri: text,
+            scheme,
+            address,
+            domain,
+            maxSize: match[3] ? parseInt(match[3], 10) * Math.pow(1024, units[unit] || 0) : null,
+            sizeLimit: match[3] ? `${match[3]}${unit}` : null
+        };
+    }
+    
+    /**
+     * Сборка записи из разобранных тегов
+     * Используется для примера исправленной записи в рекомендациях
+     * @param {Object} tags - Теги (как в результате parse)
+     * @param {Object} [options] - { spec: для dmarcbis исключенные теги pct и ri не выводятся }
+     * @returns {string} Текст записи
+     */
+    function format(tags, options = {}) {
+        const parts = ['v=DMARC1'];
+        
+        KNOWN_TAGS.forEach(name => {
+            if (name === 'v' || tags[name] === undefined || tags[name] === null) {
+                return;
+            }
+            
+            if (options.spec === 'dmarcbis' && DEPRECATED_TAGS.includes(name)) {
+                return;
+            }
+            
+            const value = tags[name];
+            if (Array.isArray(value)) {
+                parts.push(`${name}=${value.join(name === 'rua' || name === 'ruf' ? ',' : ':')}`);
+            } else {
+                parts.push(`${name}=${value}`);
+            }
+        });
+        
+        return parts.join('; ');
+    }
+    
+    /**
+     * Начинается ли текст с тега DMARC (используется для поиска неверно разбитых записей)
+     * @param {string} text - Текст
+     * @returns {boolean}
+     */
+    function startsWithTag(text) {
+        const match = /^\s*([a-z]+)\s*=/i.exec(String(text || ''));
+        return !!match && KNOWN_TAGS.includes(match[1].toLowerCase());
+    }
+    
+    /**
+     * Похожа ли TXT-запись на DMARC-запись (содержит тег версии DMARC1 в любом месте)
+     * @param {string} record - Текст TXT-записи
+     * @returns {boolean}
+     */
+    function looksLikeDmarc(record) {
+        return /(^|;)\s*v\s*=\s*DMARC1\s*(;|$)/i.test(String(record || ''));
+    }
+    
+    // Публичное API
+    const dmarcParser = {
+        parse,
+        format,
+        looksLikeDmarc,
+        startsWithTag,
+        parseReportUri,
+        KNOWN_TAGS,
+        DMARCBIS_TAGS,
+        DEPRECATED_TAGS,
+        SPECS,
+        DEFAULTS
+    };
+    
+    // Делаем API доступным глобально
+    window.DmarcParser = dmarcParser;
+    
+    return dmarcParser;
+})();
@@ -0,0 +1,655 @@
+/**
+ * Кодирование и разбор DNS-сообщений в wire-формате (RFC 1035, RFC 6891)
+ * Используется для DNS-over-HTTPS запросов с типом application/dns-message
+ */
+const DnsMessage = (function() {
+    // Коды типов записей
+    const TYPES = {
+        A: 1,
+        NS: 2,
+        CNAME: 5,
+        SOA: 6,
+        PTR: 12,
+        MX: 15,
+        TXT: 16,
+        AAAA: 28,
+        OPT: 41,
+        SPF: 99
+    };
+    
+    // Обратное соответствие "код -> имя типа"
+    const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+    
+    // Коды ответа, включая расширенные коды EDNS
+    const RCODES = {
+        0: 'NOERROR',
+        1: 'FORMERR',
+        2: 'SERVFAIL',
+        3: 'NXDOMAIN',
+        4: 'NOTIMP',
+        5: 'REFUSED',
+        6: 'YXDOMAIN',
+        7: 'YXRRSET',
+        8: 'NXRRSET',
+        9: 'NOTAUTH',
+        10: 'NOTZONE',
+        16: 'BADVERS'
+    };
+    
+    const CLASS_IN = 1;
+    const MAX_COMPRESSION_HOPS = 64;
+    
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+    
+    /**
+     * Получение имени RCODE по коду
+     * @param {number} rcode - Числовой код ответа
+     * @returns {string} Имя кода ответа
+     */
+    function getRcodeName(rcode) {
+        return RCODES[rcode] || `RCODE${rcode}`;
+    }
+    
+    /**
+     * Получение имени типа записи по коду
+     * @param {number} code - Числовой код типа
+     * @returns {string} Имя типа (или TYPE<код> для неизвестных типов)
+     */
+    function getTypeName(code) {
+        return TYPE_NAMES[code] || `TYPE${code}`;
+    }
+    
+    /**
+     * Получение кода типа записи по имени
+     * @param {string|number} type - Имя типа (TXT, MX...) или код
+     * @returns {number} Числовой код типа
+     */
+    function getTypeCode(type) {
+        if (typeof type === 'number') {
+            return type;
+        }
+        
+        const upper = String(type).toUpperCase();
+        if (TYPES[upper]) {
+            return TYPES[upper];
+        }
+        
+        const match = upper.match(/^TYPE(\d+)$/);
+        if (match) {
+            return parseInt(match[1], 10);
+        }
+        
+        throw new Error(`Unknown DNS record type: ${type}`);
+    }
+    
+    /**
+     * Буфер для последовательной записи DNS-сообщения
+     * @private
+     */
+    class Writer {
+        constructor() {
+            this.bytes = [];
+            this.names = new Map(); // Суффикс имени -> смещение (для сжатия)
+        }
+        
+        uint8(value) {
+            this.bytes.push(value & 0xff);
+        }
+        
+        uint16(value) {
+            this.bytes.push((value >> 8) & 0xff, value & 0xff);
+        }
+        
+        uint32(value) {
+            this.uint16((value >>> 16) & 0xffff);
+            this.uint16(value & 0xffff);
+        }
+        
+        raw(values) {
+            values.forEach(value => this.bytes.push(value & 0xff));
+        }
+        
+        name(name, compress = true) {
+            const labels = normalizeName(name).split('.').filter(Boolean);
+            
+            for (let i = 0; i < labels.length; i++) {
+                const suffix = labels.slice(i).join('.').toLowerCase();
+                
+                if (compress && this.names.has(suffix)) {
+                    this.uint16(0xc000 | this.names.get(suffix));
+                    return;
+                }
+                
+                if (compress && this.bytes.length < 0x4000) {
+                    this.names.set(suffix, this.bytes.length);
+                }
+                
+                const encoded = textEncoder.encode(labels[i]);
+                if (encoded.length > 63) {
+                    throw new Error(`DNS label too long: ${labels[i]}`);
+                }
+                
+                this.uint8(encoded.length);
+                this.raw(encoded);
+            }
+            
+            this.uint8(0);
+        }
+        
+        toUint8Array() {
+            return new Uint8Array(this.bytes);
+        }
+    }
+    
+    /**
+     * Курсор для последовательного чтения DNS-сообщения
+     * @private
+     */
+    class Reader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.offset = 0;
+        }
+        
+        ensure(length, offset = this.offset) {
+            if (offset + length > this.bytes.length) {
+                throw new Error('Truncated DNS message');
+            }
+        }
+        
+        uint8() {
+            this.ensure(1);
+            return this.bytes[this.offset++];
+        }
+        
+        uint16() {
+            this.ensure(2);
+            const value = this.view.getUint16(this.offset);
+            this.offset += 2;
+            return value;
+        }
+        
+        uint32() {
+            this.ensure(4);
+            const value = this.view.getUint32(this.offset);
+            this.offset += 4;
+            return value;
+        }
+        
+        slice(length) {
+            this.ensure(length);
+            const value = this.bytes.subarray(this.offset, this.offset + length);
+            this.offset += length;
+            return value;
+        }
+        
+        /**
+         * Чтение доменного имени с поддержкой указателей сжатия
+         * @returns {string} Имя без завершающей точки
+         */
+        name() {
+            const labels = [];
+            let offset = this.offset;
+            let returnOffset = null;
+            let hops = 0;
+            
+            while (true) {
+                this.ensure(1, offset);
+                const length = this.bytes[offset];
+                
+                if (length === 0) {
+                    offset++;
+                    break;
+                }
+                
+                if ((length & 0xc0) === 0xc0) {
+                    this.ensure(2, offset);
+                    if (++hops > MAX_COMPRESSION_HOPS) {
+                        throw new Error('DNS name compression loop detected');
+                    }
+                    if (returnOffset === null) {
+                        returnOffset = offset + 2;
+                    }
+                    offset = this.view.getUint16(offset) & 0x3fff;
+                    continue;
+                }
+                
+                if ((length & 0xc0) !== 0) {
+                    throw new Error(`Unsupported DNS label type: 0x${length.toString(16)}`);
+                }
+                
+                this.ensure(length + 1, offset);
+                labels.push(textDecoder.decode(this.bytes.subarray(offset + 1, offset + 1 + length)));
+                offset += length + 1;
+            }
+            
+            this.offset = returnOffset !== null ? returnOffset : offset;
+            return labels.join('.');
+        }
+    }
+    
+    /**
+     * Нормализация доменного имени (без завершающей точки)
+     * @param {string} name - Доменное имя
+     * @returns {string} Нормализованное имя
+     * @private
+     */
+    function normalizeName(name) {
+        return String(name || '').trim().replace(/\.$/, '');
+    }
+    
+    /**
+     * Преобразование байтов в hex-строку
+     * @param {Uint8Array} bytes - Байты
+     * @returns {string} Hex-представление
+     * @private
+     */
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Форматирование IPv6-адреса (RFC 5952, с сокращением самой длинной серии нулей)
+     * @param {Uint8Array} bytes - 16 байт адреса
+     * @returns {string} Текстовое представление адреса
+     * @private
+     */
+    function formatIpv6(bytes) {
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        }
+        
+        // Ищем самую длинную серию нулевых групп (длиной от 2)
+        let bestStart = -1;
+        let bestLength = 0;
+        for (let i = 0; i < groups.length;) {
+            if (groups[i] !== '0') {
+                i++;
+                continue;
+            }
+            let j = i;
+            while (j < groups.length && groups[j] === '0') j++;
+            if (j - i > bestLength && j - i > 1) {
+                bestStart = i;
+                bestLength = j - i;
+            }
+            i = j;
+        }
+        
+        if (bestStart === -1) {
+            return groups.join(':');
+        }
+        
+        const head = groups.slice(0, bestStart).join(':');
+        const tail = groups.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+    
+    /**
+     * Разбор IPv6-адреса в 16 байт
+     * @param {string} address - Текстовое представление адреса
+     * @returns {Array<number>} Байты адреса
+     * @private
+     */
+    function parseIpv6(address) {
+        const [head, tail] = address.includes('::') ? address.split('::') : [address, null];
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const missing = 8 - headGroups.length - tailGroups.length;
+        const groups = tail !== null
+            ? [...headGroups, ...new Array(missing).fill('0'), ...tailGroups]
+            : headGroups;
+        
+        if (groups.length !== 8) {
+            throw new Error(`Invalid IPv6 address: ${address}`);
+        }
+        
+        const bytes = [];
+        groups.forEach(group => {
+            const value = parseInt(group, 16);
+            bytes.push((value >> 8) & 0xff, value & 0xff);
+        });
+        return bytes;
+    }
+    
+    /**
+     * Кодирование RDATA записи
+     * @param {Writer} writer - Буфер записи
+     * @param {Object} record - Запись { type, data, strings, preference, exchange }
+     * @private
+     */
+    function writeRdata(writer, record) {
+        const type = getTypeName(getTypeCode(record.type));
+        const lengthOffset = writer.bytes.length;
+        writer.uint16(0); // Длина RDATA, заполняется ниже
+        const start = writer.bytes.length;
+        
+        switch (type) {
+            case 'A':
+                writer.raw(String(record.data).split('.').map(part => parseInt(part, 10)));
+                break;
+            case 'AAAA':
+                writer.raw(parseIpv6(String(record.data)));
+                break;
+            case 'CNAME':
+            case 'NS':
+            case 'PTR':
+                writer.name(record.data);
+                break;
+            case 'MX':
+                writer.uint16(record.preference || 0);
+                writer.name(record.exchange || record.data);
+                break;
+            case 'TXT':
+            case 'SPF': {
+                const strings = record.strings || [String(record.data || '')];
+                strings.forEach(string => {
+                    const encoded = textEncoder.encode(string);
+                    if (encoded.length > 255) {
+                        throw new Error('TXT character-string exceeds 255 bytes');
+                    }
+                    writer.uint8(encoded.length);
+                    writer.raw(encoded);
+                });
+                break;
+            }
+            default:
+                throw new Error(`Encoding of ${type} records is not supported`);
+        }
+        
+        const length = writer.bytes.length - start;
+        writer.bytes[lengthOffset] = (length >> 8) & 0xff;
+        writer.bytes[lengthOffset + 1] = length & 0xff;
+    }
+    
+    /**
+     * Разбор RDATA записи
+     * @param {Reader} reader - Курсор чтения (указывает на начало RDATA)
+     * @param {string} type - Имя типа записи
+     * @param {number} length - Длина RDATA
+     * @returns {Object} Поля записи (data и специфичные для типа поля)
+     * @private
+     */
+    function readRdata(reader, type, length) {
+        const end = reader.offset + length;
+        reader.ensure(length);
+        let fields;
+        
+        switch (type) {
+            case 'A':
+                fields = { data: Array.from(reader.slice(4)).join('.') };
+                break;
+            case 'AAAA':
+                fields = { data: formatIpv6(reader.slice(16)) };
+                break;
+            case 'CNAME':
+            case 'NS':
+            case 'PTR':
+                fields = { data: reader.name() };
+                break;
+            case 'MX': {
+                const preference = reader.uint16();
+                const exchange = reader.name();
+                fields = { data: exchange, preference, exchange };
+                break;
+            }
+            case 'TXT':
+            case 'SPF': {
+                // Сохраняем границы строк: запись может состоять из нескольких character-string
+                const strings = [];
+                while (reader.offset < end) {
+                    const stringLength = reader.uint8();
+                    strings.push(textDecoder.decode(reader.slice(stringLength)));
+                }
+                fields = { data: strings.join(''), strings };
+                break;
+            }
+            case 'SOA': {
+                const mname = reader.name();
+                const rname = reader.name();
+                fields = {
+                    mname,
+                    rname,
+                    serial: reader.uint32(),
+                    refresh: reader.uint32(),
+                    retry: reader.uint32(),
+                    expire: reader.uint32(),
+                    minimum: reader.uint32()
+                };
+                fields.data = `${mname} ${rname} ${fields.serial} ${fields.refresh} ${fields.retry} ${fields.expire} ${fields.minimum}`;
+                break;
+            }
+            default:
+                fields = { data: toHex(reader.slice(length)) };
+        }
+        
+        if (reader.offset !== end) {
+            throw new Error(`Malformed ${type} record: RDATA length mismatch`);
+        }
+        
+        return fields;
+    }
+    
+    /**
+     * Разбор опций EDNS из RDATA записи OPT
+     * @param {Uint8Array} rdata - RDATA записи OPT
+     * @returns {Array<Object>} Массив опций { code, data }
+     * @private
+     */
+    function parseEdnsOptions(rdata) {
+        const reader = new Reader(rdata);
+        const options = [];
+        
+        while (reader.offset < rdata.length) {
+            const code = reader.uint16();
+            const length = reader.uint16();
+            options.push({ code, data: toHex(reader.slice(length)) });
+        }
+        
+        return options;
+    }
+    
+    /**
+     * Кодирование DNS-сообщения
+     * @param {Object} message - Сообщение
+     * @param {number} [message.id=0] - Идентификатор
+     * @param {Object} [message.flags] - Флаги (qr, opcode, aa, tc, rd, ra, ad, cd)
+     * @param {number} [message.rcode=0] - Код ответа
+     * @param {Array<Object>} [message.questions] - Вопросы { name, type }
+     * @param {Array<Object>} [message.answers] - Записи ответа { name, type, ttl, data, ... }
+     * @param {Object} [message.edns] - Параметры EDNS { udpPayloadSize, dnssecOk }
+     * @returns {Uint8Array} Сообщение в wire-формате
+     */
+    function encode(message = {}) {
+        const flags = message.flags || {};
+        const questions = message.questions || [];
+        const answers = message.answers || [];
+        const writer = new Writer();
+        
+        writer.uint16(message.id || 0);
+        writer.uint16(
+            (flags.qr ? 0x8000 : 0) |
+            ((flags.opcode || 0) & 0x0f) << 11 |
+            (flags.aa ? 0x0400 : 0) |
+            (flags.tc ? 0x0200 : 0) |
+            (flags.rd ? 0x0100 : 0) |
+            (flags.ra ? 0x0080 : 0) |
+            (flags.ad ? 0x0020 : 0) |
+            (flags.cd ? 0x0010 : 0) |
+            ((message.rcode || 0) & 0x0f)
+        );
+        writer.uint16(questions.length);
+        writer.uint16(answers.length);
+        writer.uint16(0);
+        writer.uint16(message.edns ? 1 : 0);
+        
+        questions.forEach(question => {
+            writer.name(question.name);
+            writer.uint16(getTypeCode(question.type));
+            writer.uint16(CLASS_IN);
+        });
+        
+        answers.forEach(record => {
+            writer.name(record.name);
+            writer.uint16(getTypeCode(record.type));
+            writer.uint16(CLASS_IN);
+            writer.uint32(record.ttl || 0);
+            writeRdata(writer, record);
+        });
+        
+        // Псевдозапись OPT (RFC 6891)
+        if (message.edns) {
+            writer.uint8(0); // Корневое имя
+            writer.uint16(TYPES.OPT);
+            writer.uint16(message.edns.udpPayloadSize || 1232);
+            writer.uint8((message.rcode || 0) >> 4); // Расширенный RCODE
+            writer.uint8(0); // Версия EDNS
+            writer.uint16(message.edns.dnssecOk ? 0x8000 : 0);
+            writer.uint16(0); // Без опций
+        }
+        
+        return writer.toUint8Array();
+    }
+    
+    /**
+     * Формирование DNS-запроса
+     * @param {string} name - Доменное имя
+     * @param {string} type - Тип записи
+     * @param {Object} [options] - Опции запроса
+     * @param {number} [options.id=0] - Идентификатор (RFC 8484 рекомендует 0 для кэширования)
+     * @param {boolean} [options.authenticData=true] - Запросить флаг AD в ответе
+     * @param {boolean} [options.checkingDisabled=false] - Отключить проверку DNSSEC на резолвере
+     * @param {Object|boolean} [options.edns] - Параметры EDNS или false для запроса без OPT
+     * @returns {Uint8Array} Запрос в wire-формате
+     */
+    function encodeQuery(name, type, options = {}) {
+        const edns = options.edns === false ? null : { udpPayloadSize: 1232, dnssecOk: false, ...(options.edns || {}) };
+        
+        return encode({
+            id: options.id || 0,
+            flags: {
+                rd: true,
+                ad: options.authenticData !== false,
+                cd: !!options.checkingDisabled
+            },
+            questions: [{ name, type }],
+            edns
+        });
+    }
+    
+    /**
+     * Разбор DNS-сообщения
+     * @param {Uint8Array|ArrayBuffer} data - Сообщение в wire-формате
+     * @returns {Object} Разобранное сообщение
+     */
+    function decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = new Reader(bytes);
+        
+        const id = reader.uint16();
+        const flagBits = reader.uint16();
+        const counts = [reader.uint16(), reader.uint16(), reader.uint16(), reader.uint16()];
+        
+        const flags = {
+            qr: !!(flagBits & 0x8000),
+            opcode: (flagBits >> 11) & 0x0f,
+            aa: !!(flagBits & 0x0400),
+            tc: !!(flagBits & 0x0200),
+            rd: !!(flagBits & 0x0100),
+            ra: !!(flagBits & 0x0080),
+            ad: !!(flagBits & 0x0020),
+            cd: !!(flagBits & 0x0010)
+        };
+        
+        const questions = [];
+        for (let i = 0; i < counts[0]; i++) {
+            const name = reader.name();
+            const type = getTypeName(reader.uint16());
+            const qclass = reader.uint16();
+            questions.push({ name, type, class: qclass });
+        }
+        
+        const sections = [[], [], []];
+        let edns = null;
+        
+        for (let section = 0; section < 3; section++) {
+            for (let i = 0; i < counts[section + 1]; i++) {
+                const name = reader.name();
+                const typeCode = reader.uint16();
+                const recordClass = reader.uint16();
+                const ttl = reader.uint32();
+                const rdLength = reader.uint16();
+                
+                // OPT: класс содержит размер UDP-пакета, TTL - расширенный RCODE, версию и флаги
+                if (typeCode === TYPES.OPT) {
+                    edns = {
+                        udpPayloadSize: recordClass,
+                        extendedRcode: ttl >>> 24,
+                        version: (ttl >>> 16) & 0xff,
+                        dnssecOk: !!(ttl & 0x8000),
+                        options: parseEdnsOptions(reader.slice(rdLength))
+                    };
+                    continue;
+                }
+                
+                const type = getTypeName(typeCode);
+                const fields = readRdata(reader, type, rdLength);
+                
+                sections[section].push({ name, type, class: recordClass, ttl, ...fields });
+            }
+        }
+        
+        const rcode = (flagBits & 0x000f) | (edns ? edns.extendedRcode << 4 : 0);
+        
+        return {
+            id,
+            flags,
+            rcode,
+            rcodeName: getRcodeName(rcode),
+            questions,
+            answers: sections[0],
+            authorities: sections[1],
+            additionals: sections[2],
+            edns,
+            size: bytes.length
+        };
+    }
+    
+    /**
+     * Кодирование сообщения в base64url без выравнивания (параметр dns= в RFC 8484)
+     * @param {Uint8Array} bytes - Сообщение
+     * @returns {string} Строка base64url
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => binary += String.fromCharCode(byte));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    // Создаем публичное API
+    const dnsMessage = {
+        TYPES,
+        RCODES,
+        getTypeCode,
+        getTypeName,
+        getRcodeName,
+        encode,
+        encodeQuery,
+        decode,
+        toBase64Url
+    };
+    
+    // Делаем API доступным глобально
+    window.DnsMessage = dnsMessage;
+    
+    return dnsMessage;
+})();
+
+if (window.Logger && typeof window.Logger.debug === 'function') {
+    window.Logger.debug('DnsMessage initialized');
+} else {
+    console.log('DnsMessage initialized');
+}
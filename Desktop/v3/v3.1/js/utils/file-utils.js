@@ -286,6 +286,7 @@ const FileUtils = (function() {
                 case 'ok': return 'Настроен';
                 case 'warning': return 'Проблемы';
                 case 'error': return 'Отсутствует';
+                case 'not_scanned': return 'Не проверен';
                 default: return 'Неизвестно';
             }
         }
@@ -295,12 +296,52 @@ const FileUtils = (function() {
             return results.filter(result => result[protocol] && result[protocol].status === status).length;
         }
         
+        function getProvenanceHtml(result) {
+            const provenance = result.provenance;
+            if (!provenance) return '';
+            
+            let html = `<p class="provenance">Режим: ${provenance.mode}`;
+            if (provenance.fallbackReason) {
+                html += ` (выбран ${provenance.requestedMode}, причина смены: ${provenance.fallbackReason})`;
+            }
+            html += `; источник: ${provenance.source || 'нет данных'}; проверено: ${new Date(provenance.timestamp).toLocaleString()}</p>`;
+            
+            if (provenance.simulated) {
+                html = `<p class="simulated-label">Симуляция - не является реальной проверкой</p>${html}`;
+            }
+            
+            return html;
+        }
+        
+        // Собственные проверки из реестра (см. CheckRegistry)
+        const customChecks = window.checkRegistry ? window.checkRegistry.getCustom() : [];
+        const checkColumns = customChecks.filter(provider => provider.column);
+        
+        function getCheckDetailsHtml(result) {
+            return customChecks.map(provider => {
+                const checkResult = result[provider.name];
+                if (checkResult === undefined) return '';
+                
+                if (!checkResult || typeof checkResult !== 'object' || Array.isArray(checkResult)) {
+                    return `<p><strong>${provider.title}:</strong> ${window.checkRegistry.formatValue(checkResult) || 'Нет данных'}</p>`;
+                }
+                
+                return provider.fields.map(field => 
+                    `<p><strong>${provider.title} - ${field.title}:</strong> ${window.checkRegistry.formatValue(checkResult[field.key]) || 'Отсутствует'}</p>`
+                ).join('') + (checkResult.error ? `<p class="status-error">${provider.title}: ${checkResult.error}</p>` : '');
+            }).join('');
+        }
+        
         function calculateAverageScore(results) {
             if (!results || results.length === 0) return 0;
             const totalScore = results.reduce((sum, result) => sum + (result.securityScore || 0), 0);
             return Math.round(totalScore / results.length);
         }
         
+        // Непроверенные домены (сканирование остановлено) не учитываются в сводке, как в панели статистики
+        const scannedResults = data.filter(result => !result.notScanned);
+        const notScannedCount = data.length - scannedResults.length;
+        
         // Генерируем HTML
         let html = `
         <!DOCTYPE html>
@@ -322,6 +363,9 @@ const FileUtils = (function() {
                 .domain-summary { margin-bottom: 30px; }
                 .domain-details { margin-left: 20px; padding: 10px; background-color: #f9f9f9; }
                 .recommendations { background-color: #f0f8ff; padding: 10px; margin-top: 5px; }
+                .provenance { color: #666; font-size: 12px; }
+                .simulated { border: 2px dashed #999; padding: 10px; background: repeating-linear-gradient(-45deg, #fff, #fff 10px, #f3f3f3 10px, #f3f3f3 20px); }
+                .simulated-label { color: #c00; font-weight: bold; text-transform: uppercase; }
             </style>
         </head>
         <body>
@@ -332,8 +376,12 @@ const FileUtils = (function() {
             
             <div class="summary-section">
                 <h2>Сводка</h2>
-                <p>Всего проверено доменов: <strong>${data.length}</strong></p>
-                <p>Общая оценка безопасности: <strong>${calculateAverageScore(data)}%</strong></p>
+                <p>Всего проверено доменов: <strong>${scannedResults.length}</strong></p>
+                ${notScannedCount > 0 ? `<p>Не проверено (сканирование остановлено): <strong>${notScannedCount}</strong></p>` : ''}
+                <p>Общая оценка безопасности: <strong>${calculateAverageScore(scannedResults)}%</strong></p>
+                ${data.some(result => result.provenance && result.provenance.simulated)
+                    ? `<p class="simulated-label">Отчет содержит результаты симуляции или сценариев: ${data.filter(result => result.provenance && result.provenance.simulated).length}</p>`
+                    : ''}
                 <table>
                     <tr>
                         <th>Протокол</th>
@@ -359,6 +407,14 @@ const FileUtils = (function() {
                         <td>${countStatus(data, 'dkim', 'warning')}</td>
                         <td>${countStatus(data, 'dkim', 'error')}</td>
                     </tr>
+                    ${checkColumns.map(provider => `
+                    <tr>
+                        <td>${provider.title}</td>
+                        <td>${countStatus(data, provider.name, 'ok')}</td>
+                        <td>${countStatus(data, provider.name, 'warning')}</td>
+                        <td>${countStatus(data, provider.name, 'error')}</td>
+                    </tr>
+                    `).join('')}
                 </table>
             </div>
             
@@ -372,14 +428,26 @@ const FileUtils = (function() {
                     <div class="domain-summary">
                         <h3>${result.domain}</h3>
                         <p class="status-error">Ошибка: ${result.error}</p>
+                        ${getProvenanceHtml(result)}
+                    </div>
+                `;
+                return;
+            }
+            
+            if (result.notScanned) {
+                html += `
+                    <div class="domain-summary">
+                        <h3>${result.domain}</h3>
+                        <p>Не проверен: сканирование было остановлено</p>
                     </div>
                 `;
                 return;
             }
             
             html += `
-                <div class="domain-summary">
+                <div class="domain-summary${result.provenance && result.provenance.simulated ? ' simulated' : ''}">
                     <h3>${result.domain}</h3>
+                    ${getProvenanceHtml(result)}
                     <table>
                         <tr>
                             <td>DMARC</td>
@@ -393,6 +461,14 @@ const FileUtils = (function() {
                             <td>DKIM</td>
                             <td class="status-${result.dkim.status}">${getStatusText(result.dkim.status)}</td>
                         </tr>
+                        ${checkColumns.map(provider => {
+                            const status = result[provider.name] ? result[provider.name].status : 'error';
+                            return `
+                        <tr>
+                            <td>${provider.title}</td>
+                            <td class="status-${status}">${getStatusText(status)}</td>
+                        </tr>`;
+                        }).join('')}
                         <tr>
                             <td>Оценка безопасности</td>
                             <td>${result.securityScore}%</td>
@@ -404,11 +480,16 @@ const FileUtils = (function() {
             if (includeDetails) {
                 html += `
                     <div class="domain-details">
-                        <p><strong>DMARC запись:</strong> ${result.dmarc.record || 'Отсутствует'}</p>
+                        <p><strong>DMARC запись:</strong> ${result.dmarc.inherited ? `унаследована от ${result.dmarc.inherited.from} (${result.dmarc.inherited.tag}=${result.dmarc.policy || '?'}): ` : ''}${result.dmarc.record || 'Отсутствует'}</p>
                         <p><strong>DMARC политика:</strong> ${result.dmarc.policy || 'Не определена'}</p>
                         <p><strong>SPF запись:</strong> ${result.spf.record || 'Отсутствует'}</p>
+                        ${result.spf.lookups !== undefined ? `<p><strong>SPF DNS-запросов:</strong> ${result.spf.lookups} из 10</p>` : ''}
+                        ${result.spf.senders && result.spf.senders.length ? `<p><strong>Разрешена отправка:</strong> ${result.spf.senders.map(sender => (sender.status === 'ok' ? sender.name : `${sender.name} (${sender.status})`)).join(', ')}</p>` : ''}
                         <p><strong>DKIM селекторы:</strong> ${(result.dkim.selectors && result.dkim.selectors.length) ? result.dkim.selectors.join(', ') : 'Отсутствуют'}</p>
+                        ${result.dkim.providers && result.dkim.providers.length ? `<p><strong>DKIM подпись сервисов:</strong> ${result.dkim.providers.join(', ')}</p>` : ''}
+                        ${result.dkim.records && result.dkim.records.length ? `<p><strong>DKIM ключи:</strong> ${result.dkim.records.map(record => `${record.selector} - ${DkimParser.describeKey(record)}`).join(', ')}</p>` : ''}
                         <p><strong>MX записи:</strong> ${(result.mx && result.mx.length > 0) ? result.mx.join(', ') : 'Отсутствуют'}</p>
+                        ${getCheckDetailsHtml(result)}
                     </div>
                 `;
             }
@@ -0,0 +1,419 @@
+/**
+ * Список публичных суффиксов (Public Suffix List, https://publicsuffix.org)
+ * По нему определяется организационный домен (RFC 7489, 3.2): публичный суффикс и одна метка перед ним.
+ * Встроенный список содержит распространенные суффиксы; полный список загружается
+ * из файла public_suffix_list.dat или с publicsuffix.org и заменяет встроенный.
+ */
+const PublicSuffixList = (function() {
+    // Адрес актуальной версии списка
+    const OFFICIAL_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+    
+    // Встроенный список в формате PSL: правило на строку, "*" - любая метка, "!" - исключение
+    const BUNDLED_LIST = `
+// ===BEGIN ICANN DOMAINS===
+// Общие домены верхнего уровня
+com
+net
+org
+edu
+gov
+mil
+int
+info
+biz
+name
+pro
+mobi
+aero
+coop
+museum
+travel
+jobs
+tel
+asia
+app
+dev
+page
+xyz
+online
+site
+store
+shop
+tech
+top
+club
+blog
+cloud
+email
+digital
+agency
+company
+group
+network
+solutions
+services
+systems
+space
+website
+live
+news
+media
+io
+ai
+co
+me
+tv
+cc
+ws
+
+// Россия и СНГ
+ru
+рф
+su
+by
+com.by
+net.by
+org.by
+kz
+com.kz
+org.kz
+ua
+com.ua
+net.ua
+org.ua
+gov.ua
+edu.ua
+in.ua
+kiev.ua
+am
+az
+com.az
+ge
+com.ge
+kg
+md
+tj
+uz
+co.uz
+com.uz
+
+// Европа
+eu
+de
+fr
+it
+es
+com.es
+nl
+be
+ch
+li
+at
+co.at
+or.at
+gv.at
+pl
+com.pl
+net.pl
+org.pl
+se
+no
+fi
+dk
+ee
+lv
+lt
+cz
+sk
+hu
+ro
+bg
+gr
+pt
+com.pt
+ie
+is
+rs
+hr
+si
+uk
+ac.uk
+co.uk
+gov.uk
+ltd.uk
+me.uk
+net.uk
+nhs.uk
+org.uk
+plc.uk
+police.uk
+*.sch.uk
+tr
+com.tr
+net.tr
+org.tr
+gov.tr
+
+// Америка
+us
+ca
+mx
+com.mx
+org.mx
+br
+com.br
+net.br
+org.br
+gov.br
+ar
+com.ar
+cl
+com.co
+
+// Азия и Океания
+cn
+com.cn
+net.cn
+org.cn
+gov.cn
+edu.cn
+jp
+co.jp
+ne.jp
+or.jp
+ac.jp
+go.jp
+*.kawasaki.jp
+!city.kawasaki.jp
+kr
+co.kr
+or.kr
+in
+co.in
+net.in
+org.in
+gov.in
+sg
+com.sg
+hk
+com.hk
+tw
+com.tw
+il
+co.il
+org.il
+au
+com.au
+net.au
+org.au
+edu.au
+gov.au
+asn.au
+id.au
+nz
+co.nz
+net.nz
+org.nz
+govt.nz
+*.ck
+!www.ck
+
+// Африка
+za
+co.za
+org.za
+gov.za
+// ===END ICANN DOMAINS===
+
+// ===BEGIN PRIVATE DOMAINS===
+appspot.com
+blogspot.com
+herokuapp.com
+azurewebsites.net
+cloudfront.net
+github.io
+netlify.app
+vercel.app
+pages.dev
+workers.dev
+// ===END PRIVATE DOMAINS===
+`;
+    
+    // Активный список
+    let state = createState(BUNDLED_LIST, 'bundled');
+    
+    /**
+     * Приведение домена или правила к ASCII (punycode) в нижнем регистре
+     * @param {string} name - Доменное имя
+     * @returns {string}
+     */
+    function toAscii(name) {
+        const text = String(name || '').trim().toLowerCase().replace(/\.$/, '');
+        
+        if (!/[^\x00-\x7F]/.test(text)) {
+            return text;
+        }
+        
+        try {
+            // URL преобразует IDN-метки в punycode
+            return new URL(`http://${text}`).hostname;
+        } catch (error) {
+            return text;
+        }
+    }
+    
+    /**
+     * Разбор текста списка в формате PSL
+     * @param {string} text - Текст списка
+     * @returns {Set<string>} Правила (с префиксами "*." и "!")
+     * @throws {Error} Если список не содержит правил
+     */
+    function parse(text) {
+        const rules = new Set();
+        
+        String(text || '').split(/\r?\n/).forEach(line => {
+            // Правило - первое слово строки, комментарии начинаются с "//"
+            const rule = line.trim().split(/\s/)[0];
+            if (!rule || rule.startsWith('//')) {
+                return;
+            }
+            
+            const prefix = rule.startsWith('!') ? '!' : '';
+            rules.add(prefix + toAscii(rule.slice(prefix.length)));
+        });
+        
+        if (rules.size === 0) {
+            throw new Error('Список публичных суффиксов не содержит правил');
+        }
+        
+        return rules;
+    }
+    
+    /**
+     * Создание состояния списка
+     * @param {string} text - Текст списка
+     * @param {string} source - Источник (bundled, имя файла или адрес)
+     * @param {string} [loadedAt] - Время загрузки (ISO), по умолчанию текущее
+     * @returns {Object} { rules, source, loadedAt }
+     */
+    function createState(text, source, loadedAt) {
+        return {
+            rules: parse(text),
+            source,
+            loadedAt: source === 'bundled' ? null : loadedAt || new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Загрузка списка вместо текущего
+     * @param {string} text - Текст списка в формате PSL
+     * @param {string} source - Источник (имя файла или адрес)
+     * @param {string} [loadedAt] - Время загрузки (ISO) для восстановленного списка
+     * @returns {Object} Сведения о списке (см. getInfo)
+     * @throws {Error} Если список не содержит правил
+     */
+    function load(text, source, loadedAt) {
+        state = createState(text, source || 'custom', loadedAt);
+        return getInfo();
+    }
+    
+    /**
+     * Загрузка актуальной версии списка
+     * @param {string} [url] - Адрес списка (по умолчанию publicsuffix.org)
+     * @returns {Promise<Object>} Сведения о списке; текст доступен в поле text для сохранения
+     */
+    async function update(url = OFFICIAL_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Не удалось загрузить список публичных суффиксов: HTTP ${response.status}`);
+        }
+        
+        const text = await response.text();
+        return { ...load(text, url), text };
+    }
+    
+    /**
+     * Возврат к встроенному списку
+     * @returns {Object} Сведения о списке
+     */
+    function reset() {
+        state = createState(BUNDLED_LIST, 'bundled');
+        return getInfo();
+    }
+    
+    /**
+     * Сведения об активном списке
+     * @returns {Object} { source, bundled, count, loadedAt }
+     */
+    function getInfo() {
+        return {
+            source: state.source,
+            bundled: state.source === 'bundled',
+            count: state.rules.size,
+            loadedAt: state.loadedAt
+        };
+    }
+    
+    /**
+     * Публичный суффикс домена (алгоритм https://publicsuffix.org/list/)
+     * Исключение важнее остальных правил, среди остальных выбирается самое длинное;
+     * если ни одно правило не подошло, суффиксом считается домен верхнего уровня
+     * @param {string} domain - Доменное имя
+     * @returns {string|null} Суффикс или null для пустого имени
+     */
+    function getPublicSuffix(domain) {
+        const labels = toAscii(domain).split('.').filter(Boolean);
+        if (labels.length === 0) {
+            return null;
+        }
+        
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            
+            if (state.rules.has(`!${candidate}`)) {
+                return labels.slice(i + 1).join('.');
+            }
+            
+            const parent = labels.slice(i + 1).join('.');
+            if (state.rules.has(candidate) || (parent && state.rules.has(`*.${parent}`))) {
+                return candidate;
+            }
+        }
+        
+        return labels[labels.length - 1];
+    }
+    
+    /**
+     * Организационный домен (RFC 7489, 3.2): публичный суффикс и одна метка перед ним
+     * @param {string} domain - Доменное имя
+     * @returns {string|null} Организационный домен или null, если домен сам является публичным суффиксом
+     */
+    function getOrganizationalDomain(domain) {
+        const name = toAscii(domain);
+        const suffix = getPublicSuffix(name);
+        if (!suffix || name === suffix) {
+            return null;
+        }
+        
+        const labels = name.slice(0, -suffix.length - 1).split('.');
+        return `${labels[labels.length - 1]}.${suffix}`;
+    }
+    
+    // Публичное API
+    const publicSuffixList = {
+        parse,
+        load,
+        update,
+        reset,
+        getInfo,
+        getPublicSuffix,
+        getOrganizationalDomain,
+        toAscii,
+        OFFICIAL_URL
+    };
+    
+    // Делаем API доступным глобально
+    window.PublicSuffixList = publicSuffixList;
+    
+    return publicSuffixList;
+})();
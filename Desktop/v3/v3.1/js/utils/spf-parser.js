@@ -0,0 +1,671 @@
+/**
+ * Разбор SPF-записей (RFC 7208, раздел 4.6)
+ * Запись разбивается на версию и термы (механизмы и модификаторы). Результат содержит
+ * список замечаний к оформлению записи в том же формате, что и DmarcParser; lint проверяет
+ * механизмы записи (лишние, перекрытые, устаревшие), expandMacros подставляет макросы.
+ */
+const SpfParser = (function() {
+    // Механизмы SPF (RFC 7208, 5)
+    const MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+    
+    // Механизмы, которые требуют DNS-запроса и учитываются в лимите (RFC 7208, 4.6.4)
+    const LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+    
+    // Значения макросов (RFC 7208, 7.2)
+    const MACROS = {
+        s: 'адрес отправителя из MAIL FROM',
+        l: 'локальная часть адреса отправителя',
+        o: 'домен отправителя',
+        d: 'проверяемый домен',
+        i: 'IP-адрес отправляющего сервера',
+        p: 'подтвержденное по PTR имя сервера',
+        v: '"in-addr" для IPv4 или "ip6" для IPv6',
+        h: 'имя из HELO/EHLO',
+        c: 'IP-адрес сервера в читаемом виде',
+        r: 'имя принимающего сервера',
+        t: 'время проверки'
+    };
+    
+    // Невидимые символы, которые попадают в записи при копировании из документов
+    const INVISIBLE_CHARACTERS = /[\u00A0\u200B-\u200D\u2060\uFEFF]/;
+    
+    /**
+     * Похожа ли TXT-запись на SPF-запись
+     * Учитываются и записи с ошибками оформления (пробел в начале, V=SPF1),
+     * чтобы сообщить о них, а не о полном отсутствии SPF
+     * @param {string} record - Текст TXT-записи
+     * @returns {boolean}
+     */
+    function looksLikeSpf(record) {
+        return /^\s*v=spf1(\s|$)/i.test(String(record || ''));
+    }
+    
+    /**
+     * Разбор SPF-записи
+     *
+     * Замечание: { code, tag, severity, message }, tag - терм, к которому относится замечание
+     *
+     * @param {string} record - Текст TXT-записи
+     * @returns {Object} { valid, terms, all, redirect, findings }
+     *   valid - получатели применят запись (начинается ровно с "v=spf1 ", термы без синтаксических ошибок),
+     *   terms - термы вида { raw, type: mechanism|modifier, qualifier, name, value, target, prefix4, prefix6 },
+     *   all - квалификатор механизма all (+, -, ~, ?) или null,
+     *   redirect - домен модификатора redirect или null
+     */
+    function parse(record) {
+        const text = String(record || '');
+        const findings = [];
+        
+        const addFinding = (code, tag, severity, message) => {
+            findings.push({ code, tag, severity, message });
+        };
+        
+        if (/^\s/.test(text)) {
+            addFinding('leading-whitespace', null, 'error', 'Запись начинается с пробела: получатели ищут запись, начинающуюся ровно с "v=spf1", и отбросят ее');
+        }
+        
+        if (INVISIBLE_CHARACTERS.test(text)) {
+            addFinding('invisible-characters', null, 'error', 'Запись содержит невидимые символы (неразрывный пробел или символ нулевой ширины), вероятно, попавшие при копировании');
+        }
+        
+        // Термы разделяются только пробелами (SP); табуляция и перевод строки делают запись некорректной
+        if (/[^\S \u00A0\u200B-\u200D\u2060\uFEFF]/.test(text.trim())) {
+            addFinding('invalid-whitespace', null, 'error', 'Термы записи должны разделяться пробелами, а запись содержит табуляцию или перевод строки');
+        }
+        
+        const [version, ...rawTerms] = text.trim().split(/\s+/);
+        
+        if (version !== 'v=spf1' && version.toLowerCase() === 'v=spf1') {
+            addFinding('version-case', 'v', 'warning', `Версия записана как "${version}": используйте "v=spf1" в нижнем регистре, не все получатели сравнивают ее без учета регистра`);
+        }
+        
+        const terms = rawTerms.filter(Boolean).map(parseTerm);
+        
+        // Синтаксические ошибки термов приводят к permerror (RFC 7208, 4.6)
+        terms.forEach(term => {
+            const error = validateTerm(term);
+            if (error) {
+                addFinding('invalid-term', term.raw, 'error', error);
+            }
+        });
+        
+        ['redirect', 'exp'].forEach(name => {
+            if (terms.filter(term => term.type === 'modifier' && term.name === name).length > 1) {
+                addFinding('duplicate-modifier', name, 'error', `Модификатор ${name} указан несколько раз (RFC 7208, 6)`);
+            }
+        });
+        
+        const all = terms.find(term => term.type === 'mechanism' && term.name === 'all');
+        const redirect = terms.find(term => term.type === 'modifier' && term.name === 'redirect');
+        
+        return {
+            valid: looksLikeSpf(text) && !findings.some(finding => finding.severity === 'error'),
+            terms,
+            all: all ? all.qualifier : null,
+            redirect: redirect ? redirect.value : null,
+            findings
+        };
+    }
+    
+    /**
+     * Разбор терма SPF-записи
+     * @param {string} raw - Текст терма
+     * @returns {Object} { raw, type, qualifier, name, value, target, prefix4, prefix6 }
+     *   target - домен (domain-spec, может содержать макросы) или адрес для ip4/ip6,
+     *   prefix4, prefix6 - длины префиксов CIDR или null
+     */
+    function parseTerm(raw) {
+        // Модификатор: имя=значение (redirect=, exp= и неизвестные модификаторы)
+        const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(raw);
+        if (modifier) {
+            return {
+                raw,
+                type: 'modifier',
+                qualifier: null,
+                name: modifier[1].toLowerCase(),
+                value: modifier[2],
+                target: modifier[2],
+                prefix4: null,
+                prefix6: null
+            };
+        }
+        
+        // Механизм: [квалификатор]имя[:значение][/префикс]
+        const qualifier = /^[+\-~?]/.test(raw) ? raw[0] : '+';
+        const body = /^[+\-~?]/.test(raw) ? raw.slice(1) : raw;
+        const nameMatch = /^[a-z0-9]+/i.exec(body);
+        const name = nameMatch ? nameMatch[0].toLowerCase() : '';
+        let value = body.slice(name.length);
+        
+        if (value.startsWith(':')) {
+            value = value.slice(1);
+        }
+        
+        // Длины префиксов: ip4:адрес/n, ip6:адрес/n, a и mx: [домен][/n4][//n6]
+        const cidr = /^(.*?)(?:\/(\d+))?(?:\/\/(\d+))?$/.exec(value);
+        let prefix4 = cidr[2] !== undefined ? parseInt(cidr[2], 10) : null;
+        let prefix6 = cidr[3] !== undefined ? parseInt(cidr[3], 10) : null;
+        
+        if (name === 'ip6') {
+            prefix6 = prefix4;
+            prefix4 = null;
+        }
+        
+        return {
+            raw,
+            type: 'mechanism',
+            qualifier,
+            name,
+            value,
+            target: cidr[1],
+            prefix4,
+            prefix6
+        };
+    }
+    
+    /**
+     * Проверка синтаксиса терма (RFC 7208, 5 и 6)
+     * @param {Object} term - Разобранный терм
+     * @returns {string|null} Описание ошибки или null
+     */
+    function validateTerm(term) {
+        if (term.type === 'modifier') {
+            // Префикс CIDR допустим только у a, mx, ip4 и ip6
+            if (term.name === 'redirect' && /\/\/?\d+$/.test(term.target)) {
+                return `Модификатор redirect не принимает префикс: ${term.raw}`;
+            }
+            if ((term.name === 'redirect' || term.name === 'exp') && !isValidDomainSpec(term.target)) {
+                return `Некорректный домен в модификаторе ${term.raw}`;
+            }
+            // Неизвестные модификаторы игнорируются получателями
+            return null;
+        }
+        
+        if (!MECHANISMS.includes(term.name)) {
+            return `Неизвестный механизм "${term.raw}"`;
+        }
+        
+        if (term.prefix4 !== null && term.prefix4 > 32) {
+            return `Недопустимая длина префикса IPv4 в ${term.raw}`;
+        }
+        
+        if (term.prefix6 !== null && term.prefix6 > 128) {
+            return `Недопустимая длина префикса IPv6 в ${term.raw}`;
+        }
+        
+        switch (term.name) {
+            case 'all':
+                return term.value === '' ? null : `Механизм all не принимает аргументов: ${term.raw}`;
+            
+            case 'ip4':
+                return isIp4(term.target) && term.prefix6 === null ? null : `Некорректный адрес IPv4 в ${term.raw}`;
+            
+            case 'ip6':
+                return isIp6(term.target) && !/\/\//.test(term.value) ? null : `Некорректный адрес IPv6 в ${term.raw}`;
+            
+            case 'include':
+            case 'exists':
+                if (term.prefix4 !== null || term.prefix6 !== null) {
+                    return `Механизм ${term.name} не принимает префикс: ${term.raw}`;
+                }
+                return isValidDomainSpec(term.target) ? null : `Механизм ${term.name} требует корректный домен: ${term.raw}`;
+            
+            case 'ptr':
+                if (term.prefix4 !== null || term.prefix6 !== null) {
+                    return `Механизм ptr не принимает префикс: ${term.raw}`;
+                }
+                return term.target === '' || isValidDomainSpec(term.target) ? null : `Некорректный домен в ${term.raw}`;
+            
+            default:
+                // a и mx: домен необязателен
+                return term.target === '' || isValidDomainSpec(term.target) ? null : `Некорректный домен в ${term.raw}`;
+        }
+    }
+    
+    /**
+     * Проверка domain-spec: имя домена, которое может содержать макросы %{...} (RFC 7208, 7.1)
+     * Имя без макросов должно оканчиваться меткой верхнего уровня; макросы c, r и t допустимы только в пояснении exp
+     * @param {string} spec - Текст
+     * @returns {boolean}
+     */
+    function isValidDomainSpec(spec) {
+        const text = String(spec || '');
+        if (!text || !/^[\x21-\x7E]+$/.test(text)) {
+            return false;
+        }
+        
+        if (/%/.test(text)) {
+            // Допустимы только %{буква...}, %%, %_ и %-
+            return !/%(?![{%_-])/.test(text) && !/%\{(?![slodiphv]\d*r?[.\-+,/_=]*\})/i.test(text);
+        }
+        
+        const labels = text.replace(/\.$/, '').split('.');
+        return labels.length > 1 &&
+            labels.every(label => label.length > 0 && label.length <= 63) &&
+            /^(?=.*[a-z])[a-z0-9-]+$/i.test(labels[labels.length - 1]);
+    }
+    
+    /**
+     * Проверка адреса IPv4
+     * @param {string} text - Текст
+     * @returns {boolean}
+     */
+    function isIp4(text) {
+        const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(String(text || ''));
+        return !!match && match.slice(1).every(octet => parseInt(octet, 10) <= 255);
+    }
+    
+    /**
+     * Разбор IP-адреса в байты
+     * @param {string} text - Адрес IPv4 или IPv6
+     * @returns {Object|null} { version: 4|6, bytes } или null для некорректного адреса
+     */
+    function parseIp(text) {
+        const value = String(text || '').trim();
+        
+        if (isIp4(value)) {
+            return { version: 4, bytes: value.split('.').map(Number) };
+        }
+        
+        if (!isIp6(value)) {
+            return null;
+        }
+        
+        // 16-битные группы; адрес IPv4 в конце занимает две группы
+        const toWords = part => (part ? part.split(':') : []).flatMap(group => {
+            if (group.includes('.')) {
+                const octets = group.split('.').map(Number);
+                return [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]];
+            }
+            return [parseInt(group, 16)];
+        });
+        
+        const [head, tail] = value.split('::');
+        let words = toWords(head);
+        if (tail !== undefined) {
+            const tailWords = toWords(tail);
+            words = [...words, ...new Array(8 - words.length - tailWords.length).fill(0), ...tailWords];
+        }
+        
+        return { version: 6, bytes: words.flatMap(word => [word >> 8, word & 0xff]) };
+    }
+    
+    /**
+     * Проверка адреса IPv6 (включая сокращенную запись "::" и IPv4 в последних 32 битах)
+     * @param {string} text - Текст
+     * @returns {boolean}
+     */
+    function isIp6(text) {
+        const value = String(text || '');
+        const halves = value.split('::');
+        if (halves.length > 2 || !/^[0-9a-f:.]+$/i.test(value)) {
+            return false;
+        }
+        
+        const groups = halves.map(half => (half ? half.split(':') : []));
+        const all = [...groups[0], ...(groups[1] || [])];
+        
+        // Последняя группа может быть адресом IPv4 (занимает две группы)
+        let count = all.length;
+        if (all.length && all[all.length - 1].includes('.')) {
+            if (!isIp4(all.pop())) {
+                return false;
+            }
+            count++;
+        }
+        
+        if (!all.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+            return false;
+        }
+        
+        return halves.length === 2 ? count < 8 : count === 8;
+    }
+    
+    /**
+     * Проверка SPF-записи по механизмам: термы без синтаксических ошибок, которые получатели применят,
+     * но которые не работают так, как ожидает владелец домена (лишние, перекрытые, устаревшие)
+     *
+     * Замечание: { code, tag, severity, message, record }, record - запись без проблемного терма (если применимо)
+     *
+     * @param {Object} parsed - Результат parse
+     * @param {Object} [options] - { domain } - домен записи для примеров подстановки макросов
+     * @returns {Array<Object>} Замечания
+     */
+    function lint(parsed, options = {}) {
+        const findings = [];
+        const domain = options.domain || 'example.com';
+        
+        const addFinding = (code, tag, severity, message, record = null) => {
+            if (findings.some(finding => finding.code === code && finding.tag === tag)) {
+                return;
+            }
+            findings.push(record ? { code, tag, severity, message, record } : { code, tag, severity, message });
+        };
+        
+        // Запись без указанных термов (пример исправления)
+        const without = (...removed) => ['v=spf1', ...parsed.terms.filter(term => !removed.includes(term)).map(term => term.raw)].join(' ');
+        const replace = (term, raw) => ['v=spf1', ...parsed.terms.map(item => (item === term ? raw : item.raw))].join(' ');
+        
+        const terms = parsed.terms.filter(term => !validateTerm(term));
+        const mechanisms = terms.filter(term => term.type === 'mechanism');
+        const allIndex = mechanisms.findIndex(term => term.name === 'all');
+        const all = allIndex === -1 ? null : mechanisms[allIndex];
+        const redirect = terms.find(term => term.type === 'modifier' && term.name === 'redirect');
+        
+        // Механизмы, которые получатель может проверить (после all проверка не идет)
+        const effective = all ? mechanisms.slice(0, allIndex) : mechanisms;
+        
+        // Квалификатор all определяет результат для всех неразрешенных серверов
+        if (all && all.qualifier === '+') {
+            addFinding('all-pass', all.raw, 'warning', `Механизм ${all.raw} разрешает отправку от имени домена любому серверу: SPF не защищает домен от подделки`, replace(all, '-all'));
+        } else if (all && all.qualifier === '?') {
+            addFinding('all-neutral', all.raw, 'warning', 'Механизм ?all (neutral) не дает получателям оснований отклонить письмо с неразрешенного сервера: используйте ~all или -all', replace(all, '-all'));
+        } else if (all && all.qualifier === '~') {
+            addFinding('all-softfail', all.raw, 'info', 'Механизм ~all (softfail): письма с неразрешенных серверов помечаются, но не отклоняются. С политикой DMARC quarantine или reject этого достаточно, без DMARC используйте -all');
+        } else if (!all && !redirect) {
+            const last = mechanisms[mechanisms.length - 1];
+            const record = last ? replace(last, `${last.raw} -all`) : `${without()} -all`;
+            addFinding('missing-all', null, 'warning', 'В записи нет механизма all и модификатора redirect: для неразрешенных серверов результат neutral (RFC 7208, 4.7), как при ?all', record);
+        }
+        
+        // Механизмы после all никогда не проверяются
+        const unreachable = all ? mechanisms.slice(allIndex + 1) : [];
+        unreachable.forEach(term => {
+            addFinding('terms-after-all', term.raw, 'warning', `Механизм ${term.raw} стоит после ${all.raw} и никогда не проверяется: all срабатывает для любого сервера`, without(...unreachable));
+        });
+        
+        if (all && redirect) {
+            addFinding('redirect-with-all', redirect.raw, 'warning', `Модификатор ${redirect.raw} игнорируется, так как в записи есть механизм all (RFC 7208, 6.1): запись с ${redirect.target} не применяется`, without(redirect));
+        }
+        
+        mechanisms.filter(term => term.name === 'ptr').forEach(term => {
+            addFinding('ptr-mechanism', term.raw, 'warning', `Механизм ${term.raw} не рекомендуется (RFC 7208, 5.5): он медленный, требует нескольких DNS-запросов и часть получателей его не поддерживает. Замените его механизмами ip4/ip6 или a`, without(term));
+        });
+        
+        // Повторы: срабатывает только первый из одинаковых механизмов
+        effective.forEach((term, index) => {
+            const key = getMechanismKey(term);
+            const first = effective.slice(0, index).find(item => getMechanismKey(item) === key);
+            if (first) {
+                const cost = LOOKUP_MECHANISMS.includes(term.name) ? ', а повтор расходует DNS-запрос из лимита' : '';
+                addFinding('duplicate-mechanism', term.raw, 'warning', `Механизм ${term.raw} повторяет ${first.raw}: срабатывает только первый из них${cost}`, without(term));
+            }
+        });
+        
+        // Перекрывающиеся диапазоны ip4/ip6
+        const networks = effective
+            .filter(term => term.name === 'ip4' || term.name === 'ip6')
+            .map(term => ({ term, network: parseIp(term.target), prefix: getPrefix(term) }));
+        
+        networks.forEach((inner, j) => {
+            networks.slice(0, j).forEach(outer => {
+                if (getMechanismKey(inner.term) === getMechanismKey(outer.term) || !containsNetwork(outer, inner)) {
+                    return;
+                }
+                addFinding('overlapping-range', inner.term.raw, 'warning', `Диапазон ${inner.term.raw} входит в ${outer.term.raw}, который проверяется раньше: ${inner.term.raw} никогда не срабатывает`, without(inner.term));
+            });
+            networks.slice(j + 1).forEach(outer => {
+                if (inner.term.qualifier !== outer.term.qualifier || getMechanismKey(inner.term) === getMechanismKey(outer.term) ||
+                    !containsNetwork(outer, inner)) {
+                    return;
+                }
+                addFinding('overlapping-range', inner.term.raw, 'warning', `Диапазон ${inner.term.raw} входит в ${outer.term.raw} с тем же квалификатором и не нужен`, without(inner.term));
+            });
+        });
+        
+        // Механизм с квалификатором all не меняет результат проверки
+        if (all && all.qualifier !== '+') {
+            // Повторы и перекрытые диапазоны уже отмечены
+            effective.filter(term => term.qualifier === all.qualifier && !findings.some(finding => finding.tag === term.raw)).forEach(term => {
+                const lookup = LOOKUP_MECHANISMS.includes(term.name);
+                addFinding('redundant-mechanism', term.raw, lookup ? 'warning' : 'info',
+                    `Механизм ${term.raw} дает тот же результат, что и ${all.raw}, и не меняет проверку${lookup ? ', но расходует DNS-запрос из лимита' : ''}`, without(term));
+            });
+        }
+        
+        // Слишком широкие диапазоны разрешают отправку чужим серверам
+        networks.filter(item => item.term.qualifier === '+').forEach(({ term, prefix }) => {
+            if (term.name === 'ip4' && prefix < 16) {
+                addFinding('broad-range', term.raw, 'warning', `Диапазон ${term.raw} разрешает отправку ${Math.pow(2, 32 - prefix).toLocaleString('ru-RU')} адресам: вероятно, в записи ошибка в длине префикса`);
+            } else if (term.name === 'ip6' && prefix < 32) {
+                addFinding('broad-range', term.raw, 'warning', `Диапазон ${term.raw} (сеть /${prefix}) шире сети, которую выделяют одному оператору: вероятно, в записи ошибка в длине префикса`);
+            }
+        });
+        
+        // Макросы: пояснение и пример подстановки
+        const example = {
+            domain,
+            ip: parseIp('192.0.2.10'),
+            sender: `user@${domain}`,
+            local: 'user',
+            senderDomain: domain,
+            helo: `mail.${domain}`
+        };
+        
+        terms.filter(term => /%\{/.test(term.target)).forEach(term => {
+            const letters = [...new Set((term.target.match(/%\{([a-z])/gi) || []).map(match => match[2].toLowerCase()))];
+            const meaning = letters.map(letter => `%{${letter}} - ${MACROS[letter]}`).join(', ');
+            const expanded = expandMacros(term.target, example);
+            const sample = expanded === null ? '' : `. Для сервера 192.0.2.10 и отправителя ${example.sender}: ${expanded}`;
+            
+            addFinding('macro', term.raw, 'info', `Терм ${term.raw} содержит макросы (${meaning}) и раскрывается заново для каждого письма${sample}`);
+            
+            if (letters.includes('p')) {
+                addFinding('macro-ptr', term.raw, 'warning', `Макрос %{p} в ${term.raw} не рекомендуется (RFC 7208, 7.3): он требует запросов PTR, медленный и ненадежный`);
+            }
+        });
+        
+        terms.filter(term => term.type === 'modifier' && !['redirect', 'exp'].includes(term.name)).forEach(term => {
+            addFinding('unknown-modifier', term.raw, 'info', `Неизвестный модификатор ${term.raw} игнорируется получателями: проверьте, нет ли опечатки в имени`);
+        });
+        
+        return findings;
+    }
+    
+    /**
+     * Ключ механизма для поиска повторов: имя, домен без учета регистра и префиксы
+     * @param {Object} term - Разобранный терм
+     * @returns {string}
+     */
+    function getMechanismKey(term) {
+        if (term.name === 'ip4' || term.name === 'ip6') {
+            const ip = parseIp(term.target);
+            return `${term.name}:${ip ? ip.bytes.join('.') : term.target}/${getPrefix(term)}`;
+        }
+        return `${term.name}:${term.target.toLowerCase().replace(/\.$/, '')}/${term.prefix4}/${term.prefix6}`;
+    }
+    
+    /**
+     * Длина префикса механизма ip4/ip6 (без префикса - весь адрес)
+     * @param {Object} term - Разобранный терм
+     * @returns {number}
+     */
+    function getPrefix(term) {
+        if (term.name === 'ip4') {
+            return term.prefix4 === null ? 32 : term.prefix4;
+        }
+        return term.prefix6 === null ? 128 : term.prefix6;
+    }
+    
+    /**
+     * Входит ли сеть inner в сеть outer
+     * @param {Object} outer - { network, prefix }
+     * @param {Object} inner - { network, prefix }
+     * @returns {boolean}
+     */
+    function containsNetwork(outer, inner) {
+        return !!outer.network && !!inner.network && outer.network.version === inner.network.version &&
+            outer.prefix <= inner.prefix && inNetwork(inner.network, outer.network, outer.prefix);
+    }
+    
+    /**
+     * Входит ли адрес в сеть
+     * @param {Object} ip - { version, bytes }
+     * @param {Object} network - { version, bytes }
+     * @param {number|null} prefix - Длина префикса; null - весь адрес
+     * @returns {boolean}
+     */
+    function inNetwork(ip, network, prefix) {
+        const bits = prefix === null ? ip.bytes.length * 8 : prefix;
+        
+        for (let i = 0; i < ip.bytes.length && i * 8 < bits; i++) {
+            const mask = bits - i * 8 >= 8 ? 0xff : (0xff << (8 - (bits - i * 8))) & 0xff;
+            if ((ip.bytes[i] & mask) !== (network.bytes[i] & mask)) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Подстановка макросов (RFC 7208, 7)
+     * Макрос, для которого в контексте нет значения, не раскрывается: без данных письма
+     * (при раскрытии дерева записи) подставляются только %{d}, %%, %_ и %-
+     * @param {string} spec - Текст с макросами
+     * @param {Object} context - { domain, ip, sender, local, senderDomain, helo, explanation }
+     *   ip - результат parseIp, explanation - текст пояснения exp, в котором допустимы макросы c, r и t
+     * @returns {string|null} - Результат или null, если есть макросы без значения
+     */
+    function expandMacros(spec, context) {
+        let unresolved = false;
+        
+        const result = spec.replace(/%(?:\{([a-z])(\d*)(r?)([.\-+,/_=]*)\}|([%_-]))/gi, (match, letter, digits, reverse, delimiters, escape) => {
+            if (escape) {
+                return { '%': '%', '_': ' ', '-': '%20' }[escape];
+            }
+            
+            const value = getMacroValue(letter.toLowerCase(), context);
+            if (value === null) {
+                unresolved = true;
+                return match;
+            }
+            
+            // Разбиение на части по разделителям, обратный порядок и правые N частей
+            let parts = value.split(new RegExp(`[${(delimiters || '.').replace(/[-\]\\]/g, '\\$&')}]`));
+            if (reverse) {
+                parts = parts.reverse();
+            }
+            if (digits && parseInt(digits, 10) > 0) {
+                parts = parts.slice(-parseInt(digits, 10));
+            }
+            
+            const expanded = parts.join('.');
+            // Макрос в верхнем регистре кодируется как URL (RFC 7208, 7.3)
+            return letter === letter.toUpperCase()
+                ? encodeURIComponent(expanded).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+                : expanded;
+        });
+        
+        return unresolved ? null : result;
+    }
+    
+    /**
+     * Значение макроса
+     * @param {string} letter - Буква макроса в нижнем регистре
+     * @param {Object} context - Контекст (см. expandMacros)
+     * @returns {string|null}
+     */
+    function getMacroValue(letter, context) {
+        const ip = context.ip || null;
+        
+        switch (letter) {
+            case 'd':
+                return context.domain || null;
+            case 's':
+                return context.sender || null;
+            case 'l':
+                return context.local || null;
+            case 'o':
+                return context.senderDomain || null;
+            case 'h':
+                return context.helo || null;
+            case 'i':
+                if (!ip) {
+                    return null;
+                }
+                return ip.version === 4 ? ip.bytes.join('.') : getNibbles(ip).join('.');
+            case 'v':
+                return ip ? (ip.version === 4 ? 'in-addr' : 'ip6') : null;
+            case 'p':
+                // Подтвержденное имя требует дополнительных запросов; RFC 7208, 7.3 не рекомендует макрос p
+                return ip ? 'unknown' : null;
+            case 'c':
+                return ip && context.explanation ? formatIp(ip) : null;
+            case 'r':
+                return context.explanation ? 'unknown' : null;
+            case 't':
+                return context.explanation ? String(Math.floor(Date.now() / 1000)) : null;
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Полубайты адреса IPv6 в шестнадцатеричной записи
+     * @param {Object} ip - { version, bytes }
+     * @returns {Array<string>}
+     */
+    function getNibbles(ip) {
+        return ip.bytes.flatMap(byte => [(byte >> 4).toString(16), (byte & 0xf).toString(16)]);
+    }
+    
+    /**
+     * Запись адреса для людей (макрос %{c}): IPv6 в сокращенной форме
+     * @param {Object} ip - { version, bytes }
+     * @returns {string}
+     */
+    function formatIp(ip) {
+        if (ip.version === 4) {
+            return ip.bytes.join('.');
+        }
+        
+        const words = [];
+        for (let i = 0; i < 16; i += 2) {
+            words.push(((ip.bytes[i] << 8) | ip.bytes[i + 1]).toString(16));
+        }
+        
+        // Самая длинная серия нулевых групп (от двух) заменяется на "::"
+        const text = words.join(':');
+        const runs = text.match(/(?:^|:)0(?::0)+(?::|$)/g);
+        if (!runs) {
+            return text;
+        }
+        const longest = runs.reduce((best, run) => (run.length > best.length ? run : best));
+        return text.replace(longest, '::');
+    }
+    
+    /**
+     * Начинается ли текст с терма SPF (используется для поиска неверно разбитых записей)
+     * @param {string} text - Текст
+     * @returns {boolean}
+     */
+    function startsWithTerm(text) {
+        const match = /^[+\-~?]?([a-z0-9]+)([:/=]|\s|$)/i.exec(String(text || ''));
+        if (!match) {
+            return false;
+        }
+        
+        const name = match[1].toLowerCase();
+        return MECHANISMS.includes(name) || (match[2] === '=' && (name === 'redirect' || name === 'exp'));
+    }
+    
+    // Публичное API
+    const spfParser = {
+        parse,
+        lint,
+        looksLikeSpf,
+        startsWithTerm,
+        isIp4,
+        isIp6,
+        parseIp,
+        inNetwork,
+        expandMacros,
+        formatIp,
+        MECHANISMS
+    };
+    
+    // Делаем API доступным глобально
+    window.SpfParser = spfParser;
+    
+    return spfParser;
+})();
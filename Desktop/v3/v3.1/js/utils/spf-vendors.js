@@ -0,0 +1,141 @@
+/**
+ * Справочник сервисов, которые отправляют почту от имени домена через SPF include
+ * По домену include определяется сервис (Google Workspace, Microsoft 365, SendGrid и т.п.),
+ * по дереву SPF записи (см. SpfEvaluator.expand) - список отправителей, которым разрешена отправка.
+ */
+const SpfVendors = (function() {
+    // Сервисы: домены include (совпадение с доменом или его поддоменом) и признак частой смены адресов
+    const VENDORS = [
+        { id: 'google', name: 'Google Workspace', includes: ['_spf.google.com', '_netblocks.google.com'], volatile: true },
+        { id: 'microsoft365', name: 'Microsoft 365', includes: ['spf.protection.outlook.com'], volatile: true },
+        { id: 'amazonses', name: 'Amazon SES', includes: ['amazonses.com'], volatile: true },
+        { id: 'sendgrid', name: 'SendGrid', includes: ['sendgrid.net'], volatile: true },
+        { id: 'mailchimp', name: 'Mailchimp', includes: ['servers.mcsv.net'], volatile: true },
+        { id: 'mandrill', name: 'Mandrill', includes: ['spf.mandrillapp.com'], volatile: true },
+        { id: 'mailgun', name: 'Mailgun', includes: ['mailgun.org'], volatile: true },
+        { id: 'zendesk', name: 'Zendesk', includes: ['mail.zendesk.com'], volatile: true },
+        { id: 'salesforce', name: 'Salesforce', includes: ['_spf.salesforce.com'], volatile: true },
+        { id: 'hubspot', name: 'HubSpot', includes: ['hubspotemail.net'], volatile: true },
+        { id: 'brevo', name: 'Brevo (Sendinblue)', includes: ['spf.brevo.com', 'spf.sendinblue.com'], volatile: true },
+        { id: 'postmark', name: 'Postmark', includes: ['spf.mtasv.net'], volatile: false },
+        { id: 'sparkpost', name: 'SparkPost', includes: ['_spf.sparkpostmail.com'], volatile: false },
+        { id: 'mailjet', name: 'Mailjet', includes: ['spf.mailjet.com'], volatile: false },
+        { id: 'zoho', name: 'Zoho Mail', includes: ['zoho.com', 'zoho.eu', 'zohomail.com'], volatile: false },
+        { id: 'yandex', name: 'Яндекс 360', includes: ['_spf.yandex.net'], volatile: false },
+        { id: 'mailru', name: 'VK WorkMail (Mail.ru)', includes: ['_spf.mail.ru'], volatile: false },
+        { id: 'unisender', name: 'UniSender', includes: ['spf.unisender.com'], volatile: false },
+        { id: 'sendpulse', name: 'SendPulse', includes: ['mxsspf.sendpulse.com'], volatile: false },
+        { id: 'freshdesk', name: 'Freshdesk', includes: ['email.freshdesk.com'], volatile: false },
+        { id: 'atlassian', name: 'Atlassian', includes: ['_spf.atlassian.net'], volatile: false },
+        { id: 'intercom', name: 'Intercom', includes: ['mail.intercom.io'], volatile: false },
+        { id: 'shopify', name: 'Shopify', includes: ['shops.shopify.com'], volatile: false },
+        { id: 'mimecast', name: 'Mimecast', includes: ['_netblocks.mimecast.com'], volatile: false },
+        { id: 'proofpoint', name: 'Proofpoint', includes: ['pphosted.com'], volatile: false },
+        { id: 'godaddy', name: 'GoDaddy', includes: ['secureserver.net'], volatile: false }
+    ];
+    
+    // Отправитель для адресов, указанных в самой записи (ip4, ip6, a, mx)
+    const OWN_SENDER = { vendor: 'own', name: 'Собственные серверы (ip4, ip6, a, mx)', include: null, status: 'ok', volatile: false };
+    
+    /**
+     * Определение сервиса по домену include
+     * @param {string} target - Домен include
+     * @returns {Object|null} Описание сервиса { id, name, includes, volatile } или null
+     */
+    function identify(target) {
+        const name = String(target || '').toLowerCase().replace(/\.$/, '');
+        return VENDORS.find(vendor => vendor.includes.some(item => name === item || name.endsWith(`.${item}`))) || null;
+    }
+    
+    /**
+     * Состояние include по узлу дерева
+     * @param {Object} term - Терм дерева SpfEvaluator
+     * @returns {string} ok, nxdomain (домена не существует), no-record (нет SPF записи) или error
+     */
+    function getIncludeStatus(term) {
+        if (!term.child) {
+            return 'error';
+        }
+        if (term.child.error === 'none') {
+            return term.child.rcode === 'NXDOMAIN' ? 'nxdomain' : 'no-record';
+        }
+        return term.child.error ? 'error' : 'ok';
+    }
+    
+    /**
+     * Отправители, которым SPF запись разрешает отправку
+     * Известные сервисы не раскрываются дальше; неизвестный include раскрывается.
+     * Сам домен include считается отправителем, если его запись разрешает собственные адреса
+     * (+ip4, +ip6, +a, +mx) или в ней не найдено других отправителей
+     * @param {Object} tree - Дерево SpfEvaluator.expand
+     * @returns {Array<Object>} Отправители { vendor: id сервиса, own или null, name, include, status, volatile }
+     */
+    function getSenders(tree) {
+        const senders = [];
+        
+        const add = sender => {
+            const exists = senders.some(item => (sender.vendor ? item.vendor === sender.vendor : item.include === sender.include));
+            if (!exists) {
+                senders.push(sender);
+            }
+        };
+        
+        const ownTerms = ['ip4', 'ip6', 'a', 'mx'];
+        
+        // Возвращает true, если в записи найден хотя бы один отправитель (в том числе уже учтенный)
+        const walk = (node, root) => {
+            let found = false;
+            
+            node.terms.forEach(term => {
+                const delegates = (term.name === 'include' && term.qualifier === '+') || (term.name === 'redirect' && term.lookup);
+                
+                if (delegates && term.target && !term.unresolved) {
+                    const vendor = identify(term.target);
+                    const status = getIncludeStatus(term);
+                    
+                    found = true;
+                    
+                    if (vendor) {
+                        add({ vendor: vendor.id, name: vendor.name, include: term.target, status, volatile: vendor.volatile });
+                        return;
+                    }
+                    
+                    // redirect заменяет запись: ее адреса остаются собственными
+                    const replacesRoot = root && term.name === 'redirect';
+                    let nested = false;
+                    if (term.child && status === 'ok') {
+                        nested = walk(term.child, replacesRoot);
+                    }
+                    
+                    const ownAddresses = status === 'ok' && !replacesRoot &&
+                        term.child.terms.some(child => child.qualifier === '+' && ownTerms.includes(child.name));
+                    if (status !== 'ok' || ownAddresses || (!nested && !replacesRoot)) {
+                        add({ vendor: null, name: term.target, include: term.target, status, volatile: false });
+                    }
+                } else if (root && term.qualifier === '+' && ownTerms.includes(term.name)) {
+                    found = true;
+                    add({ ...OWN_SENDER });
+                }
+            });
+            
+            return found;
+        };
+        
+        walk(tree, true);
+        
+        // Собственные серверы - первыми
+        return senders.sort((a, b) => (b.vendor === 'own') - (a.vendor === 'own'));
+    }
+    
+    // Публичное API
+    const spfVendors = {
+        identify,
+        getSenders,
+        VENDORS
+    };
+    
+    // Делаем API доступным глобально
+    window.SpfVendors = spfVendors;
+    
+    return spfVendors;
+})();
@@ -0,0 +1,498 @@
+/**
+ * Разбор подмножества YAML, достаточного для файлов фикстур
+ * Поддерживаются блочные словари и списки, flow-коллекции ([a, b], {k: v}),
+ * строки в кавычках, числа, true/false/null, комментарии и блочные строки (| и >).
+ * Якоря, теги и многодокументные файлы не поддерживаются.
+ */
+const YamlParser = (function() {
+    /**
+     * Разбор YAML-текста
+     * @param {string} text - YAML-текст
+     * @returns {*} Разобранное значение
+     * @throws {Error} При синтаксической ошибке (с номером строки)
+     */
+    function parse(text) {
+        const lines = tokenize(String(text || ''));
+        
+        if (lines.length === 0) {
+            return null;
+        }
+        
+        const state = { lines, index: 0 };
+        const value = parseBlock(state, lines[0].indent);
+        
+        if (state.index < lines.length) {
+            fail(lines[state.index], 'неожиданный отступ');
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Разбиение текста на значимые строки с отступами
+     * @param {string} text - YAML-текст
+     * @returns {Array<Object>} Строки вида { indent, text, number, raw }
+     */
+    function tokenize(text) {
+        const result = [];
+        
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((raw, i) => {
+            if (/^\t/.test(raw)) {
+                throw new Error(`YAML: строка ${i + 1}: табуляция в отступе не допускается`);
+            }
+            
+            const content = stripComment(raw);
+            if (content.trim() === '' || content.trim() === '---' || content.trim() === '...') {
+                // Пустые строки сохраняются только для блочных строк (| и >)
+                result.push({ indent: -1, text: '', number: i + 1, raw });
+                return;
+            }
+            
+            const indent = content.length - content.trimStart().length;
+            result.push({ indent, text: content.trim(), number: i + 1, raw });
+        });
+        
+        // Убираем пустые строки в конце и в начале
+        while (result.length && result[result.length - 1].indent === -1) result.pop();
+        while (result.length && result[0].indent === -1) result.shift();
+        
+        return result;
+    }
+    
+    /**
+     * Удаление комментария из строки (с учетом кавычек)
+     * @param {string} line - Строка
+     * @returns {string} Строка без комментария
+     */
+    function stripComment(line) {
+        let quote = null;
+        
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            
+            if (quote) {
+                if (ch === '\\' && quote === '"') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i).replace(/\s+$/, '');
+            }
+        }
+        
+        return line.replace(/\s+$/, '');
+    }
+    
+    /**
+     * Пропуск пустых строк
+     * @param {Object} state - Состояние разбора
+     */
+    function skipBlank(state) {
+        while (state.index < state.lines.length && state.lines[state.index].indent === -1) {
+            state.index++;
+        }
+    }
+    
+    /**
+     * Разбор блока (словаря или списка) с заданным отступом
+     * @param {Object} state - Состояние разбора
+     * @param {number} indent - Отступ блока
+     * @returns {*} Значение блока
+     */
+    function parseBlock(state, indent) {
+        skipBlank(state);
+        const line = state.lines[state.index];
+        
+        if (isSequenceItem(line.text)) {
+            return parseSequence(state, indent);
+        }
+        
+        if (findMappingColon(line.text) === -1) {
+            // Блок из одного скаляра
+            state.index++;
+            return parseInlineValue(line.text, line);
+        }
+        
+        return parseMapping(state, indent);
+    }
+    
+    /**
+     * Разбор блочного списка
+     * @param {Object} state - Состояние разбора
+     * @param {number} indent - Отступ списка
+     * @returns {Array} Список
+     */
+    function parseSequence(state, indent) {
+        const result = [];
+        
+        while (true) {
+            skipBlank(state);
+            const line = state.lines[state.index];
+            if (!line || line.indent !== indent || !isSequenceItem(line.text)) break;
+            
+            const rest = line.text.slice(1).trim();
+            
+            if (rest === '') {
+                state.index++;
+                result.push(parseNested(state, indent));
+            } else if (!/^["'[{]/.test(rest) && findMappingColon(rest) !== -1) {
+                // Элемент списка начинается со словаря: "- key: value"
+                state.lines[state.index] = {
+                    indent: indent + (line.text.length - rest.length),
+                    text: rest,
+                    number: line.number,
+                    raw: line.raw
+                };
+                result.push(parseMapping(state, state.lines[state.index].indent));
+            } else {
+                state.index++;
+                result.push(parseValueWithBlockScalar(state, rest, line, indent));
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Разбор блочного словаря
+     * @param {Object} state - Состояние разбора
+     * @param {number} indent - Отступ словаря
+     * @returns {Object} Словарь
+     */
+    function parseMapping(state, indent) {
+        const result = {};
+        
+        while (true) {
+            skipBlank(state);
+            const line = state.lines[state.index];
+            if (!line || line.indent !== indent) break;
+            
+            if (isSequenceItem(line.text)) {
+                fail(line, 'элемент списка внутри словаря');
+            }
+            
+            const colon = findMappingColon(line.text);
+            if (colon === -1) {
+                fail(line, 'ожидается "ключ: значение"');
+            }
+            
+            const key = parseKey(line.text.slice(0, colon).trim(), line);
+            const rest = line.text.slice(colon + 1).trim();
+            state.index++;
+            
+            if (rest === '') {
+                // Значение на следующих строках; список может иметь тот же отступ, что и ключ
+                skipBlank(state);
+                const next = state.lines[state.index];
+                if (next && next.indent === indent && isSequenceItem(next.text)) {
+                    result[key] = parseSequence(state, indent);
+                } else {
+                    result[key] = parseNested(state, indent);
+                }
+            } else {
+                result[key] = parseValueWithBlockScalar(state, rest, line, indent);
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Разбор вложенного блока (с отступом больше родительского)
+     * @param {Object} state - Состояние разбора
+     * @param {number} parentIndent - Отступ родителя
+     * @returns {*} Значение блока или null, если блока нет
+     */
+    function parseNested(state, parentIndent) {
+        skipBlank(state);
+        const next = state.lines[state.index];
+        
+        if (!next || next.indent <= parentIndent) {
+            return null;
+        }
+        
+        return parseBlock(state, next.indent);
+    }
+    
+    /**
+     * Разбор значения, которое может быть блочной строкой (| или >)
+     * @param {Object} state - Состояние разбора
+     * @param {string} text - Текст значения
+     * @param {Object} line - Исходная строка
+     * @param {number} parentIndent - Отступ родителя
+     * @returns {*} Значение
+     */
+    function parseValueWithBlockScalar(state, text, line, parentIndent) {
+        const match = text.match(/^([|>])([+-]?)$/);
+        if (!match) {
+            return parseInlineValue(text, line);
+        }
+        
+        const folded = match[1] === '>';
+        const chomp = match[2];
+        const parts = [];
+        let blockIndent = null;
+        
+        while (state.index < state.lines.length) {
+            const current = state.lines[state.index];
+            
+            if (current.indent === -1) {
+                parts.push('');
+                state.index++;
+                continue;
+            }
+            
+            if (current.indent <= parentIndent) break;
+            
+            if (blockIndent === null) blockIndent = current.indent;
+            parts.push(current.raw.slice(blockIndent));
+            state.index++;
+        }
+        
+        // Пустые строки в конце блока относятся к следующему ключу
+        let trailing = 0;
+        while (parts.length && parts[parts.length - 1] === '') {
+            parts.pop();
+            trailing++;
+        }
+        
+        let value = folded
+            ? parts.reduce((acc, part, i) => i === 0 ? part : acc + (part === '' || parts[i - 1] === '' ? '\n' : ' ') + part, '')
+            : parts.join('\n');
+        
+        if (chomp === '+') {
+            value += '\n'.repeat(trailing + 1);
+        } else if (chomp !== '-' && value !== '') {
+            value += '\n';
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Разбор однострочного значения (скаляр или flow-коллекция)
+     * @param {string} text - Текст значения
+     * @param {Object} line - Исходная строка (для сообщений об ошибках)
+     * @returns {*} Значение
+     */
+    function parseInlineValue(text, line) {
+        if (text[0] === '[' || text[0] === '{') {
+            const reader = { text, pos: 0, line };
+            const value = readFlow(reader);
+            skipSpaces(reader);
+            if (reader.pos < text.length) {
+                fail(line, 'лишние символы после flow-коллекции');
+            }
+            return value;
+        }
+        
+        return parseScalar(text, line);
+    }
+    
+    /**
+     * Чтение flow-коллекции или значения внутри нее
+     * @param {Object} reader - Состояние чтения { text, pos, line }
+     * @returns {*} Значение
+     */
+    function readFlow(reader) {
+        skipSpaces(reader);
+        const ch = reader.text[reader.pos];
+        
+        if (ch === '[') {
+            reader.pos++;
+            const result = [];
+            skipSpaces(reader);
+            if (reader.text[reader.pos] === ']') {
+                reader.pos++;
+                return result;
+            }
+            
+            while (true) {
+                result.push(readFlow(reader));
+                skipSpaces(reader);
+                const sep = reader.text[reader.pos++];
+                if (sep === ']') return result;
+                if (sep !== ',') fail(reader.line, 'ожидается "," или "]"');
+            }
+        }
+        
+        if (ch === '{') {
+            reader.pos++;
+            const result = {};
+            skipSpaces(reader);
+            if (reader.text[reader.pos] === '}') {
+                reader.pos++;
+                return result;
+            }
+            
+            while (true) {
+                skipSpaces(reader);
+                const key = readFlowScalar(reader, ':');
+                if (reader.text[reader.pos++] !== ':') fail(reader.line, 'ожидается ":" в flow-словаре');
+                result[key === null ? 'null' : String(key)] = readFlow(reader);
+                skipSpaces(reader);
+                const sep = reader.text[reader.pos++];
+                if (sep === '}') return result;
+                if (sep !== ',') fail(reader.line, 'ожидается "," или "}"');
+            }
+        }
+        
+        return readFlowScalar(reader, ',]}');
+    }
+    
+    /**
+     * Чтение скаляра внутри flow-коллекции
+     * @param {Object} reader - Состояние чтения
+     * @param {string} stops - Символы, завершающие скаляр без кавычек
+     * @returns {*} Значение скаляра
+     */
+    function readFlowScalar(reader, stops) {
+        skipSpaces(reader);
+        const start = reader.pos;
+        const quote = reader.text[start];
+        
+        if (quote === '"' || quote === "'") {
+            let i = start + 1;
+            while (i < reader.text.length) {
+                if (quote === '"' && reader.text[i] === '\\') {
+                    i += 2;
+                    continue;
+                }
+                if (reader.text[i] === quote) {
+                    if (quote === "'" && reader.text[i + 1] === "'") {
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+            if (i >= reader.text.length) fail(reader.line, 'незакрытая кавычка');
+            reader.pos = i + 1;
+            return parseScalar(reader.text.slice(start, i + 1), reader.line);
+        }
+        
+        while (reader.pos < reader.text.length && !stops.includes(reader.text[reader.pos])) {
+            reader.pos++;
+        }
+        
+        return parseScalar(reader.text.slice(start, reader.pos).trim(), reader.line);
+    }
+    
+    /**
+     * Пропуск пробелов
+     * @param {Object} reader - Состояние чтения
+     */
+    function skipSpaces(reader) {
+        while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) {
+            reader.pos++;
+        }
+    }
+    
+    /**
+     * Разбор скалярного значения
+     * @param {string} text - Текст скаляра
+     * @param {Object} line - Исходная строка
+     * @returns {*} Строка, число, логическое значение или null
+     */
+    function parseScalar(text, line) {
+        if (text[0] === '"') {
+            if (text.length < 2 || text[text.length - 1] !== '"') fail(line, 'незакрытая кавычка');
+            return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (match, esc) => {
+                switch (esc[0]) {
+                    case 'n': return '\n';
+                    case 't': return '\t';
+                    case 'r': return '\r';
+                    case '0': return '\0';
+                    case 'u':
+                    case 'x': return String.fromCharCode(parseInt(esc.slice(1), 16));
+                    default: return esc;
+                }
+            });
+        }
+        
+        if (text[0] === "'") {
+            if (text.length < 2 || text[text.length - 1] !== "'") fail(line, 'незакрытая кавычка');
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        
+        if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+        if (/^true$/i.test(text)) return true;
+        if (/^false$/i.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+        
+        return text;
+    }
+    
+    /**
+     * Разбор ключа словаря
+     * @param {string} text - Текст ключа
+     * @param {Object} line - Исходная строка
+     * @returns {string} Ключ
+     */
+    function parseKey(text, line) {
+        const key = parseScalar(text, line);
+        return key === null ? 'null' : String(key);
+    }
+    
+    /**
+     * Поиск двоеточия, отделяющего ключ словаря (вне кавычек, перед пробелом или концом строки)
+     * @param {string} text - Текст строки
+     * @returns {number} Позиция двоеточия или -1
+     */
+    function findMappingColon(text) {
+        let quote = null;
+        
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            
+            if (quote) {
+                if (ch === '\\' && quote === '"') {
+                    i++;
+                } else if (ch === quote) {
+                    quote = null;
+                }
+            } else if ((ch === '"' || ch === "'") && i === 0) {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                if (i === 0) return -1;
+            } else if (ch === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+                return i;
+            }
+        }
+        
+        return -1;
+    }
+    
+    /**
+     * Проверка, является ли строка элементом списка
+     * @param {string} text - Текст строки
+     * @returns {boolean} true для "- значение" или "-"
+     */
+    function isSequenceItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+    
+    /**
+     * Выброс ошибки разбора с номером строки
+     * @param {Object} line - Строка
+     * @param {string} message - Описание ошибки
+     */
+    function fail(line, message) {
+        throw new Error(`YAML: строка ${line ? line.number : '?'}: ${message}`);
+    }
+    
+    // Публичное API
+    const yamlParser = {
+        parse
+    };
+    
+    // Делаем API доступным глобально
+    window.YamlParser = yamlParser;
+    
+    return yamlParser;
+})();